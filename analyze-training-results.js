@@ -2,6 +2,7 @@
 
 import { readFileSync, existsSync, writeFileSync } from 'fs';
 import { join } from 'path';
+import { ruleCodec } from './src/core/RuleCodec.js';
 
 /**
  * Comprehensive Analysis of Training Results
@@ -33,7 +34,7 @@ class TrainingAnalyzer {
     // Load optimized syntax rules
     const optimizedRulesPath = './results/auto-training-results-v2/optimized-syntax-rules.json';
     if (existsSync(optimizedRulesPath)) {
-      const optimizedRules = JSON.parse(readFileSync(optimizedRulesPath, 'utf8'));
+      const optimizedRules = ruleCodec.parse(readFileSync(optimizedRulesPath, 'utf8'));
       this.analyzeOptimizedRules(optimizedRules);
     }
     
@@ -99,6 +100,11 @@ class TrainingAnalyzer {
     console.log(`📌 Condition patterns: ${patternCounts.conditionPatterns}`);
     console.log(`📌 Variable patterns: ${patternCounts.variablePatterns}`);
     
+    const lostPatterns = ruleCodec.countLostPatterns(rules);
+    if (lostPatterns > 0) {
+      console.log(`⚠️  ${lostPatterns} patterns were saved without their regex source and cannot be restored`);
+    }
+    
     this.analysisResults.patterns.counts = patternCounts;
     this.analysisResults.patterns.rules = rules;
   }
@@ -126,7 +132,7 @@ class TrainingAnalyzer {
           const filePath = join(iterationPath, file);
           if (existsSync(filePath)) {
             try {
-              iterationData.files[file] = JSON.parse(readFileSync(filePath, 'utf8'));
+              iterationData.files[file] = ruleCodec.parse(readFileSync(filePath, 'utf8'));
             } catch (error) {
               console.log(`⚠️  Could not parse ${file}: ${error.message}`);
             }
@@ -202,7 +208,7 @@ class TrainingAnalyzer {
     console.log('\n🔧 Generating improved syntax rules...');
     
     const baseRules = this.analysisResults.patterns.rules || {};
-    const improvedRules = JSON.parse(JSON.stringify(baseRules)); // Deep copy
+    const improvedRules = ruleCodec.decode(ruleCodec.encode(baseRules)); // Deep copy, keeps RegExps
     
     // Add enhanced step patterns based on analysis
     if (!improvedRules.stepPatterns) {
@@ -319,10 +325,10 @@ class TrainingAnalyzer {
    */
   saveAnalysisResults() {
     const outputPath = './analysis-results.json';
-    writeFileSync(outputPath, JSON.stringify(this.analysisResults, null, 2));
+    writeFileSync(outputPath, ruleCodec.stringify(this.analysisResults));
     
     const improvedRulesPath = './improved-syntax-rules.json';
-    writeFileSync(improvedRulesPath, JSON.stringify(this.analysisResults.improvedRules, null, 2));
+    writeFileSync(improvedRulesPath, ruleCodec.stringify(this.analysisResults.improvedRules));
     
     console.log(`\n💾 Analysis results saved to: ${outputPath}`);
     console.log(`💾 Improved syntax rules saved to: ${improvedRulesPath}`);
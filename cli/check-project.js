@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+// =====================================================================
+// check-project.js - CLI for Cross-Program Reference Checks
+// =====================================================================
+// Loads all program descriptions of a machine, resolves the references
+// between them and writes the plant-wide dependency graph
+// Usage: node cli/check-project.js --input programs/ [--output project.dot]
+// =====================================================================
+
+import { readFileSync, writeFileSync, existsSync, statSync } from 'fs';
+import { ProjectWorkspace } from '../src/core/ProjectWorkspace.js';
+import { parseArgs, configureLogging, loadRules } from './common.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = parseArgs(args);
+
+// Default options
+const defaultOptions = {
+  input: null,
+  output: null,
+  config: null,
+  'depends-on': null,
+  'fail-on': 'error',
+  'syntax-rules': './results/auto-training-results-v2/optimized-syntax-rules.json',
+  'validation-rules': './results/auto-training-results-v2/optimized-validation-rules.json',
+  'log-level': 'error',
+  'log-file': null
+};
+
+// Severities that make the exit code 1, per --fail-on level
+const FAILING_SEVERITIES = {
+  error: ['error'],
+  warning: ['error', 'warning'],
+  info: ['error', 'warning', 'info']
+};
+
+const SEVERITY_ICONS = {
+  error: '❌',
+  warning: '⚠️ ',
+  info: 'ℹ️ '
+};
+
+// Merge options
+const config = { ...defaultOptions, ...options };
+
+// Configure logging shared by the workspace and the parser
+const logSink = configureLogging(config);
+
+async function main() {
+  const inputs = (config.input || '').split(',').map(input => input.trim()).filter(Boolean);
+
+  console.log('🚀 Starting Project Check...');
+  console.log('📋 Configuration:');
+  console.log(`  Input: ${inputs.join(', ') || null}`);
+  console.log(`  Output: ${config.output || '(none)'}`);
+  console.log(`  Fail On: ${config['fail-on']}`);
+  console.log(`  Syntax Rules: ${config['syntax-rules']}`);
+  console.log(`  Validation Rules: ${config['validation-rules']}`);
+  console.log('');
+
+  const missing = inputs.find(input => !existsSync(input));
+  if (inputs.length === 0 || missing) {
+    console.error(`❌ Input not found: ${missing || config.input}`);
+    process.exit(1);
+  }
+
+  if (!FAILING_SEVERITIES[config['fail-on']]) {
+    console.error(`❌ Unknown --fail-on level "${config['fail-on']}" (expected ${Object.keys(FAILING_SEVERITIES).join(', ')})`);
+    process.exit(1);
+  }
+
+  if (config.config && !existsSync(config.config)) {
+    console.error(`❌ Config file not found: ${config.config}`);
+    process.exit(1);
+  }
+
+  try {
+    const projectConfig = config.config ? JSON.parse(readFileSync(config.config, 'utf8')) : {};
+    const workspace = new ProjectWorkspace({
+      ...projectConfig,
+      syntaxRules: loadRules(config['syntax-rules']),
+      validationRules: loadRules(config['validation-rules'])
+    });
+
+    console.log('📄 Loading programs...');
+    for (const input of inputs) {
+      if (statSync(input).isDirectory()) {
+        await workspace.loadDirectory(input);
+      } else {
+        await workspace.loadFile(input);
+      }
+    }
+    workspace.programs.forEach(entry => {
+      console.log(`  ${entry.id.padEnd(8)} ${entry.name} (${entry.file})`);
+    });
+    console.log('');
+
+    console.log('🔗 Resolving cross-references...');
+    const { references, diagnostics } = workspace.resolve();
+
+    console.log('');
+    diagnostics.forEach(diagnostic => {
+      const location = diagnostic.file ? `${diagnostic.file}${diagnostic.lineNumber ? `:${diagnostic.lineNumber}` : ''}: ` : '';
+      console.log(`  ${SEVERITY_ICONS[diagnostic.severity] || '•'} ${location}${diagnostic.code}: ${diagnostic.message}`);
+    });
+    if (diagnostics.length > 0) console.log('');
+
+    // "Who depends on FB102 step 5"
+    if (config['depends-on']) {
+      const [program, step = '0'] = config['depends-on'].split(':');
+      const dependents = workspace.dependentsOf(program, parseInt(step));
+      console.log(`🔎 Depends on ${program} step ${step}: ${dependents.length} reference(s)`);
+      dependents.forEach(reference => {
+        console.log(`  ${reference.program} ${reference.file}:${reference.lineNumber} ${reference.description}`);
+      });
+      console.log('');
+    }
+
+    const graph = workspace.dependencyGraph();
+    if (config.output) {
+      const content = /\.json$/i.test(config.output)
+        ? JSON.stringify({ ...graph, references, diagnostics }, null, 2)
+        : workspace.toDot(graph);
+      writeFileSync(config.output, content);
+    }
+
+    const failing = diagnostics.filter(diagnostic => FAILING_SEVERITIES[config['fail-on']].includes(diagnostic.severity));
+
+    // Summary
+    console.log(failing.length === 0 ? '✅ Project Check Complete!' : '❌ Project Check Failed!');
+    console.log('📊 Summary:');
+    console.log(`  Programs: ${workspace.programs.length}`);
+    console.log(`  Cross-References: ${references.length}`);
+    console.log(`  Resolved: ${references.filter(reference => reference.status === 'resolved').length}`);
+    console.log(`  Dangling: ${references.filter(reference => reference.status !== 'resolved').length}`);
+    console.log(`  Dependencies: ${graph.edges.length}`);
+
+    if (config.output) {
+      console.log('');
+      console.log('📁 Files generated:');
+      console.log(`  Dependency Graph: ${config.output}`);
+    }
+
+    if (failing.length > 0) process.exit(1);
+
+  } catch (error) {
+    console.error(`❌ Error during project check: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Show help
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('🎯 Project Check CLI');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node cli/check-project.js --input <dir|file,file,...> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --input <paths>             Directories (searched recursively) and/or .txt/.docx files, comma-separated');
+  console.log('  --output <file>             Write the dependency graph as Graphviz (.dot) or JSON (.json)');
+  console.log('  --config <file>             Workspace config JSON, e.g. { "severities": { "unknown_program": "info" } }');
+  console.log('  --depends-on <FB:step>      List the references to a step, e.g. FB102:5 (step 0 is RUST)');
+  console.log('  --fail-on <level>           Exit with code 1 on diagnostics of this severity or worse:');
+  console.log('                              error (default), warning or info');
+  console.log('  --syntax-rules <file>       Syntax rules JSON (default: optimized rules from auto-training)');
+  console.log('  --validation-rules <file>   Validation rules JSON (default: optimized rules from auto-training)');
+  console.log('  --log-level <level>         silent, error, info, debug or trace (default: error)');
+  console.log('  --log-file <file>           Also write log entries as JSON lines to this file');
+  console.log('  --help, -h                  Show this help message');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node cli/check-project.js --input programs/ --output project.dot');
+  console.log('  node cli/check-project.js --input programs/ --depends-on FB102:5');
+  process.exit(0);
+}
+
+// Run main function
+main()
+  .catch(console.error)
+  .finally(() => logSink?.close());
@@ -0,0 +1,68 @@
+// =====================================================================
+// common.js - Shared CLI Helpers
+// =====================================================================
+// Argument parsing, logging setup, rule loading and program parsing for
+// the CLIs in this folder
+// =====================================================================
+
+import { readFileSync, existsSync } from 'fs';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { DocxIngestor } from '../src/core/DocxIngestor.js';
+import { ruleCodec } from '../src/core/RuleCodec.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { JsonLinesSink } from '../src/core/JsonLinesSink.js';
+
+/**
+ * "--input a.txt --log-level info" -> { input: 'a.txt', 'log-level': 'info' }
+ */
+export function parseArgs(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace('--', '');
+    const value = args[i + 1];
+    options[key] = value;
+  }
+
+  return options;
+}
+
+/**
+ * Apply --log-level to the shared logger and add a JSON lines sink for
+ * --log-file. Returns the sink (or null) so the CLI can close it.
+ */
+export function configureLogging(config) {
+  try {
+    defaultLogger.setLevel(config['log-level']);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (!config['log-file']) return null;
+
+  const logSink = new JsonLinesSink(config['log-file']);
+  defaultLogger.addSink(logSink);
+  return logSink;
+}
+
+export function loadRules(filePath) {
+  if (!existsSync(filePath)) {
+    console.error(`❌ Rules file not found: ${filePath}`);
+    process.exit(1);
+  }
+  return ruleCodec.parse(readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Parse a text or DOCX program description
+ */
+export async function parseProgram(input, syntaxRules, validationRules) {
+  if (/\.docx$/i.test(input)) {
+    const { result } = await new DocxIngestor().ingest(input, { syntaxRules, validationRules });
+    return result;
+  }
+
+  const parser = new HierarchicalParser(syntaxRules, validationRules);
+  return parser.parse(readFileSync(input, 'utf8'), 'manual');
+}
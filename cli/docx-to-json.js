@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+// =====================================================================
+// docx-to-json.js - CLI for DOCX Ingestion
+// =====================================================================
+// Converts a Word program description into parse results for training
+// Usage: node cli/docx-to-json.js --input program.docx --output training-data.json
+// =====================================================================
+
+import { writeFileSync, existsSync } from 'fs';
+import { DocxIngestor } from '../src/core/DocxIngestor.js';
+import { parseArgs, configureLogging, loadRules } from './common.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = parseArgs(args);
+
+// Default options
+const defaultOptions = {
+  input: null,
+  output: './training-data.json',
+  format: 'suggestions',
+  'syntax-rules': './results/auto-training-results-v2/optimized-syntax-rules.json',
+  'validation-rules': './results/auto-training-results-v2/optimized-validation-rules.json',
+  'line-map': null,
+  'log-level': 'info',
+  'log-file': null
+};
+
+// Merge options
+const config = { ...defaultOptions, ...options };
+config['line-map'] = config['line-map'] || config.output.replace(/\.json$/i, '') + '.linemap.json';
+
+// Confidence per suggestion kind, same scale as the training report
+const SUGGESTION_CONFIDENCE = {
+  variable: 0.8,
+  cross_reference: 0.9
+};
+
+// Configure logging shared by the ingestor and the parser
+const logSink = configureLogging(config);
+
+/**
+ * Group parsed variables and cross-references into training suggestions
+ * ({ suggestedGroup, potentialType, confidence, frequency, examples })
+ */
+function buildSuggestions(result, lines) {
+  const suggestions = new Map();
+
+  const add = (group, type, lineNumber) => {
+    const example = (lines[lineNumber - 1] || '').trim();
+    if (!example) return;
+
+    if (!suggestions.has(group)) {
+      suggestions.set(group, {
+        suggestedGroup: group,
+        potentialType: type,
+        confidence: SUGGESTION_CONFIDENCE[type],
+        frequency: 0,
+        examples: []
+      });
+    }
+
+    const suggestion = suggestions.get(group);
+    suggestion.frequency++;
+    if (!suggestion.examples.includes(example)) suggestion.examples.push(example);
+  };
+
+  result.variables.forEach(variable => add(variable.group, 'variable', variable.lineNumber));
+  result.crossReferences.forEach(reference => add('cross_reference', 'cross_reference', reference.lineNumber));
+
+  return Array.from(suggestions.values()).sort((a, b) => b.frequency - a.frequency);
+}
+
+async function main() {
+  console.log('🚀 Starting DOCX Ingestion...');
+  console.log('📋 Configuration:');
+  console.log(`  Input: ${config.input}`);
+  console.log(`  Output: ${config.output}`);
+  console.log(`  Format: ${config.format}`);
+  console.log(`  Line Map: ${config['line-map']}`);
+  console.log(`  Syntax Rules: ${config['syntax-rules']}`);
+  console.log(`  Validation Rules: ${config['validation-rules']}`);
+  console.log(`  Log Level: ${config['log-level']}${config['log-file'] ? ` (JSON lines: ${config['log-file']})` : ''}`);
+  console.log('');
+
+  if (!config.input || !existsSync(config.input)) {
+    console.error(`❌ Input file not found: ${config.input}`);
+    process.exit(1);
+  }
+
+  if (!['suggestions', 'structured'].includes(config.format)) {
+    console.error(`❌ Unknown format "${config.format}" (expected suggestions or structured)`);
+    process.exit(1);
+  }
+
+  try {
+    console.log('📄 Converting document...');
+    const ingestor = new DocxIngestor();
+    const { text, lineMap, warnings, result } = await ingestor.ingest(config.input, {
+      syntaxRules: loadRules(config['syntax-rules']),
+      validationRules: loadRules(config['validation-rules'])
+    });
+
+    warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+    let output;
+    if (config.format === 'suggestions') {
+      output = {
+        metadata: result.metadata,
+        bestSuggestions: buildSuggestions(result, text.split('\n'))
+      };
+    } else {
+      output = { ...result, text, lineMap };
+    }
+
+    console.log('💾 Writing output...');
+    writeFileSync(config.output, JSON.stringify(output, null, 2));
+    writeFileSync(config['line-map'], JSON.stringify({ source: config.input, lines: lineMap }, null, 2));
+
+    // Summary
+    console.log('');
+    console.log('✅ DOCX Ingestion Complete!');
+    console.log('📊 Summary:');
+    console.log(`  Lines: ${lineMap.length}`);
+    console.log(`  Steps: ${result.steps.length}`);
+    console.log(`  Variables: ${result.variables.length}`);
+    console.log(`  Cross References: ${result.crossReferences.length}`);
+    console.log(`  Errors: ${result.errors.length}`);
+    console.log(`  Warnings: ${result.warnings.length}`);
+    console.log('');
+
+    console.log('📁 Files generated:');
+    console.log(`  Output: ${config.output}`);
+    console.log(`  Line Map: ${config['line-map']}`);
+
+  } catch (error) {
+    console.error('❌ Error during DOCX ingestion:', error);
+    process.exit(1);
+  }
+}
+
+// Show help
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('🎯 DOCX Ingestion CLI');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node cli/docx-to-json.js --input <file.docx> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --input <file>              Input DOCX program description');
+  console.log('  --output <file>             Output JSON file (default: ./training-data.json)');
+  console.log('  --format <format>           suggestions (for pattern generation) or structured (full parse result)');
+  console.log('  --line-map <file>           Side-car map from output lines to paragraphs (default: <output>.linemap.json)');
+  console.log('  --syntax-rules <file>       Syntax rules JSON (default: optimized rules from auto-training)');
+  console.log('  --validation-rules <file>   Validation rules JSON (default: optimized rules from auto-training)');
+  console.log('  --log-level <level>         silent, error, info, debug or trace (default: info)');
+  console.log('  --log-file <file>           Also write log entries as JSON lines to this file');
+  console.log('  --help, -h                  Show this help message');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node cli/docx-to-json.js --input program.docx');
+  console.log('  node cli/docx-to-json.js --input program.docx --output program.json --format structured');
+  console.log('  node cli/generate-patterns.js --input training-data.json');
+  process.exit(0);
+}
+
+// Run main function
+main()
+  .catch(console.error)
+  .finally(() => logSink?.close());
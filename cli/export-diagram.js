@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// =====================================================================
+// export-diagram.js - CLI for Step Chain Diagram Export
+// =====================================================================
+// Parses a program description and draws its step chain as a state diagram
+// Usage: node cli/export-diagram.js --input program.txt --format svg|mermaid|dot
+// =====================================================================
+
+import { writeFileSync, existsSync } from 'fs';
+import { StepChainDiagram, DIAGRAM_FORMATS } from '../src/core/StepChainDiagram.js';
+import { parseArgs, configureLogging, loadRules, parseProgram } from './common.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = parseArgs(args);
+
+// Default options
+const defaultOptions = {
+  input: null,
+  output: null,
+  format: 'svg',
+  direction: 'TB',
+  'max-label-length': '40',
+  'syntax-rules': './results/auto-training-results-v2/optimized-syntax-rules.json',
+  'validation-rules': './results/auto-training-results-v2/optimized-validation-rules.json',
+  'log-level': 'error',
+  'log-file': null
+};
+
+// Merge options
+const config = { ...defaultOptions, ...options };
+config.output = config.output ||
+  (config.input || 'program.txt').replace(/\.(txt|docx)$/i, '') + (DIAGRAM_FORMATS[config.format] || '.out');
+
+// Configure logging shared by the ingestor and the parser
+const logSink = configureLogging(config);
+
+async function main() {
+  console.log('🚀 Starting Diagram Export...');
+  console.log('📋 Configuration:');
+  console.log(`  Input: ${config.input}`);
+  console.log(`  Output: ${config.output}`);
+  console.log(`  Format: ${config.format}`);
+  console.log(`  Syntax Rules: ${config['syntax-rules']}`);
+  console.log(`  Validation Rules: ${config['validation-rules']}`);
+  console.log('');
+
+  if (!config.input || !existsSync(config.input)) {
+    console.error(`❌ Input file not found: ${config.input}`);
+    process.exit(1);
+  }
+
+  if (!DIAGRAM_FORMATS[config.format]) {
+    console.error(`❌ Unknown format "${config.format}" (expected ${Object.keys(DIAGRAM_FORMATS).join(', ')})`);
+    process.exit(1);
+  }
+
+  try {
+    console.log('📄 Parsing program...');
+    const result = await parseProgram(config.input, loadRules(config['syntax-rules']), loadRules(config['validation-rules']));
+
+    console.log('🗺️  Drawing step chain...');
+    const diagram = new StepChainDiagram({
+      direction: config.direction,
+      maxLabelLength: parseInt(config['max-label-length'])
+    });
+    const graph = diagram.build(result);
+    writeFileSync(config.output, diagram.export(result, config.format));
+
+    // Summary
+    console.log('');
+    console.log('✅ Diagram Export Complete!');
+    console.log('📊 Summary:');
+    console.log(`  Program: ${result.metadata.programName || '-'}${result.metadata.fbNumber ? ` (FB${result.metadata.fbNumber})` : ''}`);
+    console.log(`  Steps: ${graph.nodes.filter(node => node.kind !== 'external').length}`);
+    console.log(`  Transitions: ${graph.edges.filter(edge => edge.kind === 'transition').length}`);
+    console.log(`  Cross-References: ${graph.edges.filter(edge => edge.kind === 'crossReference').length}`);
+    console.log(`  Timers: ${graph.nodes.reduce((sum, node) => sum + node.timers.length, 0)}`);
+    console.log('');
+
+    console.log('📁 Files generated:');
+    console.log(`  Output: ${config.output}`);
+
+  } catch (error) {
+    console.error('❌ Error during diagram export:', error);
+    process.exit(1);
+  }
+}
+
+// Show help
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('🎯 Diagram Export CLI');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node cli/export-diagram.js --input <file.txt|file.docx> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --input <file>              Input program description (.txt or .docx)');
+  console.log('  --output <file>             Output file (default: <input> with the format\'s extension)');
+  console.log('  --format <format>           svg (default), mermaid (stateDiagram-v2) or dot (Graphviz)');
+  console.log('  --direction <dir>           TB (top to bottom, default) or LR, for mermaid and dot');
+  console.log('  --max-label-length <n>      Cut condition summaries off after n characters (default: 40)');
+  console.log('  --syntax-rules <file>       Syntax rules JSON (default: optimized rules from auto-training)');
+  console.log('  --validation-rules <file>   Validation rules JSON (default: optimized rules from auto-training)');
+  console.log('  --log-level <level>         silent, error, info, debug or trace (default: error)');
+  console.log('  --log-file <file>           Also write log entries as JSON lines to this file');
+  console.log('  --help, -h                  Show this help message');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node cli/export-diagram.js --input training-data/sample-industrial-program.txt');
+  console.log('  node cli/export-diagram.js --input program.docx --format mermaid --output FB305.mmd');
+  console.log('  node cli/export-diagram.js --input program.txt --format dot --direction LR');
+  process.exit(0);
+}
+
+// Run main function
+main()
+  .catch(console.error)
+  .finally(() => logSink?.close());
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+// =====================================================================
+// export-plc.js - CLI for PLC Code Export
+// =====================================================================
+// Parses a program description and exports it as PLC source
+// Usage: node cli/export-plc.js --input program.txt --format simaticml|scl|plcopen
+// =====================================================================
+
+import { writeFileSync, existsSync } from 'fs';
+import { SimaticMLExporter } from '../src/core/SimaticMLExporter.js';
+import { SclGenerator } from '../src/core/SclGenerator.js';
+import { PLCopenExporter, PLCOPEN_SCHEMA } from '../src/core/PLCopenExporter.js';
+import { XsdValidator } from '../src/core/XsdValidator.js';
+import { parseArgs, configureLogging, loadRules, parseProgram } from './common.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = parseArgs(args);
+
+// Default options
+const defaultOptions = {
+  input: null,
+  output: null,
+  format: 'simaticml',
+  language: 'LAD',
+  name: null,
+  number: null,
+  'syntax-rules': './results/auto-training-results-v2/optimized-syntax-rules.json',
+  'validation-rules': './results/auto-training-results-v2/optimized-validation-rules.json',
+  'log-level': 'error',
+  'log-file': null
+};
+
+// Output file extension per export format
+const FORMAT_EXTENSIONS = {
+  simaticml: '.xml',
+  scl: '.scl',
+  plcopen: '.xml'
+};
+
+// Merge options
+const config = { ...defaultOptions, ...options };
+config.output = config.output ||
+  (config.input || 'program.txt').replace(/\.(txt|docx)$/i, '') + (FORMAT_EXTENSIONS[config.format] || '.out');
+
+// Configure logging shared by the ingestor and the parser
+const logSink = configureLogging(config);
+
+function createExporter(format, validationRules) {
+  switch (format) {
+    case 'simaticml':
+      return new SimaticMLExporter({ language: config.language, validationRules });
+    case 'scl': {
+      const generator = new SclGenerator({ validationRules });
+      return { export: (result, block) => generator.generate(result, block) };
+    }
+    case 'plcopen':
+      return new PLCopenExporter({ validationRules });
+    default:
+      return null;
+  }
+}
+
+async function main() {
+  console.log('🚀 Starting PLC Export...');
+  console.log('📋 Configuration:');
+  console.log(`  Input: ${config.input}`);
+  console.log(`  Output: ${config.output}`);
+  console.log(`  Format: ${config.format}${config.format === 'simaticml' ? ` (${config.language})` : ''}`);
+  console.log(`  Syntax Rules: ${config['syntax-rules']}`);
+  console.log(`  Validation Rules: ${config['validation-rules']}`);
+  console.log('');
+
+  if (!config.input || !existsSync(config.input)) {
+    console.error(`❌ Input file not found: ${config.input}`);
+    process.exit(1);
+  }
+
+  const validationRules = loadRules(config['validation-rules']);
+  const exporter = createExporter(config.format, validationRules);
+  if (!exporter) {
+    console.error(`❌ Unknown format "${config.format}" (expected ${Object.keys(FORMAT_EXTENSIONS).join(', ')})`);
+    process.exit(1);
+  }
+
+  try {
+    console.log('📄 Parsing program...');
+    const result = await parseProgram(config.input, loadRules(config['syntax-rules']), validationRules);
+
+    console.log('🔧 Exporting...');
+    const output = exporter.export(result, {
+      name: config.name,
+      number: config.number ? parseInt(config.number) : null
+    });
+    writeFileSync(config.output, output);
+
+    // PLCopen output is checked against the shipped schema before it goes to CODESYS
+    let schemaErrors = [];
+    if (config.format === 'plcopen') {
+      console.log('🔍 Validating against the PLCopen schema...');
+      const validator = await XsdValidator.load(PLCOPEN_SCHEMA);
+      schemaErrors = validator.validate(output).errors;
+      schemaErrors.forEach(error => console.log(`⚠️  line ${error.line}: ${error.path}: ${error.message}`));
+    }
+
+    // Summary
+    console.log('');
+    console.log('✅ PLC Export Complete!');
+    console.log('📊 Summary:');
+    console.log(`  Program: ${result.metadata.programName || '-'}${result.metadata.fbNumber ? ` (FB${result.metadata.fbNumber})` : ''}`);
+    console.log(`  Steps: ${result.steps.length}`);
+    console.log(`  Transitions: ${result.transitions.length}`);
+    console.log(`  Variables: ${result.variables.length}`);
+    console.log(`  Errors: ${result.errors.length}`);
+    console.log(`  Warnings: ${result.warnings.length}`);
+    if (config.format === 'plcopen') console.log(`  Schema Errors: ${schemaErrors.length}`);
+    console.log('');
+
+    console.log('📁 Files generated:');
+    console.log(`  Output: ${config.output}`);
+
+    if (schemaErrors.length > 0) process.exit(1);
+
+  } catch (error) {
+    console.error('❌ Error during PLC export:', error);
+    process.exit(1);
+  }
+}
+
+// Show help
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('🎯 PLC Export CLI');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node cli/export-plc.js --input <file.txt|file.docx> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --input <file>              Input program description (.txt or .docx)');
+  console.log('  --output <file>             Output file (default: <input> with the format\'s extension)');
+  console.log('  --format <format>           simaticml (TIA Portal Openness XML, default), scl (SCL source)');
+  console.log('                              or plcopen (PLCopen XML with an SFC, checked against the schema)');
+  console.log('  --language <lang>           Network language for simaticml: LAD (default) or FBD');
+  console.log('  --name <name>               Block name (default: program name from the header)');
+  console.log('  --number <n>                FB number (default: from the header)');
+  console.log('  --syntax-rules <file>       Syntax rules JSON (default: optimized rules from auto-training)');
+  console.log('  --validation-rules <file>   Validation rules JSON (default: optimized rules from auto-training)');
+  console.log('  --log-level <level>         silent, error, info, debug or trace (default: error)');
+  console.log('  --log-file <file>           Also write log entries as JSON lines to this file');
+  console.log('  --help, -h                  Show this help message');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node cli/export-plc.js --input training-data/sample-industrial-program.txt');
+  console.log('  node cli/export-plc.js --input program.docx --language FBD --output FB305.xml');
+  console.log('  node cli/export-plc.js --input training-data/sample-industrial-program.txt --format scl');
+  console.log('  node cli/export-plc.js --input program.txt --format plcopen --output FB305.plcopen.xml');
+  process.exit(0);
+}
+
+// Run main function
+main()
+  .catch(console.error)
+  .finally(() => logSink?.close());
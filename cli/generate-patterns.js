@@ -9,16 +9,11 @@
 import { readFileSync, existsSync } from 'fs';
 import { join } from 'path';
 import { PatternGenerator } from '../src/core/PatternGenerator.js';
+import { parseArgs, configureLogging } from './common.js';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
-const options = {};
-
-for (let i = 0; i < args.length; i += 2) {
-  const key = args[i].replace('--', '');
-  const value = args[i + 1];
-  options[key] = value;
-}
+const options = parseArgs(args);
 
 // Default options
 const defaultOptions = {
@@ -28,7 +23,9 @@ const defaultOptions = {
   minFrequency: '3',
   minPrecision: '0.7',
   minRecall: '0.7',
-  maxPatterns: '5'
+  maxPatterns: '5',
+  'log-level': 'info',
+  'log-file': null
 };
 
 // Merge options
@@ -42,6 +39,9 @@ const numericOptions = {
   maxPatterns: parseInt(config.maxPatterns)
 };
 
+// Configure logging shared by PatternGenerator and the parsers
+const logSink = configureLogging(config);
+
 async function main() {
   console.log('🚀 Starting Pattern Generation...');
   console.log('📋 Configuration:');
@@ -52,6 +52,7 @@ async function main() {
   console.log(`  Min Precision: ${numericOptions.minPrecision}`);
   console.log(`  Min Recall: ${numericOptions.minRecall}`);
   console.log(`  Max Patterns: ${numericOptions.maxPatterns}`);
+  console.log(`  Log Level: ${config['log-level']}${config['log-file'] ? ` (JSON lines: ${config['log-file']})` : ''}`);
   console.log('');
 
   // Check if input file exists
@@ -156,14 +157,19 @@ if (args.includes('--help') || args.includes('-h')) {
   console.log('  --minPrecision <n>    Minimum pattern precision (default: 0.7)');
   console.log('  --minRecall <n>       Minimum pattern recall (default: 0.7)');
   console.log('  --maxPatterns <n>     Maximum patterns per group (default: 5)');
+  console.log('  --log-level <level>   silent, error, info, debug or trace (default: info)');
+  console.log('  --log-file <file>     Also write log entries as JSON lines to this file');
   console.log('  --help, -h            Show this help message');
   console.log('');
   console.log('Examples:');
   console.log('  node generate-patterns.js');
   console.log('  node generate-patterns.js --input training-report.json --output patterns.json');
   console.log('  node generate-patterns.js --minFrequency 5 --minPrecision 0.8');
+  console.log('  node generate-patterns.js --log-level debug --log-file generate.log.jsonl');
   process.exit(0);
 }
 
 // Run main function
-main().catch(console.error);
\ No newline at end of file
+main()
+  .catch(console.error)
+  .finally(() => logSink?.close());
\ No newline at end of file
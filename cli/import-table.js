@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// =====================================================================
+// import-table.js - CLI for Table Import
+// =====================================================================
+// Parses a step chain kept as a CSV/TSV table or in Word tables
+// Usage: node cli/import-table.js --input schrittkette.csv --output program.json
+// =====================================================================
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { TableImporter } from '../src/core/TableImporter.js';
+import { parseArgs, configureLogging, loadRules } from './common.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = parseArgs(args);
+
+// Default options
+const defaultOptions = {
+  input: null,
+  output: './program.json',
+  columns: null,
+  header: 'auto',
+  delimiter: null,
+  'syntax-rules': './results/auto-training-results-v2/optimized-syntax-rules.json',
+  'validation-rules': './results/auto-training-results-v2/optimized-validation-rules.json',
+  'log-level': 'info',
+  'log-file': null
+};
+
+// --header value -> TableImporter header option
+const HEADER_MODES = {
+  auto: undefined,
+  true: true,
+  false: false
+};
+
+// Merge options
+const config = { ...defaultOptions, ...options };
+
+// Configure logging shared by the importer and the parser
+const logSink = configureLogging(config);
+
+async function main() {
+  console.log('🚀 Starting Table Import...');
+  console.log('📋 Configuration:');
+  console.log(`  Input: ${config.input}`);
+  console.log(`  Output: ${config.output}`);
+  console.log(`  Columns: ${config.columns || '(default: 0 = steps, 1 = conditions, 2 = OR conditions)'}`);
+  console.log(`  Header: ${config.header}`);
+  console.log(`  Syntax Rules: ${config['syntax-rules']}`);
+  console.log(`  Validation Rules: ${config['validation-rules']}`);
+  console.log(`  Log Level: ${config['log-level']}${config['log-file'] ? ` (JSON lines: ${config['log-file']})` : ''}`);
+  console.log('');
+
+  if (!config.input || !existsSync(config.input)) {
+    console.error(`❌ Input file not found: ${config.input}`);
+    process.exit(1);
+  }
+
+  if (!(config.header in HEADER_MODES)) {
+    console.error(`❌ Unknown --header mode "${config.header}" (expected ${Object.keys(HEADER_MODES).join(', ')})`);
+    process.exit(1);
+  }
+
+  if (config.columns && !existsSync(config.columns)) {
+    console.error(`❌ Columns file not found: ${config.columns}`);
+    process.exit(1);
+  }
+
+  try {
+    const importer = new TableImporter({
+      columns: config.columns ? JSON.parse(readFileSync(config.columns, 'utf8')) : undefined,
+      header: HEADER_MODES[config.header],
+      delimiter: config.delimiter === '\\t' ? '\t' : config.delimiter
+    });
+
+    console.log('📄 Importing table...');
+    const { text, lineMap, header, warnings, result } = await importer.import(config.input, {
+      syntaxRules: loadRules(config['syntax-rules']),
+      validationRules: loadRules(config['validation-rules'])
+    });
+
+    warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+    console.log('💾 Writing output...');
+    writeFileSync(config.output, JSON.stringify({ ...result, text, lineMap }, null, 2));
+
+    // Summary
+    console.log('');
+    console.log('✅ Table Import Complete!');
+    console.log('📊 Summary:');
+    console.log(`  Header Row: ${header ? 'yes' : 'no'}`);
+    console.log(`  Lines: ${lineMap.length}`);
+    console.log(`  Steps: ${result.steps.length}`);
+    console.log(`  Variables: ${result.variables.length}`);
+    console.log(`  Cross References: ${result.crossReferences.length}`);
+    console.log(`  Errors: ${result.errors.length}`);
+    console.log(`  Warnings: ${result.warnings.length}`);
+    console.log('');
+
+    console.log('📁 Files generated:');
+    console.log(`  Output: ${config.output}`);
+
+  } catch (error) {
+    console.error('❌ Error during table import:', error);
+    process.exit(1);
+  }
+}
+
+// Show help
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('🎯 Table Import CLI');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node cli/import-table.js --input <file.csv|file.tsv|file.docx> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --input <file>              CSV/TSV file or DOCX with the step chain in tables');
+  console.log('  --output <file>             Output JSON file with the parse result (default: ./program.json)');
+  console.log('  --columns <file>            JSON column mapping, e.g. {"Schritt": 0, "Bedingung": 1, "Kommentar": null}');
+  console.log('  --header <mode>             auto (detect a header row), true or false (default: auto)');
+  console.log('  --delimiter <char>          CSV delimiter (default: detected from the first line)');
+  console.log('  --syntax-rules <file>       Syntax rules JSON (default: optimized rules from auto-training)');
+  console.log('  --validation-rules <file>   Validation rules JSON (default: optimized rules from auto-training)');
+  console.log('  --log-level <level>         silent, error, info, debug or trace (default: info)');
+  console.log('  --log-file <file>           Also write log entries as JSON lines to this file');
+  console.log('  --help, -h                  Show this help message');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node cli/import-table.js --input schrittkette.csv');
+  console.log('  node cli/import-table.js --input schrittkette.docx --columns columns.json --output FB305.json');
+  process.exit(0);
+}
+
+// Run main function
+main()
+  .catch(console.error)
+  .finally(() => logSink?.close());
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// =====================================================================
+// lint-program.js - CLI for Semantic Program Checks
+// =====================================================================
+// Parses a program description and reports parser and lint diagnostics
+// Usage: node cli/lint-program.js --input program.txt [--config lint.json]
+// =====================================================================
+
+import { readFileSync, existsSync } from 'fs';
+import { ProgramLinter } from '../src/core/ProgramLinter.js';
+import { parseArgs, configureLogging, loadRules, parseProgram } from './common.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = parseArgs(args);
+
+// Default options
+const defaultOptions = {
+  input: null,
+  config: null,
+  'fail-on': 'error',
+  'syntax-rules': './results/auto-training-results-v2/optimized-syntax-rules.json',
+  'validation-rules': './results/auto-training-results-v2/optimized-validation-rules.json',
+  'log-level': 'error',
+  'log-file': null
+};
+
+// Severities that make the exit code 1, per --fail-on level
+const FAILING_SEVERITIES = {
+  error: ['error'],
+  warning: ['error', 'warning'],
+  info: ['error', 'warning', 'info']
+};
+
+const SEVERITY_ICONS = {
+  error: '❌',
+  warning: '⚠️ ',
+  info: 'ℹ️ '
+};
+
+// Merge options
+const config = { ...defaultOptions, ...options };
+
+// Configure logging shared by the ingestor and the parser
+const logSink = configureLogging(config);
+
+async function main() {
+  console.log('🚀 Starting Program Lint...');
+  console.log('📋 Configuration:');
+  console.log(`  Input: ${config.input}`);
+  console.log(`  Config: ${config.config || '(default severities)'}`);
+  console.log(`  Fail On: ${config['fail-on']}`);
+  console.log(`  Syntax Rules: ${config['syntax-rules']}`);
+  console.log(`  Validation Rules: ${config['validation-rules']}`);
+  console.log('');
+
+  if (!config.input || !existsSync(config.input)) {
+    console.error(`❌ Input file not found: ${config.input}`);
+    process.exit(1);
+  }
+
+  if (!FAILING_SEVERITIES[config['fail-on']]) {
+    console.error(`❌ Unknown --fail-on level "${config['fail-on']}" (expected ${Object.keys(FAILING_SEVERITIES).join(', ')})`);
+    process.exit(1);
+  }
+
+  if (config.config && !existsSync(config.config)) {
+    console.error(`❌ Config file not found: ${config.config}`);
+    process.exit(1);
+  }
+
+  try {
+    const validationRules = loadRules(config['validation-rules']);
+    const lintConfig = config.config ? JSON.parse(readFileSync(config.config, 'utf8')) : {};
+    const linter = new ProgramLinter({ ...lintConfig, validationRules });
+
+    console.log('📄 Parsing program...');
+    const result = await parseProgram(config.input, loadRules(config['syntax-rules']), validationRules);
+
+    console.log('🔍 Checking program...');
+    const findings = linter.lint(result);
+
+    const diagnostics = [...result.diagnostics]
+      .sort((a, b) => (a.lineNumber ?? 0) - (b.lineNumber ?? 0));
+
+    console.log('');
+    diagnostics.forEach(diagnostic => {
+      const location = diagnostic.lineNumber ? `line ${diagnostic.lineNumber}: ` : '';
+      console.log(`  ${SEVERITY_ICONS[diagnostic.severity] || '•'} ${location}${diagnostic.code}: ${diagnostic.message}`);
+    });
+    if (diagnostics.length > 0) console.log('');
+
+    const failing = diagnostics.filter(diagnostic => FAILING_SEVERITIES[config['fail-on']].includes(diagnostic.severity));
+
+    // Summary
+    console.log(failing.length === 0 ? '✅ Program Lint Complete!' : '❌ Program Lint Failed!');
+    console.log('📊 Summary:');
+    console.log(`  Program: ${result.metadata.programName || '-'}${result.metadata.fbNumber ? ` (FB${result.metadata.fbNumber})` : ''}`);
+    console.log(`  Steps: ${result.steps.length}`);
+    console.log(`  Errors: ${result.errors.length}`);
+    console.log(`  Warnings: ${result.warnings.length}`);
+    console.log(`  Lint Findings: ${findings.length}`);
+
+    if (failing.length > 0) process.exit(1);
+
+  } catch (error) {
+    console.error(`❌ Error during program lint: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Show help
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('🎯 Program Lint CLI');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node cli/lint-program.js --input <file.txt|file.docx> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --input <file>              Input program description (.txt or .docx)');
+  console.log('  --config <file>             Lint config JSON, e.g. { "severities": { "undeclared_variable": "off" } }');
+  console.log('  --fail-on <level>           Exit with code 1 on diagnostics of this severity or worse:');
+  console.log('                              error (default), warning or info');
+  console.log('  --syntax-rules <file>       Syntax rules JSON (default: optimized rules from auto-training)');
+  console.log('  --validation-rules <file>   Validation rules JSON (default: optimized rules from auto-training)');
+  console.log('  --log-level <level>         silent, error, info, debug or trace (default: error)');
+  console.log('  --log-file <file>           Also write log entries as JSON lines to this file');
+  console.log('  --help, -h                  Show this help message');
+  console.log('');
+  console.log('Checks: step_number_gap, duplicate_step_number, unreachable_step, undeclared_variable,');
+  console.log('        marker_never_reset, duplicate_fault_text, timer_capacity_exceeded, mixed_language_keywords');
+  console.log('Severities: error, warning, info or off');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node cli/lint-program.js --input training-data/sample-industrial-program.txt');
+  console.log('  node cli/lint-program.js --input program.docx --config lint.json --fail-on warning');
+  process.exit(0);
+}
+
+// Run main function
+main()
+  .catch(console.error)
+  .finally(() => logSink?.close());
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+// =====================================================================
+// pdf-to-text.js - CLI for PDF Text Extraction
+// =====================================================================
+// Extracts an indented program description from a PDF export (offline)
+// Usage: node cli/pdf-to-text.js --input program.pdf --output program.txt
+// =====================================================================
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { PdfTextExtractor } from '../src/core/PdfTextExtractor.js';
+import { parseArgs } from './common.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = parseArgs(args);
+
+// Default options
+const defaultOptions = {
+  input: null,
+  output: null,
+  'line-map': null,
+  indent: '2',
+  'indent-tolerance': '4'
+};
+
+// Merge options
+const config = { ...defaultOptions, ...options };
+config.output = config.output || (config.input || 'program.pdf').replace(/\.pdf$/i, '') + '.txt';
+config['line-map'] = config['line-map'] || config.output.replace(/\.txt$/i, '') + '.linemap.json';
+
+async function main() {
+  console.log('🚀 Starting PDF Text Extraction...');
+  console.log('📋 Configuration:');
+  console.log(`  Input: ${config.input}`);
+  console.log(`  Output: ${config.output}`);
+  console.log(`  Line Map: ${config['line-map']}`);
+  console.log(`  Indent: ${config.indent} spaces per level`);
+  console.log('');
+
+  if (!config.input || !existsSync(config.input)) {
+    console.error(`❌ Input file not found: ${config.input}`);
+    process.exit(1);
+  }
+
+  try {
+    console.log('📄 Extracting text...');
+    const extractor = new PdfTextExtractor({
+      indent: ' '.repeat(parseInt(config.indent)),
+      indentTolerance: parseFloat(config['indent-tolerance'])
+    });
+    const extracted = await extractor.extract(readFileSync(config.input));
+
+    extracted.warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+
+    console.log('💾 Writing output...');
+    writeFileSync(config.output, extracted.text + '\n');
+    writeFileSync(config['line-map'], JSON.stringify({ source: config.input, lines: extracted.lineMap }, null, 2));
+
+    // Summary
+    console.log('');
+    console.log('✅ PDF Text Extraction Complete!');
+    console.log('📊 Summary:');
+    console.log(`  Pages: ${extracted.pageCount}`);
+    console.log(`  Lines: ${extracted.lineMap.length}`);
+    console.log(`  Header/Footer Lines Removed: ${extracted.removedLines.length}`);
+    console.log(`  Lines Joined Across Pages: ${extracted.joinedLines.length}`);
+    console.log('');
+
+    console.log('📁 Files generated:');
+    console.log(`  Text: ${config.output}`);
+    console.log(`  Line Map: ${config['line-map']}`);
+
+  } catch (error) {
+    console.error(`❌ Cannot extract text from ${config.input}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Show help
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('🎯 PDF Text Extraction CLI');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node cli/pdf-to-text.js --input <file.pdf> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --input <file>              Input PDF program description');
+  console.log('  --output <file>             Output text file (default: <input>.txt)');
+  console.log('  --line-map <file>           Side-car map from output lines to pages (default: <output>.linemap.json)');
+  console.log('  --indent <n>                Spaces per hierarchy level (default: 2)');
+  console.log('  --indent-tolerance <pt>     x-distance within which lines share a level (default: 4)');
+  console.log('  --help, -h                  Show this help message');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node cli/pdf-to-text.js --input program.pdf');
+  console.log('  node cli/pdf-to-text.js --input program.pdf --output training-data/program.txt');
+  process.exit(0);
+}
+
+// Run main function
+main().catch(console.error);
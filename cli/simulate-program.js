@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// =====================================================================
+// simulate-program.js - CLI for Step Chain Simulation
+// =====================================================================
+// Parses a program description and dry-runs its step chain against a
+// scenario of inputs, timed events and assertions
+// Usage: node cli/simulate-program.js --input program.txt --scenario scenario.json
+// =====================================================================
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { StepChainSimulator } from '../src/core/StepChainSimulator.js';
+import { parseArgs, configureLogging, loadRules, parseProgram } from './common.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = parseArgs(args);
+
+// Default options
+const defaultOptions = {
+  input: null,
+  scenario: null,
+  output: null,
+  'syntax-rules': './results/auto-training-results-v2/optimized-syntax-rules.json',
+  'validation-rules': './results/auto-training-results-v2/optimized-validation-rules.json',
+  'log-level': 'error',
+  'log-file': null
+};
+
+// Merge options
+const config = { ...defaultOptions, ...options };
+
+// Configure logging shared by the ingestor and the parser
+const logSink = configureLogging(config);
+
+/**
+ * Simulated time as h:mm:ss.s
+ */
+function formatClock(milliseconds) {
+  const seconds = milliseconds / 1000;
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = (seconds % 60).toFixed(1).padStart(4, '0');
+  return `${hours}:${String(minutes).padStart(2, '0')}:${rest}`;
+}
+
+async function main() {
+  console.log('🚀 Starting Step Chain Simulation...');
+  console.log('📋 Configuration:');
+  console.log(`  Input: ${config.input}`);
+  console.log(`  Scenario: ${config.scenario}`);
+  console.log(`  Output: ${config.output || '(none)'}`);
+  console.log(`  Syntax Rules: ${config['syntax-rules']}`);
+  console.log(`  Validation Rules: ${config['validation-rules']}`);
+  console.log('');
+
+  if (!config.input || !existsSync(config.input)) {
+    console.error(`❌ Input file not found: ${config.input}`);
+    process.exit(1);
+  }
+
+  if (!config.scenario || !existsSync(config.scenario)) {
+    console.error(`❌ Scenario file not found: ${config.scenario}`);
+    process.exit(1);
+  }
+
+  try {
+    const validationRules = loadRules(config['validation-rules']);
+    const scenario = JSON.parse(readFileSync(config.scenario, 'utf8'));
+
+    console.log('📄 Parsing program...');
+    const result = await parseProgram(config.input, loadRules(config['syntax-rules']), validationRules);
+
+    console.log(`⏱️  Running ${scenario.name ? `"${scenario.name}"` : 'scenario'}...`);
+    const report = new StepChainSimulator({ validationRules }).run(result, scenario);
+
+    // Step timeline: every scan where the active steps changed
+    console.log('');
+    let activeSteps = null;
+    for (const entry of report.trace) {
+      const steps = entry.activeSteps.join(', ') || '(no step active)';
+      if (steps === activeSteps) continue;
+      activeSteps = steps;
+      console.log(`  ${formatClock(entry.time)}  ${steps}`);
+    }
+
+    console.log('');
+    report.assertions.forEach(assertion => {
+      console.log(`  ${assertion.passed ? '✅' : '❌'} ${assertion.text}: ${assertion.message}`);
+    });
+    if (report.assertions.length > 0) console.log('');
+
+    if (config.output) {
+      writeFileSync(config.output, JSON.stringify(report, null, 2));
+    }
+
+    const failed = report.assertions.filter(assertion => !assertion.passed).length;
+
+    // Summary
+    console.log(report.passed ? '✅ Simulation Complete!' : '❌ Simulation Failed!');
+    console.log('📊 Summary:');
+    console.log(`  Program: ${result.metadata.programName || '-'}${result.metadata.fbNumber ? ` (FB${result.metadata.fbNumber})` : ''}`);
+    console.log(`  Simulated Time: ${formatClock(report.duration)} (${report.scans} scans of ${report.cycleTime} ms)`);
+    console.log(`  Active At End: ${report.activeSteps.join(', ') || '-'}`);
+    console.log(`  Assertions: ${report.assertions.length - failed}/${report.assertions.length} passed`);
+
+    if (config.output) {
+      console.log('');
+      console.log('📁 Files generated:');
+      console.log(`  Trace: ${config.output}`);
+    }
+
+    if (!report.passed) process.exit(1);
+
+  } catch (error) {
+    console.error(`❌ Error during simulation: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Show help
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('🎯 Step Chain Simulation CLI');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node cli/simulate-program.js --input <file.txt|file.docx> --scenario <scenario.json> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --input <file>              Input program description (.txt or .docx)');
+  console.log('  --scenario <file>           Scenario JSON: cycleTime, duration, inputs, events, assertions');
+  console.log('  --output <file>             Write the report with the full trace as JSON');
+  console.log('  --syntax-rules <file>       Syntax rules JSON (default: optimized rules from auto-training)');
+  console.log('  --validation-rules <file>   Validation rules JSON (default: optimized rules from auto-training)');
+  console.log('  --log-level <level>         silent, error, info, debug or trace (default: error)');
+  console.log('  --log-file <file>           Also write log entries as JSON lines to this file');
+  console.log('  --help, -h                  Show this help message');
+  console.log('');
+  console.log('Assertions:');
+  console.log('  "reaches SCHRITT 5 within 2000 s"       { "reaches": "SCHRITT 5", "within": "30 min" }');
+  console.log('  "never SCHRITT 7"                       { "at": "10 s", "active": "SCHRITT 2" }');
+  console.log('  { "at": "10 s", "expect": { "Hulp[3]": true, "Temperatur": 32 } }');
+  console.log('');
+  console.log('Exits with code 1 when an assertion fails.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node cli/simulate-program.js --input training-data/sample-industrial-program.txt \\');
+  console.log('    --scenario training-data/sample-industrial-scenario.json');
+  console.log('  node cli/simulate-program.js --input program.docx --scenario start-up.json --output trace.json');
+  process.exit(0);
+}
+
+// Run main function
+main()
+  .catch(console.error)
+  .finally(() => logSink?.close());
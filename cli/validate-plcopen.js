@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// =====================================================================
+// validate-plcopen.js - CLI for PLCopen XML Schema Validation
+// =====================================================================
+// Checks a PLCopen XML file against the PLCopen XSD shipped in schemas/
+// Usage: node cli/validate-plcopen.js --input FB305.xml
+// =====================================================================
+
+import { readFileSync, existsSync } from 'fs';
+import { XsdValidator } from '../src/core/XsdValidator.js';
+import { PLCOPEN_SCHEMA } from '../src/core/PLCopenExporter.js';
+import { parseArgs } from './common.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = parseArgs(args);
+
+// Default options
+const defaultOptions = {
+  input: null,
+  schema: PLCOPEN_SCHEMA
+};
+
+// Merge options
+const config = { ...defaultOptions, ...options };
+
+async function main() {
+  console.log('🚀 Starting PLCopen Validation...');
+  console.log('📋 Configuration:');
+  console.log(`  Input: ${config.input}`);
+  console.log(`  Schema: ${config.schema}`);
+  console.log('');
+
+  for (const file of [config.input, config.schema]) {
+    if (!file || !existsSync(file)) {
+      console.error(`❌ File not found: ${file}`);
+      process.exit(1);
+    }
+  }
+
+  try {
+    const validator = await XsdValidator.load(config.schema);
+    const { valid, errors } = validator.validate(readFileSync(config.input, 'utf8'));
+
+    if (valid) {
+      console.log(`✅ ${config.input} is valid`);
+      return;
+    }
+
+    console.log(`❌ ${config.input} is not valid (${errors.length} errors):`);
+    errors.forEach(error => {
+      console.log(`  ${error.line ? `line ${error.line}: ` : ''}${error.path ? `${error.path}: ` : ''}${error.message}`);
+    });
+    process.exit(1);
+
+  } catch (error) {
+    console.error(`❌ Error during validation: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Show help
+if (args.includes('--help') || args.includes('-h')) {
+  console.log('🎯 PLCopen Validation CLI');
+  console.log('');
+  console.log('Usage:');
+  console.log('  node cli/validate-plcopen.js --input <file.xml> [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --input <file>              PLCopen XML file to check');
+  console.log('  --schema <file>             XSD to check against (default: schemas/plcopen/tc6_xml_v201_subset.xsd,');
+  console.log('                              a hand-written subset; pass the official tc6_xml_v201.xsd');
+  console.log('                              from plcopen.org for a full conformance check)');
+  console.log('  --help, -h                  Show this help message');
+  console.log('');
+  console.log('Exit code is 1 when the file does not match the schema.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node cli/validate-plcopen.js --input FB305.xml');
+  console.log('  node cli/validate-plcopen.js --input FB305.xml --schema tc6_xml_v201.xsd');
+  process.exit(0);
+}
+
+// Run main function
+main().catch(console.error);
@@ -165,12 +165,17 @@ async function main() {
   console.log('🎓 Starting Enhanced AutoTrainer...');
   
   // Initialize trainer
+  const args = process.argv.slice(2);
   const cliParser = new MockCLIParser();
   const trainer = new AutoTrainer(cliParser, {
     maxIterations: 5,
     minConfidence: 0.7,
     convergenceThreshold: 0.03,
-    backupOriginalRules: true
+    backupOriginalRules: true,
+    // --write-diagrams: <name>.svg next to the parse results in each iteration-N folder
+    writeDiagrams: args.includes('--write-diagrams'),
+    // --lint: ProgramLinter findings count towards the error/warning metrics
+    lint: args.includes('--lint')
   });
   
   // Training files
@@ -6,19 +6,30 @@
 // =====================================================================
 
 import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
-import { join } from 'path';
+import { join, basename, extname } from 'path';
+import { ruleCodec } from './RuleCodec.js';
+import { defaultLogger } from './Logger.js';
+import { StepChainDiagram } from './StepChainDiagram.js';
+import { ProgramLinter } from './ProgramLinter.js';
+import { ProjectWorkspace } from './ProjectWorkspace.js';
 
 /**
  * Automatic Training System for iterative syntax rule improvement
  */
 export class AutoTrainer {
-  constructor(cliParser, options = {}) {
+  constructor(cliParser, { logger, ...options } = {}) {
     this.cliParser = cliParser;
+    this.logger = (logger || defaultLogger).child('AutoTrainer');
     this.options = {
       maxIterations: options.maxIterations || 10,
       minConfidence: options.minConfidence || 0.8,
       convergenceThreshold: options.convergenceThreshold || 0.05,
       backupOriginalRules: options.backupOriginalRules !== false,
+      writeDiagrams: options.writeDiagrams || false,
+      lint: options.lint || false,
+      lintOptions: options.lintOptions || {},
+      resolveProject: options.resolveProject || false,
+      resumeFrom: options.resumeFrom || null,
       ...options
     };
     
@@ -31,13 +42,21 @@ export class AutoTrainer {
    * Start automatic training process
    */
   async startTraining(inputFiles, outputDir = './training-results') {
-    console.log('🎓 Starting automatic training process...');
-    console.log(`📁 Input files: ${Array.isArray(inputFiles) ? inputFiles.join(', ') : inputFiles}`);
-    console.log(`📊 Max iterations: ${this.options.maxIterations}`);
-    console.log(`🎯 Min confidence: ${this.options.minConfidence}`);
+    this.logger.info('🎓 Starting automatic training process...');
+    this.logger.info(`📁 Input files: ${Array.isArray(inputFiles) ? inputFiles.join(', ') : inputFiles}`);
+    this.logger.info(`📊 Max iterations: ${this.options.maxIterations}`);
+    this.logger.info(`🎯 Min confidence: ${this.options.minConfidence}`);
+    
+    // Continue with the rules an earlier run saved for iteration N
+    let firstIteration = 1;
+    if (this.options.resumeFrom) {
+      this.restoreIterationRules(outputDir, this.options.resumeFrom);
+      firstIteration = this.options.resumeFrom + 1;
+      this.logger.info(`↩️  Resuming after iteration ${this.options.resumeFrom}`);
+    }
     
-    // Backup original rules
-    if (this.options.backupOriginalRules) {
+    // Backup original rules (not when resuming: the parser holds trained rules by then)
+    if (this.options.backupOriginalRules && !this.options.resumeFrom) {
       this.backupOriginalRules(outputDir);
     }
     
@@ -45,21 +64,21 @@ export class AutoTrainer {
     let previousMetrics = null;
     
     // Training loop
-    for (let iteration = 1; iteration <= this.options.maxIterations; iteration++) {
+    for (let iteration = firstIteration; iteration <= this.options.maxIterations; iteration++) {
       this.currentIteration = iteration;
       
-      console.log(`\n🔄 === Training Iteration ${iteration} ===`);
+      this.logger.info(`🔄 === Training Iteration ${iteration} ===`);
       
       // Parse files with current rules
       const results = await this.parseFiles(inputFiles, outputDir, iteration);
       
       // Calculate metrics
       const metrics = this.calculateTrainingMetrics(results);
-      console.log(`📊 Iteration ${iteration} metrics:`, metrics);
+      this.logger.info(`📊 Iteration ${iteration} metrics:`, metrics);
       
       // Check convergence
       if (previousMetrics && this.hasConverged(previousMetrics, metrics)) {
-        console.log(`✅ Training converged after ${iteration} iterations`);
+        this.logger.info(`✅ Training converged after ${iteration} iterations`);
         this.converged = true;
         break;
       }
@@ -68,13 +87,13 @@ export class AutoTrainer {
       const suggestions = this.extractHighConfidenceSuggestions(results);
       
       if (suggestions.length === 0) {
-        console.log(`⚠️  No high-confidence suggestions found. Stopping at iteration ${iteration}`);
+        this.logger.info(`⚠️  No high-confidence suggestions found. Stopping at iteration ${iteration}`);
         break;
       }
       
       // Apply suggestions to syntax rules
       const appliedCount = await this.applySuggestions(suggestions, outputDir, iteration);
-      console.log(`🔧 Applied ${appliedCount} suggestions to syntax rules`);
+      this.logger.info(`🔧 Applied ${appliedCount} suggestions to syntax rules`);
       
       // Store iteration results
       this.trainingHistory.push({
@@ -93,7 +112,7 @@ export class AutoTrainer {
     
     // Generate final training report
     const finalReport = await this.generateTrainingReport(outputDir);
-    console.log(`📋 Training completed. Final report: ${finalReport}`);
+    this.logger.info(`📋 Training completed. Final report: ${finalReport}`);
     
     return {
       totalIterations: this.currentIteration,
@@ -113,7 +132,7 @@ export class AutoTrainer {
     const results = [];
     
     for (const file of files) {
-      console.log(`📄 Parsing ${file}...`);
+      this.logger.debug(`📄 Parsing ${file}...`);
       
       // Reset CLI parser state for this iteration
       this.cliParser.processedFiles = [];
@@ -130,18 +149,79 @@ export class AutoTrainer {
       
       const parseResult = await this.cliParser.parseFile(file);
       
+      // Semantic checks count towards the error/warning metrics
+      const lintFindings = this.options.lint ? this.lintResult(parseResult) : [];
+      
+      if (this.options.writeDiagrams) {
+        this.writeDiagram(parseResult, file, iterationDir);
+      }
+      
       results.push({
         filename: file,
         metrics: { ...this.cliParser.metrics },
         suggestions: parseResult.suggestions || [],
         processedFiles: [parseResult],
-        parseResult: parseResult
+        parseResult: parseResult,
+        lintFindings
       });
     }
     
+    if (this.options.resolveProject) {
+      this.resolveProject(results);
+    }
+    
     return results;
   }
 
+  /**
+   * Resolve cross-references between the parsed files as one project and
+   * attach the dangling references to each file's result
+   */
+  resolveProject(results) {
+    const workspace = new ProjectWorkspace({ logger: this.logger });
+    for (const result of results) {
+      if (result.parseResult?.steps) workspace.addProgram(result.parseResult, result.filename);
+    }
+    
+    const { references } = workspace.resolve();
+    for (const result of results) {
+      result.danglingReferences = references.filter(reference =>
+        reference.file === result.filename && reference.status !== 'resolved');
+    }
+    
+    this.workspace = workspace;
+    return workspace;
+  }
+
+  /**
+   * Run the ProgramLinter with the parser's current validation rules
+   */
+  lintResult(parseResult) {
+    if (!parseResult?.steps) return [];
+    
+    const linter = new ProgramLinter({
+      validationRules: this.cliParser.validationRules || {},
+      ...this.options.lintOptions
+    });
+    return linter.lint(parseResult);
+  }
+
+  /**
+   * Write the step chain of a parse result as <name>.svg into the iteration folder
+   */
+  writeDiagram(parseResult, file, iterationDir) {
+    if (!parseResult?.steps?.length) return;
+    
+    try {
+      mkdirSync(iterationDir, { recursive: true });
+      const diagramPath = join(iterationDir, `${basename(file, extname(file))}.svg`);
+      writeFileSync(diagramPath, new StepChainDiagram().toSvg(parseResult));
+      this.logger.debug(`🗺️  Step chain diagram: ${diagramPath}`);
+    } catch (error) {
+      this.logger.error(`⚠️  Could not write step chain diagram for ${file}: ${error.message}`);
+    }
+  }
+
   /**
    * Calculate training metrics for convergence detection
    */
@@ -153,6 +233,19 @@ export class AutoTrainer {
     const totalWarnings = results.reduce((sum, r) => sum + (r.parseResult?.warnings?.length || 0), 0);
     const totalUnknownPatterns = results.reduce((sum, r) => sum + (r.parseResult?.unknownPatterns?.length || 0), 0);
     const totalSuggestions = results.reduce((sum, r) => sum + (r.parseResult?.suggestions?.length || 0), 0);
+    const totalLintFindings = results.reduce((sum, r) => sum + (r.lintFindings?.length || 0), 0);
+    const totalDanglingReferences = results.reduce((sum, r) => sum + (r.danglingReferences?.length || 0), 0);
+    
+    // Error/warning counts per diagnostic code (parsers without diagnostics report by type)
+    const diagnosticsByCode = {};
+    for (const r of results) {
+      const diagnostics = r.parseResult?.diagnostics || 
+        [...(r.parseResult?.errors || []), ...(r.parseResult?.warnings || [])];
+      for (const diagnostic of diagnostics) {
+        const code = diagnostic.code || diagnostic.type || 'unknown';
+        diagnosticsByCode[code] = (diagnosticsByCode[code] || 0) + 1;
+      }
+    }
     
     // Calculate quality metrics
     const errorRate = totalSteps > 0 ? totalErrors / totalSteps : 0;
@@ -168,8 +261,11 @@ export class AutoTrainer {
       totalWarnings,
       totalUnknownPatterns,
       totalSuggestions,
+      totalLintFindings,
+      totalDanglingReferences,
       errorRate,
       warningRate,
+      diagnosticsByCode,
       unknownPatternRate,
       parsingEfficiency
     };
@@ -183,7 +279,7 @@ export class AutoTrainer {
     const errorReduction = previousMetrics.errorRate - currentMetrics.errorRate;
     const unknownPatternReduction = previousMetrics.unknownPatternRate - currentMetrics.unknownPatternRate;
     
-    console.log(`🔍 Convergence check: efficiency +${efficiencyImprovement.toFixed(4)}, errors -${errorReduction.toFixed(4)}, unknowns -${unknownPatternReduction.toFixed(4)}`);
+    this.logger.debug(`🔍 Convergence check: efficiency +${efficiencyImprovement.toFixed(4)}, errors -${errorReduction.toFixed(4)}, unknowns -${unknownPatternReduction.toFixed(4)}`);
     
     // Consider converged if improvements are below threshold
     return Math.abs(efficiencyImprovement) < this.options.convergenceThreshold &&
@@ -254,7 +350,7 @@ export class AutoTrainer {
         // Apply suggestion based on type
         const suggestionType = suggestion.type || suggestion.suggestedGroup;
         const displayText = suggestion.pattern || suggestion.originalLine || suggestion.suggestion || 'Unknown';
-        console.log(`🔧 Applying suggestion: ${suggestionType} - ${displayText.substring(0, 50)}...`);
+        this.logger.debug(`🔧 Applying suggestion: ${suggestionType} - ${displayText.substring(0, 50)}...`);
         
         if (suggestionType === 'cross_reference') {
           this.applyCrossReferenceSuggestion(currentRules, suggestion);
@@ -395,16 +491,16 @@ export class AutoTrainer {
     // Save syntax rules
     writeFileSync(
       join(rulesDir, 'updated-syntax-rules.json'),
-      JSON.stringify(syntaxRules, null, 2)
+      ruleCodec.stringify(syntaxRules)
     );
     
     // Save validation rules
     writeFileSync(
       join(rulesDir, 'updated-validation-rules.json'),
-      JSON.stringify(validationRules, null, 2)
+      ruleCodec.stringify(validationRules)
     );
     
-    console.log(`💾 Updated rules saved to ${rulesDir}`);
+    this.logger.info(`💾 Updated rules saved to ${rulesDir}`);
   }
 
   /**
@@ -418,17 +514,63 @@ export class AutoTrainer {
     
     writeFileSync(
       join(backupDir, 'original-syntax-rules.json'),
-      JSON.stringify(this.cliParser.syntaxRules, null, 2)
+      ruleCodec.stringify(this.cliParser.syntaxRules)
     );
     
     if (this.cliParser.validationRules) {
       writeFileSync(
         join(backupDir, 'original-validation-rules.json'),
-        JSON.stringify(this.cliParser.validationRules, null, 2)
+        ruleCodec.stringify(this.cliParser.validationRules)
       );
     }
     
-    console.log(`💾 Original rules backed up to ${backupDir}`);
+    this.logger.info(`💾 Original rules backed up to ${backupDir}`);
+  }
+
+  /**
+   * Load rules written by saveUpdatedRules or backupOriginalRules
+   * (prefix 'updated' for iteration folders, 'original' for the backup)
+   */
+  loadRules(rulesDir, prefix = 'updated') {
+    const syntaxPath = join(rulesDir, `${prefix}-syntax-rules.json`);
+    const validationPath = join(rulesDir, `${prefix}-validation-rules.json`);
+    
+    const syntaxRules = existsSync(syntaxPath)
+      ? ruleCodec.parse(readFileSync(syntaxPath, 'utf8'))
+      : null;
+    const validationRules = existsSync(validationPath)
+      ? ruleCodec.parse(readFileSync(validationPath, 'utf8'))
+      : null;
+    
+    const lostPatterns = ruleCodec.countLostPatterns(syntaxRules) + ruleCodec.countLostPatterns(validationRules);
+    if (lostPatterns > 0) {
+      this.logger.info(`⚠️  ${lostPatterns} patterns in ${rulesDir} were saved without their regex source and cannot be restored`);
+    }
+    
+    return { syntaxRules, validationRules };
+  }
+
+  /**
+   * Restore rules from a previous training iteration into the CLI parser
+   */
+  restoreIterationRules(outputDir, iteration) {
+    const rulesDir = join(outputDir, `iteration-${iteration}`);
+    const { syntaxRules, validationRules } = this.loadRules(rulesDir);
+    
+    if (!syntaxRules && !validationRules) {
+      throw new Error(`No saved rules for iteration ${iteration} in ${rulesDir}`);
+    }
+    
+    if (syntaxRules) {
+      this.cliParser.syntaxRules = syntaxRules;
+      if (this.cliParser.parser) this.cliParser.parser.syntaxRules = syntaxRules;
+    }
+    if (validationRules) {
+      this.cliParser.validationRules = validationRules;
+      if (this.cliParser.parser) this.cliParser.parser.validationRules = validationRules;
+    }
+    
+    return { syntaxRules, validationRules };
   }
 
   /**
@@ -0,0 +1,315 @@
+// =====================================================================
+// src/core/ConditionParser.js - Condition Expression Parser
+// =====================================================================
+// Parses a single condition line into an expression AST:
+// - Logical operators UND/ODER, AND/OR, EN/OF (uppercase only, so that
+//   normal words like "of" in descriptions are not treated as operators)
+// - Parentheses for grouping, NOT (NICHT/NOT/NIET) in any position
+// - Comparisons with units: "Temperatur >= 30°C", "Druck < 2.5 bar"
+// - Ranges: "pH-Wert zwischen 5.8 UND 6.2"
+// =====================================================================
+
+const DEFAULT_OPERATORS = {
+  and: ['UND', 'AND', 'EN', '&', '&&'],
+  or: ['ODER', 'OR', 'OF', '|', '||'],
+  not: ['NICHT', 'NOT', 'NIET', '!'],
+  range: ['zwischen', 'tussen', 'between']
+};
+
+const COMPARISON_OPERATORS = ['>=', '<=', '<>', '!=', '==', '=', '>', '<'];
+
+const UNIT_PATTERN = /^(-?\d+(?:[.,]\d+)?)\s*(°C|°F|°|mbar|bar|%|rpm|ms|sek|sec|min|s|h|kg|g|l|mm|m)?$/i;
+
+/**
+ * Recursive-descent parser for condition expressions
+ */
+export class ConditionParser {
+  constructor(operators = {}) {
+    this.operators = {
+      and: operators.and || DEFAULT_OPERATORS.and,
+      or: operators.or || DEFAULT_OPERATORS.or,
+      not: operators.not || DEFAULT_OPERATORS.not,
+      range: operators.range || DEFAULT_OPERATORS.range
+    };
+  }
+
+  /**
+   * Parse condition text into { expression, trailingOperator, errors }
+   */
+  parse(text) {
+    this.tokens = this.tokenize(text);
+    this.position = 0;
+    this.errors = [];
+
+    // A line may end with an operator that joins it to the next line
+    let trailingOperator = null;
+    const last = this.tokens[this.tokens.length - 1];
+    if (last && (last.type === 'and' || last.type === 'or')) {
+      trailingOperator = last.type === 'and' ? 'AND' : 'OR';
+      this.tokens.pop();
+    }
+
+    const expression = this.tokens.length > 0 ? this.parseOr() : null;
+
+    if (this.position < this.tokens.length) {
+      this.errors.push(`Unexpected "${this.tokens[this.position].text}"`);
+    }
+
+    return { expression, trailingOperator, errors: this.errors };
+  }
+
+  /**
+   * Split text into words, parentheses, comparison and logical operators
+   */
+  tokenize(text) {
+    const tokens = [];
+    const regex = /\s*(>=|<=|<>|!=|==|&&|\|\||[()=<>&|!]|[^\s()=<>&|!]+)/g;
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      const value = match[1];
+      if (!value) break;
+
+      if (value === '(' || value === ')') {
+        tokens.push({ type: value, text: value });
+      } else if (COMPARISON_OPERATORS.includes(value)) {
+        tokens.push({ type: 'compare', text: value });
+      } else if (this.operators.and.includes(value)) {
+        tokens.push({ type: 'and', text: value });
+      } else if (this.operators.or.includes(value)) {
+        tokens.push({ type: 'or', text: value });
+      } else if (this.operators.not.includes(value)) {
+        tokens.push({ type: 'not', text: value });
+      } else {
+        tokens.push({ type: 'word', text: value });
+      }
+    }
+
+    return tokens;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  parseOr() {
+    const operands = [this.parseAnd()];
+
+    while (this.peek()?.type === 'or') {
+      this.next();
+      operands.push(this.parseAnd());
+    }
+
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  }
+
+  parseAnd() {
+    const operands = [this.parseUnary()];
+
+    while (this.peek()?.type === 'and') {
+      this.next();
+      const operand = this.parseUnary();
+
+      // "Temperatur >= 30°C UND <= 35°C" - reuse the subject of the previous comparison
+      const previous = operands[operands.length - 1];
+      if (operand?.type === 'comparison' && !operand.subject && previous?.type === 'comparison') {
+        operand.subject = previous.subject;
+      }
+
+      operands.push(operand);
+    }
+
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  parseUnary() {
+    if (this.peek()?.type === 'not') {
+      this.next();
+      return { type: 'not', operand: this.parseUnary() };
+    }
+
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (!token) {
+      this.errors.push('Unexpected end of condition');
+      return null;
+    }
+
+    if (token.type === '(') {
+      this.next();
+      const expression = this.parseOr();
+      if (this.peek()?.type === ')') {
+        this.next();
+      } else {
+        this.errors.push('Missing closing parenthesis');
+      }
+      return expression;
+    }
+
+    return this.parseComparison();
+  }
+
+  /**
+   * Operand words, optionally followed by a comparison or a range
+   */
+  parseComparison() {
+    const words = [];
+    let negated = false;
+
+    while (this.peek()) {
+      const token = this.peek();
+
+      if (token.type === 'word') {
+        if (this.operators.range.some(keyword => keyword.toLowerCase() === token.text.toLowerCase())) {
+          this.next();
+          return this.parseRange(words.join(' '), negated);
+        }
+        words.push(this.next().text);
+      } else if (token.type === 'not' && words.length > 0) {
+        // NOT inside an operand ("Pumpe NICHT aktiv") negates the operand
+        this.next();
+        negated = !negated;
+      } else if (token.type === '(' && words.length > 0) {
+        // Parentheses after operand words are annotations, e.g. "(18-22°C)" or a cross-reference
+        words.push(this.readParenthesized());
+      } else {
+        break;
+      }
+    }
+
+    let node;
+    if (this.peek()?.type === 'compare') {
+      const operator = this.normalizeOperator(this.next().text);
+      node = {
+        type: 'comparison',
+        subject: words.length > 0 ? words.join(' ') : null,
+        operator,
+        value: this.parseValue(this.readValueText())
+      };
+    } else if (words.length > 0) {
+      node = { type: 'operand', text: words.join(' ') };
+    } else {
+      this.errors.push(`Expected operand before "${this.peek()?.text || 'end'}"`);
+      if (this.peek()) this.next();
+      return null;
+    }
+
+    return negated ? { type: 'not', operand: node } : node;
+  }
+
+  parseRange(subject, negated) {
+    const min = this.parseValue(this.readValueText());
+
+    if (this.peek()?.type === 'and') {
+      this.next();
+    } else {
+      this.errors.push('Range is missing its upper bound');
+    }
+
+    const max = this.parseValue(this.readValueText());
+    const node = { type: 'range', subject, min, max };
+
+    return negated ? { type: 'not', operand: node } : node;
+  }
+
+  /**
+   * Read value words up to the next operator or parenthesis
+   */
+  readValueText() {
+    const words = [];
+    while (this.peek()?.type === 'word') {
+      words.push(this.next().text);
+    }
+    return words.join(' ');
+  }
+
+  readParenthesized() {
+    let depth = 0;
+    const parts = [];
+
+    do {
+      const token = this.next();
+      if (token.type === '(') depth++;
+      if (token.type === ')') depth--;
+      parts.push(token.text);
+    } while (depth > 0 && this.peek());
+
+    return parts.join(' ').replace(/\(\s+/g, '(').replace(/\s+\)/g, ')');
+  }
+
+  /**
+   * Split "30°C" / "2.0 bar" / "50%" into value and unit
+   */
+  parseValue(raw) {
+    const match = raw.match(UNIT_PATTERN);
+    if (!match) {
+      return { raw, value: raw || null, unit: null };
+    }
+
+    return {
+      raw,
+      value: parseFloat(match[1].replace(',', '.')),
+      unit: match[2] || null
+    };
+  }
+
+  normalizeOperator(operator) {
+    if (operator === '=') return '==';
+    if (operator === '!=') return '<>';
+    return operator;
+  }
+
+  /**
+   * Combine condition groups (AND groups separated by OR) into one expression
+   */
+  fromGroups(groups) {
+    const alternatives = groups
+      .map(group => {
+        const operands = group.conditions.map(condition => condition.expression).filter(Boolean);
+        return operands.length === 1 ? operands[0] : { type: 'and', operands };
+      })
+      .filter(expression => expression.type !== 'and' || expression.operands.length > 0);
+
+    if (alternatives.length === 0) return null;
+    return alternatives.length === 1 ? alternatives[0] : { type: 'or', operands: alternatives };
+  }
+
+  /**
+   * Render an expression back to text (for summaries and comments)
+   */
+  toText(expression) {
+    if (!expression) return '';
+
+    switch (expression.type) {
+      case 'or':
+        return expression.operands.map(op => this.wrap(op, 'or')).join(' OR ');
+      case 'and':
+        return expression.operands.map(op => this.wrap(op, 'and')).join(' AND ');
+      case 'not':
+        return `NOT ${this.wrap(expression.operand, 'not')}`;
+      case 'comparison':
+        return `${expression.subject || '?'} ${expression.operator} ${expression.value.raw}`;
+      case 'range':
+        return `${expression.subject} BETWEEN ${expression.min.raw} AND ${expression.max.raw}`;
+      default:
+        return expression.text;
+    }
+  }
+
+  wrap(expression, parentType) {
+    const text = this.toText(expression);
+    const needsParens = (expression?.type === 'or' && parentType !== 'or') ||
+                        (expression?.type === 'and' && parentType === 'not');
+    return needsParens ? `(${text})` : text;
+  }
+}
+
+export default ConditionParser;
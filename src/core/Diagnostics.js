@@ -0,0 +1,121 @@
+// =====================================================================
+// src/core/Diagnostics.js - Parser Diagnostics
+// =====================================================================
+// Structured errors and warnings for parse results. Every diagnostic has:
+// - code and severity (error/warning/info)
+// - message, line/column range and the offending text
+// - an optional quick-fix ({ description, replacement })
+// Diagnostics are collected per parse; errors and warnings are also exposed
+// as result.errors / result.warnings so existing consumers keep working.
+// =====================================================================
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+// Default severity per diagnostic code
+export const DIAGNOSTIC_CODES = {
+  // Line-level problems (the parser recovers and keeps going)
+  step_missing_colon: SEVERITY.ERROR,
+  duplicate_step_number: SEVERITY.ERROR,
+  condition_before_step: SEVERITY.WARNING,
+  rust_entry_conditions: SEVERITY.WARNING,
+  unclosed_block: SEVERITY.ERROR,
+  unmatched_block_end: SEVERITY.ERROR,
+  invalid_condition: SEVERITY.INFO,
+  unattached_line: SEVERITY.WARNING,
+
+  // Transitions and step chain
+  dangling_von_schritt: SEVERITY.WARNING,
+  von_schritt_before_rust: SEVERITY.WARNING,
+  missing_rust: SEVERITY.ERROR,
+  multiple_rust: SEVERITY.ERROR,
+  multiple_end: SEVERITY.ERROR,
+  end_unreachable: SEVERITY.WARNING,
+
+  // Variables and allocation
+  set_reset_not_allowed: SEVERITY.WARNING,
+  array_range_overflow: SEVERITY.WARNING,
+
+  // Semantic checks of the whole program (ProgramLinter)
+  step_number_gap: SEVERITY.WARNING,
+  unreachable_step: SEVERITY.WARNING,
+  undeclared_variable: SEVERITY.WARNING,
+  marker_never_reset: SEVERITY.WARNING,
+  duplicate_fault_text: SEVERITY.WARNING,
+  timer_capacity_exceeded: SEVERITY.ERROR,
+  mixed_language_keywords: SEVERITY.WARNING,
+
+  // Cross-program references (ProjectWorkspace)
+  duplicate_program: SEVERITY.ERROR,
+  unknown_program: SEVERITY.WARNING,
+  unknown_step: SEVERITY.ERROR,
+  program_fb_mismatch: SEVERITY.WARNING
+};
+
+/**
+ * Collects diagnostics for one parse result
+ */
+export class DiagnosticCollector {
+  /**
+   * @param {Object} result - Parse result with errors/warnings arrays
+   * @param {Map} lines - lineNumber -> structured line ({ originalLine, content })
+   * @param {Object} severities - Optional per-code severity overrides
+   */
+  constructor(result, lines = new Map(), severities = {}) {
+    this.result = result;
+    this.lines = lines;
+    this.severities = severities;
+    this.result.diagnostics = this.result.diagnostics || [];
+  }
+
+  /**
+   * Report a diagnostic. Extra details (e.g. group) are kept on the diagnostic.
+   */
+  report(code, { message, lineNumber = null, text = null, fix = null, severity = null, ...details } = {}) {
+    const line = lineNumber !== null ? this.lines.get(lineNumber) : null;
+    const offendingText = text ?? line?.content ?? null;
+
+    const diagnostic = {
+      code,
+      type: code,
+      severity: severity || this.severities[code] || DIAGNOSTIC_CODES[code] || SEVERITY.WARNING,
+      message,
+      lineNumber,
+      range: this.createRange(line, lineNumber, offendingText),
+      text: offendingText,
+      fix,
+      ...details
+    };
+
+    this.result.diagnostics.push(diagnostic);
+    if (diagnostic.severity === SEVERITY.ERROR) {
+      this.result.errors.push(diagnostic);
+    } else if (diagnostic.severity === SEVERITY.WARNING) {
+      this.result.warnings.push(diagnostic);
+    }
+
+    return diagnostic;
+  }
+
+  /**
+   * Line/column range (1-based) of the offending text within its source line
+   */
+  createRange(line, lineNumber, text) {
+    if (lineNumber === null) return null;
+
+    const source = line?.originalLine ?? '';
+    const index = text ? source.indexOf(text) : -1;
+    const startColumn = index >= 0 ? index + 1 : 1;
+    const endColumn = index >= 0 ? startColumn + text.length : source.length + 1;
+
+    return {
+      start: { line: lineNumber, column: startColumn },
+      end: { line: lineNumber, column: endColumn }
+    };
+  }
+}
+
+export default DiagnosticCollector;
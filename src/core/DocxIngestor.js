@@ -0,0 +1,217 @@
+// =====================================================================
+// src/core/DocxIngestor.js - DOCX Ingestion for HierarchicalParser
+// =====================================================================
+// Converts Word program descriptions into the indented text form that
+// HierarchicalParser reads with source 'word':
+// - List levels and paragraph indentation become leading tabs
+// - Numbered headings get their outline number ("3.3\tO0x: ...")
+// - Table rows become one line, leveled by their first filled column like
+//   TableImporter (column 2 holds OR conditions and gets a "+")
+// - Tab stops inside a paragraph are kept as tabs
+// Every output line is mapped back to its paragraph index (side-car map).
+// =====================================================================
+
+import mammoth from 'mammoth';
+import { readFile } from 'fs/promises';
+import { HierarchicalParser, COLUMN_LEVELS } from './HierarchicalParser.js';
+
+// Word's default tab stop: 720 twips = 1.27 cm
+const DEFAULT_INDENT_UNIT = 720;
+
+const HEADING_STYLE = /^(heading|überschrift|kop)\s*(\d)$/i;
+
+/**
+ * DOCX to indented text converter
+ */
+export class DocxIngestor {
+  constructor(options = {}) {
+    this.options = {
+      indentUnit: options.indentUnit || DEFAULT_INDENT_UNIT,
+      headingStyle: options.headingStyle || HEADING_STYLE,
+      ...options
+    };
+  }
+
+  /**
+   * Convert a DOCX file (path or Buffer) into { text, lineMap, warnings }
+   */
+  async convert(input) {
+    const { document, warnings } = await this.readDocument(input);
+    const { text, lineMap, warnings: tableWarnings } = this.convertDocument(document);
+
+    return { text, lineMap, warnings: [...warnings, ...tableWarnings] };
+  }
+
+  /**
+   * Read a DOCX file (path or Buffer) into mammoth's document model,
+   * which keeps numbering levels, indents, tabs and tables
+   */
+  async readDocument(input) {
+    const buffer = typeof input === 'string' ? await readFile(input) : input;
+
+    let document = null;
+    const conversion = await mammoth.convertToHtml({ buffer }, {
+      transformDocument: element => {
+        document = element;
+        return element;
+      }
+    });
+
+    return {
+      document,
+      warnings: conversion.messages.filter(message => message.type === 'warning').map(message => message.message)
+    };
+  }
+
+  /**
+   * Convert a DOCX file and parse it with HierarchicalParser (source 'word')
+   */
+  async ingest(input, { syntaxRules, validationRules = {}, logger, metadata = {} } = {}) {
+    const converted = await this.convert(input);
+    const parser = new HierarchicalParser(syntaxRules, validationRules, { logger });
+    const result = parser.parse(converted.text, 'word', {
+      ...metadata,
+      filename: typeof input === 'string' ? input.split(/[\\/]/).pop() : metadata.filename || null
+    });
+
+    return { ...converted, result };
+  }
+
+  /**
+   * Convert a mammoth document into indented lines, the line -> paragraph map
+   * and warnings for table rows that were left out
+   */
+  convertDocument(document) {
+    const state = {
+      lines: [],
+      lineMap: [],
+      paragraphIndex: 0,
+      tableIndex: 0,
+      headingCounters: [],
+      warnings: []
+    };
+
+    for (const element of document.children) {
+      if (element.type === 'paragraph') {
+        this.convertParagraph(element, state);
+      } else if (element.type === 'table') {
+        this.convertTable(element, state, 0);
+      }
+    }
+
+    return { text: state.lines.join('\n'), lineMap: state.lineMap, warnings: state.warnings };
+  }
+
+  convertParagraph(paragraph, state) {
+    const paragraphIndex = state.paragraphIndex++;
+    const text = this.getParagraphText(paragraph);
+
+    // Paragraph breaks inside one paragraph (Shift+Enter) keep the same level
+    const parts = text.split('\n');
+    const level = this.getParagraphLevel(paragraph, parts[0]);
+    const outline = this.getOutlineNumber(paragraph, state);
+
+    parts.forEach((part, position) => {
+      const content = part.replace(/^\t+/, '').trimEnd();
+      if (!content.trim()) return;
+
+      const prefix = outline && position === 0 ? `${outline}\t` : '';
+      this.pushLine(state, '\t'.repeat(outline ? 0 : level) + prefix + content, { paragraphIndex });
+    });
+  }
+
+  /**
+   * Rows become lines at the level of their first filled column (COLUMN_LEVELS);
+   * rows that start past the mapped columns are left out with a warning
+   */
+  convertTable(table, state, baseLevel) {
+    const tableIndex = state.tableIndex++;
+
+    table.children.forEach((row, rowIndex) => {
+      const cells = row.children.map(cell => {
+        const paragraphs = cell.children.filter(child => child.type === 'paragraph');
+        const firstParagraph = state.paragraphIndex;
+        state.paragraphIndex += paragraphs.length;
+        return {
+          text: paragraphs.map(paragraph => this.getParagraphText(paragraph).trim()).filter(Boolean).join(' '),
+          firstParagraph
+        };
+      });
+
+      const firstFilled = cells.findIndex(cell => cell.text);
+      if (firstFilled < 0) return;
+
+      const mapping = COLUMN_LEVELS[firstFilled];
+      if (mapping === undefined) {
+        state.warnings.push(`Table ${tableIndex + 1}, row ${rowIndex + 1}: skipped "${cells[firstFilled].text}" in column ${firstFilled + 1} (no hierarchy level)`);
+        return;
+      }
+
+      const { level, prefix } = typeof mapping === 'number' ? { level: mapping, prefix: null } : mapping;
+      let content = cells.slice(firstFilled).map(cell => cell.text).join('\t').trimEnd();
+      if (prefix && !content.startsWith(prefix)) {
+        content = `${prefix} ${content}`;
+      }
+
+      this.pushLine(state, '\t'.repeat(baseLevel + level) + content, {
+        paragraphIndex: cells[firstFilled].firstParagraph,
+        table: tableIndex,
+        row: rowIndex,
+        cell: firstFilled
+      });
+    });
+  }
+
+  pushLine(state, line, source) {
+    state.lines.push(line);
+    state.lineMap.push({ line: state.lines.length, ...source });
+  }
+
+  /**
+   * Paragraph text with tabs and line breaks preserved
+   */
+  getParagraphText(element) {
+    if (element.type === 'text') return element.value;
+    if (element.type === 'tab') return '\t';
+    if (element.type === 'break') return element.breakType === 'line' || !element.breakType ? '\n' : '';
+    if (!element.children) return '';
+
+    return element.children.map(child => this.getParagraphText(child)).join('');
+  }
+
+  /**
+   * Hierarchy level from list level, paragraph indentation and leading tabs
+   */
+  getParagraphLevel(paragraph, text) {
+    if (this.isHeading(paragraph)) return 0;
+
+    const listLevel = paragraph.numbering ? parseInt(paragraph.numbering.level) + 1 : 0;
+    const indentStart = parseInt(paragraph.indent?.start || 0) - parseInt(paragraph.indent?.hanging || 0);
+    const indentLevel = Math.max(0, Math.round(indentStart / this.options.indentUnit));
+    const leadingTabs = (text.match(/^\t*/) || [''])[0].length;
+
+    return Math.max(listLevel, indentLevel) + leadingTabs;
+  }
+
+  isHeading(paragraph) {
+    return this.options.headingStyle.test(paragraph.styleName || '') ||
+           this.options.headingStyle.test(paragraph.styleId || '');
+  }
+
+  /**
+   * Outline number ("3.3") of a numbered heading, counted like Word does
+   */
+  getOutlineNumber(paragraph, state) {
+    if (!this.isHeading(paragraph) || !paragraph.numbering) return null;
+
+    const level = parseInt(paragraph.numbering.level);
+    const counters = state.headingCounters;
+    counters.length = level + 1;
+    for (let i = 0; i < level; i++) counters[i] = counters[i] || 1;
+    counters[level] = (counters[level] || 0) + 1;
+
+    return counters.join('.');
+  }
+}
+
+export default DocxIngestor;
@@ -5,31 +5,266 @@
 // - Column 0: RUST/SCHRITT declarations (no indentation)
 // - Column 1: Entry conditions (indented under step they activate)
 // - Column 2: OR conditions (further indented)
+// Tabular sources (TableImporter) pass their columns as levels to parseRows.
 // =====================================================================
 
+import { ConditionParser } from './ConditionParser.js';
+import { WordPreprocessor } from './WordPreprocessor.js';
+import { DiagnosticCollector } from './Diagnostics.js';
+import { defaultLogger } from './Logger.js';
+import { LValueParser } from './LValueParser.js';
+
+// Fallback keywords for syntax rules that do not define them
+const DEFAULT_KEYWORDS = {
+  step: ['SCHRITT', 'STAP', 'STEP'],
+  rest: ['RUST', 'RUHE', 'IDLE'],
+  end: ['KLAAR', 'FERTIG', 'END'],
+  from: ['VON', 'VAN', 'FROM'],
+  notPrefix: ['NIET', 'NOT', 'NICHT'],
+  timer: ['ZEIT', 'TIJD', 'TIME'],
+  set: ['SETZEN', 'SET', 'ZETTEN'],
+  reset: ['RÜCKSETZEN', 'RUECKSETZEN', 'RESET', 'RESETTEN', 'TERUGZETTEN'],
+  orPrefix: '+'
+};
+
+// Program header keywords per language:
+// "Hauptprogramm Käseproduktion FB305" / "Symbolik IDB: Kaese_Produktion_System"
+const HEADER_KEYWORDS = {
+  de: { main: ['Hauptprogramm'], sub: ['Unterprogramm'], idb: ['Symbolik IDB'] },
+  nl: { main: ['Hoofdprogramma'], sub: ['Subprogramma'], idb: ['Symboliek IDB'] },
+  en: { main: ['Main Program'], sub: ['Sub Program', 'Subprogram'], idb: ['Symbol IDB'] }
+};
+
+// Section headings ("// Störung Meldungen") and the variable group they hint at.
+// Checked in order, so "Störung Meldungen" is a storing section.
+const DEFAULT_SECTION_HINTS = [
+  { pattern: /st(ö|oe|o)rung|storing|fault|alarm/i, group: 'storing' },
+  { pattern: /meldung|melding|message/i, group: 'melding' },
+  { pattern: /hilfsmerker|hulpmerker|auxiliary|marker/i, group: 'hulpmerker' },
+  { pattern: /z(ä|ae|a)hler|teller|counter/i, group: 'teller' },
+  { pattern: /timer|zeiten|tijden/i, group: 'tijd' },
+  { pattern: /variable|variabele/i, group: 'variabele' }
+];
+
+// Step keywords that identify the document language
+export const KEYWORD_LANGUAGES = {
+  SCHRITT: 'de', RUHE: 'de', FERTIG: 'de',
+  STAP: 'nl', RUST: 'nl', KLAAR: 'nl',
+  STEP: 'en', IDLE: 'en', END: 'en'
+};
+
+// Table column -> hierarchy level (or { level, prefix }), the layout described above
+export const COLUMN_LEVELS = { 0: 0, 1: 1, 2: { level: 1, prefix: '+' } };
+
+// Timer units and their length in milliseconds
+export const TIMER_UNITS = {
+  ms: 1,
+  s: 1000,
+  sek: 1000,
+  sec: 1000,
+  m: 60000,
+  min: 60000,
+  h: 3600000
+};
+
 export class HierarchicalParser {
-  constructor(syntaxRules) {
+  constructor(syntaxRules, validationRules = {}, options = {}) {
     this.syntaxRules = syntaxRules;
-    this.debugMode = true;
+    this.validationRules = validationRules;
+    this.logger = (options.logger || defaultLogger).child('HierarchicalParser');
+    this.arrayAllocations = new Map(); // groupKey -> Set of used array indices
+    this.pendingTransitions = []; // VON SCHRITT blocks waiting for the step they lead to
+    this.headingLines = new Set(); // Outline headings found by the Word preprocessor
+    this.sourceLines = new Map(); // lineNumber -> structured line, for diagnostic ranges
+    this.structureIssues = []; // Unmatched brackets found while building the tree
+    this.sections = []; // Sections started by column-0 "//" comments
+    this.lvalueParser = new LValueParser(); // "Horde[i].Etage_Daten[1].Status = Besetzt"
+    this.diagnostics = null; // DiagnosticCollector of the current parse
+    this.consumedLines = new Set(); // Line numbers taken up by a step, declaration or condition
+    this.classifiers = null; // Built lazily from syntaxRules, see getClassifiers()
+    this.classifiersSource = null;
+  }
+
+  /**
+   * Build keyword classifiers from syntaxRules. Rebuilt whenever syntaxRules is
+   * replaced (AutoTrainer assigns new rules after every iteration).
+   */
+  getClassifiers() {
+    if (this.classifiers && this.classifiersSource === this.syntaxRules) {
+      return this.classifiers;
+    }
+    
+    const rules = this.syntaxRules || {};
+    const stepKeywords = rules.stepKeywords || {};
+    const conditions = rules.conditions || {};
+    const logicalOperators = rules.logicalOperators || {};
+    const keywords = {
+      step: stepKeywords.step || DEFAULT_KEYWORDS.step,
+      rest: stepKeywords.rest || DEFAULT_KEYWORDS.rest,
+      end: stepKeywords.end || DEFAULT_KEYWORDS.end,
+      from: stepKeywords.from || DEFAULT_KEYWORDS.from,
+      notPrefix: conditions.notPrefix || DEFAULT_KEYWORDS.notPrefix,
+      timer: rules.variableDetection?.timerKeywords || DEFAULT_KEYWORDS.timer,
+      set: rules.actionKeywords?.set || DEFAULT_KEYWORDS.set,
+      reset: rules.actionKeywords?.reset || DEFAULT_KEYWORDS.reset
+    };
+    
+    const alt = list => list.map(keyword => this.escapeRegex(keyword)).join('|');
+    const step = alt(keywords.step);
+    const rest = alt(keywords.rest);
+    const end = alt(keywords.end);
+    const from = alt(keywords.from);
+    const not = alt(keywords.notPrefix);
+    const timer = alt(keywords.timer);
+    const units = Object.keys(TIMER_UNITS).join('|');
+    
+    // Header keyword -> { language, programType }
+    const headerKeywords = rules.headerKeywords || HEADER_KEYWORDS;
+    const headerLookup = new Map();
+    for (const [language, entry] of Object.entries(headerKeywords)) {
+      (entry.main || []).forEach(keyword => headerLookup.set(keyword.toLowerCase(), { language, programType: 'main' }));
+      (entry.sub || []).forEach(keyword => headerLookup.set(keyword.toLowerCase(), { language, programType: 'sub' }));
+      (entry.idb || []).forEach(keyword => headerLookup.set(keyword.toLowerCase(), { language, programType: null }));
+    }
+    const programKeywords = alt(Object.values(headerKeywords).flatMap(entry => [...(entry.main || []), ...(entry.sub || [])]));
+    const idbKeywords = alt(Object.values(headerKeywords).flatMap(entry => entry.idb || []));
+    
+    this.classifiers = {
+      keywords,
+      headerLookup,
+      programHeader: new RegExp(`^(${programKeywords})\\s+([^:()]+?)(?:\\s+FB\\s*(\\d+))?$`, 'i'),
+      idbHeader: new RegExp(`^(${idbKeywords})\\s*:\\s*(\\S+)$`, 'i'),
+      // "Hauptprogramm Einfuhr  Freigabe Start Einfuhr" - header run into a RUST description
+      headerPrefix: new RegExp(`^(${programKeywords})\\s+(.+?)(?:\\s+FB\\s*(\\d+))?(?:\\t+|\\s{2,})(.+)$`, 'i'),
+      orPrefix: conditions.orPrefix || DEFAULT_KEYWORDS.orPrefix,
+      rust: new RegExp(`^(${rest})\\s*:\\s*.+$`, 'i'),
+      schritt: new RegExp(`^(${step})\\s+\\d+\\s*:\\s*.+$`, 'i'),
+      schrittWithoutColon: new RegExp(`^(${step})\\s+\\d+\\s+[^:\\s].*$`, 'i'),
+      end: new RegExp(`^(${end})\\s*:\\s*.+$`, 'i'),
+      vonSchritt: new RegExp(`^(\\+?\\s*(${from})\\s+(${step})\\s+\\d+)$`, 'i'),
+      vonPrefix: new RegExp(`^\\+?\\s*(${from})\\s+`, 'i'),
+      notPrefix: new RegExp(`^(${not})\\s+`, 'i'),
+      description: new RegExp(`^(${rest}|${step}|${end})(?:\\s+\\d+)?(?:\\s*:\\s*|\\s+)(.+)$`, 'i'),
+      // "Zeit 1800sek ??" / "TIJD 30 sek ??" and durations at the end of a condition;
+      // a bare "m" (minutes or metres) is only a timer after a timer keyword or with "??"
+      timerLine: new RegExp(`^(${timer})\\s+\\d+(?:[.,]\\d+)?\\s*(${units})\\s*(\\?\\?)?$`, 'i'),
+      timerPrefix: new RegExp(`^(${timer})\\s`, 'i'),
+      duration: new RegExp(`(\\d+(?:[.,]\\d+)?)\\s*(${units})\\s*(\\?\\?)?$`, 'i'),
+      // "Produktion Beschäftigt SETZEN" - uppercase keywords only, like the documents use them
+      setAction: new RegExp(`^(.+?)\\s+(${alt(keywords.set)})$`),
+      resetAction: new RegExp(`^(.+?)\\s+(${alt(keywords.reset)})$`),
+      assignAction: /^([^:=<>!]+?)\s*:=\s*(.+)$/,
+      stepNumber: new RegExp(`^(${step})\\s+(\\d+)`, 'i'),
+      sectionHints: (rules.sectionHints || DEFAULT_SECTION_HINTS)
+        .map(hint => ({ ...hint, regex: this.toRegExp(hint.pattern) }))
+        .filter(hint => hint.regex),
+      crossReferenceStep: new RegExp(`^(.*?)\\s*\\(\\s*([^()]+?)\\s+(${step})\\s+(\\d+(?:\\s*\\+\\s*\\d+)*)\\s*\\)`, 'i'),
+      conditionParser: new ConditionParser({
+        and: logicalOperators.and,
+        or: logicalOperators.or,
+        not: logicalOperators.not || keywords.notPrefix
+      }),
+      crossReferenceRust: new RegExp(`^(.*?)\\s*\\(\\s*([^()]+?)\\s+(${rest})\\s*\\)`, 'i'),
+      // Learned pattern arrays from AutoTrainer
+      stepPatterns: this.compileLearnedPatterns(rules.stepPatterns),
+      conditionPatterns: this.compileLearnedPatterns(rules.conditionPatterns),
+      crossReferencePatterns: this.compileLearnedPatterns(rules.crossReferencePatterns)
+    };
+    this.classifiersSource = this.syntaxRules;
+    
+    return this.classifiers;
+  }
+
+  /**
+   * Compile learned { pattern, ... } entries, keeping their metadata
+   */
+  compileLearnedPatterns(entries = []) {
+    return entries
+      .map(entry => ({ ...entry, regex: this.toRegExp(entry.pattern) }))
+      .filter(entry => entry.regex);
+  }
+
+  /**
+   * Match a line against learned step patterns. Only accepted when a capture
+   * group yields a step number; the last capture group is the description.
+   */
+  matchLearnedStep(content) {
+    for (const entry of this.getClassifiers().stepPatterns) {
+      const match = content.match(entry.regex);
+      if (!match) continue;
+      
+      const captures = match.slice(1).filter(group => group !== undefined && group.trim() !== '');
+      const number = captures.find(group => /^\d+$/.test(group.trim()));
+      if (number === undefined) continue;
+      
+      return {
+        number: parseInt(number),
+        description: captures[captures.length - 1].trim()
+      };
+    }
+    
+    return null;
   }
 
   /**
    * Parse text with structural awareness
    */
   parse(text, source = 'manual', metadata = {}) {
-    this.log('🏗️ Starting hierarchical parsing', { source });
+    this.logger.debug('🏗️ Starting hierarchical parsing', { source });
+    
+    // Step 0: Strip outline numbers and the table of contents from Word exports
+    let preprocessed = null;
+    if (source === 'word') {
+      preprocessed = new WordPreprocessor().process(text);
+      text = preprocessed.text;
+      this.logger.debug('📑 Preprocessed Word text', { 
+        programs: preprocessed.programs.length, 
+        tocSkipped: preprocessed.tocSkipped 
+      });
+    }
+    this.headingLines = preprocessed ? preprocessed.headingLines : new Set();
     
     // Step 1: Analyze indentation structure
     const structuredLines = this.analyzeIndentationStructure(text, source);
-    this.log('📊 Analyzed structure', { lineCount: structuredLines.length });
+    this.logger.debug('📊 Analyzed structure', { lineCount: structuredLines.length });
+    
+    // Steps 2-3: Build the tree and parse it
+    const result = this.parseStructuredLines(structuredLines, source, metadata);
+    if (preprocessed) {
+      result.metadata.programs = preprocessed.programs;
+    }
+    
+    return result;
+  }
+
+  /**
+   * Parse rows whose hierarchy level is already known (e.g. table columns),
+   * skipping indentation guessing: [{ content, indentLevel, lineNumber, originalLine? }]
+   */
+  parseRows(rows, source = 'table', metadata = {}) {
+    this.logger.debug('🏗️ Starting hierarchical parsing', { source, rows: rows.length });
+    this.headingLines = new Set();
+    
+    const structuredLines = this.structureLines(rows.map(row => ({
+      ...row,
+      originalLine: row.originalLine ?? '\t'.repeat(row.indentLevel) + row.content
+    })));
     
-    // Step 2: Build hierarchical tree
+    return this.parseStructuredLines(structuredLines, source, metadata);
+  }
+
+  /**
+   * Build the hierarchical tree from structured lines and parse it
+   */
+  parseStructuredLines(structuredLines, source, metadata = {}) {
     const hierarchicalTree = this.buildHierarchicalTree(structuredLines);
-    this.log('🌳 Built hierarchical tree', { rootChildren: hierarchicalTree.length });
+    this.logger.debug('🌳 Built hierarchical tree', { rootChildren: hierarchicalTree.length });
     
-    // Step 3: Parse hierarchically with RUST/SCHRITT rules
+    // Parse hierarchically with RUST/SCHRITT rules
     const result = this.parseHierarchically(hierarchicalTree);
-    this.log('✅ Hierarchical parsing complete', { 
+    Object.assign(result.metadata, metadata, { source });
+    result.metadata.sections = this.sections;
+    this.logger.info('✅ Hierarchical parsing complete', { 
       steps: result.steps.length, 
       variables: result.variables.length 
     });
@@ -41,29 +276,67 @@ export class HierarchicalParser {
    * Analyze indentation structure of input text
    */
   analyzeIndentationStructure(text, source) {
-    const lines = text.split('\n');
+    return this.structureLines(text.split('\n').map((line, i) => ({
+      originalLine: line,
+      content: line.trim(),
+      indentLevel: this.calculateIndentLevel(line, source),
+      lineNumber: i + 1
+    })));
+  }
+
+  /**
+   * Classify leveled lines, attach comments as annotations and track sections
+   */
+  structureLines(lines) {
     const structuredLines = [];
+    this.sourceLines = new Map();
+    this.sections = [];
+    let pendingAnnotations = []; // Comments waiting for the node they describe
+    let section = null;
     
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const trimmed = line.trim();
+    for (const { originalLine: line, content, indentLevel, lineNumber } of lines) {
+      const trimmed = content.trim();
       
       if (!trimmed) continue; // Skip empty lines
       
-      const indentLevel = this.calculateIndentLevel(line, source);
-      const contentType = this.classifyLineContent(trimmed);
+      // "//" comments annotate the next node; at column 0 they also start a section
+      if (trimmed.startsWith('//')) {
+        const comment = { text: trimmed.replace(/^\/\/\s*/, ''), lineNumber };
+        pendingAnnotations.push(comment);
+        if (indentLevel === 0) {
+          section = this.createSection(comment);
+          this.sections.push(section);
+        }
+        continue;
+      }
+      
+      let contentType = this.headingLines.has(lineNumber) 
+        ? 'heading' 
+        : this.classifyLineContent(trimmed, indentLevel);
+      
+      // "SCHRITT 5 Pumpe starten" - recover as a step, reported as step_missing_colon
+      const missingColon = contentType === 'condition' && indentLevel === 0 && 
+                           this.getClassifiers().schrittWithoutColon.test(trimmed);
+      if (missingColon) contentType = 'schritt';
       
       const structuredLine = {
         originalLine: line,
         content: trimmed,
         indentLevel,
         contentType,
-        lineNumber: i + 1,
+        lineNumber,
         children: []
       };
+      if (missingColon) structuredLine.missingColon = true;
+      if (pendingAnnotations.length > 0) {
+        structuredLine.annotations = pendingAnnotations;
+        pendingAnnotations = [];
+      }
+      if (section) structuredLine.section = section;
       
       structuredLines.push(structuredLine);
-      this.log(`📝 Line ${i+1}`, { 
+      this.sourceLines.set(structuredLine.lineNumber, structuredLine);
+      this.logger.trace(`📝 Line ${lineNumber}`, { 
         content: trimmed.substring(0, 50), 
         indentLevel, 
         contentType 
@@ -73,6 +346,14 @@ export class HierarchicalParser {
     return structuredLines;
   }
 
+  /**
+   * Section for a column-0 comment, with the variable group its heading hints at
+   */
+  createSection(comment) {
+    const hint = this.getClassifiers().sectionHints.find(entry => entry.regex.test(comment.text));
+    return { name: comment.text, group: hint ? hint.group : null, lineNumber: comment.lineNumber };
+  }
+
   /**
    * Calculate indentation level based on source type
    */
@@ -99,40 +380,100 @@ export class HierarchicalParser {
   /**
    * Classify line content type
    */
-  classifyLineContent(content) {
+  classifyLineContent(content, indentLevel = 0) {
     if (!content) return 'empty';
     
+    // Bracketed condition blocks: "[" ... "]"
+    if (/^\+?\s*\[$/.test(content)) return 'block_start';
+    if (content === ']') return 'block_end';
+    
+    // Program header lines only appear in column 0
+    if (indentLevel === 0 && this.isProgramHeader(content)) return 'program_header';
+    
     // Check for RUST/SCHRITT declarations (must be exact patterns)
     if (this.isRustDeclaration(content)) return 'rust';
     if (this.isSchrittDeclaration(content)) return 'schritt';
+    if (this.isEndDeclaration(content)) return 'end';
     if (this.isVonSchrittDeclaration(content)) return 'von_schritt';
-    if (this.isVariableDeclaration(content)) return 'variable';
+    if (this.isTimerDeclaration(content)) return 'timer';
+    if (this.isActionStatement(content)) return 'action';
+    if (indentLevel === 0 && this.lvalueParser.isAssignment(content)) return 'data_assignment';
+    if (this.isVariableDeclaration(content, indentLevel)) return 'variable';
     if (this.isCrossReference(content)) return 'cross_reference';
     
+    // Learned patterns from training
+    const learnedType = this.classifyByLearnedPatterns(content);
+    if (learnedType) return learnedType;
+    
     // Default to condition (anything indented or with condition markers)
     return 'condition';
   }
 
+  /**
+   * Classify with learned conditionPatterns, crossReferencePatterns and stepPatterns
+   */
+  classifyByLearnedPatterns(content) {
+    const classifiers = this.getClassifiers();
+    const knownTypes = ['condition', 'cross_reference', 'variable'];
+    
+    const conditionPattern = classifiers.conditionPatterns.find(entry => entry.regex.test(content));
+    if (conditionPattern && knownTypes.includes(conditionPattern.type)) {
+      return conditionPattern.type;
+    }
+    
+    if (classifiers.crossReferencePatterns.some(entry => entry.regex.test(content))) {
+      return 'cross_reference';
+    }
+    
+    if (this.matchLearnedStep(content)) return 'schritt';
+    
+    return null;
+  }
+
+  isProgramHeader(content) {
+    const classifiers = this.getClassifiers();
+    return classifiers.programHeader.test(content) || classifiers.idbHeader.test(content);
+  }
+
   isRustDeclaration(content) {
-    return /^(RUST|RUHE|IDLE)\s*:\s*.+$/i.test(content);
+    return this.getClassifiers().rust.test(content);
   }
 
   isSchrittDeclaration(content) {
-    return /^(SCHRITT|STAP|STEP)\s+\d+\s*:\s*.+$/i.test(content);
+    return this.getClassifiers().schritt.test(content);
+  }
+
+  isEndDeclaration(content) {
+    return this.getClassifiers().end.test(content);
+  }
+
+  isActionStatement(content) {
+    return this.parseAction(content) !== null;
+  }
+
+  isTimerDeclaration(content) {
+    return this.getClassifiers().timerLine.test(content);
   }
 
   isVonSchrittDeclaration(content) {
-    return /^(\+?\s*VON\s+(SCHRITT|STAP|STEP)\s+\d+)$/i.test(content);
+    return this.getClassifiers().vonSchritt.test(content);
   }
 
-  isVariableDeclaration(content) {
-    return /^[^:]+\s*=\s*$/.test(content) || 
-           /^(STORING|MELDING|STÖRUNG)\s*:\s*[^=]+\s*=\s*$/.test(content);
+  isVariableDeclaration(content, indentLevel = 0) {
+    if (/^[^:]+\s*=\s*$/.test(content) || 
+        /^(STORING|MELDING|STÖRUNG|MELDUNG|FAULT|MESSAGE)\s*:\s*[^=]+\s*=\s*$/.test(content)) {
+      return true;
+    }
+    
+    // Declarations with an initial value ("Variable 2 (Maximale Kapazität) = 750") only
+    // at column 0 - indented "X = Y" lines belong to a step as conditions
+    return indentLevel === 0 && /^[^=<>!:[\]]+?\s*=\s*[^=<>]+$/.test(content);
   }
 
   isCrossReference(content) {
-    // Cross-references: (ProgramName SCHRITT X+Y+Z) - should NOT be treated as step declarations
-    return /\([^)]+\s+(SCHRITT|STAP|STEP)\s+[0-9+]+\)/.test(content);
+    // Cross-references: (ProgramName SCHRITT X+Y+Z) or (ProgramName RUHE) - should NOT be treated as step declarations
+    const classifiers = this.getClassifiers();
+    return classifiers.crossReferenceStep.test(content) || classifiers.crossReferenceRust.test(content);
   }
 
   /**
@@ -141,37 +482,149 @@ export class HierarchicalParser {
   buildHierarchicalTree(structuredLines) {
     const root = [];
     const stack = [{ children: root, indentLevel: -1 }];
+    let lastDeclaration = null; // Last top-level step/variable, owner of column-0 blocks
+    this.structureIssues = [];
     
     for (const line of structuredLines) {
-      // Find correct parent based on indentation
+      if (line.contentType === 'block_end') {
+        // Close the innermost open block
+        const blockIndex = stack.map(entry => entry.isBlock).lastIndexOf(true);
+        if (blockIndex > 0) {
+          stack.length = blockIndex;
+        } else {
+          this.structureIssues.push({ code: 'unmatched_block_end', lineNumber: line.lineNumber });
+        }
+        continue;
+      }
+      
+      // A new step declaration closes any block left open (missing "]")
+      if (line.indentLevel === 0 && ['rust', 'schritt', 'end', 'von_schritt'].includes(line.contentType)) {
+        this.closeOpenBlocks(stack);
+      }
+      
+      // Find correct parent based on indentation (open blocks keep their lines)
       while (stack.length > 1 && 
+             !stack[stack.length - 1].isBlock &&
              stack[stack.length - 1].indentLevel >= line.indentLevel) {
         stack.pop();
       }
       
-      const parent = stack[stack.length - 1];
+      let parent = stack[stack.length - 1];
+      
+      // A timer written at column 0 belongs to the step above it
+      if (line.contentType === 'timer' && parent.children === root && lastDeclaration) {
+        lastDeclaration.children.push(line);
+        stack.push(lastDeclaration);
+        continue;
+      }
+      
+      if (line.contentType === 'block_start') {
+        // A block written at column 0 still belongs to the declaration above it
+        if (parent.children === root && lastDeclaration) {
+          parent = lastDeclaration;
+          stack.push(lastDeclaration);
+        }
+        line.isBlock = true;
+        parent.children.push(line);
+        stack.push(line);
+        continue;
+      }
+      
       parent.children.push(line);
       
+      if (parent.children === root) {
+        if (['rust', 'schritt', 'end', 'variable'].includes(line.contentType)) {
+          lastDeclaration = line;
+        } else if (line.contentType !== 'condition') {
+          lastDeclaration = null;
+        }
+      }
+      
       // Add to stack if it can have children
       if (line.contentType === 'rust' || 
           line.contentType === 'schritt' ||
+          line.contentType === 'end' ||
+          line.contentType === 'von_schritt' ||
+          line.contentType === 'variable' ||
           line.contentType === 'condition') {
         stack.push(line);
       }
     }
     
+    this.closeOpenBlocks(stack);
+    
     return root;
   }
 
+  /**
+   * Drop open blocks from the stack, recording each as unclosed
+   */
+  closeOpenBlocks(stack) {
+    const firstBlock = stack.findIndex(entry => entry.isBlock);
+    if (firstBlock < 0) return;
+    
+    stack.slice(firstBlock)
+      .filter(entry => entry.isBlock)
+      .forEach(block => this.structureIssues.push({ code: 'unclosed_block', lineNumber: block.lineNumber }));
+    stack.length = firstBlock;
+  }
+
   /**
    * Parse hierarchically with RUST/SCHRITT methodology
    */
   parseHierarchically(tree) {
     const result = this.createEmptyResult();
+    this.arrayAllocations = new Map();
+    this.pendingTransitions = [];
+    this.diagnostics = new DiagnosticCollector(result, this.sourceLines);
+    
+    for (const issue of this.structureIssues) {
+      this.diagnostics.report(issue.code, {
+        lineNumber: issue.lineNumber,
+        message: issue.code === 'unclosed_block' 
+          ? 'Condition block "[" is never closed' 
+          : 'Closing "]" without a matching "["',
+        fix: issue.code === 'unclosed_block'
+          ? { description: 'Add "]" after the last condition of the block', replacement: null }
+          : { description: 'Remove the "]" or add the missing "["', replacement: '' }
+      });
+    }
+    this.structureIssues = [];
+    this.consumedLines = new Set();
     
     for (const node of tree) {
       this.processNode(node, result);
     }
+    this.reportUnattachedLines();
+    
+    if (!result.metadata.language) {
+      result.metadata.language = this.detectLanguage(tree);
+    }
+    
+    if (this.pendingTransitions.length > 0) {
+      this.pendingTransitions.forEach(transition => this.diagnostics.report('dangling_von_schritt', {
+        message: `VON SCHRITT ${transition.fromStep} is not followed by a step`,
+        lineNumber: transition.lineNumber
+      }));
+      this.pendingTransitions = [];
+    }
+    
+    // Build the step chain as a directed graph
+    this.buildTransitionGraph(result);
+    this.validateStepChain(result);
+    
+    // Combine condition groups into expression trees
+    this.attachExpressions(result);
+    
+    // Collect cross-references and timers embedded in conditions
+    this.collectCrossReferences(result);
+    this.collectTimers(result);
+    
+    // Derive the set/reset table from step actions
+    this.buildSetResetTable(result);
+    
+    // Merge structured assignments into data-structure usages
+    result.dataStructures = this.lvalueParser.collectStructures(result.dataAssignments);
     
     // Apply RUST/SCHRITT logic rules
     this.applyRustSchrittLogic(result);
@@ -179,10 +632,34 @@ export class HierarchicalParser {
     return result;
   }
 
+  /**
+   * Warn about every line no step, declaration or condition took up
+   * (e.g. conditions nested under a condition, or tab-indented manual input)
+   */
+  reportUnattachedLines() {
+    for (const line of this.sourceLines.values()) {
+      if (line.contentType === 'block_end' || this.consumedLines.has(line.lineNumber)) continue;
+      
+      const tabIndented = /^\t/.test(line.originalLine ?? '') && line.indentLevel === 0;
+      this.diagnostics.report('unattached_line', {
+        message: `Line is not attached to any step or declaration and is ignored: "${line.content}"`,
+        lineNumber: line.lineNumber,
+        text: line.content,
+        fix: tabIndented
+          ? { description: 'Indent with spaces, two per level - tabs do not count as indentation in manual input', replacement: null }
+          : { description: 'Move the line under the step, condition block or declaration it belongs to', replacement: null }
+      });
+    }
+  }
+
   /**
    * Process a single node in the hierarchy
    */
   processNode(node, result) {
+    if (!['condition', 'block_start'].includes(node.contentType)) {
+      this.consumedLines.add(node.lineNumber);
+    }
+    
     switch (node.contentType) {
       case 'rust':
         this.processRustStep(node, result);
@@ -190,6 +667,9 @@ export class HierarchicalParser {
       case 'schritt':
         this.processSchrittStep(node, result);
         break;
+      case 'end':
+        this.processEndStep(node, result);
+        break;
       case 'variable':
         this.processVariable(node, result);
         break;
@@ -199,8 +679,29 @@ export class HierarchicalParser {
       case 'von_schritt':
         this.processVonSchritt(node, result);
         break;
+      case 'program_header':
+        this.processProgramHeader(node, result);
+        break;
+      case 'data_assignment':
+        this.processDataAssignment(node, result);
+        break;
+      case 'condition':
+        // Indented conditions only end up at the top level when no step owns them
+        if (node.indentLevel > 0 && result.steps.length === 0) {
+          this.consumedLines.add(node.lineNumber);
+          this.diagnostics.report('condition_before_step', {
+            message: 'Condition appears before any RUST/SCHRITT step and is ignored',
+            lineNumber: node.lineNumber,
+            fix: { description: 'Move the condition under the step it activates', replacement: null }
+          });
+        }
+        break;
+      case 'heading':
+        // Outline headings are collected by the Word preprocessor
+        break;
       default:
-        this.log(`⚠️ Unhandled node type: ${node.contentType}`);
+        this.consumedLines.delete(node.lineNumber);
+        this.logger.trace(`⚠️ Unhandled node type: ${node.contentType}`);
     }
   }
 
@@ -208,36 +709,155 @@ export class HierarchicalParser {
    * Process RUST step - NEVER has entry conditions
    */
   processRustStep(node, result) {
+    if (this.pendingTransitions.length > 0) {
+      this.diagnostics.report('von_schritt_before_rust', {
+        message: 'VON SCHRITT blocks cannot lead to RUST - RUST has no entry conditions',
+        lineNumber: node.lineNumber
+      });
+      this.pendingTransitions = [];
+    }
+    
+    let description = this.extractDescription(node.content);
+    const headerMatch = description.match(this.getClassifiers().headerPrefix);
+    if (headerMatch) {
+      this.applyProgramHeader(result, headerMatch[1], headerMatch[2], headerMatch[3], node.lineNumber);
+      description = headerMatch[4].trim();
+    }
+    
+    // RUST NEVER has entry conditions - indented conditions under it are dropped
+    const droppedConditions = this.flattenConditions(this.extractConditionsFromChildren(node.children));
+    if (droppedConditions.length > 0) {
+      this.diagnostics.report('rust_entry_conditions', {
+        message: `RUST cannot have entry conditions, ${droppedConditions.length} condition(s) ignored`,
+        lineNumber: droppedConditions[0].lineNumber,
+        fix: { description: 'Move these conditions to SCHRITT 1 or express them via RUST exit conditions', replacement: null }
+      });
+    }
+    
     const rustStep = {
       type: 'RUST',
       number: 0,
-      description: this.extractDescription(node.content),
+      keyword: node.content.match(/^([^\s:]+)/)[1].toUpperCase(),
+      description,
       entryConditions: [], // RUST NEVER has entry conditions!
       exitConditions: [],
+      actions: this.extractActionsFromChildren(node.children),
       implicitConditions: [], // Will be populated later
+      annotations: node.annotations || [],
       lineNumber: node.lineNumber
     };
     
-    this.log('🛑 Created RUST step', { description: rustStep.description });
+    this.logger.debug('🛑 Created RUST step', { description: rustStep.description });
     result.steps.push(rustStep);
   }
 
+  /**
+   * Process a structured assignment ("Sensor_Array[1..16].Status = OK")
+   */
+  processDataAssignment(node, result) {
+    const assignment = this.lvalueParser.parseAssignment(node.content);
+    
+    result.dataAssignments.push({
+      ...assignment,
+      section: node.section ? node.section.name : null,
+      annotations: node.annotations || [],
+      lineNumber: node.lineNumber
+    });
+    
+    this.logger.debug('🧮 Created data assignment', { target: assignment.target, elements: assignment.elementCount });
+  }
+
+  /**
+   * Process a program header line ("Hauptprogramm ... FB305" or "Symbolik IDB: ...")
+   */
+  processProgramHeader(node, result) {
+    const classifiers = this.getClassifiers();
+    
+    const idbMatch = node.content.match(classifiers.idbHeader);
+    if (idbMatch) {
+      if (!result.metadata.idb) result.metadata.idb = idbMatch[2];
+      if (!result.metadata.language) {
+        result.metadata.language = classifiers.headerLookup.get(idbMatch[1].toLowerCase())?.language || null;
+      }
+      return;
+    }
+    
+    const programMatch = node.content.match(classifiers.programHeader);
+    this.applyProgramHeader(result, programMatch[1], programMatch[2], programMatch[3], node.lineNumber);
+  }
+
+  /**
+   * Fill program metadata from a header. The first header in a document wins.
+   */
+  applyProgramHeader(result, keyword, name, fbNumber, lineNumber) {
+    if (result.metadata.programName) return;
+    
+    const header = this.getClassifiers().headerLookup.get(keyword.toLowerCase()) || {};
+    result.metadata.programName = name.trim();
+    result.metadata.programType = header.programType || null;
+    result.metadata.fbNumber = fbNumber ? parseInt(fbNumber) : null;
+    result.metadata.language = header.language || result.metadata.language || null;
+    result.metadata.headerLineNumber = lineNumber;
+    
+    this.logger.debug('🏷️ Program header', { name: result.metadata.programName, fbNumber: result.metadata.fbNumber });
+  }
+
+  /**
+   * Detect the document language from the step keywords used in column 0
+   */
+  detectLanguage(tree) {
+    const votes = new Map();
+    
+    for (const node of tree) {
+      if (!['rust', 'schritt', 'end'].includes(node.contentType)) continue;
+      
+      const language = KEYWORD_LANGUAGES[node.content.split(/[\s:]/)[0].toUpperCase()];
+      if (language) votes.set(language, (votes.get(language) || 0) + 1);
+    }
+    
+    const ranked = Array.from(votes.entries()).sort((a, b) => b[1] - a[1]);
+    return ranked.length > 0 ? ranked[0][0] : null;
+  }
+
   /**
    * Process SCHRITT step - gets entry conditions from children
    */
   processSchrittStep(node, result) {
     const stepNumber = this.extractStepNumber(node.content);
+    
+    if (node.missingColon) {
+      const description = this.extractDescription(node.content);
+      const keyword = node.content.match(/^(\S+)/)[1];
+      this.diagnostics.report('step_missing_colon', {
+        message: `${keyword} ${stepNumber} is missing the ":" before its description`,
+        lineNumber: node.lineNumber,
+        fix: { description: 'Insert ":" after the step number', replacement: `${keyword} ${stepNumber}: ${description}` }
+      });
+    }
+    
+    if (result.steps.some(s => s.type === 'SCHRITT' && s.number === stepNumber)) {
+      const nextFree = Math.max(...result.steps.filter(s => s.type === 'SCHRITT').map(s => s.number)) + 1;
+      this.diagnostics.report('duplicate_step_number', {
+        message: `SCHRITT ${stepNumber} is declared more than once`,
+        lineNumber: node.lineNumber,
+        fix: { description: `Renumber to SCHRITT ${nextFree}`, replacement: node.content.replace(/\d+/, String(nextFree)) }
+      });
+    }
+    
     const schrittStep = {
       type: 'SCHRITT',
       number: stepNumber,
+      keyword: node.content.match(/^([^\s:]+)/)[1].toUpperCase(),
       description: this.extractDescription(node.content),
       entryConditions: this.extractConditionsFromChildren(node.children),
       exitConditions: [],
-      transitions: [],
+      actions: this.extractActionsFromChildren(node.children),
+      transitions: this.consumePendingTransitions(stepNumber),
+      annotations: node.annotations || [],
       lineNumber: node.lineNumber
     };
     
-    this.log('⚡ Created SCHRITT step', { 
+    this.logger.debug('⚡ Created SCHRITT step', { 
       number: stepNumber, 
       description: schrittStep.description,
       conditionGroups: schrittStep.entryConditions.length
@@ -246,6 +866,68 @@ export class HierarchicalParser {
     result.steps.push(schrittStep);
   }
 
+  /**
+   * Process END step (KLAAR/FERTIG/END) - numbered after the highest SCHRITT so far
+   */
+  processEndStep(node, result) {
+    const highestStep = result.steps
+      .filter(s => s.type === 'SCHRITT')
+      .reduce((max, s) => Math.max(max, s.number), 0);
+    const stepNumber = highestStep + 1;
+    
+    const endStep = {
+      type: 'END',
+      number: stepNumber,
+      keyword: node.content.match(/^([^\s:]+)/)[1].toUpperCase(),
+      description: this.extractDescription(node.content),
+      entryConditions: this.extractConditionsFromChildren(node.children),
+      exitConditions: [],
+      actions: this.extractActionsFromChildren(node.children),
+      transitions: this.consumePendingTransitions(stepNumber),
+      annotations: node.annotations || [],
+      lineNumber: node.lineNumber
+    };
+    
+    this.logger.debug('🏁 Created END step', { number: stepNumber, description: endStep.description });
+    result.steps.push(endStep);
+  }
+
+  /**
+   * Extract set/reset/assignment actions from child nodes
+   */
+  extractActionsFromChildren(children) {
+    return children
+      .filter(child => child.contentType === 'action')
+      .map(child => {
+        this.consumedLines.add(child.lineNumber);
+        return { ...this.parseAction(child.content), lineNumber: child.lineNumber };
+      });
+  }
+
+  /**
+   * Parse "X SETZEN" / "X RÜCKSETZEN" / "X := value" into { operation, target, value, keyword }
+   */
+  parseAction(content) {
+    const classifiers = this.getClassifiers();
+    
+    const resetMatch = content.match(classifiers.resetAction);
+    if (resetMatch) {
+      return { operation: 'RESET', target: resetMatch[1].trim(), value: null, keyword: resetMatch[2] };
+    }
+    
+    const setMatch = content.match(classifiers.setAction);
+    if (setMatch) {
+      return { operation: 'SET', target: setMatch[1].trim(), value: null, keyword: setMatch[2] };
+    }
+    
+    const assignMatch = content.match(classifiers.assignAction);
+    if (assignMatch) {
+      return { operation: 'ASSIGN', target: assignMatch[1].trim(), value: assignMatch[2].trim(), keyword: ':=' };
+    }
+    
+    return null;
+  }
+
   /**
    * Extract conditions from child nodes
    */
@@ -253,9 +935,21 @@ export class HierarchicalParser {
     const conditionGroups = [];
     let currentGroup = { operator: 'AND', conditions: [] };
     
+    let continuation = null; // Operator a previous line ended with ("... UND")
+    
     for (const child of children) {
-      if (child.contentType === 'condition') {
-        const condition = this.parseCondition(child);
+      let condition = null;
+      if (child.contentType === 'condition' || 
+          child.contentType === 'cross_reference' ||
+          child.contentType === 'timer') {
+        condition = this.parseCondition(child);
+      } else if (child.contentType === 'block_start') {
+        condition = this.parseConditionBlock(child);
+      }
+      
+      if (condition) {
+        if (continuation === 'OR') condition.operator = 'OR';
+        continuation = condition.trailingOperator || null;
         
         if (condition.operator === 'OR' && currentGroup.conditions.length > 0) {
           // Start new OR group
@@ -278,23 +972,207 @@ export class HierarchicalParser {
    * Parse individual condition
    */
   parseCondition(conditionNode) {
+    const classifiers = this.getClassifiers();
     const content = conditionNode.content;
-    const isOr = content.startsWith('+');
-    const isNegated = /^(NIET|NOT|NICHT)\s+/i.test(content);
+    const isOr = content.startsWith(classifiers.orPrefix);
+    this.consumedLines.add(conditionNode.lineNumber);
+    
+    // Clean the condition text (OR prefix or a "-" bullet, then the NOT prefix)
+    let cleanContent = isOr
+      ? content.slice(classifiers.orPrefix.length).trim()
+      : content.replace(/^-\s*/, '');
+    
+    // Expression AST - the condition parser handles NOT itself, in any position
+    const parsed = classifiers.conditionParser.parse(cleanContent);
     
-    // Clean the condition text
-    let cleanContent = content.replace(/^[+\-]\s*/, '');
+    const isNegated = classifiers.notPrefix.test(cleanContent);
     if (isNegated) {
-      cleanContent = cleanContent.replace(/^(NIET|NOT|NICHT)\s+/i, '');
+      cleanContent = cleanContent.replace(classifiers.notPrefix, '');
     }
     
-    return {
+    const condition = {
       variable: cleanContent,
       isNot: isNegated,
       operator: isOr ? 'OR' : 'AND',
       lineNumber: conditionNode.lineNumber,
       indentLevel: conditionNode.indentLevel
     };
+    
+    condition.expression = parsed.expression;
+    if (parsed.trailingOperator) condition.trailingOperator = parsed.trailingOperator;
+    if (parsed.errors.length > 0) {
+      condition.expressionErrors = parsed.errors;
+      this.diagnostics?.report('invalid_condition', {
+        message: `Condition could not be fully parsed: ${parsed.errors.join('; ')}`,
+        lineNumber: conditionNode.lineNumber,
+        text: content
+      });
+    }
+    
+    const crossReference = this.parseCrossReference(cleanContent);
+    if (crossReference) {
+      condition.crossReference = { ...crossReference, lineNumber: conditionNode.lineNumber };
+    }
+    
+    const timer = this.parseTimer(cleanContent);
+    if (timer) {
+      condition.timer = { ...timer, lineNumber: conditionNode.lineNumber };
+    }
+    
+    if (conditionNode.annotations) condition.annotations = conditionNode.annotations;
+    
+    return condition;
+  }
+
+  /**
+   * Parse a timer ("Zeit 1800sek ??", "TIJD 0.5 h", "Reinigung 15 min") into a
+   * timer description. "Abstand 5 m" stays a plain condition: "m" needs a
+   * timer keyword or the "??" marker ("Zeit 5 m", "Nachlauf 5 m ??").
+   */
+  parseTimer(content) {
+    const classifiers = this.getClassifiers();
+    const match = content.match(classifiers.duration);
+    if (!match) return null;
+    
+    const duration = parseFloat(match[1].replace(',', '.'));
+    const unit = match[2].toLowerCase();
+    if (unit === 'm' && !(match[3] || classifiers.timerPrefix.test(content))) return null;
+    
+    return {
+      text: content,
+      duration,
+      unit,
+      normalizedMs: Math.round(duration * TIMER_UNITS[unit]),
+      timerIndex: null,
+      address: null
+    };
+  }
+
+  /**
+   * Parse a "[" ... "]" block into one condition whose expression combines its lines
+   */
+  parseConditionBlock(blockNode) {
+    const groups = this.extractConditionsFromChildren(blockNode.children);
+    this.consumedLines.add(blockNode.lineNumber);
+    
+    return {
+      variable: '[...]',
+      isNot: false,
+      isBlock: true,
+      operator: blockNode.content.startsWith(this.getClassifiers().orPrefix) ? 'OR' : 'AND',
+      groups,
+      expression: this.getClassifiers().conditionParser.fromGroups(groups),
+      lineNumber: blockNode.lineNumber,
+      indentLevel: blockNode.indentLevel
+    };
+  }
+
+  /**
+   * Attach timers to their owning step/variable and allocate a Tijd[n] slot per distinct timer
+   */
+  collectTimers(result) {
+    const arrayName = this.validationRules?.groups?.tijd?.implementation?.arrayName || 'Tijd';
+    const owners = [
+      ...result.steps.map(step => ({ owner: step, groups: step.entryConditions, key: `${step.type}${step.number}` })),
+      ...result.variables.map(variable => ({ owner: variable, groups: variable.conditions, key: variable.name }))
+    ];
+    const allocated = new Map(); // owner key + timer text -> index
+    
+    for (const { owner, groups, key } of owners) {
+      owner.timers = [];
+      
+      for (const condition of this.flattenConditions(groups)) {
+        if (!condition.timer) continue;
+        
+        const timerKey = `${key}|${condition.timer.text}`;
+        if (!allocated.has(timerKey)) {
+          const node = { content: condition.timer.text, lineNumber: condition.lineNumber };
+          allocated.set(timerKey, this.allocateArrayIndex('tijd', null, node, result));
+        }
+        
+        condition.timer.timerIndex = allocated.get(timerKey);
+        condition.timer.address = condition.timer.timerIndex !== null ? `${arrayName}[${condition.timer.timerIndex}]` : null;
+        owner.timers.push(condition.timer);
+      }
+    }
+  }
+
+  /**
+   * All conditions in a list of groups, including those inside "[...]" blocks
+   */
+  flattenConditions(groups = []) {
+    return groups.flatMap(group => group.conditions.flatMap(condition => 
+      condition.isBlock ? [condition, ...this.flattenConditions(condition.groups)] : [condition]
+    ));
+  }
+
+  /**
+   * Resolve action targets to variables and build one set/reset table row per
+   * target, checked against the group's validation.allowsSetResetTable flag
+   */
+  buildSetResetTable(result) {
+    const rows = new Map();
+    
+    for (const step of result.steps) {
+      for (const action of step.actions || []) {
+        const variable = result.variables.find(v => v.name.toLowerCase() === action.target.toLowerCase()) || null;
+        action.variable = variable ? variable.name : null;
+        action.address = variable ? variable.address : null;
+        
+        if (action.operation === 'ASSIGN') continue;
+        
+        if (!rows.has(action.target)) {
+          rows.set(action.target, {
+            target: action.target,
+            variable: action.variable,
+            group: variable ? variable.group : null,
+            address: action.address,
+            set: [],
+            reset: [],
+            allowed: true
+          });
+        }
+        
+        const row = rows.get(action.target);
+        const entry = { stepType: step.type, stepNumber: step.number, lineNumber: action.lineNumber };
+        if (action.operation === 'SET') row.set.push(entry);
+        else row.reset.push(entry);
+      }
+    }
+    
+    for (const row of rows.values()) {
+      const validation = this.validationRules?.groups?.[row.group]?.validation;
+      if (validation && validation.allowsSetResetTable === false) {
+        row.allowed = false;
+        this.diagnostics.report('set_reset_not_allowed', {
+          message: `"${row.target}" is set/reset in steps, but group ${row.group} does not allow a set/reset table`,
+          lineNumber: (row.set[0] || row.reset[0]).lineNumber
+        });
+      }
+      
+      const variable = result.variables.find(v => v.name === row.variable);
+      if (variable) variable.usesSetReset = true;
+    }
+    
+    result.setResetTable = Array.from(rows.values());
+  }
+
+  /**
+   * Attach combined expressions: step.entryExpression, variable.conditionExpression
+   * and transition.guardExpression (OR over the AND groups)
+   */
+  attachExpressions(result) {
+    const conditionParser = this.getClassifiers().conditionParser;
+    
+    result.steps.forEach(step => {
+      step.entryExpression = conditionParser.fromGroups(step.entryConditions);
+    });
+    result.variables.forEach(variable => {
+      variable.conditionExpression = conditionParser.fromGroups(variable.conditions);
+    });
+    result.transitions.forEach(transition => {
+      transition.guardExpression = conditionParser.fromGroups(transition.guard);
+    });
   }
 
   /**
@@ -306,40 +1184,108 @@ export class HierarchicalParser {
     // Find RUST step and ensure it has no entry conditions
     const rustStep = steps.find(s => s.type === 'RUST');
     if (rustStep && rustStep.entryConditions.length > 0) {
-      this.log('🚨 ERROR: RUST step has entry conditions - removing them!');
+      this.diagnostics.report('rust_entry_conditions', {
+        message: 'RUST cannot have entry conditions, removing them',
+        lineNumber: rustStep.lineNumber
+      });
       rustStep.entryConditions = [];
     }
     
-    // Apply RUST implicit logic: RUST = NICHT (all SCHRITT steps)
+    // Apply RUST implicit logic: RUST = NICHT (all SCHRITT steps) UND NICHT END
     if (rustStep) {
-      const schrittSteps = steps.filter(s => s.type === 'SCHRITT');
-      rustStep.implicitConditions = schrittSteps.map(s => ({
+      const activeSteps = steps.filter(s => s.type === 'SCHRITT' || s.type === 'END');
+      rustStep.implicitConditions = activeSteps.map(s => ({
         type: 'implicit',
-        text: `NICHT SCHRITT ${s.number}`,
+        text: s.type === 'END' ? `NICHT ${s.keyword}` : `NICHT SCHRITT ${s.number}`,
         negated: true,
         stepReference: s.number
       }));
       
-      this.log('🔄 Applied RUST implicit logic', { 
+      this.logger.debug('🔄 Applied RUST implicit logic', { 
         implicitConditions: rustStep.implicitConditions.length 
       });
     }
   }
 
+  /**
+   * Chain-level checks: exactly one RUST, at most one END, END reachable from RUST
+   */
+  validateStepChain(result) {
+    const rustSteps = result.steps.filter(s => s.type === 'RUST');
+    const endSteps = result.steps.filter(s => s.type === 'END');
+    
+    if (rustSteps.length !== 1) {
+      this.diagnostics.report(rustSteps.length === 0 ? 'missing_rust' : 'multiple_rust', {
+        message: `Step chain must have exactly one RUST step, found ${rustSteps.length}`,
+        lineNumber: rustSteps[1]?.lineNumber ?? null
+      });
+    }
+    
+    if (endSteps.length > 1) {
+      this.diagnostics.report('multiple_end', {
+        message: `Step chain may have at most one END step, found ${endSteps.length}`,
+        lineNumber: endSteps[1].lineNumber
+      });
+    }
+    
+    const reachable = this.findReachableSteps(result.transitions, 0);
+    const endReachable = endSteps.length > 0 && rustSteps.length > 0 && reachable.has(endSteps[0].number);
+    
+    if (endSteps.length > 0 && rustSteps.length > 0 && !endReachable) {
+      this.diagnostics.report('end_unreachable', {
+        message: `${endSteps[0].keyword} step is not reachable from RUST`,
+        lineNumber: endSteps[0].lineNumber
+      });
+    }
+    
+    result.stepChain = {
+      rustCount: rustSteps.length,
+      endCount: endSteps.length,
+      endReachable,
+      complete: rustSteps.length === 1 && endSteps.length === 1 && endReachable
+    };
+  }
+
+  /**
+   * Breadth-first search over transitions from a start step number
+   */
+  findReachableSteps(transitions, startStep) {
+    const reachable = new Set([startStep]);
+    const queue = [startStep];
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const transition of transitions) {
+        if (transition.fromStep === current && !reachable.has(transition.toStep)) {
+          reachable.add(transition.toStep);
+          queue.push(transition.toStep);
+        }
+      }
+    }
+    
+    return reachable;
+  }
+
   /**
    * Extract step description from content
    */
   extractDescription(content) {
-    const match = content.match(/^(RUST|RUHE|IDLE|SCHRITT|STAP|STEP)(?:\s+\d+)?\s*:\s*(.+)$/i);
-    return match ? match[2].trim() : content;
+    const match = content.match(this.getClassifiers().description);
+    if (match) return match[2].trim();
+    
+    const learned = this.matchLearnedStep(content);
+    return learned ? learned.description : content;
   }
 
   /**
    * Extract step number from content
    */
   extractStepNumber(content) {
-    const match = content.match(/^(SCHRITT|STAP|STEP)\s+(\d+)/i);
-    return match ? parseInt(match[2]) : 1;
+    const match = content.match(this.getClassifiers().stepNumber);
+    if (match) return parseInt(match[2]);
+    
+    const learned = this.matchLearnedStep(content);
+    return learned ? learned.number : 1;
   }
 
   /**
@@ -351,7 +1297,13 @@ export class HierarchicalParser {
       variables: [],
       errors: [],
       warnings: [],
+      diagnostics: [],
       crossReferences: [],
+      transitions: [],
+      setResetTable: [],
+      dataAssignments: [],
+      dataStructures: [],
+      stepChain: null,
       metadata: {}
     };
   }
@@ -360,32 +1312,338 @@ export class HierarchicalParser {
    * Process variable declaration
    */
   processVariable(node, result) {
-    // TODO: Implement variable processing
-    this.log('📋 Processing variable', { content: node.content });
+    const declaration = this.parseVariableDeclaration(node.content);
+    const groupKey = this.classifyVariable(node.content, declaration, node.section?.group);
+    const implementation = this.validationRules?.groups?.[groupKey]?.implementation || {};
+    const index = this.allocateArrayIndex(groupKey, declaration.number, node, result);
+    
+    const variable = {
+      name: declaration.name,
+      prefix: declaration.prefix,
+      number: declaration.number,
+      alias: declaration.alias,
+      group: groupKey,
+      dataType: implementation.dataType || null,
+      arrayName: implementation.arrayName || null,
+      index,
+      address: index !== null && implementation.arrayName ? `${implementation.arrayName}[${index}]` : null,
+      initialValue: this.parseInitialValue(declaration.rawValue),
+      rawValue: declaration.rawValue,
+      conditions: this.extractConditionsFromChildren(node.children),
+      section: node.section ? node.section.name : null,
+      annotations: node.annotations || [],
+      lineNumber: node.lineNumber
+    };
+    
+    this.logger.debug('📋 Created variable', { name: variable.name, group: groupKey, address: variable.address });
+    result.variables.push(variable);
+  }
+
+  /**
+   * Split a declaration into name, prefix, numbered form and raw value
+   */
+  parseVariableDeclaration(content) {
+    const [, left, rawValue] = content.match(/^(.*?)\s*=\s*(.*)$/);
+    const numbered = left.match(/^(Variable|Variabele|Variabel)\s+(\d+)\s*(?:\(([^)]*)\))?$/i);
+    const prefixed = left.match(/^([A-ZÄÖÜ]+)\s*:\s*(.+)$/);
+    
+    return {
+      name: left.trim(),
+      prefix: prefixed ? prefixed[1] : null,
+      number: numbered ? parseInt(numbered[2]) : null,
+      alias: numbered && numbered[3] ? numbered[3].trim() : null,
+      rawValue: rawValue.trim()
+    };
+  }
+
+  /**
+   * Convert raw initial value text into a number/boolean where possible
+   */
+  parseInitialValue(rawValue) {
+    if (rawValue === '') return null;
+    if (/^-?\d+$/.test(rawValue)) return parseInt(rawValue);
+    if (/^-?\d*\.\d+$/.test(rawValue)) return parseFloat(rawValue);
+    if (/^(TRUE|FALSE)$/i.test(rawValue)) return rawValue.toUpperCase() === 'TRUE';
+    return rawValue;
+  }
+
+  /**
+   * Classify a variable into a validation-rule group
+   */
+  classifyVariable(content, declaration, sectionGroup = null) {
+    const groups = this.validationRules?.groups || {};
+    
+    // Numbered "Variable N (alias)" declarations are always general variables
+    if (declaration.number !== null) return 'variabele';
+    
+    let groupKey = null;
+    for (const key of this.getGroupPriority(groups)) {
+      const group = groups[key];
+      const patterns = this.compilePatterns(group.patterns);
+      const excludePatterns = this.compilePatterns(group.excludePatterns);
+      
+      if (patterns.some(p => p.test(content)) && !excludePatterns.some(p => p.test(content))) {
+        groupKey = key;
+        break;
+      }
+    }
+    groupKey = groupKey || this.classifyVariableByKeywords(declaration);
+    
+    // A section heading decides for names that only fell into a catch-all group
+    if (sectionGroup && groups[sectionGroup] && sectionGroup !== groupKey && 
+        ['hulpmerker', 'variabele'].includes(groupKey)) {
+      const excludePatterns = this.compilePatterns(groups[sectionGroup].excludePatterns);
+      if (!excludePatterns.some(p => p.test(content))) return sectionGroup;
+    }
+    
+    return groupKey;
+  }
+
+  /**
+   * Order groups so that specific groups are tried before the catch-all hulpmerker
+   */
+  getGroupPriority(groups) {
+    const specific = ['storing', 'melding', 'tijd', 'teller', 'variabele'];
+    const keys = Object.keys(groups);
+    
+    return [
+      ...specific.filter(key => keys.includes(key)),
+      ...keys.filter(key => !specific.includes(key) && key !== 'hulpmerker'),
+      ...keys.filter(key => key === 'hulpmerker')
+    ];
+  }
+
+  /**
+   * Fallback classification using syntaxRules.variableDetection keyword lists
+   */
+  classifyVariableByKeywords(declaration) {
+    const detection = this.syntaxRules?.variableDetection || {};
+    const keywordGroups = [
+      ['storing', detection.storingKeywords],
+      ['melding', detection.meldingKeywords],
+      ['tijd', detection.timerKeywords],
+      ['teller', detection.counterKeywords],
+      ['hulpmerker', detection.markerKeywords]
+    ];
+    
+    const upperName = declaration.name.toUpperCase();
+    for (const [groupKey, keywords] of keywordGroups) {
+      if ((keywords || []).some(keyword => upperName.startsWith(keyword.toUpperCase()))) {
+        return groupKey;
+      }
+    }
+    
+    return declaration.rawValue === '' ? 'hulpmerker' : 'variabele';
+  }
+
+  /**
+   * Compile pattern list entries (RegExp, string or { source, flags }) into RegExps
+   */
+  compilePatterns(patterns = []) {
+    return patterns.map(pattern => this.toRegExp(pattern)).filter(Boolean);
+  }
+
+  toRegExp(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    
+    try {
+      if (typeof pattern === 'string') return new RegExp(pattern);
+      if (pattern && typeof pattern.source === 'string') return new RegExp(pattern.source, pattern.flags || '');
+    } catch (error) {
+      this.logger.error('⚠️ Invalid pattern in rules', { pattern, error: error.message });
+    }
+    
+    // Lost patterns ({}) from old rule files cannot be applied
+    return null;
+  }
+
+  /**
+   * Allocate an array index within the group's implementation.arrayRange
+   */
+  allocateArrayIndex(groupKey, preferredIndex, node, result) {
+    const range = this.validationRules?.groups?.[groupKey]?.implementation?.arrayRange;
+    if (!range) return null;
+    
+    const [start, end] = range;
+    if (!this.arrayAllocations.has(groupKey)) {
+      this.arrayAllocations.set(groupKey, new Set());
+    }
+    const used = this.arrayAllocations.get(groupKey);
+    
+    let index = null;
+    if (preferredIndex !== null && preferredIndex >= start && preferredIndex <= end && !used.has(preferredIndex)) {
+      index = preferredIndex;
+    } else {
+      for (let i = start; i <= end; i++) {
+        if (!used.has(i)) {
+          index = i;
+          break;
+        }
+      }
+    }
+    
+    if (index === null) {
+      this.diagnostics.report('array_range_overflow', {
+        group: groupKey,
+        message: `No free index in ${groupKey} range [${start}..${end}] for "${node.content}"`,
+        lineNumber: node.lineNumber
+      });
+      return null;
+    }
+    
+    used.add(index);
+    return index;
   }
 
   /**
    * Process cross-reference
    */
   processCrossReference(node, result) {
-    // TODO: Implement cross-reference processing
-    this.log('🔗 Processing cross-reference', { content: node.content });
+    const crossReference = this.parseCrossReference(node.content);
+    if (!crossReference) return;
+    
+    result.crossReferences.push({
+      ...crossReference,
+      source: null,
+      section: node.section ? node.section.name : null,
+      annotations: node.annotations || [],
+      lineNumber: node.lineNumber
+    });
+    
+    this.logger.debug('🔗 Created cross-reference', { 
+      targetProgram: crossReference.targetProgram, 
+      steps: crossReference.steps 
+    });
+  }
+
+  /**
+   * Parse "Description (Program [FBnnn] SCHRITT X+Y)" or "Description (Program RUHE)"
+   */
+  parseCrossReference(content) {
+    const classifiers = this.getClassifiers();
+    const stepMatch = content.match(classifiers.crossReferenceStep);
+    const rustMatch = !stepMatch && content.match(classifiers.crossReferenceRust);
+    const match = stepMatch || rustMatch;
+    if (!match) return null;
+    
+    const programMatch = match[2].match(/^(.*?)\s+FB\s*(\d+)$/i);
+    
+    return {
+      description: match[1].trim(),
+      targetProgram: (programMatch ? programMatch[1] : match[2]).trim(),
+      fbNumber: programMatch ? parseInt(programMatch[2]) : null,
+      stepType: stepMatch ? 'SCHRITT' : 'RUST',
+      keyword: match[3].toUpperCase(),
+      steps: stepMatch ? match[4].split('+').map(step => parseInt(step.trim())) : [0]
+    };
+  }
+
+  /**
+   * Push cross-references found in step/variable conditions to the result
+   * and link each condition to its entry via crossReferenceId
+   */
+  collectCrossReferences(result) {
+    const owners = [
+      ...result.steps.map(step => ({ 
+        groups: step.entryConditions, 
+        source: { type: step.type, number: step.number } 
+      })),
+      ...result.variables.map(variable => ({ 
+        groups: variable.conditions, 
+        source: { type: 'VARIABLE', name: variable.name } 
+      }))
+    ];
+    
+    for (const owner of owners) {
+      for (const condition of this.flattenConditions(owner.groups)) {
+        if (!condition.crossReference) continue;
+        condition.crossReference.source = owner.source;
+        result.crossReferences.push(condition.crossReference);
+      }
+    }
+    
+    result.crossReferences.sort((a, b) => a.lineNumber - b.lineNumber);
+    result.crossReferences.forEach((crossReference, index) => {
+      crossReference.id = index + 1;
+    });
+    
+    for (const owner of owners) {
+      for (const condition of this.flattenConditions(owner.groups)) {
+        if (condition.crossReference) {
+          condition.crossReferenceId = condition.crossReference.id;
+        }
+      }
+    }
   }
 
   /**
    * Process VON SCHRITT declaration
    */
   processVonSchritt(node, result) {
-    // TODO: Implement VON SCHRITT processing
-    this.log('↗️ Processing VON SCHRITT', { content: node.content });
+    const transition = {
+      fromStep: this.extractStepNumber(node.content.replace(this.getClassifiers().vonPrefix, '')),
+      toStep: null,
+      guard: this.extractConditionsFromChildren(node.children),
+      operator: node.content.startsWith(this.getClassifiers().orPrefix) ? 'OR' : 'AND',
+      implicit: false,
+      lineNumber: node.lineNumber
+    };
+    
+    this.logger.debug('↗️ Created VON SCHRITT transition', { fromStep: transition.fromStep });
+    this.pendingTransitions.push(transition);
+  }
+
+  /**
+   * Attach collected VON SCHRITT blocks to the step that follows them.
+   * Each block is one OR-alternative; the step's own entry conditions apply to all of them.
+   */
+  consumePendingTransitions(toStep) {
+    const transitions = this.pendingTransitions.map((transition, index) => ({
+      ...transition,
+      toStep,
+      alternative: index + 1
+    }));
+    
+    this.pendingTransitions = [];
+    return transitions;
   }
 
   /**
-   * Debug logging
+   * Build result.transitions: explicit VON SCHRITT transitions, or an implicit
+   * transition from the previous step in document order
    */
-  log(message, data = {}) {
-    if (this.debugMode) {
-      console.log(message, data);
+  buildTransitionGraph(result) {
+    let previousStep = null;
+    
+    for (const step of result.steps) {
+      if (step.type === 'SCHRITT' || step.type === 'END') {
+        if (step.transitions.length > 0) {
+          result.transitions.push(...step.transitions);
+        } else if (previousStep) {
+          result.transitions.push({
+            fromStep: previousStep.number,
+            toStep: step.number,
+            guard: step.entryConditions,
+            operator: 'AND',
+            implicit: true,
+            alternative: 1,
+            lineNumber: step.lineNumber
+          });
+        }
+      }
+      
+      previousStep = step;
     }
+    
+    result.transitions.forEach((transition, index) => {
+      transition.id = index + 1;
+    });
+  }
+
+  /**
+   * Escape regex special characters
+   */
+  escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 }
\ No newline at end of file
@@ -0,0 +1,31 @@
+// =====================================================================
+// src/core/JsonLinesSink.js - JSON Lines Log Sink
+// =====================================================================
+// Writes each log entry as one JSON object per line (Node only).
+// Usage: logger.addSink(new JsonLinesSink('training.log.jsonl'))
+// =====================================================================
+
+import { openSync, writeSync, closeSync } from 'fs';
+
+/**
+ * Log sink that appends JSON lines to a file
+ */
+export class JsonLinesSink {
+  constructor(filePath, { append = false } = {}) {
+    this.filePath = filePath;
+    this.fd = openSync(filePath, append ? 'a' : 'w');
+  }
+
+  write(entry) {
+    if (this.fd === null) return;
+    writeSync(this.fd, JSON.stringify(entry) + '\n');
+  }
+
+  close() {
+    if (this.fd === null) return;
+    closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+export default JsonLinesSink;
@@ -0,0 +1,223 @@
+// =====================================================================
+// src/core/LValueParser.js - Structured Assignment Parser
+// =====================================================================
+// Parses array/member assignments into a path of identifiers and indices:
+// - "Horde[Aktive_Horde].Etage_Daten[1].Status = Besetzt"
+// - Ranges "Sensor_Array[1..16].Status = OK", "Timer_Block[T01..T20].Preset = 0"
+// Ranges expand into their element count, and assignments can be merged
+// into data-structure usages (arrays, members, leaf types) for UDT/struct
+// generation. Has no Node dependencies so the webapp can import it as well.
+// =====================================================================
+
+// "path = value" / "path := value" (not "==")
+const ASSIGNMENT_PATTERN = /^([^=<>!:\s][^=<>!:]*?)\s*:?=(?!=)\s*(.*)$/;
+
+const IDENTIFIER = /^[A-Za-z_ÄÖÜäöüß][\wÄÖÜäöüß]*$/;
+
+// "1..16" / "T01..T20"
+const RANGE_PATTERN = /^([A-Za-z_]*)(\d+)\s*\.\.\s*([A-Za-z_]*)(\d+)$/;
+
+/**
+ * Parser for structured lvalues and their assignments
+ */
+export class LValueParser {
+  /**
+   * Check whether a line is a structured assignment (path with [] or .)
+   */
+  isAssignment(text) {
+    return this.parseAssignment(text) !== null;
+  }
+
+  /**
+   * Parse "path = value" into { target, path, value, elementCount }, or null
+   */
+  parseAssignment(text) {
+    const match = text.match(ASSIGNMENT_PATTERN);
+    if (!match || !/[\[.]/.test(match[1])) return null;
+
+    const path = this.parsePath(match[1]);
+    if (!path) return null;
+
+    return {
+      target: match[1],
+      path,
+      value: this.parseValue(match[2].trim()),
+      elementCount: this.countElements(path)
+    };
+  }
+
+  /**
+   * Split "A[i].B[1].C" into [{ name, indices }] segments, or null when malformed
+   */
+  parsePath(text) {
+    const segments = [];
+    const regex = /([^.\[\]]+)((?:\[[^\]]*\])*)(?:\.|$)/y;
+    let position = 0;
+
+    while (position < text.length) {
+      regex.lastIndex = position;
+      const match = regex.exec(text);
+      if (!match || !IDENTIFIER.test(match[1])) return null;
+
+      const indices = [...match[2].matchAll(/\[([^\]]*)\]/g)]
+        .flatMap(index => index[1].split(',').map(part => this.parseIndex(part.trim())));
+      if (indices.includes(null)) return null;
+
+      segments.push({ name: match[1], indices });
+      position = regex.lastIndex;
+    }
+
+    return segments.length > 0 ? segments : null;
+  }
+
+  /**
+   * Index expression: number, identifier or range
+   */
+  parseIndex(text) {
+    if (/^\d+$/.test(text)) {
+      return { type: 'number', value: parseInt(text) };
+    }
+
+    const range = text.match(RANGE_PATTERN);
+    if (range) {
+      const [, fromPrefix, fromDigits, toPrefix, toDigits] = range;
+      if (fromPrefix !== toPrefix) return null;
+
+      const from = parseInt(fromDigits);
+      const to = parseInt(toDigits);
+      return {
+        type: 'range',
+        prefix: fromPrefix || null,
+        width: fromPrefix ? fromDigits.length : null,
+        from,
+        to,
+        count: Math.abs(to - from) + 1
+      };
+    }
+
+    if (IDENTIFIER.test(text)) {
+      return { type: 'identifier', name: text };
+    }
+
+    return null;
+  }
+
+  /**
+   * Number of elements an assignment writes (product of all range sizes)
+   */
+  countElements(path) {
+    return path.reduce((count, segment) =>
+      segment.indices.reduce((total, index) => total * (index.type === 'range' ? index.count : 1), count), 1);
+  }
+
+  /**
+   * Expand a range index into its element labels ("T01", "T02", ...)
+   */
+  expandRange(index) {
+    const step = index.from <= index.to ? 1 : -1;
+    const labels = [];
+    for (let i = index.from; i !== index.to + step; i += step) {
+      labels.push(index.prefix ? `${index.prefix}${String(i).padStart(index.width, '0')}` : i);
+    }
+    return labels;
+  }
+
+  /**
+   * Literal value with an inferred data type
+   */
+  parseValue(raw) {
+    if (/^-?\d+$/.test(raw)) return { raw, value: parseInt(raw), dataType: 'Int' };
+    if (/^-?\d+[.,]\d+$/.test(raw)) return { raw, value: parseFloat(raw.replace(',', '.')), dataType: 'Real' };
+    if (/^(TRUE|FALSE|WAHR|FALSCH|WAAR|ONWAAR)$/i.test(raw)) {
+      return { raw, value: /^(TRUE|WAHR|WAAR)$/i.test(raw), dataType: 'Bool' };
+    }
+    return { raw, value: raw, dataType: null };
+  }
+
+  /**
+   * Merge assignments into data-structure usages, one per root identifier:
+   * { name, kind: 'struct'|'value', array, dataType, values, members, usages }
+   * where array = { dimensions, bounds, indexTypes, prefixes } per dimension
+   */
+  collectStructures(assignments) {
+    const roots = new Map();
+
+    for (const assignment of assignments) {
+      let container = roots;
+      let node = null;
+
+      assignment.path.forEach((segment, position) => {
+        if (!container.has(segment.name)) {
+          container.set(segment.name, { name: segment.name, array: null, members: new Map(), dataType: null, values: [] });
+        }
+        node = container.get(segment.name);
+
+        if (segment.indices.length > 0) this.mergeArrayUsage(node, segment.indices);
+        if (position < assignment.path.length - 1) container = node.members;
+      });
+
+      this.mergeLeafType(node, assignment.value);
+      node.usages = (node.usages || 0) + assignment.elementCount;
+    }
+
+    return Array.from(roots.values()).map(root => this.toPlainStructure(root));
+  }
+
+  mergeArrayUsage(node, indices) {
+    if (!node.array) {
+      node.array = {
+        dimensions: indices.length,
+        bounds: indices.map(() => null),
+        indexTypes: indices.map(() => new Set()),
+        prefixes: indices.map(() => null)
+      };
+    }
+
+    indices.forEach((index, dimension) => {
+      node.array.indexTypes[dimension]?.add(index.type);
+      if (index.type === 'identifier') return;
+
+      const low = index.type === 'range' ? Math.min(index.from, index.to) : index.value;
+      const high = index.type === 'range' ? Math.max(index.from, index.to) : index.value;
+      const bounds = node.array.bounds[dimension];
+      node.array.bounds[dimension] = bounds
+        ? { min: Math.min(bounds.min, low), max: Math.max(bounds.max, high) }
+        : { min: low, max: high };
+      if (index.prefix) node.array.prefixes[dimension] = index.prefix;
+    });
+  }
+
+  mergeLeafType(node, value) {
+    if (!node.values.includes(value.raw)) node.values.push(value.raw);
+    if (!value.dataType) return;
+
+    // Int widens to Real; conflicting types stay unresolved
+    if (!node.dataType || node.dataType === value.dataType) {
+      node.dataType = value.dataType;
+    } else if ([node.dataType, value.dataType].every(type => type === 'Int' || type === 'Real')) {
+      node.dataType = 'Real';
+    } else {
+      node.dataType = 'Mixed';
+    }
+  }
+
+  toPlainStructure(node) {
+    const members = Array.from(node.members.values()).map(member => this.toPlainStructure(member));
+    return {
+      name: node.name,
+      kind: members.length > 0 ? 'struct' : 'value',
+      array: node.array ? {
+        dimensions: node.array.dimensions,
+        bounds: node.array.bounds,
+        indexTypes: node.array.indexTypes.map(types => Array.from(types)),
+        prefixes: node.array.prefixes
+      } : null,
+      dataType: members.length > 0 ? null : node.dataType,
+      values: members.length > 0 ? [] : node.values,
+      members,
+      usages: node.usages || 0
+    };
+  }
+}
+
+export default LValueParser;
@@ -0,0 +1,103 @@
+// =====================================================================
+// src/core/Logger.js - Pluggable Logger
+// =====================================================================
+// Leveled logging shared by HierarchicalParser, AutoTrainer and
+// PatternGenerator. Levels: silent < error < info < debug < trace.
+// Entries go to one or more sinks ({ write(entry) }); the console sink
+// prints the familiar emoji messages, JsonLinesSink (Node only) writes
+// one JSON object per line for tooling. Has no Node dependencies so the
+// webapp can import it as well.
+// =====================================================================
+
+export const LOG_LEVELS = {
+  silent: 0,
+  error: 1,
+  info: 2,
+  debug: 3,
+  trace: 4
+};
+
+/**
+ * Sink that prints entries to the console
+ */
+export class ConsoleSink {
+  write(entry) {
+    const print = entry.level === 'error' ? console.error : console.log;
+    if (entry.data === undefined) {
+      print(entry.message);
+    } else {
+      print(entry.message, entry.data);
+    }
+  }
+}
+
+/**
+ * Leveled logger with pluggable sinks
+ */
+export class Logger {
+  constructor({ level = 'info', name = null, sinks = [new ConsoleSink()] } = {}) {
+    this.setLevel(level);
+    this.name = name;
+    this.sinks = sinks;
+  }
+
+  setLevel(level) {
+    if (!(level in LOG_LEVELS)) {
+      throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+    this.level = level;
+  }
+
+  isEnabled(level) {
+    return level !== 'silent' && LOG_LEVELS[level] <= LOG_LEVELS[this.level];
+  }
+
+  addSink(sink) {
+    this.sinks.push(sink);
+    return this;
+  }
+
+  /**
+   * Logger for a component that shares this logger's level and sinks
+   */
+  child(name) {
+    const child = Object.create(this);
+    child.name = name;
+    return child;
+  }
+
+  log(level, message, data) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      logger: this.name,
+      message,
+      data
+    };
+
+    this.sinks.forEach(sink => sink.write(entry));
+  }
+
+  error(message, data) {
+    this.log('error', message, data);
+  }
+
+  info(message, data) {
+    this.log('info', message, data);
+  }
+
+  debug(message, data) {
+    this.log('debug', message, data);
+  }
+
+  trace(message, data) {
+    this.log('trace', message, data);
+  }
+}
+
+// Shared logger used when a component is not given one
+export const defaultLogger = new Logger();
+
+export default Logger;
@@ -0,0 +1,585 @@
+// =====================================================================
+// src/core/PLCopenExporter.js - PLCopen TC6 XML (IEC 61131-3 SFC) Export
+// =====================================================================
+// Turns a HierarchicalParser result into a PLCopen XML V2.01 project with
+// one function block whose body is a Sequential Function Chart:
+// - RUST is the initial step, every SCHRITT/END an SFC step
+// - One transition per StepLogic branch, the guard as inline ST; steps
+//   with several outgoing transitions get a selection divergence, and
+//   transitions that do not lead to the next step end in a jump
+// - Action blocks per step: "Zeit N sek ??" timers as D-qualified Bool
+//   flags (Tijd_1, ...) with the preset as duration, SET/RESET as P1
+//   (on entry) inline ST, assignments as N inline ST
+// - Markers assigned from their conditions in the POU action "Merker"
+// Steps without outgoing transitions end the chain, as in the source.
+// localIds are unique and in document order; the creation date is the
+// export time unless one is passed in (for byte-stable output).
+// Importable into CODESYS-based environments; XsdValidator checks the
+// output against PLCOPEN_SCHEMA.
+// =====================================================================
+
+import { fileURLToPath } from 'url';
+import { SymbolTable } from './SymbolTable.js';
+import { StepLogic } from './StepLogic.js';
+import { XmlWriter } from './XmlWriter.js';
+
+// Hand-written subset of the PLCopen XSD shipped with the repository, for
+// XsdValidator (the official tc6_xml_v201.xsd is not redistributed)
+export const PLCOPEN_SCHEMA = fileURLToPath(new URL('../../schemas/plcopen/tc6_xml_v201_subset.xsd', import.meta.url));
+
+const PLCOPEN_NAMESPACE = 'http://www.plcopen.org/xml/tc6_0201';
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+const ELEMENTARY_TYPES = ['BOOL', 'BYTE', 'WORD', 'DWORD', 'LWORD', 'SINT', 'INT', 'DINT', 'LINT',
+  'USINT', 'UINT', 'UDINT', 'ULINT', 'REAL', 'LREAL', 'TIME', 'DATE', 'DT', 'TOD'];
+
+const DERIVED_TYPES = { IEC_TIMER: 'TON', IEC_COUNTER: 'CTU' };
+
+const TRANSLITERATION = { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'Ä': 'Ae', 'Ö': 'Oe', 'Ü': 'Ue', 'ß': 'ss' };
+
+// Layout grid of the SFC (CODESYS only uses it for drawing)
+const COLUMN_WIDTH = 200;
+const ROW_HEIGHT = 60;
+
+/**
+ * Exporter for PLCopen XML projects with an SFC function block
+ */
+export class PLCopenExporter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.validationRules - Rules with the group arrays, see SymbolTable
+   * @param {string} options.companyName - fileHeader companyName (default: empty)
+   * @param {string} options.creationDateTime - fileHeader date (default: time of the export)
+   * @param {string} options.markerAction - Name of the POU action with the marker logic (default: Merker)
+   */
+  constructor(options = {}) {
+    this.options = {
+      validationRules: options.validationRules || {},
+      companyName: options.companyName || '',
+      productName: options.productName || 'standaardwerk-trainer',
+      productVersion: options.productVersion || '1.0.0',
+      creationDateTime: options.creationDateTime || null,
+      markerAction: options.markerAction || 'Merker',
+      stepArray: options.stepArray || 'Stap'
+    };
+  }
+
+  /**
+   * Export a parse result as a PLCopen XML project
+   * @param {Object} result - HierarchicalParser result
+   * @param {Object} block - { name, number } of the FB (default: program header)
+   */
+  export(result, block = {}) {
+    this.symbols = new SymbolTable(result, {
+      validationRules: this.options.validationRules,
+      stepArray: this.options.stepArray
+    });
+    this.timerArrays = new Set();
+    this.timerFlags = new Map(); // flag name -> { timer, instance, ton }
+
+    const logic = new StepLogic(this.symbols, { validationRules: this.options.validationRules });
+    const entries = logic.plan(result);
+    entries.filter(entry => entry.kind === 'timer').forEach(entry => this.addTimerFlag(entry));
+
+    const chart = this.buildChart(result, entries);
+    const markers = this.buildMarkers(entries);
+
+    return this.writeDocument({
+      name: PLCopenExporter.identifier(block.name || result.metadata?.programName || 'Schrittkette'),
+      number: block.number || result.metadata?.fbNumber || null,
+      metadata: result.metadata || {},
+      chart,
+      markers
+    });
+  }
+
+  /**
+   * Step timers become Bool flags driven by a D action; marker timers also
+   * need a TON instance in the marker action
+   */
+  addTimerFlag(entry) {
+    this.timerArrays.add(entry.instance.name);
+    const name = this.timerFlag(entry.instance);
+    this.timerFlags.set(name, {
+      timer: entry.timer,
+      instance: entry.instance,
+      ton: entry.fromSteps ? null : `${name}_TON`
+    });
+  }
+
+  timerFlag(reference) {
+    return `${PLCopenExporter.identifier(reference.name)}_${reference.index}`;
+  }
+
+  // ----- Chart -------------------------------------------------------------
+
+  /**
+   * SFC objects in document order, each with its localId (the actions of
+   * an action block are numbered right after the block)
+   */
+  buildChart(result, entries) {
+    const objects = [];
+    let localId = 0;
+    const add = object => {
+      object.localId = ++localId;
+      objects.push(object);
+      return object;
+    };
+
+    const steps = result.steps || [];
+    const branches = entries
+      .filter(entry => entry.kind === 'step')
+      .flatMap(entry => entry.branches.map(branch => ({ ...branch, step: entry.step })));
+    const actions = new Map(entries.filter(entry => entry.kind === 'actions').map(entry => [entry.step.number, entry]));
+    const timers = entries.filter(entry => entry.kind === 'timer' && entry.fromSteps);
+    const incoming = new Map(); // step number -> transition object leading into it
+    let row = 0;
+
+    steps.forEach((step, position) => {
+      const stepObject = add({
+        kind: 'step',
+        step,
+        name: this.stepName(step.number),
+        input: incoming.get(step.number) || null,
+        row: row++
+      });
+
+      const stepActions = this.buildActions(step, actions.get(step.number), timers);
+      if (stepActions.length > 0) {
+        add({ kind: 'actionBlock', step: stepObject, actions: stepActions, row: stepObject.row });
+        stepActions.forEach(action => {
+          action.localId = ++localId;
+        });
+      }
+
+      const outgoing = branches
+        .filter(branch => branch.transition.fromStep === step.number)
+        .sort((a, b) => (a.transition.lineNumber ?? 0) - (b.transition.lineNumber ?? 0));
+      if (outgoing.length === 0) return;
+
+      const source = outgoing.length > 1
+        ? add({ kind: 'selectionDivergence', input: stepObject, outputs: outgoing.length, row: row++ })
+        : stepObject;
+      const next = steps[position + 1];
+      let jumps = false;
+
+      outgoing.forEach((branch, column) => {
+        const transition = add({ kind: 'transition', branch, input: source, column, row });
+        const direct = column === 0 && next && branch.step.number === next.number && !incoming.has(next.number);
+
+        if (direct) {
+          incoming.set(next.number, transition);
+        } else {
+          add({ kind: 'jumpStep', input: transition, targetName: this.stepName(branch.step.number), column, row: row + 1 });
+          jumps = true;
+        }
+      });
+      row += jumps ? 2 : 1;
+    });
+
+    return objects;
+  }
+
+  /**
+   * Timer flags (D) for the timers that wait in this step, then the step's own actions
+   */
+  buildActions(step, entry, timers) {
+    const actions = [];
+
+    for (const { timer, instance, preset, fromSteps } of timers) {
+      if (!fromSteps.includes(step.number)) continue;
+      actions.push({
+        qualifier: 'D',
+        duration: preset,
+        reference: this.timerFlag(instance),
+        documentation: PLCopenExporter.withLine(timer.text, timer.lineNumber)
+      });
+    }
+
+    for (const { action, operation, target, dataType, value } of entry?.actions || []) {
+      const assigned = operation === 'ASSIGN'
+        ? this.value(value, dataType)
+        : operation === 'SET' ? 'TRUE' : 'FALSE';
+      const text = operation === 'ASSIGN' ? `${action.target} = ${action.value}` : `${action.keyword || operation} ${action.target}`;
+
+      actions.push({
+        qualifier: operation === 'ASSIGN' ? 'N' : 'P1',
+        inline: `${this.reference(target)} := ${assigned};`,
+        documentation: PLCopenExporter.withLine(text, action.lineNumber)
+      });
+    }
+
+    return actions;
+  }
+
+  /**
+   * ST of the marker action: TON calls for marker timers, then the coil assignments
+   */
+  buildMarkers(entries) {
+    const lines = [];
+
+    for (const entry of entries) {
+      if (entry.kind === 'timer' && !entry.fromSteps) {
+        const flag = this.timerFlag(entry.instance);
+        const { ton } = this.timerFlags.get(flag);
+        lines.push(`(* ${PLCopenExporter.withLine(entry.timer.text, entry.timer.lineNumber)} *)`);
+        lines.push(`${ton}(IN := ${this.expression(entry.start)}, PT := ${entry.preset});`);
+        lines.push(`${flag} := ${ton}.Q;`);
+      } else if (entry.kind === 'coil') {
+        lines.push(`(* ${PLCopenExporter.withLine(entry.variable.name, entry.variable.lineNumber)} *)`);
+        lines.push(`${this.reference(entry.target)} := ${this.expression(entry.logic)};`);
+      }
+    }
+
+    return lines;
+  }
+
+  // ----- Expressions -----------------------------------------------------
+
+  expression(logic) {
+    return StepLogic.formatExpression(logic, reference => this.reference(reference));
+  }
+
+  value(value, dataType) {
+    return value.reference ? this.reference(value.reference) : StepLogic.formatConstant(value.constant, dataType);
+  }
+
+  /**
+   * Steps are referenced by their active flag (SCHRITT_3.X), timers by their flag
+   */
+  reference(reference) {
+    if (reference.name === this.options.stepArray) return `${this.stepName(reference.index)}.X`;
+    if (this.timerArrays.has(reference.name)) return this.timerFlag(reference);
+
+    return PLCopenExporter.identifier(reference.name) + SymbolTable.format({ ...reference, name: '' });
+  }
+
+  stepName(number) {
+    return PLCopenExporter.identifier(this.symbols.stepLabel(number));
+  }
+
+  stepTitle(step) {
+    const label = this.symbols.stepLabel(step.number);
+    return step.description ? `${label}: ${step.description}` : label;
+  }
+
+  // ----- XML ---------------------------------------------------------------
+
+  writeDocument({ name, number, metadata, chart, markers }) {
+    const xml = new XmlWriter();
+    const title = metadata.programName || name;
+
+    xml.raw('<?xml version="1.0" encoding="utf-8"?>');
+    xml.open('project', { xmlns: PLCOPEN_NAMESPACE, 'xmlns:xhtml': XHTML_NAMESPACE });
+    xml.element('fileHeader', {
+      companyName: this.options.companyName,
+      productName: this.options.productName,
+      productVersion: this.options.productVersion,
+      creationDateTime: this.options.creationDateTime || new Date().toISOString().replace(/\.\d+Z$/, 'Z')
+    });
+    xml.open('contentHeader', { name: title, language: metadata.language || null });
+    const comment = [number ? `FB${number}` : null, metadata.idb ? `Instance DB: ${metadata.idb}` : null].filter(Boolean);
+    if (comment.length > 0) xml.element('Comment', {}, comment.join(', '));
+    xml.open('coordinateInfo');
+    for (const language of ['fbd', 'ld', 'sfc']) {
+      xml.open(language);
+      xml.element('scaling', { x: 1, y: 1 });
+      xml.close(language);
+    }
+    xml.close('coordinateInfo');
+    xml.close('contentHeader');
+
+    xml.open('types');
+    xml.element('dataTypes');
+    xml.open('pous');
+    xml.open('pou', { name, pouType: 'functionBlock' });
+    this.writeInterface(xml);
+    if (markers.length > 0) {
+      xml.open('actions');
+      xml.open('action', { name: this.options.markerAction });
+      this.writeBody(xml, 'body', markers.join('\n'));
+      xml.close('action');
+      xml.close('actions');
+    }
+    xml.open('body');
+    this.writeChart(xml, chart);
+    xml.close('body');
+    this.writeDocumentation(xml, markers.length > 0
+      ? `${title}: call the action ${this.options.markerAction} every cycle for the markers`
+      : title);
+    xml.close('pou');
+    xml.close('pous');
+    xml.close('types');
+
+    xml.open('instances');
+    xml.element('configurations');
+    xml.close('instances');
+    xml.close('project');
+
+    return xml.toString();
+  }
+
+  /**
+   * inputVars for condition operands, localVars for the group arrays, timer
+   * flags and TON instances; the step array is replaced by the SFC steps
+   */
+  writeInterface(xml) {
+    const inputs = this.symbols.getSection('Input');
+    const locals = this.symbols.getSection('Static')
+      .filter(member => member.name !== this.options.stepArray && !this.timerArrays.has(member.name));
+
+    xml.open('interface');
+    if (inputs.length > 0) {
+      xml.open('inputVars');
+      inputs.forEach(member => this.writeMember(xml, member));
+      xml.close('inputVars');
+    }
+
+    xml.open('localVars');
+    locals.forEach(member => this.writeMember(xml, member));
+    for (const [name, { timer, ton }] of this.timerFlags) {
+      const documentation = PLCopenExporter.withLine(timer.text, timer.lineNumber);
+      this.writeVariable(xml, name, () => xml.element('BOOL'), documentation);
+      if (ton) this.writeVariable(xml, ton, () => xml.element('derived', { name: 'TON' }), documentation);
+    }
+    xml.close('localVars');
+    xml.close('interface');
+  }
+
+  writeMember(xml, member) {
+    const comments = [
+      member.comment ? PLCopenExporter.withLine(member.comment, member.lineNumber) : null,
+      ...Array.from(member.elements.entries())
+        .map(([index, element]) => `[${index}] ${PLCopenExporter.withLine(element.comment, element.lineNumber)}`)
+    ].filter(Boolean);
+
+    this.writeVariable(
+      xml,
+      PLCopenExporter.identifier(member.name),
+      () => this.writeType(xml, member),
+      comments.join('\n'),
+      () => this.writeInitialValue(xml, member)
+    );
+  }
+
+  writeVariable(xml, name, writeType, documentation, writeInitialValue = () => {}) {
+    xml.open('variable', { name });
+    xml.open('type');
+    writeType();
+    xml.close('type');
+    writeInitialValue();
+    if (documentation) this.writeDocumentation(xml, documentation);
+    xml.close('variable');
+  }
+
+  writeType(xml, member) {
+    const type = PLCopenExporter.typeName(member.dataType);
+    const writeBase = () => (ELEMENTARY_TYPES.includes(type) ? xml.element(type) : xml.element('derived', { name: type }));
+
+    if (!member.range) {
+      writeBase();
+      return;
+    }
+
+    xml.open('array');
+    xml.element('dimension', { lower: member.range[0], upper: member.range[1] });
+    xml.open('baseType');
+    writeBase();
+    xml.close('baseType');
+    xml.close('array');
+  }
+
+  /**
+   * Start values; array elements without one get the type's zero, runs of
+   * equal values a repetitionValue
+   */
+  writeInitialValue(xml, member) {
+    const type = PLCopenExporter.typeName(member.dataType);
+    if (!ELEMENTARY_TYPES.includes(type)) return;
+
+    if (!member.range) {
+      const value = this.startValue(member.startValue, member.dataType);
+      if (value === null) return;
+      xml.open('initialValue');
+      xml.element('simpleValue', { value });
+      xml.close('initialValue');
+      return;
+    }
+
+    const values = [];
+    for (let index = member.range[0]; index <= member.range[1]; index++) {
+      values.push(this.startValue(member.elements.get(index)?.startValue, member.dataType));
+    }
+    if (values.every(value => value === null)) return;
+
+    const runs = [];
+    for (const value of values.map(value => value ?? StepLogic.formatConstant(0, member.dataType))) {
+      const last = runs[runs.length - 1];
+      if (last && last.value === value) last.count++;
+      else runs.push({ value, count: 1 });
+    }
+
+    xml.open('initialValue');
+    xml.open('arrayValue');
+    for (const { value, count } of runs) {
+      xml.open('value', { repetitionValue: count > 1 ? count : null });
+      xml.element('simpleValue', { value });
+      xml.close('value');
+    }
+    xml.close('arrayValue');
+    xml.close('initialValue');
+  }
+
+  startValue(text, dataType) {
+    if (text === null || text === undefined) return null;
+
+    const value = StepLogic.parseValue(text);
+    if (value.text !== undefined) return null;
+    if (dataType === 'Bool' && value.dataType !== 'Bool') return null;
+    return StepLogic.formatConstant(value.constant, dataType);
+  }
+
+  writeChart(xml, chart) {
+    xml.open('SFC');
+
+    for (const object of chart) {
+      const position = {
+        x: (object.column || 0) * COLUMN_WIDTH + (object.kind === 'actionBlock' ? COLUMN_WIDTH / 2 : 0),
+        y: object.row * ROW_HEIGHT
+      };
+
+      switch (object.kind) {
+        case 'step':
+          this.writeStep(xml, object, position);
+          break;
+        case 'actionBlock':
+          this.writeActionBlock(xml, object, position);
+          break;
+        case 'selectionDivergence':
+          this.writeDivergence(xml, object, position);
+          break;
+        case 'transition':
+          this.writeTransition(xml, object, position);
+          break;
+        default:
+          this.writeJump(xml, object, position);
+      }
+    }
+
+    xml.close('SFC');
+  }
+
+  writeStep(xml, { localId, step, name, input }, position) {
+    xml.open('step', { localId, name, initialStep: step.type === 'RUST' ? 'true' : null });
+    xml.element('position', position);
+    if (input) this.writeConnectionIn(xml, input);
+    xml.element('connectionPointOut');
+    xml.element('connectionPointOutAction');
+    this.writeDocumentation(xml, PLCopenExporter.withLine(this.stepTitle(step), step.lineNumber));
+    xml.close('step');
+  }
+
+  writeActionBlock(xml, { localId, step, actions }, position) {
+    xml.open('actionBlock', { localId });
+    xml.element('position', position);
+    this.writeConnectionIn(xml, step);
+
+    actions.forEach((action, index) => {
+      xml.open('action', { localId: action.localId, qualifier: action.qualifier, duration: action.duration || null });
+      xml.element('relPosition', { x: 0, y: index * 20 });
+      if (action.reference) {
+        xml.element('reference', { name: action.reference });
+      } else {
+        this.writeBody(xml, 'inline', action.inline);
+      }
+      this.writeDocumentation(xml, action.documentation);
+      xml.close('action');
+    });
+
+    xml.close('actionBlock');
+  }
+
+  writeDivergence(xml, { localId, input, outputs }, position) {
+    xml.open('selectionDivergence', { localId });
+    xml.element('position', position);
+    this.writeConnectionIn(xml, input);
+    for (let index = 0; index < outputs; index++) {
+      xml.open('connectionPointOut', { formalParameter: `out${index}` });
+      xml.element('relPosition', { x: index * COLUMN_WIDTH, y: 0 });
+      xml.close('connectionPointOut');
+    }
+    xml.close('selectionDivergence');
+  }
+
+  writeTransition(xml, { localId, branch, input, column }, position) {
+    const { transition, step, description } = branch;
+    const label = `${this.symbols.stepLabel(transition.fromStep)} -> ${this.symbols.stepLabel(step.number)}`;
+
+    xml.open('transition', { localId });
+    xml.element('position', position);
+    this.writeConnectionIn(xml, input, input.kind === 'selectionDivergence' ? `out${column}` : null);
+    xml.element('connectionPointOut');
+    xml.open('condition');
+    this.writeBody(xml, 'inline', this.expression(branch.guard), { name: `T${localId}` });
+    xml.close('condition');
+    this.writeDocumentation(xml, PLCopenExporter.withLine(description ? `${label}: ${description}` : label, transition.lineNumber));
+    xml.close('transition');
+  }
+
+  writeJump(xml, { localId, input, targetName }, position) {
+    xml.open('jumpStep', { localId, targetName });
+    xml.element('position', position);
+    this.writeConnectionIn(xml, input);
+    xml.close('jumpStep');
+  }
+
+  writeConnectionIn(xml, source, formalParameter = null) {
+    xml.open('connectionPointIn');
+    xml.element('connection', { refLocalId: source.localId, formalParameter });
+    xml.close('connectionPointIn');
+  }
+
+  writeBody(xml, element, text, attributes = {}) {
+    xml.open(element, attributes);
+    xml.open('ST');
+    xml.element('xhtml:p', {}, text);
+    xml.close('ST');
+    xml.close(element);
+  }
+
+  writeDocumentation(xml, text) {
+    xml.open('documentation');
+    xml.element('xhtml:p', {}, text);
+    xml.close('documentation');
+  }
+
+  // ----- Names -------------------------------------------------------------
+
+  /**
+   * IEC 61131-3 identifier (ASCII letters, digits, single underscores):
+   * "Rühren alle 30 Minuten" -> "Ruehren_alle_30_Minuten", "SCHRITT 3" -> "SCHRITT_3"
+   */
+  static identifier(text) {
+    const ascii = String(text)
+      .replace(/[äöüÄÖÜß]/g, character => TRANSLITERATION[character])
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+
+    return SymbolTable.toIdentifier(ascii).replace(/_+/g, '_');
+  }
+
+  /**
+   * SymbolTable datatype -> PLCopen type: Bool -> BOOL, IEC_TIMER -> TON
+   */
+  static typeName(dataType) {
+    const name = String(dataType || 'Bool');
+    if (DERIVED_TYPES[name]) return DERIVED_TYPES[name];
+    return ELEMENTARY_TYPES.includes(name.toUpperCase()) ? name.toUpperCase() : name;
+  }
+
+  static withLine(text, lineNumber) {
+    return lineNumber ? `${text} (line ${lineNumber})` : text;
+  }
+}
+
+export default PLCopenExporter;
@@ -7,13 +7,16 @@
 
 import { writeFileSync, readFileSync } from 'fs';
 import { join } from 'path';
+import { ruleCodec } from './RuleCodec.js';
+import { defaultLogger } from './Logger.js';
 
 /**
  * Automatic Pattern Generation System
  * Learns regex patterns from labeled training data
  */
 export class PatternGenerator {
-  constructor(options = {}) {
+  constructor({ logger, ...options } = {}) {
+    this.logger = (logger || defaultLogger).child('PatternGenerator');
     this.options = {
       minFrequency: options.minFrequency || 3,
       minPrecision: options.minPrecision || 0.7,
@@ -32,7 +35,7 @@ export class PatternGenerator {
    * Load training data from AutoTrainer results
    */
   loadTrainingData(trainingResults) {
-    console.log('📚 Loading training data for pattern generation...');
+    this.logger.info('📚 Loading training data for pattern generation...');
     
     this.trainingData.clear();
     
@@ -59,9 +62,9 @@ export class PatternGenerator {
       }
     });
     
-    console.log(`📊 Loaded training data for ${this.trainingData.size} group types`);
+    this.logger.info(`📊 Loaded training data for ${this.trainingData.size} group types`);
     this.trainingData.forEach((data, groupType) => {
-      console.log(`  ${groupType}: ${data.length} examples`);
+      this.logger.debug(`  ${groupType}: ${data.length} examples`);
     });
   }
 
@@ -69,12 +72,12 @@ export class PatternGenerator {
    * Generate patterns for all group types
    */
   async generateAllPatterns() {
-    console.log('🔧 Generating patterns for all group types...');
+    this.logger.info('🔧 Generating patterns for all group types...');
     
     this.generatedPatterns.clear();
     
     for (const [groupType, examples] of this.trainingData) {
-      console.log(`\n🎯 Processing group: ${groupType}`);
+      this.logger.info(`🎯 Processing group: ${groupType}`);
       const patterns = await this.generatePatternsForGroup(groupType, examples);
       this.generatedPatterns.set(groupType, patterns);
     }
@@ -87,11 +90,11 @@ export class PatternGenerator {
    */
   async generatePatternsForGroup(groupType, examples) {
     if (examples.length < this.options.minFrequency) {
-      console.log(`⚠️  Not enough examples for ${groupType} (${examples.length} < ${this.options.minFrequency})`);
+      this.logger.info(`⚠️  Not enough examples for ${groupType} (${examples.length} < ${this.options.minFrequency})`);
       return [];
     }
     
-    console.log(`📝 Generating patterns for ${groupType} (${examples.length} examples)`);
+    this.logger.info(`📝 Generating patterns for ${groupType} (${examples.length} examples)`);
     
     const candidatePatterns = [];
     
@@ -111,7 +114,7 @@ export class PatternGenerator {
     const scoredPatterns = this.scorePatterns(candidatePatterns, examples);
     const filteredPatterns = this.filterPatterns(scoredPatterns);
     
-    console.log(`✅ Generated ${filteredPatterns.length} patterns for ${groupType}`);
+    this.logger.info(`✅ Generated ${filteredPatterns.length} patterns for ${groupType}`);
     
     return filteredPatterns;
   }
@@ -345,7 +348,8 @@ export class PatternGenerator {
         name: this.capitalizeFirst(groupType),
         description: `Auto-generated patterns for ${groupType}`,
         patterns: patterns.map(p => ({
-          pattern: p.pattern,
+          // Same flags as scorePatterns uses, so the exported rule matches what was scored
+          pattern: new RegExp(p.pattern, 'i'),
           description: p.description,
           type: p.type,
           precision: p.precision,
@@ -356,9 +360,9 @@ export class PatternGenerator {
       };
     });
     
-    // Write to file
-    writeFileSync(outputPath, JSON.stringify(validationConfig, null, 2));
-    console.log(`💾 Validation config exported to ${outputPath}`);
+    // Write to file (RegExps are kept as { source, flags })
+    writeFileSync(outputPath, ruleCodec.stringify(validationConfig));
+    this.logger.info(`💾 Validation config exported to ${outputPath}`);
     
     return validationConfig;
   }
@@ -404,7 +408,7 @@ export class PatternGenerator {
     });
     
     writeFileSync(outputPath, JSON.stringify(report, null, 2));
-    console.log(`📊 Pattern report generated: ${outputPath}`);
+    this.logger.info(`📊 Pattern report generated: ${outputPath}`);
     
     return report;
   }
@@ -0,0 +1,913 @@
+// =====================================================================
+// src/core/PdfTextExtractor.js - Offline PDF Text Extraction
+// =====================================================================
+// Extracts program descriptions from PDF exports into the indented text
+// form the parsers read:
+// - Text positions are read from the page content streams
+// - Indentation is rebuilt from the x-coordinate of each line
+// - Page headers and footers (repeated lines, page numbers) are stripped
+// - Lines that wrap across a page break are joined again
+// Every output line is mapped back to its page and y-coordinate.
+// Streams are inflated with zlib under Node and with DecompressionStream in
+// the browser, so the webapp can import it as well.
+// =====================================================================
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// Windows-1252 characters in 0x80-0x9F (WinAnsiEncoding), the rest is Latin-1
+const WIN_ANSI_EXTRA = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+  0x89: '‰', 0x8A: 'Š', 0x8B: '‹', 0x8C: 'Œ', 0x8E: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+  0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9A: 'š', 0x9B: '›',
+  0x9C: 'œ', 0x9E: 'ž', 0x9F: 'Ÿ'
+};
+
+// Glyph names used in /Differences encodings (single letters map to themselves)
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*', plus: '+',
+  comma: ',', hyphen: '-', period: '.', slash: '/', zero: '0', one: '1', two: '2', three: '3',
+  four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';',
+  less: '<', equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\',
+  bracketright: ']', underscore: '_', braceleft: '{', bar: '|', braceright: '}',
+  Adieresis: 'Ä', Odieresis: 'Ö', Udieresis: 'Ü', adieresis: 'ä', odieresis: 'ö', udieresis: 'ü',
+  germandbls: 'ß', eacute: 'é', egrave: 'è', Eacute: 'É', degree: '°', endash: '–', emdash: '—',
+  bullet: '•', quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”', fi: 'fi', fl: 'fl'
+};
+
+// "3", "iv", "- 3 -", "Seite 3 von 12", "Pagina 3 van 12", "Page 3 of 12", "3/12"
+const PAGE_NUMBER_PATTERN = /^(?:(?:seite|pagina|page|blad)\s*)?[-–]?\s*(?:\d+|[ivxlc]+)\s*[-–]?(?:\s*(?:von|van|of|\/)\s*\d+)?$/i;
+
+// Line endings that announce more of the same line on the next page
+const CONTINUATION_END = /(?:\b(?:UND|ODER|AND|OR|EN|OF)|[,+&(=])$/i;
+
+class PdfName {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+class PdfString {
+  constructor(value) {
+    this.value = value; // binary string, one char per byte
+  }
+}
+
+class PdfRef {
+  constructor(number, generation) {
+    this.number = number;
+    this.generation = generation;
+  }
+}
+
+class PdfOperator {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+const EOF = new PdfOperator(null);
+
+/**
+ * Tokenizer for PDF objects and content streams
+ */
+class PdfLexer {
+  constructor(text, position = 0) {
+    this.text = text;
+    this.position = position;
+  }
+
+  skipWhitespace() {
+    while (this.position < this.text.length) {
+      const char = this.text[this.position];
+      if (char === '%') {
+        while (this.position < this.text.length && !'\r\n'.includes(this.text[this.position])) this.position++;
+      } else if (' \t\r\n\f\0'.includes(char)) {
+        this.position++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  next() {
+    this.skipWhitespace();
+    if (this.position >= this.text.length) return EOF;
+
+    const char = this.text[this.position];
+    if (char === '/') return this.readName();
+    if (char === '(') return this.readString();
+    if (char === '[') {
+      this.position++;
+      return this.readArray();
+    }
+    if (char === '<') {
+      if (this.text[this.position + 1] === '<') {
+        this.position += 2;
+        return this.readDictionary();
+      }
+      return this.readHexString();
+    }
+    if (/[\d+\-.]/.test(char)) return this.readNumber();
+
+    return this.readKeyword();
+  }
+
+  readName() {
+    const match = this.text.slice(this.position + 1, this.position + 256).match(/^[^\s()<>[\]{}/%]*/);
+    this.position += 1 + match[0].length;
+    return new PdfName(match[0].replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+  }
+
+  readString() {
+    let value = '';
+    let depth = 0;
+    this.position++;
+
+    while (this.position < this.text.length) {
+      const char = this.text[this.position++];
+      if (char === '\\') {
+        const next = this.text[this.position++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        if (next in escapes) {
+          value += escapes[next];
+        } else if (/[0-7]/.test(next)) {
+          const octal = (next + this.text.slice(this.position, this.position + 2)).match(/^[0-7]{1,3}/)[0];
+          this.position += octal.length - 1;
+          value += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+        } else if (next === '\r') {
+          if (this.text[this.position] === '\n') this.position++;
+        } else if (next !== '\n') {
+          value += next;
+        }
+      } else if (char === '(') {
+        depth++;
+        value += char;
+      } else if (char === ')') {
+        if (depth === 0) break;
+        depth--;
+        value += char;
+      } else {
+        value += char;
+      }
+    }
+
+    return new PdfString(value);
+  }
+
+  readHexString() {
+    const end = this.text.indexOf('>', this.position);
+    const hex = this.text.slice(this.position + 1, end < 0 ? undefined : end).replace(/[^0-9a-fA-F]/g, '');
+    this.position = end < 0 ? this.text.length : end + 1;
+
+    let value = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      value += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+    }
+    return new PdfString(value);
+  }
+
+  readArray() {
+    const items = [];
+    for (;;) {
+      this.skipWhitespace();
+      if (this.position >= this.text.length) return items;
+      if (this.text[this.position] === ']') {
+        this.position++;
+        return items;
+      }
+      items.push(this.next());
+    }
+  }
+
+  readDictionary() {
+    const dictionary = {};
+    for (;;) {
+      this.skipWhitespace();
+      if (this.position >= this.text.length) return dictionary;
+      if (this.text.startsWith('>>', this.position)) {
+        this.position += 2;
+        return dictionary;
+      }
+
+      const key = this.next();
+      if (!(key instanceof PdfName)) continue; // Skip garbage instead of looping forever
+      dictionary[key.name] = this.next();
+    }
+  }
+
+  readNumber() {
+    const match = this.text.slice(this.position, this.position + 32).match(/^[+-]?(\d+\.?\d*|\.\d+)/);
+    if (!match) {
+      this.position++;
+      return this.next();
+    }
+    this.position += match[0].length;
+    const number = parseFloat(match[0]);
+
+    // "12 0 R" is a reference
+    if (Number.isInteger(number) && !match[0].includes('.')) {
+      const reference = this.text.slice(this.position, this.position + 16).match(/^\s+(\d+)\s+R(?![^\s()<>[\]{}/%])/);
+      if (reference) {
+        this.position += reference[0].length;
+        return new PdfRef(number, parseInt(reference[1]));
+      }
+    }
+
+    return number;
+  }
+
+  readKeyword() {
+    const match = this.text.slice(this.position, this.position + 64).match(/^[^\s()<>[\]{}/%]+/);
+    if (!match) {
+      this.position++; // Stray delimiter
+      return this.next();
+    }
+    this.position += match[0].length;
+
+    if (match[0] === 'true') return true;
+    if (match[0] === 'false') return false;
+    if (match[0] === 'null') return null;
+    return new PdfOperator(match[0]);
+  }
+
+  /**
+   * Skip inline image data ("BI ... ID <binary> EI")
+   */
+  skipInlineImage() {
+    const data = this.text.indexOf('ID', this.position);
+    const end = data < 0 ? -1 : this.text.slice(data + 2).search(/\sEI(?=\s|$)/);
+    this.position = end < 0 ? this.text.length : data + 2 + end + 3;
+  }
+}
+
+/**
+ * PDF text extractor with layout reconstruction
+ */
+export class PdfTextExtractor {
+  /**
+   * @param {Object} options
+   * @param {string} options.indent - Indentation per level (default two spaces, like the training texts)
+   * @param {number} options.indentTolerance - x-distance (pt) within which lines share a level
+   * @param {number} options.headerFooterLines - Lines at the top/bottom of a page checked for headers/footers
+   */
+  constructor(options = {}) {
+    this.options = {
+      indent: '  ',
+      indentTolerance: 4,
+      headerFooterLines: 2,
+      ...options
+    };
+  }
+
+  /**
+   * Check the "%PDF-" signature
+   */
+  isPdf(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const head = String.fromCharCode(...bytes.subarray(0, 1024));
+    return head.includes('%PDF-');
+  }
+
+  /**
+   * Extract indented text from PDF bytes (ArrayBuffer, Uint8Array or Buffer):
+   * { text, lineMap, pageCount, removedLines, joinedLines, warnings }
+   */
+  async extract(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (!this.isPdf(bytes)) {
+      throw new Error('Not a PDF file (missing %PDF header)');
+    }
+
+    const document = await this.readDocument(bytes);
+    const pages = this.getPages(document);
+    if (pages.length === 0) {
+      throw new Error('PDF contains no pages');
+    }
+
+    for (const [index, page] of pages.entries()) {
+      const fragments = await this.extractFragments(document, page);
+      page.number = index + 1;
+      page.lines = this.groupLines(fragments).map(line => ({ ...line, page: page.number }));
+    }
+
+    if (pages.every(page => page.lines.length === 0)) {
+      if (document.streamErrors.length > 0) {
+        throw new Error(`Could not decode ${document.streamErrors.length} PDF stream(s): ${document.streamErrors[0]}`);
+      }
+      throw new Error('PDF contains no extractable text (scanned pages need OCR first)');
+    }
+
+    const removedLines = this.stripHeadersAndFooters(pages);
+    const joinedLines = this.joinPageWraps(pages);
+    const lines = pages.flatMap(page => page.lines);
+    this.assignLevels(lines);
+
+    return {
+      text: lines.map(line => this.options.indent.repeat(line.level) + line.text).join('\n'),
+      lineMap: lines.map((line, index) => ({
+        line: index + 1,
+        page: line.page,
+        y: Math.round(line.y * 10) / 10,
+        x: Math.round(line.x * 10) / 10,
+        ...(line.continuedOn ? { continuedOn: line.continuedOn } : {})
+      })),
+      pageCount: pages.length,
+      removedLines,
+      joinedLines,
+      warnings: document.warnings
+    };
+  }
+
+  // -------------------------------------------------------------------
+  // Document structure
+  // -------------------------------------------------------------------
+
+  /**
+   * Read all indirect objects, including those packed in object streams
+   */
+  async readDocument(bytes) {
+    const text = toBinaryString(bytes);
+    if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(text)) {
+      throw new Error('Encrypted PDFs are not supported');
+    }
+
+    const document = { bytes, objects: new Map(), fonts: new Map(), warnings: [], streamErrors: [] };
+    const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+      const lexer = new PdfLexer(text, pattern.lastIndex);
+      const value = lexer.next();
+      const stream = this.locateStream(text, lexer.position, value);
+      document.objects.set(parseInt(match[1]), { value, stream });
+      pattern.lastIndex = stream ? stream.end : lexer.position;
+    }
+
+    for (const object of Array.from(document.objects.values())) {
+      if (object.value?.Type?.name === 'ObjStm') {
+        await this.readObjectStream(document, object);
+      }
+    }
+
+    return document;
+  }
+
+  locateStream(text, position, dictionary) {
+    const match = text.slice(position, position + 32).match(/^\s*stream\r?\n/);
+    if (!match) return null;
+
+    const start = position + match[0].length;
+    const length = dictionary?.Length;
+    if (typeof length === 'number' && /^\s*endstream/.test(text.slice(start + length, start + length + 32))) {
+      return { start, end: start + length };
+    }
+
+    // Length is missing or indirect: search for the end marker
+    const end = text.indexOf('endstream', start);
+    const data = text.slice(start, end < 0 ? text.length : end);
+    return { start, end: start + data.replace(/\r?\n$/, '').length };
+  }
+
+  async readObjectStream(document, object) {
+    const data = await this.decodeStream(document, object);
+    if (!data) return;
+
+    const text = toBinaryString(data);
+    const first = this.resolve(document, object.value.First);
+    const header = text.slice(0, first).trim().split(/\s+/).map(Number);
+
+    for (let i = 0; i + 1 < header.length; i += 2) {
+      if (document.objects.has(header[i])) continue; // Uncompressed (updated) objects win
+      const value = new PdfLexer(text, first + header[i + 1]).next();
+      document.objects.set(header[i], { value, stream: null });
+    }
+  }
+
+  resolve(document, value) {
+    let depth = 0;
+    while (value instanceof PdfRef && depth++ < 32) {
+      value = document.objects.get(value.number)?.value ?? null;
+    }
+    return value;
+  }
+
+  resolveObject(document, value) {
+    return value instanceof PdfRef ? document.objects.get(value.number) || null : null;
+  }
+
+  /**
+   * Decoded stream bytes, or null (with a warning) for unsupported filters
+   * and corrupt data; failures are kept in document.streamErrors so an empty
+   * result is not mistaken for a scanned PDF
+   */
+  async decodeStream(document, object) {
+    if (!object?.stream) return null;
+
+    let data = document.bytes.subarray(object.stream.start, object.stream.end);
+    const filter = this.resolve(document, object.value.Filter);
+    const filters = (Array.isArray(filter) ? filter : filter ? [filter] : []).map(entry => this.resolve(document, entry)?.name);
+
+    try {
+      for (const name of filters) {
+        if (name === 'FlateDecode' || name === 'Fl') {
+          data = await inflate(data);
+        } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+          data = decodeAsciiHex(data);
+        } else {
+          throw new Error(`unsupported filter ${name}`);
+        }
+      }
+    } catch (error) {
+      document.warnings.push(`Skipped stream: ${error.message}`);
+      document.streamErrors.push(error.message);
+      return null;
+    }
+
+    return data;
+  }
+
+  /**
+   * Pages in document order with their (inherited) resources
+   */
+  getPages(document) {
+    const pages = [];
+    const visited = new Set();
+
+    const visit = (node, inheritedResources) => {
+      if (!node || visited.has(node)) return;
+      visited.add(node);
+
+      const resources = this.resolve(document, node.Resources) || inheritedResources;
+      if (node.Kids) {
+        this.resolve(document, node.Kids).forEach(kid => visit(this.resolve(document, kid), resources));
+      } else if (node.Type?.name === 'Page') {
+        pages.push({ node, resources });
+      }
+    };
+
+    const catalog = Array.from(document.objects.values()).reverse()
+      .find(object => object.value?.Type?.name === 'Catalog');
+    if (catalog) visit(this.resolve(document, catalog.value.Pages), null);
+
+    // Damaged page tree: fall back to object order
+    if (pages.length === 0) {
+      Array.from(document.objects.entries())
+        .sort(([a], [b]) => a - b)
+        .filter(([, object]) => object.value?.Type?.name === 'Page')
+        .forEach(([, object]) => visit(object.value, null));
+    }
+
+    return pages;
+  }
+
+  // -------------------------------------------------------------------
+  // Content streams
+  // -------------------------------------------------------------------
+
+  async extractFragments(document, page) {
+    const contents = page.node.Contents;
+    const references = Array.isArray(this.resolve(document, contents)) ? this.resolve(document, contents) : [contents];
+    const parts = [];
+
+    for (const reference of references) {
+      const data = await this.decodeStream(document, this.resolveObject(document, reference));
+      if (data) parts.push(toBinaryString(data));
+    }
+
+    const fragments = [];
+    await this.runContent(document, parts.join('\n'), page.resources, IDENTITY, fragments, 0);
+    return fragments;
+  }
+
+  /**
+   * Interpret text operators and collect positioned text fragments
+   */
+  async runContent(document, content, resources, ctm, fragments, depth) {
+    const lexer = new PdfLexer(content);
+    const stack = [];
+    let state = { ctm, font: null, fontSize: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0, rise: 0 };
+    let textMatrix = IDENTITY;
+    let lineMatrix = IDENTITY;
+    let operands = [];
+
+    const moveLine = (tx, ty) => {
+      lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+      textMatrix = lineMatrix;
+    };
+
+    for (;;) {
+      const token = lexer.next();
+      if (token === EOF) break;
+      if (!(token instanceof PdfOperator)) {
+        operands.push(token);
+        continue;
+      }
+
+      switch (token.name) {
+        case 'q': stack.push({ ...state }); break;
+        case 'Q': if (stack.length > 0) state = stack.pop(); break;
+        case 'cm': state.ctm = multiply(operands.slice(0, 6), state.ctm); break;
+        case 'BT': textMatrix = lineMatrix = IDENTITY; break;
+        case 'Tf':
+          state.font = await this.getFont(document, resources, operands[0]);
+          state.fontSize = operands[1] || 0;
+          break;
+        case 'Tc': state.charSpacing = operands[0]; break;
+        case 'Tw': state.wordSpacing = operands[0]; break;
+        case 'Tz': state.scale = operands[0] / 100; break;
+        case 'TL': state.leading = operands[0]; break;
+        case 'Ts': state.rise = operands[0]; break;
+        case 'Td': moveLine(operands[0], operands[1]); break;
+        case 'TD':
+          state.leading = -operands[1];
+          moveLine(operands[0], operands[1]);
+          break;
+        case 'Tm':
+          textMatrix = lineMatrix = operands.slice(0, 6);
+          break;
+        case 'T*': moveLine(0, -state.leading); break;
+        case 'Tj':
+          textMatrix = this.showText(operands[0], state, textMatrix, fragments);
+          break;
+        case "'":
+          moveLine(0, -state.leading);
+          textMatrix = this.showText(operands[0], state, textMatrix, fragments);
+          break;
+        case '"':
+          [state.wordSpacing, state.charSpacing] = operands;
+          moveLine(0, -state.leading);
+          textMatrix = this.showText(operands[2], state, textMatrix, fragments);
+          break;
+        case 'TJ':
+          for (const item of operands[0] || []) {
+            textMatrix = typeof item === 'number'
+              ? multiply([1, 0, 0, 1, -item / 1000 * state.fontSize * state.scale, 0], textMatrix)
+              : this.showText(item, state, textMatrix, fragments);
+          }
+          break;
+        case 'Do':
+          await this.runFormXObject(document, resources, operands[0], state.ctm, fragments, depth);
+          break;
+        case 'BI':
+          lexer.skipInlineImage();
+          break;
+      }
+      operands = [];
+    }
+  }
+
+  async runFormXObject(document, resources, name, ctm, fragments, depth) {
+    const xobjects = this.resolve(document, resources?.XObject);
+    const object = this.resolveObject(document, xobjects?.[name?.name]);
+    if (!object || object.value?.Subtype?.name !== 'Form' || depth >= 8) return;
+
+    const data = await this.decodeStream(document, object);
+    if (!data) return;
+
+    const matrix = this.resolve(document, object.value.Matrix) || IDENTITY;
+    const formResources = this.resolve(document, object.value.Resources) || resources;
+    await this.runContent(document, toBinaryString(data), formResources, multiply(matrix, ctm), fragments, depth + 1);
+  }
+
+  /**
+   * Add one fragment for a shown string and return the advanced text matrix
+   */
+  showText(string, state, textMatrix, fragments) {
+    if (!(string instanceof PdfString) || !state.font) return textMatrix;
+
+    let text = '';
+    let advance = 0;
+    for (const glyph of this.decodeGlyphs(state.font, string.value)) {
+      text += glyph.char;
+      const wordSpacing = glyph.code === 32 && !state.font.twoByte ? state.wordSpacing : 0;
+      advance += (glyph.width / 1000 * state.fontSize + state.charSpacing + wordSpacing) * state.scale;
+    }
+
+    const matrix = multiply(textMatrix, state.ctm);
+    if (text.trim()) {
+      const start = transform(matrix, 0, state.rise);
+      fragments.push({
+        text,
+        x: start.x,
+        y: start.y,
+        endX: transform(matrix, advance, state.rise).x,
+        size: Math.abs(state.fontSize * Math.hypot(matrix[2], matrix[3])) || 1
+      });
+    }
+
+    return multiply([1, 0, 0, 1, advance, 0], textMatrix);
+  }
+
+  // -------------------------------------------------------------------
+  // Fonts
+  // -------------------------------------------------------------------
+
+  async getFont(document, resources, name) {
+    const fonts = this.resolve(document, resources?.Font);
+    const reference = fonts?.[name?.name];
+    const dictionary = this.resolve(document, reference);
+    if (!dictionary) return null;
+
+    if (!document.fonts.has(dictionary)) {
+      document.fonts.set(dictionary, await this.loadFont(document, dictionary));
+    }
+    return document.fonts.get(dictionary);
+  }
+
+  async loadFont(document, dictionary) {
+    const font = { twoByte: false, toUnicode: null, differences: new Map(), widths: new Map(), defaultWidth: 500 };
+
+    if (dictionary.Subtype?.name === 'Type0') {
+      font.twoByte = true;
+      const descendant = this.resolve(document, this.resolve(document, dictionary.DescendantFonts)?.[0]);
+      font.defaultWidth = this.resolve(document, descendant?.DW) ?? 1000;
+
+      const widths = this.resolve(document, descendant?.W) || [];
+      for (let i = 0; i < widths.length;) {
+        const first = this.resolve(document, widths[i]);
+        const next = this.resolve(document, widths[i + 1]);
+        if (Array.isArray(next)) {
+          next.forEach((width, offset) => font.widths.set(first + offset, this.resolve(document, width)));
+          i += 2;
+        } else {
+          for (let code = first; code <= next; code++) font.widths.set(code, this.resolve(document, widths[i + 2]));
+          i += 3;
+        }
+      }
+    } else {
+      const firstChar = this.resolve(document, dictionary.FirstChar) || 0;
+      (this.resolve(document, dictionary.Widths) || [])
+        .forEach((width, offset) => font.widths.set(firstChar + offset, this.resolve(document, width)));
+      font.defaultWidth = this.resolve(document, this.resolve(document, dictionary.FontDescriptor)?.MissingWidth) || 500;
+
+      const encoding = this.resolve(document, dictionary.Encoding);
+      let code = 0;
+      for (const entry of this.resolve(document, encoding?.Differences) || []) {
+        if (typeof entry === 'number') {
+          code = entry;
+        } else if (entry instanceof PdfName) {
+          font.differences.set(code++, glyphNameToUnicode(entry.name));
+        }
+      }
+    }
+
+    const toUnicode = await this.decodeStream(document, this.resolveObject(document, dictionary.ToUnicode));
+    if (toUnicode) {
+      const cmap = parseCMap(toBinaryString(toUnicode));
+      font.toUnicode = cmap.map;
+      if (cmap.codeLength) font.twoByte = cmap.codeLength === 2;
+    }
+
+    return font;
+  }
+
+  decodeGlyphs(font, value) {
+    const glyphs = [];
+    const step = font.twoByte ? 2 : 1;
+
+    for (let i = 0; i + step <= value.length; i += step) {
+      const code = step === 2
+        ? (value.charCodeAt(i) << 8) | value.charCodeAt(i + 1)
+        : value.charCodeAt(i);
+      const char = font.toUnicode?.get(code) ??
+                   font.differences.get(code) ??
+                   (font.twoByte ? '' : WIN_ANSI_EXTRA[code] || String.fromCharCode(code));
+
+      glyphs.push({ code, char, width: font.widths.get(code) ?? font.defaultWidth });
+    }
+
+    return glyphs;
+  }
+
+  // -------------------------------------------------------------------
+  // Layout reconstruction
+  // -------------------------------------------------------------------
+
+  /**
+   * Merge fragments on the same baseline into lines (top to bottom)
+   */
+  groupLines(fragments) {
+    const sorted = [...fragments].sort((a, b) => b.y - a.y || a.x - b.x);
+    const rows = [];
+
+    for (const fragment of sorted) {
+      const row = rows[rows.length - 1];
+      if (row && Math.abs(row.y - fragment.y) <= Math.max(1, fragment.size * 0.3)) {
+        row.fragments.push(fragment);
+      } else {
+        rows.push({ y: fragment.y, fragments: [fragment] });
+      }
+    }
+
+    return rows.map(row => {
+      const fragmentsByX = row.fragments.sort((a, b) => a.x - b.x);
+      let text = '';
+      let endX = null;
+
+      for (const fragment of fragmentsByX) {
+        if (endX !== null) {
+          const gap = fragment.x - endX;
+          // Wide gaps are tab stops, small ones word spaces
+          if (gap > fragment.size * 1.5) {
+            text = text.trimEnd() + '\t';
+          } else if (gap > fragment.size * 0.15 && !/\s$/.test(text) && !/^\s/.test(fragment.text)) {
+            text += ' ';
+          }
+        }
+        text += fragment.text;
+        endX = Math.max(endX ?? -Infinity, fragment.endX);
+      }
+
+      return { text: text.trim(), x: fragmentsByX[0].x, y: row.y };
+    }).filter(line => line.text);
+  }
+
+  /**
+   * Remove lines repeated at the top/bottom of most pages and page numbers
+   */
+  stripHeadersAndFooters(pages) {
+    const size = this.options.headerFooterLines;
+    const isEdge = (page, index) => index < size || index >= page.lines.length - size;
+    const key = line => line.text.replace(/\d+/g, '#').replace(/\s+/g, ' ').toLowerCase();
+
+    const pagesPerKey = new Map();
+    pages.forEach((page, pageIndex) => page.lines.forEach((line, index) => {
+      if (!isEdge(page, index)) return;
+      if (!pagesPerKey.has(key(line))) pagesPerKey.set(key(line), new Set());
+      pagesPerKey.get(key(line)).add(pageIndex);
+    }));
+
+    const threshold = Math.max(2, Math.ceil(pages.length / 2));
+    const removed = [];
+
+    for (const page of pages) {
+      page.lines = page.lines.filter((line, index) => {
+        if (!isEdge(page, index)) return true;
+
+        const repeated = pagesPerKey.get(key(line)).size >= threshold;
+        if (!repeated && !PAGE_NUMBER_PATTERN.test(line.text)) return true;
+
+        removed.push({ page: page.number, text: line.text });
+        return false;
+      });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Join the last line of a page with the first line of the next page
+   * when it continues there (hyphenation, lowercase start, open operator)
+   */
+  joinPageWraps(pages) {
+    const joined = [];
+    let previous = null;
+
+    for (const page of pages) {
+      const next = page.lines[0];
+      if (previous && next) {
+        const hyphenated = /[A-Za-zÄÖÜäöüß][-‐]$/.test(previous.text) && /^[a-zäöüß]/.test(next.text);
+        if (hyphenated || /^[a-zäöüß]/.test(next.text) || CONTINUATION_END.test(previous.text)) {
+          previous.text = hyphenated
+            ? previous.text.slice(0, -1) + next.text
+            : `${previous.text} ${next.text}`;
+          previous.continuedOn = { page: page.number, y: Math.round(next.y * 10) / 10 };
+          joined.push({ page: previous.page, text: previous.text });
+          page.lines.shift();
+        }
+      }
+      previous = page.lines[page.lines.length - 1] || previous;
+    }
+
+    return joined;
+  }
+
+  /**
+   * Level per line: rank of its x-position among the indentation stops
+   * (x-positions shared by at least two lines)
+   */
+  assignLevels(lines) {
+    const tolerance = this.options.indentTolerance;
+    const clusters = [];
+
+    for (const x of lines.map(line => line.x).sort((a, b) => a - b)) {
+      const cluster = clusters[clusters.length - 1];
+      if (cluster && x - cluster.max <= tolerance) {
+        cluster.max = x;
+        cluster.count++;
+      } else {
+        clusters.push({ min: x, max: x, count: 1 });
+      }
+    }
+
+    const repeated = clusters.filter(cluster => cluster.count >= 2);
+    const stops = repeated.length > 0 ? repeated : clusters;
+
+    for (const line of lines) {
+      line.level = Math.max(0, stops.filter(stop => stop.min <= line.x + tolerance).length - 1);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------
+
+function toBinaryString(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return text;
+}
+
+async function inflate(bytes) {
+  // Node 16 has no global DecompressionStream; the browser has no zlib
+  if (typeof process !== 'undefined' && process.versions?.node) {
+    const { inflateSync, constants } = await import('zlib');
+    // Sync flush tolerates streams that lack the final adler32 checksum
+    return new Uint8Array(inflateSync(bytes, { finishFlush: constants.Z_SYNC_FLUSH }));
+  }
+
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function decodeAsciiHex(bytes) {
+  const hex = toBinaryString(bytes).replace(/>.*$/s, '').replace(/[^0-9a-fA-F]/g, '');
+  const output = new Uint8Array(Math.ceil(hex.length / 2));
+  for (let i = 0; i < output.length; i++) {
+    output[i] = parseInt(hex.slice(i * 2, i * 2 + 2).padEnd(2, '0'), 16);
+  }
+  return output;
+}
+
+// a' = a1*a2 + b1*c2, ... (m1 applied first, then m2)
+function multiply(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [
+    a1 * a2 + b1 * c2,
+    a1 * b2 + b1 * d2,
+    c1 * a2 + d1 * c2,
+    c1 * b2 + d1 * d2,
+    e1 * a2 + f1 * c2 + e2,
+    e1 * b2 + f1 * d2 + f2
+  ];
+}
+
+function transform(matrix, x, y) {
+  return {
+    x: matrix[0] * x + matrix[2] * y + matrix[4],
+    y: matrix[1] * x + matrix[3] * y + matrix[5]
+  };
+}
+
+function glyphNameToUnicode(name) {
+  if (name in GLYPH_NAMES) return GLYPH_NAMES[name];
+  const unicode = name.match(/^(?:uni|u)([0-9A-Fa-f]{4,6})$/);
+  if (unicode) return String.fromCodePoint(parseInt(unicode[1], 16));
+  return name.length === 1 ? name : '';
+}
+
+/**
+ * ToUnicode CMap: code -> text, plus the code length of the codespace
+ */
+function parseCMap(text) {
+  const map = new Map();
+  const utf16 = hex => {
+    let value = '';
+    for (let i = 0; i < hex.length; i += 4) value += String.fromCharCode(parseInt(hex.slice(i, i + 4).padEnd(4, '0'), 16));
+    return value;
+  };
+
+  const codespace = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, source, target] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(source, 16), utf16(target));
+    }
+  }
+
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, low, high, target] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const from = parseInt(low, 16);
+      const to = Math.min(parseInt(high, 16), from + 0xFFFF);
+
+      if (target.startsWith('[')) {
+        [...target.matchAll(/<([0-9a-fA-F]*)>/g)].forEach(([, hex], offset) => map.set(from + offset, utf16(hex)));
+      } else {
+        const base = utf16(target.slice(1, -1));
+        for (let code = from; code <= to; code++) {
+          const last = base.charCodeAt(base.length - 1) + (code - from);
+          map.set(code, base.slice(0, -1) + String.fromCharCode(last));
+        }
+      }
+    }
+  }
+
+  return { map, codeLength: codespace ? codespace[1].length / 2 : null };
+}
+
+export default PdfTextExtractor;
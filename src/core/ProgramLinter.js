@@ -0,0 +1,391 @@
+// =====================================================================
+// src/core/ProgramLinter.js - Semantic Checks for Parse Results
+// =====================================================================
+// Checks a parsed program as a whole, after the line-level checks of the
+// parser:
+// - step_number_gap / duplicate_step_number: SCHRITT numbering
+// - unreachable_step: steps without a transition into them from RUST
+// - undeclared_variable: "STÖRUNG: x", "Variable 3", "Hulp[2]" operands
+//   without a declaration
+// - marker_never_reset: markers SET in a step but never RESET
+// - duplicate_fault_text: STÖRUNG texts declared more than once
+// - timer_capacity_exceeded: more timers than the tijd arrayRange holds
+// - mixed_language_keywords: SCHRITT/STAP/STEP keywords mixed in one program
+// Findings are reported through a DiagnosticCollector, so they appear in
+// result.diagnostics/errors/warnings like the parser's own diagnostics.
+// Severities default to DIAGNOSTIC_CODES; 'off' disables a check, unknown
+// codes are rejected.
+// =====================================================================
+
+import { DiagnosticCollector, DIAGNOSTIC_CODES, SEVERITY } from './Diagnostics.js';
+import { KEYWORD_LANGUAGES } from './HierarchicalParser.js';
+
+// Checks in the order they run, by diagnostic code
+export const LINT_RULES = [
+  'step_number_gap',
+  'duplicate_step_number',
+  'unreachable_step',
+  'undeclared_variable',
+  'marker_never_reset',
+  'duplicate_fault_text',
+  'timer_capacity_exceeded',
+  'mixed_language_keywords'
+];
+
+export const SEVERITY_OFF = 'off';
+
+// Operands that name a variable rather than a plain signal (same forms as declarations)
+const PREFIXED_PATTERN = /^([A-ZÄÖÜ]+)\s*:\s*(.+)$/;
+const NUMBERED_PATTERN = /^(?:Variable|Variabele|Variabel)\s+(\d+)$/i;
+const ADDRESS_PATTERN = /^([A-Za-z_]\w*)\[(\d+)\]$/;
+
+const FAULT_PREFIXES = ['STÖRUNG', 'STOERUNG', 'STORING', 'FAULT'];
+
+/**
+ * Rule-based semantic checks for HierarchicalParser results
+ */
+export class ProgramLinter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.severities - Per-code severity: error, warning, info or off
+   * @param {Object} options.validationRules - Rules with the group implementations (arrayRange of tijd)
+   * @param {string[]} options.markerGroups - Groups whose SET targets need a RESET (default: hulpmerker)
+   * @param {string} options.faultGroup - Group of the STÖRUNG variables (default: storing)
+   */
+  constructor(options = {}) {
+    this.options = {
+      severities: options.severities || {},
+      validationRules: options.validationRules || {},
+      markerGroups: options.markerGroups || ['hulpmerker'],
+      faultGroup: options.faultGroup || 'storing'
+    };
+
+    // A misspelt code would otherwise leave its check at the default severity
+    const unknown = Object.keys(this.options.severities).filter(code => !(code in DIAGNOSTIC_CODES));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown lint rule(s) in severities: ${unknown.join(', ')} (expected ${LINT_RULES.join(', ')})`);
+    }
+
+    const valid = [...Object.values(SEVERITY), SEVERITY_OFF];
+    for (const [code, severity] of Object.entries(this.options.severities)) {
+      if (!valid.includes(severity)) {
+        throw new Error(`Invalid severity "${severity}" for ${code} (expected ${valid.join(', ')})`);
+      }
+    }
+  }
+
+  /**
+   * Run all enabled checks. Findings are added to the result; a finding the
+   * parser already reported (same code and line) is not repeated.
+   * @returns {Array} The diagnostics added by the linter
+   */
+  lint(result) {
+    // Results of other parsers may only have errors/warnings
+    if (!result.diagnostics) {
+      result.diagnostics = [...(result.errors || []), ...(result.warnings || [])];
+    }
+    result.errors = result.errors || [];
+    result.warnings = result.warnings || [];
+
+    const collector = new DiagnosticCollector(result, new Map(), this.options.severities);
+    const reported = new Set(result.diagnostics.map(diagnostic => `${diagnostic.code}|${diagnostic.lineNumber}`));
+    const findings = [];
+
+    for (const code of LINT_RULES) {
+      if (this.options.severities[code] === SEVERITY_OFF) continue;
+
+      const report = details => {
+        const key = `${code}|${details.lineNumber ?? null}`;
+        if (reported.has(key)) return;
+        reported.add(key);
+        findings.push(collector.report(code, { ...details, source: 'lint' }));
+      };
+
+      this.check(code, result, report);
+    }
+
+    return findings;
+  }
+
+  check(code, result, report) {
+    switch (code) {
+      case 'step_number_gap': return this.checkStepNumberGaps(result, report);
+      case 'duplicate_step_number': return this.checkDuplicateSteps(result, report);
+      case 'unreachable_step': return this.checkUnreachableSteps(result, report);
+      case 'undeclared_variable': return this.checkUndeclaredVariables(result, report);
+      case 'marker_never_reset': return this.checkMarkersNeverReset(result, report);
+      case 'duplicate_fault_text': return this.checkDuplicateFaultTexts(result, report);
+      case 'timer_capacity_exceeded': return this.checkTimerCapacity(result, report);
+      case 'mixed_language_keywords': return this.checkMixedLanguage(result, report);
+      default: throw new Error(`Unknown lint rule: ${code}`);
+    }
+  }
+
+  // ----- Step chain ------------------------------------------------------
+
+  /**
+   * SCHRITT numbers run 1, 2, 3, ... without holes
+   */
+  checkStepNumberGaps(result, report) {
+    const steps = this.schrittSteps(result);
+    const numbers = [...new Set(steps.map(step => step.number))].sort((a, b) => a - b);
+    let expected = 1;
+
+    for (const number of numbers) {
+      if (number > expected) {
+        const step = steps.find(candidate => candidate.number === number);
+        const keyword = step.keyword || 'SCHRITT';
+        const missing = number - expected === 1 ? `${keyword} ${expected} is` : `${keyword} ${expected}..${number - 1} are`;
+        report({
+          message: `${missing} missing before ${keyword} ${number}`,
+          lineNumber: step.lineNumber,
+          fix: { description: `Renumber to ${keyword} ${expected}`, replacement: null }
+        });
+      }
+      expected = number + 1;
+    }
+  }
+
+  checkDuplicateSteps(result, report) {
+    const seen = new Map();
+
+    for (const step of this.schrittSteps(result)) {
+      if (seen.has(step.number)) {
+        report({
+          message: `${step.keyword || 'SCHRITT'} ${step.number} is declared more than once (first at line ${seen.get(step.number).lineNumber})`,
+          lineNumber: step.lineNumber
+        });
+      } else {
+        seen.set(step.number, step);
+      }
+    }
+  }
+
+  /**
+   * Every SCHRITT needs a transition path from RUST (END is checked by the parser)
+   */
+  checkUnreachableSteps(result, report) {
+    const steps = result.steps || [];
+    if (!steps.some(step => step.type === 'RUST')) return;
+
+    const transitions = (result.transitions || []).filter(transition => transition.fromStep !== null);
+    const reachable = new Set([0]);
+    const queue = [0];
+    while (queue.length > 0) {
+      const from = queue.shift();
+      for (const transition of transitions.filter(candidate => candidate.fromStep === from)) {
+        if (!reachable.has(transition.toStep)) {
+          reachable.add(transition.toStep);
+          queue.push(transition.toStep);
+        }
+      }
+    }
+
+    for (const step of this.schrittSteps(result)) {
+      if (reachable.has(step.number)) continue;
+
+      const label = `${step.keyword || 'SCHRITT'} ${step.number}`;
+      const incoming = transitions.some(transition => transition.toStep === step.number);
+      report({
+        message: incoming ? `${label} is not reachable from RUST` : `${label} has no transition leading into it`,
+        lineNumber: step.lineNumber
+      });
+    }
+  }
+
+  // ----- Variables -------------------------------------------------------
+
+  /**
+   * Operands in variable form ("STÖRUNG: x", "Variable 3", "Hulp[2]") must be declared
+   */
+  checkUndeclaredVariables(result, report) {
+    const declared = new Set();
+    for (const variable of result.variables || []) {
+      declared.add(ProgramLinter.normalize(variable.name));
+      if (variable.alias) declared.add(ProgramLinter.normalize(variable.alias));
+      if (variable.address) declared.add(ProgramLinter.normalize(variable.address));
+      if (variable.number !== null && variable.number !== undefined) declared.add(`variable ${variable.number}`);
+
+      const prefixed = variable.name.match(PREFIXED_PATTERN);
+      if (prefixed) declared.add(ProgramLinter.normalize(prefixed[2]));
+    }
+
+    const isDeclared = text => {
+      const prefixed = text.match(PREFIXED_PATTERN);
+      const numbered = text.match(NUMBERED_PATTERN);
+      return declared.has(ProgramLinter.normalize(text)) ||
+        (prefixed && declared.has(ProgramLinter.normalize(prefixed[2]))) ||
+        (numbered && declared.has(`variable ${numbered[1]}`));
+    };
+
+    // Timers and cross-references are resolved elsewhere
+    for (const condition of this.conditions(result)) {
+      if (condition.crossReference || condition.timer) continue;
+
+      for (const text of ProgramLinter.operands(condition.expression)) {
+        if (!PREFIXED_PATTERN.test(text) && !NUMBERED_PATTERN.test(text) && !ADDRESS_PATTERN.test(text)) continue;
+        if (isDeclared(text)) continue;
+
+        report({
+          message: `"${text}" is not declared`,
+          lineNumber: condition.lineNumber,
+          text
+        });
+      }
+    }
+  }
+
+  /**
+   * Markers set in a step stay TRUE until a step resets them
+   */
+  checkMarkersNeverReset(result, report) {
+    for (const row of result.setResetTable || []) {
+      if (row.set.length === 0 || row.reset.length > 0) continue;
+      if (row.group && !this.options.markerGroups.includes(row.group)) continue;
+
+      const steps = row.set.map(entry => (entry.stepType === 'RUST' ? 'RUST' : `${entry.stepType} ${entry.stepNumber}`));
+      report({
+        message: `"${row.target}" is set in ${[...new Set(steps)].join(', ')} but never reset`,
+        lineNumber: row.set[0].lineNumber,
+        text: row.target
+      });
+    }
+  }
+
+  checkDuplicateFaultTexts(result, report) {
+    const seen = new Map();
+
+    for (const variable of result.variables || []) {
+      const prefixed = variable.name.match(PREFIXED_PATTERN);
+      const isFault = variable.group === this.options.faultGroup ||
+        (prefixed && FAULT_PREFIXES.includes(prefixed[1].toUpperCase()));
+      if (!isFault) continue;
+
+      const key = ProgramLinter.normalize(prefixed ? prefixed[2] : variable.name);
+      if (seen.has(key)) {
+        report({
+          message: `Fault text "${variable.name}" is declared more than once (first at line ${seen.get(key).lineNumber})`,
+          lineNumber: variable.lineNumber,
+          text: variable.name
+        });
+      } else {
+        seen.set(key, variable);
+      }
+    }
+  }
+
+  /**
+   * Step and marker timers plus declared timer variables share the tijd array
+   */
+  checkTimerCapacity(result, report) {
+    const implementation = this.options.validationRules?.groups?.tijd?.implementation;
+    if (!implementation?.arrayRange) return;
+
+    const [start, end] = implementation.arrayRange;
+    const capacity = end - start + 1;
+    const elements = new Set();
+    const unallocated = [];
+
+    for (const variable of result.variables || []) {
+      if (variable.group === 'tijd') elements.add(variable.address || `${variable.name}|${variable.lineNumber}`);
+    }
+    for (const owner of [...(result.steps || []), ...(result.variables || [])]) {
+      for (const timer of owner.timers || []) {
+        if (timer.address) {
+          elements.add(timer.address);
+        } else if (!unallocated.some(other => other.owner === owner && other.timer.text === timer.text)) {
+          unallocated.push({ owner, timer });
+        }
+      }
+    }
+
+    const needed = elements.size + unallocated.length;
+    if (needed <= capacity) return;
+
+    report({
+      message: `${needed} timers need a ${implementation.arrayName || 'Tijd'} element, but ${implementation.arrayName || 'Tijd'}[${start}..${end}] holds ${capacity}`,
+      lineNumber: unallocated[0]?.timer.lineNumber ?? null,
+      text: unallocated[0]?.timer.text ?? null,
+      fix: { description: `Extend the tijd arrayRange to [${start}..${start + needed - 1}] in the validation rules`, replacement: null }
+    });
+  }
+
+  // ----- Language --------------------------------------------------------
+
+  /**
+   * Step keywords of one program come from one language (SCHRITT/RUHE/FERTIG,
+   * STAP/RUST/KLAAR or STEP/IDLE/END)
+   */
+  checkMixedLanguage(result, report) {
+    const keyed = (result.steps || [])
+      .map(step => ({ step, language: KEYWORD_LANGUAGES[(step.keyword || '').toUpperCase()] }))
+      .filter(entry => entry.language);
+
+    const counts = new Map();
+    keyed.forEach(({ language }) => counts.set(language, (counts.get(language) || 0) + 1));
+    if (counts.size < 2) return;
+
+    // The program language is the detected one, else the most used
+    const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    const language = counts.has(result.metadata?.language) ? result.metadata.language : ranked[0][0];
+    const keywords = [...new Set(keyed.filter(entry => entry.language === language).map(entry => entry.step.keyword))];
+
+    for (const { step, language: stepLanguage } of keyed) {
+      if (stepLanguage === language) continue;
+
+      report({
+        message: `${step.keyword} is a "${stepLanguage}" keyword, the rest of the program uses "${language}" (${keywords.join('/')})`,
+        lineNumber: step.lineNumber,
+        text: step.keyword
+      });
+    }
+  }
+
+  // ----- Helpers ---------------------------------------------------------
+
+  schrittSteps(result) {
+    return (result.steps || []).filter(step => step.type === 'SCHRITT');
+  }
+
+  /**
+   * All conditions of steps, transitions and variables, including "[...]" blocks
+   */
+  conditions(result) {
+    const flatten = (groups = []) => groups.flatMap(group => (group.conditions || []).flatMap(condition =>
+      condition.isBlock ? [condition, ...flatten(condition.groups)] : [condition]
+    ));
+
+    const all = [
+      ...(result.steps || []).flatMap(step => flatten(step.entryConditions)),
+      ...(result.transitions || []).flatMap(transition => flatten(transition.guard)),
+      ...(result.variables || []).flatMap(variable => flatten(variable.conditions))
+    ];
+    return [...new Set(all)];
+  }
+
+  /**
+   * Operand texts and comparison subjects of a condition expression
+   */
+  static operands(expression) {
+    if (!expression) return [];
+
+    switch (expression.type) {
+      case 'and':
+      case 'or':
+        return expression.operands.flatMap(operand => ProgramLinter.operands(operand));
+      case 'not':
+        return ProgramLinter.operands(expression.operand);
+      case 'comparison':
+      case 'range':
+        return expression.subject ? [expression.subject] : [];
+      default:
+        return expression.text ? [expression.text] : [];
+    }
+  }
+
+  static normalize(text) {
+    return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+}
+
+export default ProgramLinter;
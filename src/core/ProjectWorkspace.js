@@ -0,0 +1,377 @@
+// =====================================================================
+// src/core/ProjectWorkspace.js - Multi-Program Project Model
+// =====================================================================
+// Loads all program descriptions of a machine and links them:
+// - indexes programs by name and FB number
+// - resolves every cross-reference "(Horde Auswahl Programm FB102 SCHRITT 2+5)"
+//   to the steps of the target program
+// - reports dangling references (unknown program or step) and programs
+//   declared twice as diagnostics
+// - builds the plant-wide dependency graph and a reverse index of which
+//   programs depend on a given step
+// =====================================================================
+
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { join, basename, extname } from 'path';
+import { HierarchicalParser } from './HierarchicalParser.js';
+import { DocxIngestor } from './DocxIngestor.js';
+import { DiagnosticCollector } from './Diagnostics.js';
+import { defaultLogger } from './Logger.js';
+
+// File types loadDirectory() picks up
+const PROGRAM_EXTENSIONS = ['.txt', '.docx'];
+
+// "Horde Auswahl Programm" refers to the program "Horde Auswahl"
+const PROGRAM_SUFFIX = /\s+(programm|programma|program)$/i;
+
+/**
+ * A set of parsed programs with their cross-program references resolved
+ */
+export class ProjectWorkspace {
+  /**
+   * @param {Object} options
+   * @param {Object} options.syntaxRules - Syntax rules for files loaded by the workspace
+   * @param {Object} options.validationRules - Validation rules for files loaded by the workspace
+   * @param {Object} options.severities - Optional per-code severity overrides
+   * @param {Logger} options.logger - Logger (default: defaultLogger)
+   */
+  constructor({ syntaxRules = {}, validationRules = {}, severities = {}, logger } = {}) {
+    this.syntaxRules = syntaxRules;
+    this.validationRules = validationRules;
+    this.severities = severities;
+    this.logger = (logger || defaultLogger).child('ProjectWorkspace');
+
+    this.programs = [];
+    this.references = [];
+    this.diagnostics = [];
+    this.errors = [];
+    this.warnings = [];
+    this.index = null;
+    this.resolved = false;
+  }
+
+  // ----- Loading ---------------------------------------------------------
+
+  /**
+   * Load all .txt and .docx program descriptions below a directory
+   * @returns {Array} The loaded program entries
+   */
+  async loadDirectory(directory, { recursive = true } = {}) {
+    const files = this.findProgramFiles(directory, recursive);
+    this.logger.info(`📁 Loading ${files.length} program(s) from ${directory}`);
+    return this.loadFiles(files);
+  }
+
+  async loadFiles(files) {
+    const entries = [];
+    for (const file of files) {
+      entries.push(await this.loadFile(file));
+    }
+    return entries;
+  }
+
+  /**
+   * Parse one program description and add it to the workspace
+   */
+  async loadFile(file) {
+    this.logger.debug(`📄 Parsing ${file}...`);
+
+    if (/\.docx$/i.test(file)) {
+      const { result } = await new DocxIngestor().ingest(file, {
+        syntaxRules: this.syntaxRules,
+        validationRules: this.validationRules,
+        logger: this.logger
+      });
+      return this.addProgram(result, file);
+    }
+
+    const parser = new HierarchicalParser(this.syntaxRules, this.validationRules, { logger: this.logger });
+    const result = parser.parse(readFileSync(file, 'utf8'), 'manual', { filename: basename(file) });
+    return this.addProgram(result, file);
+  }
+
+  findProgramFiles(directory, recursive) {
+    const files = [];
+    for (const name of readdirSync(directory).sort()) {
+      const path = join(directory, name);
+      if (statSync(path).isDirectory()) {
+        if (recursive) files.push(...this.findProgramFiles(path, recursive));
+      } else if (PROGRAM_EXTENSIONS.includes(extname(name).toLowerCase())) {
+        files.push(path);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Add an already parsed program. Programs without a header are named after their file.
+   * @returns {Object} { id, name, fbNumber, programType, file, result }
+   */
+  addProgram(result, file = null) {
+    const metadata = result.metadata || {};
+    const name = metadata.programName || (file ? basename(file, extname(file)) : `Program ${this.programs.length + 1}`);
+    const fbNumber = metadata.fbNumber ?? null;
+
+    const entry = {
+      id: fbNumber !== null ? `FB${fbNumber}` : name,
+      name,
+      fbNumber,
+      programType: metadata.programType || null,
+      file,
+      result
+    };
+
+    this.programs.push(entry);
+    this.index = null;
+    this.resolved = false;
+    return entry;
+  }
+
+  // ----- Lookup ----------------------------------------------------------
+
+  /**
+   * Program lookup tables; the first program with a name or FB number wins
+   */
+  getIndex() {
+    if (this.index) return this.index;
+
+    const index = { byFbNumber: new Map(), byName: new Map(), duplicates: [] };
+    for (const entry of this.programs) {
+      const nameKey = ProjectWorkspace.nameKey(entry.name);
+      const first = entry.fbNumber !== null ? index.byFbNumber.get(entry.fbNumber) : index.byName.get(nameKey);
+
+      if (first) {
+        index.duplicates.push({ entry, first });
+        continue;
+      }
+
+      if (entry.fbNumber !== null) index.byFbNumber.set(entry.fbNumber, entry);
+      if (!index.byName.has(nameKey)) index.byName.set(nameKey, entry);
+    }
+
+    this.index = index;
+    return index;
+  }
+
+  /**
+   * Find a program by FB number ("FB102", 102) or by name
+   */
+  getProgram(key) {
+    const index = this.getIndex();
+    const fbMatch = String(key).match(/^(?:FB\s*)?(\d+)$/i);
+    if (fbMatch) return index.byFbNumber.get(parseInt(fbMatch[1])) || null;
+
+    return this.findProgram(String(key));
+  }
+
+  /**
+   * Find the target of a cross-reference: by FB number first, then by name
+   * with and without a trailing "Programm"
+   */
+  findProgram(name, fbNumber = null) {
+    const index = this.getIndex();
+    if (fbNumber !== null && index.byFbNumber.has(fbNumber)) {
+      return index.byFbNumber.get(fbNumber);
+    }
+
+    return index.byName.get(ProjectWorkspace.nameKey(name)) ||
+      index.byName.get(ProjectWorkspace.nameKey(name.replace(PROGRAM_SUFFIX, ''))) ||
+      null;
+  }
+
+  // ----- Resolution ------------------------------------------------------
+
+  /**
+   * Resolve all cross-references of all programs. Rebuilds references and
+   * diagnostics, so it can be called again after adding programs.
+   * @returns {Object} { references, diagnostics }
+   */
+  resolve() {
+    this.references = [];
+    this.diagnostics = [];
+    this.errors = [];
+    this.warnings = [];
+    const collector = new DiagnosticCollector(this, new Map(), this.severities);
+
+    for (const { entry, first } of this.getIndex().duplicates) {
+      collector.report('duplicate_program', {
+        message: `Program ${entry.id} in ${entry.file || entry.name} is already defined in ${first.file || first.name}`,
+        lineNumber: entry.result.metadata?.headerLineNumber ?? null,
+        program: entry.id,
+        file: entry.file
+      });
+    }
+
+    for (const entry of this.programs) {
+      for (const crossReference of entry.result.crossReferences || []) {
+        this.references.push(this.resolveReference(entry, crossReference, collector));
+      }
+    }
+
+    this.resolved = true;
+    const dangling = this.references.filter(reference => reference.status !== 'resolved').length;
+    this.logger.info(`🔗 Resolved ${this.references.length - dangling}/${this.references.length} cross-reference(s) across ${this.programs.length} program(s)`);
+
+    return { references: this.references, diagnostics: this.diagnostics };
+  }
+
+  resolveReference(entry, crossReference, collector) {
+    const target = this.findProgram(crossReference.targetProgram, crossReference.fbNumber ?? null);
+    const label = ProjectWorkspace.referenceLabel(crossReference);
+    const location = { lineNumber: crossReference.lineNumber ?? null, program: entry.id, file: entry.file };
+
+    const reference = {
+      id: this.references.length + 1,
+      program: entry.id,
+      file: entry.file,
+      crossReferenceId: crossReference.id ?? null,
+      source: crossReference.source || null,
+      description: crossReference.description,
+      lineNumber: crossReference.lineNumber ?? null,
+      targetName: crossReference.targetProgram,
+      targetFbNumber: crossReference.fbNumber ?? null,
+      targetProgram: target ? target.id : null,
+      stepType: crossReference.stepType,
+      steps: crossReference.steps,
+      targets: [],
+      missingSteps: [],
+      status: 'resolved'
+    };
+
+    if (!target) {
+      reference.status = 'unknown_program';
+      collector.report('unknown_program', { ...location, message: `${label} refers to a program that is not in the project` });
+      return reference;
+    }
+
+    if (crossReference.fbNumber != null && target.fbNumber !== crossReference.fbNumber) {
+      collector.report('program_fb_mismatch', {
+        ...location,
+        message: `${label} names FB${crossReference.fbNumber}, but "${target.name}" is ${target.fbNumber !== null ? `FB${target.fbNumber}` : 'not numbered'}`
+      });
+    }
+
+    for (const number of crossReference.steps) {
+      const step = (target.result.steps || []).find(candidate =>
+        candidate.type === crossReference.stepType && candidate.number === number);
+
+      if (step) {
+        reference.targets.push({ program: target.id, type: step.type, number: step.number, lineNumber: step.lineNumber });
+      } else {
+        reference.missingSteps.push(number);
+      }
+    }
+
+    if (reference.missingSteps.length > 0) {
+      reference.status = 'unknown_step';
+      const missing = reference.missingSteps
+        .map(number => crossReference.stepType === 'RUST' ? 'RUST' : `${crossReference.keyword || 'SCHRITT'} ${number}`)
+        .join(', ');
+      collector.report('unknown_step', { ...location, message: `${label}: ${target.id} has no ${missing}` });
+    }
+
+    return reference;
+  }
+
+  // ----- Graph -----------------------------------------------------------
+
+  /**
+   * Program-level dependency graph. Targets outside the project become
+   * nodes of kind 'missing'; edges list the referenced step numbers.
+   * @returns {Object} { nodes: [{ id, name, fbNumber, file, kind }], edges: [{ from, to, steps, references }] }
+   */
+  dependencyGraph() {
+    const references = this.getReferences();
+    const duplicates = new Set(this.getIndex().duplicates.map(({ entry }) => entry));
+    const nodes = this.programs
+      .filter(entry => !duplicates.has(entry))
+      .map(entry => ({ id: entry.id, name: entry.name, fbNumber: entry.fbNumber, file: entry.file, kind: 'program' }));
+    const edges = new Map();
+
+    for (const reference of references) {
+      const name = reference.targetName.replace(PROGRAM_SUFFIX, '');
+      const to = reference.targetProgram || (reference.targetFbNumber !== null ? `FB${reference.targetFbNumber}` : name);
+      if (!nodes.some(node => node.id === to)) {
+        nodes.push({ id: to, name, fbNumber: reference.targetFbNumber, file: null, kind: 'missing' });
+      }
+
+      const key = `${reference.program}|${to}`;
+      if (!edges.has(key)) edges.set(key, { from: reference.program, to, steps: [], references: [] });
+      const edge = edges.get(key);
+      edge.steps = [...new Set([...edge.steps, ...reference.steps])].sort((a, b) => a - b);
+      edge.references.push(reference.id);
+    }
+
+    return { nodes, edges: [...edges.values()] };
+  }
+
+  /**
+   * All references that resolve to a step: "who depends on FB102 step 5".
+   * @param {string|number} program - FB number ("FB102", 102) or program name
+   * @param {number} stepNumber - Step number; 0 is RUST
+   * @returns {Array} Resolved references with the step among their targets
+   */
+  dependentsOf(program, stepNumber = 0) {
+    const target = this.getProgram(program);
+    if (!target) return [];
+
+    return this.getReverseIndex().get(`${target.id}|${stepNumber}`) || [];
+  }
+
+  /**
+   * Map "<program id>|<step number>" -> references that point at that step
+   */
+  getReverseIndex() {
+    const reverseIndex = new Map();
+    for (const reference of this.getReferences()) {
+      for (const target of reference.targets) {
+        const key = `${target.program}|${target.number}`;
+        if (!reverseIndex.has(key)) reverseIndex.set(key, []);
+        reverseIndex.get(key).push(reference);
+      }
+    }
+    return reverseIndex;
+  }
+
+  /**
+   * Graphviz digraph of the dependency graph; missing programs are dashed
+   */
+  toDot(graph = this.dependencyGraph()) {
+    const escape = text => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const lines = ['digraph project {', '  rankdir=LR;', '  node [shape=box, fontname="Helvetica"];'];
+
+    for (const node of graph.nodes) {
+      const label = node.fbNumber !== null && node.name !== node.id ? `${node.id}\\n${escape(node.name)}` : escape(node.name);
+      const style = node.kind === 'missing' ? ', style=dashed, color=red' : '';
+      lines.push(`  "${escape(node.id)}" [label="${label}"${style}];`);
+    }
+    for (const edge of graph.edges) {
+      const steps = edge.steps.map(number => number === 0 ? 'RUST' : number).join('+');
+      lines.push(`  "${escape(edge.from)}" -> "${escape(edge.to)}" [label="${steps}"];`);
+    }
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  getReferences() {
+    if (!this.resolved) this.resolve();
+    return this.references;
+  }
+
+  // ----- Helpers ---------------------------------------------------------
+
+  static nameKey(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  static referenceLabel(crossReference) {
+    const program = crossReference.fbNumber != null
+      ? `${crossReference.targetProgram} FB${crossReference.fbNumber}`
+      : crossReference.targetProgram;
+    const steps = crossReference.stepType === 'RUST' ? crossReference.keyword : `${crossReference.keyword} ${crossReference.steps.join('+')}`;
+    return `"(${program} ${steps})"`;
+  }
+}
+
+export default ProjectWorkspace;
@@ -0,0 +1,129 @@
+// =====================================================================
+// src/core/RuleCodec.js - Lossless Rule Serialization
+// =====================================================================
+// Converts syntax/validation rule sets to and from JSON without losing
+// RegExp patterns: RegExps are written as { source, flags } objects and
+// revived into RegExps on load. Has no Node dependencies so the webapp
+// can import it as well.
+// =====================================================================
+
+/**
+ * Rule serialization codec for syntax and validation rules
+ */
+export class RuleCodec {
+  constructor(space = 2) {
+    this.space = space;
+  }
+
+  /**
+   * Check whether a value is an encoded RegExp ({ source, flags })
+   */
+  isEncodedRegExp(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+
+    const keys = Object.keys(value);
+    return keys.length === 2 &&
+           typeof value.source === 'string' &&
+           typeof value.flags === 'string';
+  }
+
+  /**
+   * Encode a single RegExp
+   */
+  encodePattern(regex) {
+    return { source: regex.source, flags: regex.flags };
+  }
+
+  /**
+   * Decode a single encoded RegExp
+   */
+  decodePattern(value) {
+    return new RegExp(value.source, value.flags);
+  }
+
+  /**
+   * Convert a rule set into a JSON-safe structure
+   */
+  encode(rules) {
+    if (rules instanceof RegExp) return this.encodePattern(rules);
+    if (Array.isArray(rules)) return rules.map(item => this.encode(item));
+
+    if (rules && typeof rules === 'object') {
+      const encoded = {};
+      for (const [key, value] of Object.entries(rules)) {
+        encoded[key] = this.encode(value);
+      }
+      return encoded;
+    }
+
+    return rules;
+  }
+
+  /**
+   * Revive RegExps in a parsed rule structure
+   */
+  decode(data) {
+    if (this.isEncodedRegExp(data)) return this.decodePattern(data);
+    if (Array.isArray(data)) return data.map(item => this.decode(item));
+
+    if (data && typeof data === 'object') {
+      const decoded = {};
+      for (const [key, value] of Object.entries(data)) {
+        decoded[key] = this.decode(value);
+      }
+      return decoded;
+    }
+
+    return data;
+  }
+
+  /**
+   * Serialize rules to a JSON string
+   */
+  stringify(rules, space = this.space) {
+    return JSON.stringify(this.encode(rules), null, space);
+  }
+
+  /**
+   * Parse a JSON string into rules with live RegExps
+   */
+  parse(text) {
+    return this.decode(JSON.parse(text));
+  }
+
+  /**
+   * Count patterns that were written by the old serializer as `{}`
+   * and can no longer be recovered
+   */
+  countLostPatterns(rules) {
+    if (Array.isArray(rules)) {
+      return rules.reduce((sum, item) => sum + this.countLostPatterns(item), 0);
+    }
+
+    if (!rules || typeof rules !== 'object' || rules instanceof RegExp) return 0;
+
+    let count = 0;
+    for (const [key, value] of Object.entries(rules)) {
+      if (key === 'pattern' && this.isLostPattern(value)) {
+        count++;
+      } else if ((key === 'patterns' || key === 'excludePatterns') && Array.isArray(value)) {
+        count += value.filter(item => this.isLostPattern(item)).length;
+        count += this.countLostPatterns(value.filter(item => !this.isLostPattern(item)));
+      } else {
+        count += this.countLostPatterns(value);
+      }
+    }
+
+    return count;
+  }
+
+  isLostPattern(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+           !(value instanceof RegExp) && Object.keys(value).length === 0;
+  }
+}
+
+// Shared codec instance
+export const ruleCodec = new RuleCodec();
+
+export default ruleCodec;
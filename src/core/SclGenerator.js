@@ -0,0 +1,327 @@
+// =====================================================================
+// src/core/SclGenerator.js - SCL (Structured Text) Generation
+// =====================================================================
+// Writes a HierarchicalParser result as an SCL source (.scl) for one FB,
+// as a CASE-free sequencer on the Stap[0..31] convention:
+// - Stap[0] (RUST) is active when no other step is
+// - Each transition: IF Stap[from] AND guard THEN Stap[from] := FALSE;
+//   Stap[to] := TRUE; END_IF;
+// - Tijd[n].TON for "Zeit N sek ??" conditions, SET/RESET as := TRUE/FALSE
+// VAR sections list the arrays per validation-rule group; comments name
+// the source line of every step, transition, timer and member.
+// Uses the same SymbolTable and StepLogic as the SimaticML exporter, so
+// both address the same members. Output is byte-stable.
+// =====================================================================
+
+import { SymbolTable } from './SymbolTable.js';
+import { StepLogic } from './StepLogic.js';
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Conditions longer than this are written one operand per line
+const MAX_INLINE_LENGTH = 60;
+
+/**
+ * Generator for SCL function block sources
+ */
+export class SclGenerator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.validationRules - Rules with the group arrays, see SymbolTable
+   * @param {string} options.stepArray - Name of the step array (default: Stap)
+   * @param {string} options.indent - Indentation per level (default: 3 spaces, as TIA Portal)
+   */
+  constructor(options = {}) {
+    this.options = {
+      validationRules: options.validationRules || {},
+      stepArray: options.stepArray || 'Stap',
+      indent: options.indent || '   '
+    };
+  }
+
+  /**
+   * Generate the SCL source of a parse result
+   * @param {Object} result - HierarchicalParser result
+   * @param {Object} block - { name, number } of the FB (default: program header)
+   */
+  generate(result, block = {}) {
+    this.symbols = new SymbolTable(result, {
+      validationRules: this.options.validationRules,
+      stepArray: this.options.stepArray
+    });
+    this.lines = [];
+
+    const logic = new StepLogic(this.symbols, { validationRules: this.options.validationRules });
+    const body = logic.plan(result).map(entry => this.writeEntry(entry));
+
+    const name = block.name || SymbolTable.toIdentifier(result.metadata?.programName || 'Schrittkette');
+    const number = block.number || result.metadata?.fbNumber || null;
+
+    this.writeHeader(name, number, result.metadata || {});
+    this.writeDeclarations();
+
+    this.line(0, 'BEGIN');
+    body.forEach(lines => {
+      this.lines.push(...lines, '');
+    });
+    this.line(0, 'END_FUNCTION_BLOCK');
+
+    return this.lines.join('\n') + '\n';
+  }
+
+  // ----- Header and declarations ------------------------------------------
+
+  writeHeader(name, number, metadata) {
+    const title = metadata.programName || name;
+
+    this.line(0, `// ${title}${number ? ` (FB${number})` : ''}`);
+    if (metadata.idb) this.line(0, `// Instance DB: ${metadata.idb}`);
+    this.line(0, `// Generated from the program description${metadata.headerLineNumber ? ` (header: line ${metadata.headerLineNumber})` : ''}`);
+    this.line(0, `FUNCTION_BLOCK ${SclGenerator.quote(name)}`);
+    this.line(0, `TITLE = ${title}`);
+    this.line(0, "{ S7_Optimized_Access := 'TRUE' }");
+    this.line(0, 'VERSION : 0.1');
+  }
+
+  /**
+   * VAR_INPUT for condition operands, VAR with the step array and one
+   * commented block per validation-rule group
+   */
+  writeDeclarations() {
+    const inputs = this.symbols.getSection('Input');
+    if (inputs.length > 0) {
+      this.line(1, 'VAR_INPUT');
+      inputs.forEach(member => this.writeMember(member));
+      this.line(1, 'END_VAR');
+      this.line(0, '');
+    }
+
+    const statics = this.symbols.getSection('Static');
+    const groups = this.options.validationRules?.groups || {};
+    const order = ['steps', ...Object.keys(groups)];
+    const blocks = new Map();
+
+    for (const member of statics) {
+      const key = member.name === this.options.stepArray ? 'steps' : member.group;
+      const blockKey = order.includes(key) ? key : 'other';
+      if (!blocks.has(blockKey)) blocks.set(blockKey, []);
+      blocks.get(blockKey).push(member);
+    }
+
+    this.line(1, 'VAR');
+    for (const key of [...order, 'other']) {
+      const members = blocks.get(key);
+      if (!members) continue;
+
+      if (key === 'steps') {
+        this.line(2, `// Schrittkette: RUST = ${this.options.stepArray}[0], active when no other step is`);
+      } else if (key === 'other') {
+        this.line(2, '// Other members (action targets without a declaration)');
+      } else {
+        const group = groups[key];
+        this.line(2, `// ${group.name || key}${group.description ? ` - ${group.description}` : ''}`);
+      }
+      members.forEach(member => this.writeMember(member));
+    }
+    this.line(1, 'END_VAR');
+    this.line(0, '');
+  }
+
+  writeMember(member) {
+    const declaration = `${SclGenerator.quote(member.name)} : ${SymbolTable.formatDatatype(member)}`;
+    const initializer = member.range ? this.arrayInitializer(member) : this.scalarInitializer(member);
+    const comment = member.comment ? ` // ${SclGenerator.withLine(member.comment, member.lineNumber)}` : '';
+
+    this.line(2, `${declaration}${initializer};${comment}`);
+
+    for (const [index, element] of member.elements) {
+      this.line(2, `//   [${index}] ${SclGenerator.withLine(element.comment, element.lineNumber)}`);
+    }
+  }
+
+  scalarInitializer(member) {
+    const value = this.startValue(member.startValue, member.dataType);
+    return value === null ? '' : ` := ${value}`;
+  }
+
+  /**
+   * Start values of array elements, runs of equal values as "n(value)"
+   */
+  arrayInitializer(member) {
+    const [start, end] = member.range;
+    const values = [];
+    let hasStartValue = false;
+
+    for (let index = start; index <= end; index++) {
+      const value = this.startValue(member.elements.get(index)?.startValue, member.dataType);
+      if (value !== null) hasStartValue = true;
+      values.push(value ?? StepLogic.formatConstant(0, member.dataType));
+    }
+
+    if (!hasStartValue) return '';
+
+    const runs = [];
+    for (const value of values) {
+      const last = runs[runs.length - 1];
+      if (last && last.value === value) last.count++;
+      else runs.push({ value, count: 1 });
+    }
+
+    return ` := [${runs.map(run => (run.count > 1 ? `${run.count}(${run.value})` : run.value)).join(', ')}]`;
+  }
+
+  startValue(text, dataType) {
+    if (text === null || text === undefined) return null;
+
+    const value = StepLogic.parseValue(text);
+    if (value.text !== undefined) return null;
+    if (dataType === 'Bool' && value.dataType !== 'Bool') return null;
+    return StepLogic.formatConstant(value.constant, dataType);
+  }
+
+  // ----- Statements ------------------------------------------------------
+
+  writeEntry(entry) {
+    switch (entry.kind) {
+      case 'rust': return this.writeRust(entry);
+      case 'timer': return this.writeTimer(entry);
+      case 'step': return this.writeStep(entry);
+      case 'actions': return this.writeActions(entry);
+      default: return this.writeCoil(entry);
+    }
+  }
+
+  writeRust({ step, target, logic }) {
+    return [
+      this.comment(1, SclGenerator.withLine(this.stepTitle(step), step.lineNumber)),
+      ...this.assignment(1, target, logic)
+    ];
+  }
+
+  /**
+   * Tijd[n].TON with IN from the step the condition waits in
+   */
+  writeTimer({ timer, instance, start, preset }) {
+    const input = this.expression(start, 0);
+    return [
+      this.comment(1, SclGenerator.withLine(`${SymbolTable.format(instance)}: ${timer.text}`, timer.lineNumber)),
+      this.indent(1) + `${this.reference(instance)}.TON(IN := ${input},`,
+      this.indent(1) + `${' '.repeat(this.reference(instance).length + 5)}PT := ${preset});`
+    ];
+  }
+
+  writeStep({ step, target, branches }) {
+    const lines = [this.comment(1, SclGenerator.withLine(this.stepTitle(step), step.lineNumber))];
+
+    for (const { transition, from, reset, logic, description } of branches) {
+      const label = `${this.symbols.stepLabel(transition.fromStep)} -> ${this.symbols.stepLabel(step.number)}`;
+      lines.push(this.comment(1, SclGenerator.withLine(description ? `${label}: ${description}` : label, transition.lineNumber)));
+      lines.push(...this.condition(1, 'IF', logic, 'THEN'));
+      if (reset) lines.push(this.indent(2) + `${this.reference(from)} := FALSE;`);
+      lines.push(this.indent(2) + `${this.reference(target)} := TRUE;`);
+      lines.push(this.indent(1) + 'END_IF;');
+    }
+
+    return lines;
+  }
+
+  writeActions({ step, logic, actions }) {
+    const keywords = [...new Set(step.actions.map(action => action.keyword || action.operation))];
+    const lines = [
+      this.comment(1, `${this.symbols.stepLabel(step.number)}: ${keywords.join('/')}`),
+      ...this.condition(1, 'IF', logic, 'THEN')
+    ];
+
+    for (const { action, operation, target, dataType, value } of actions) {
+      const text = operation === 'ASSIGN' ? `${action.target} = ${action.value}` : `${action.keyword || operation} ${action.target}`;
+      const assigned = operation === 'ASSIGN' ? this.value(value, dataType) : operation === 'SET' ? 'TRUE' : 'FALSE';
+      lines.push(this.indent(2) + `${this.reference(target)} := ${assigned}; // ${SclGenerator.withLine(text, action.lineNumber)}`);
+    }
+
+    lines.push(this.indent(1) + 'END_IF;');
+    return lines;
+  }
+
+  writeCoil({ variable, target, logic }) {
+    return [
+      this.comment(1, SclGenerator.withLine(`${SymbolTable.format(target)}: ${variable.name}`, variable.lineNumber)),
+      ...this.assignment(1, target, logic)
+    ];
+  }
+
+  assignment(level, target, logic) {
+    return this.condition(level, `${this.reference(target)} :=`, logic, ';', '');
+  }
+
+  /**
+   * "IF a AND b THEN" on one line, or one top-level operand per line when long
+   */
+  condition(level, prefix, logic, suffix, separator = ' ') {
+    const inline = this.expression(logic, 0);
+    if (inline.length <= MAX_INLINE_LENGTH || !['and', 'or'].includes(logic.type)) {
+      return [this.indent(level) + `${prefix} ${inline}${separator}${suffix}`];
+    }
+
+    const keyword = logic.type === 'and' ? 'AND' : 'OR';
+    const precedence = logic.type === 'and' ? 2 : 1;
+    const operands = logic.operands.map(operand => this.expression(operand, precedence));
+    const continuation = this.indent(level + 1) + `${keyword} `;
+
+    return operands.map((operand, index) => {
+      const line = index === 0 ? this.indent(level) + `${prefix} ${operand}` : continuation + operand;
+      return index === operands.length - 1 ? `${line}${separator}${suffix}` : line;
+    });
+  }
+
+  // ----- Expressions -----------------------------------------------------
+
+  /**
+   * Logic tree as SCL, see StepLogic.formatExpression
+   */
+  expression(node, parentPrecedence) {
+    return StepLogic.formatExpression(node, reference => this.reference(reference), parentPrecedence);
+  }
+
+  value(value, dataType) {
+    return value.reference ? this.reference(value.reference) : StepLogic.formatConstant(value.constant, dataType);
+  }
+
+  /**
+   * Local member access: #Stap[3], #Tijd[1].Q, #"Rühren_alle_30_Minuten"
+   */
+  reference(reference) {
+    return `#${SclGenerator.quote(reference.name)}${SymbolTable.format({ ...reference, name: '' })}`;
+  }
+
+  // ----- Text ------------------------------------------------------------
+
+  stepTitle(step) {
+    const label = this.symbols.stepLabel(step.number);
+    return step.description ? `${label}: ${step.description}` : label;
+  }
+
+  comment(level, text) {
+    return this.indent(level) + `// ${text}`;
+  }
+
+  indent(level) {
+    return this.options.indent.repeat(level);
+  }
+
+  line(level, text) {
+    this.lines.push(text ? this.indent(level) + text : '');
+  }
+
+  /**
+   * Identifiers with other characters than A-Z, 0-9 and _ are quoted
+   */
+  static quote(name) {
+    return IDENTIFIER_PATTERN.test(name) ? name : `"${name.replace(/"/g, '')}"`;
+  }
+
+  static withLine(text, lineNumber) {
+    return lineNumber ? `${text} (line ${lineNumber})` : text;
+  }
+}
+
+export default SclGenerator;
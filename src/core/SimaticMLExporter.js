@@ -0,0 +1,567 @@
+// =====================================================================
+// src/core/SimaticMLExporter.js - SimaticML (TIA Portal Openness) Export
+// =====================================================================
+// Turns a HierarchicalParser result into the SimaticML source of one FB:
+// - Interface: Stap/Hulp/Storing/Tijd/... arrays from the SymbolTable,
+//   unknown condition operands as Bool inputs
+// - RUST network: Stap[0] = NOT any other step
+// - One network per SCHRITT/END: (Stap[from] AND guard) per transition,
+//   OR-ed into S Stap[n], each branch resets its own from-step
+// - TON networks for Tijd[n], started by the step the timer waits in
+// - SET/RESET/assign networks for step actions, coil networks for markers
+// Networks are LAD (default) or FBD. Output is byte-stable: no timestamps,
+// UIds and IDs are numbered in document order, members in parse order.
+// =====================================================================
+
+import { SymbolTable } from './SymbolTable.js';
+import { StepLogic } from './StepLogic.js';
+import { XmlWriter } from './XmlWriter.js';
+
+const INTERFACE_NAMESPACE = 'http://www.siemens.com/automation/Openness/SW/Interface/v5';
+const FLGNET_NAMESPACE = 'http://www.siemens.com/automation/Openness/SW/NetworkSource/FlgNet/v4';
+
+const SECTIONS = ['Input', 'Output', 'InOut', 'Static', 'Temp', 'Constant'];
+
+const CULTURES = { de: 'de-DE', nl: 'nl-NL', en: 'en-US' };
+
+const COMPARE_PARTS = { '==': 'Eq', '<>': 'Ne', '>': 'Gt', '>=': 'Ge', '<': 'Lt', '<=': 'Le' };
+
+const POWERRAIL = { powerrail: true };
+
+/**
+ * Exporter for SimaticML FB sources
+ */
+export class SimaticMLExporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.language - Network language: LAD (default) or FBD
+   * @param {Object} options.validationRules - Rules with the group arrays, see SymbolTable
+   * @param {string} options.culture - Culture of titles and comments (default: from the program language)
+   * @param {string} options.engineeringVersion - TIA Portal version of the document (default: V17)
+   */
+  constructor(options = {}) {
+    this.options = {
+      language: (options.language || 'LAD').toUpperCase(),
+      validationRules: options.validationRules || {},
+      culture: options.culture || null,
+      engineeringVersion: options.engineeringVersion || 'V17',
+      stepArray: options.stepArray || 'Stap'
+    };
+
+    if (!['LAD', 'FBD'].includes(this.options.language)) {
+      throw new Error(`Unsupported network language: ${this.options.language}`);
+    }
+  }
+
+  /**
+   * Export a parse result as a SimaticML document
+   * @param {Object} result - HierarchicalParser result
+   * @param {Object} block - { name, number } of the FB (default: program header)
+   */
+  export(result, block = {}) {
+    this.symbols = new SymbolTable(result, {
+      validationRules: this.options.validationRules,
+      stepArray: this.options.stepArray
+    });
+    this.culture = this.options.culture || CULTURES[result.metadata?.language] || 'de-DE';
+
+    const networks = this.buildNetworks(result);
+
+    return this.writeDocument({
+      name: block.name || SymbolTable.toIdentifier(result.metadata?.programName || 'Schrittkette'),
+      number: block.number || result.metadata?.fbNumber || 1,
+      title: result.metadata?.programName || null,
+      networks
+    });
+  }
+
+  // ----- Networks --------------------------------------------------------
+
+  buildNetworks(result) {
+    const logic = new StepLogic(this.symbols, { validationRules: this.options.validationRules });
+
+    return logic.plan(result).map(entry => {
+      switch (entry.kind) {
+        case 'rust': return this.buildRustNetwork(entry);
+        case 'timer': return this.buildTimerNetwork(entry);
+        case 'step': return this.buildStepNetwork(entry);
+        case 'actions': return this.buildActionNetwork(entry);
+        default: return this.buildCoilNetwork(entry);
+      }
+    });
+  }
+
+  /**
+   * Stap[0] = NOT Stap[1] AND ... AND NOT Stap[n]
+   */
+  buildRustNetwork({ step, target, logic }) {
+    const net = new FlgNet();
+
+    this.drive(net, this.buildLogic(net, logic), [this.coil(net, 'Coil', target)]);
+
+    return {
+      title: this.stepTitle(step),
+      comment: (step.implicitConditions || []).map(condition => condition.text).join('\n'),
+      net
+    };
+  }
+
+  /**
+   * S Stap[n] from each transition branch; every branch resets its own from-step
+   */
+  buildStepNetwork({ step, target, branches }) {
+    const net = new FlgNet();
+    const outputs = branches.map(branch => ({
+      output: this.buildLogic(net, branch.logic),
+      resets: branch.reset ? [this.coil(net, 'RCoil', branch.from)] : []
+    }));
+
+    const set = this.coil(net, 'SCoil', target);
+
+    if (outputs.length === 1) {
+      this.drive(net, outputs[0].output, [set, ...outputs[0].resets]);
+    } else {
+      const box = net.part('O', { templates: [['Card', 'Cardinality', outputs.length]] });
+      outputs.forEach(({ output, resets }, index) => {
+        this.drive(net, output, [{ uid: box.uid, pin: `in${index + 1}` }, ...resets]);
+      });
+      net.wire({ uid: box.uid, pin: 'out' }, set);
+    }
+
+    return {
+      title: this.stepTitle(step),
+      comment: branches.map(({ transition, description }) => {
+        const label = `${this.symbols.stepLabel(transition.fromStep)} -> ${this.symbols.stepLabel(step.number)}`;
+        return description ? `${label}: ${description}` : label;
+      }).join('\n'),
+      net
+    };
+  }
+
+  /**
+   * TON on the timer's Tijd[n] element, PT from the parsed duration
+   */
+  buildTimerNetwork({ timer, instance, start, preset }) {
+    const net = new FlgNet();
+    const ton = net.part('TON', { version: '1.0', instance, templates: [['time_type', 'Type', 'Time']] });
+
+    this.drive(net, this.buildLogic(net, start), [{ uid: ton.uid, pin: 'IN' }]);
+    net.wire({ ident: net.typedConstant(preset) }, { uid: ton.uid, pin: 'PT' });
+
+    return {
+      title: `${SymbolTable.format(instance)}: ${timer.text}`,
+      comment: timer.lineNumber ? `${timer.text} (${timer.lineNumber})` : timer.text,
+      net
+    };
+  }
+
+  /**
+   * Stap[n] -> S/R coils and MOVE boxes for the step's actions
+   */
+  buildActionNetwork({ step, logic, actions }) {
+    const net = new FlgNet();
+    const sinks = actions.map(entry => this.buildAction(net, entry));
+
+    this.drive(net, this.buildLogic(net, logic), sinks);
+
+    const keywords = [...new Set(step.actions.map(action => action.keyword || action.operation))];
+    return {
+      title: `${this.symbols.stepLabel(step.number)}: ${keywords.join('/')}`,
+      comment: step.actions.map(action => {
+        const text = action.operation === 'ASSIGN' ? `${action.target} = ${action.value}` : `${action.keyword || action.operation} ${action.target}`;
+        return `${text} (${action.lineNumber})`;
+      }).join('\n'),
+      net
+    };
+  }
+
+  buildAction(net, { operation, target, dataType, value }) {
+    if (operation !== 'ASSIGN') {
+      return this.coil(net, operation === 'SET' ? 'SCoil' : 'RCoil', target);
+    }
+
+    const move = net.part('Move', { templates: [['Card', 'Cardinality', 1]] });
+    net.wire(this.valueSource(net, value, dataType), { uid: move.uid, pin: 'in' });
+    net.wire({ uid: move.uid, pin: 'out1' }, { ident: net.access(target) });
+
+    return { uid: move.uid, pin: 'en' };
+  }
+
+  /**
+   * Marker assigned from its own conditions (groups without a SET/RESET table)
+   */
+  buildCoilNetwork({ variable, target, logic, description }) {
+    const net = new FlgNet();
+
+    this.drive(net, this.buildLogic(net, logic), [this.coil(net, 'Coil', target)]);
+
+    return {
+      title: `${SymbolTable.format(target)}: ${variable.name}`,
+      comment: description,
+      net
+    };
+  }
+
+  // ----- Parts and wires -------------------------------------------------
+
+  /**
+   * Build a logic tree into the network, returns the source of its result
+   */
+  buildLogic(net, node, input = POWERRAIL) {
+    return this.options.language === 'LAD' ? this.buildLad(net, node, input) : this.buildFbd(net, node);
+  }
+
+  /**
+   * LAD: contacts in series from the power flow input, OR as an "O" part
+   */
+  buildLad(net, node, input) {
+    switch (node.type) {
+      case 'true':
+        return input;
+      case 'contact': {
+        const contact = net.part('Contact');
+        if (node.negated) contact.negated.push('operand');
+        net.wire(input, { uid: contact.uid, pin: 'in' });
+        net.wire({ ident: net.access(node.reference) }, { uid: contact.uid, pin: 'operand' });
+        return { uid: contact.uid, pin: 'out' };
+      }
+      case 'not': {
+        const output = this.buildLad(net, node.operand, input);
+        const not = net.part('Not');
+        net.wire(output, { uid: not.uid, pin: 'in' });
+        return { uid: not.uid, pin: 'out' };
+      }
+      case 'and':
+        return node.operands.reduce((source, operand) => this.buildLad(net, operand, source), input);
+      case 'or': {
+        const outputs = node.operands.map(operand => this.buildLad(net, operand, input));
+        const box = net.part('O', { templates: [['Card', 'Cardinality', outputs.length]] });
+        outputs.forEach((output, index) => net.wire(output, { uid: box.uid, pin: `in${index + 1}` }));
+        return { uid: box.uid, pin: 'out' };
+      }
+      case 'compare': {
+        const box = this.buildCompare(net, node);
+        net.wire(input, { uid: box.uid, pin: 'pre' });
+        return { uid: box.uid, pin: 'out' };
+      }
+      default:
+        throw new Error(`Unknown logic node: ${node.type}`);
+    }
+  }
+
+  /**
+   * FBD: A/O boxes, negation on the consuming input
+   */
+  buildFbd(net, node) {
+    switch (node.type) {
+      case 'true':
+        return { ident: net.constant('Bool', 'TRUE') };
+      case 'contact':
+        return { ident: net.access(node.reference), negated: node.negated };
+      case 'not': {
+        const output = this.buildFbd(net, node.operand);
+        return { ...output, negated: !output.negated };
+      }
+      case 'and':
+      case 'or': {
+        const box = net.part(node.type === 'and' ? 'A' : 'O', { templates: [['Card', 'Cardinality', node.operands.length]] });
+        node.operands.forEach((operand, index) => {
+          net.wire(this.buildFbd(net, operand), { uid: box.uid, pin: `in${index + 1}` });
+        });
+        return { uid: box.uid, pin: 'out' };
+      }
+      case 'compare':
+        return { uid: this.buildCompare(net, node).uid, pin: 'out' };
+      default:
+        throw new Error(`Unknown logic node: ${node.type}`);
+    }
+  }
+
+  buildCompare(net, node) {
+    const box = net.part(COMPARE_PARTS[node.operator] || 'Eq', { templates: [['SrcType', 'Type', node.dataType]] });
+    net.wire({ ident: net.access(node.subject) }, { uid: box.uid, pin: 'in1' });
+    net.wire(this.valueSource(net, node.value, node.dataType), { uid: box.uid, pin: 'in2' });
+    return box;
+  }
+
+  valueSource(net, value, dataType) {
+    if (value.reference) return { ident: net.access(value.reference) };
+    return { ident: net.constant(dataType, StepLogic.formatConstant(value.constant, dataType)) };
+  }
+
+  coil(net, name, reference) {
+    const coil = net.part(name);
+    net.wire({ ident: net.access(reference) }, { uid: coil.uid, pin: 'operand' });
+    return { uid: coil.uid, pin: 'in' };
+  }
+
+  /**
+   * Connect one result to several inputs. An FBD operand can only feed one
+   * input, so it is passed through a single-input AND box first.
+   */
+  drive(net, source, sinks) {
+    let output = source;
+    if (sinks.length > 1 && (source.ident !== undefined || source.negated)) {
+      const box = net.part('A', { templates: [['Card', 'Cardinality', 1]] });
+      net.wire(source, { uid: box.uid, pin: 'in1' });
+      output = { uid: box.uid, pin: 'out' };
+    }
+
+    sinks.forEach(sink => net.wire(output, sink));
+  }
+
+  // ----- Text ------------------------------------------------------------
+
+  stepTitle(step) {
+    const label = this.symbols.stepLabel(step.number);
+    return step.description ? `${label}: ${step.description}` : label;
+  }
+
+  // ----- XML ---------------------------------------------------------------
+
+  writeDocument({ name, number, title, networks }) {
+    const xml = new XmlWriter();
+    let id = 0;
+    const nextId = () => (id++).toString(16).toUpperCase();
+
+    xml.raw('<?xml version="1.0" encoding="utf-8"?>');
+    xml.open('Document');
+    xml.element('Engineering', { version: this.options.engineeringVersion });
+    xml.open('SW.Blocks.FB', { ID: nextId() });
+    xml.open('AttributeList');
+    this.writeInterface(xml);
+    xml.element('MemoryLayout', {}, 'Optimized');
+    xml.element('Name', {}, name);
+    xml.element('Number', {}, String(number));
+    xml.element('ProgrammingLanguage', {}, this.options.language);
+    xml.close('AttributeList');
+
+    xml.open('ObjectList');
+    this.writeText(xml, 'Comment', '', nextId);
+    for (const network of networks) {
+      this.writeNetwork(xml, network, nextId);
+    }
+    this.writeText(xml, 'Title', title || '', nextId);
+    xml.close('ObjectList');
+
+    xml.close('SW.Blocks.FB');
+    xml.close('Document');
+
+    return xml.toString();
+  }
+
+  writeInterface(xml) {
+    xml.open('Interface');
+    xml.open('Sections', { xmlns: INTERFACE_NAMESPACE });
+
+    for (const section of SECTIONS) {
+      const members = this.symbols.getSection(section);
+      if (members.length === 0) {
+        xml.element('Section', { Name: section });
+        continue;
+      }
+
+      xml.open('Section', { Name: section });
+      for (const member of members) {
+        this.writeMember(xml, member);
+      }
+      xml.close('Section');
+    }
+
+    xml.close('Sections');
+    xml.close('Interface');
+  }
+
+  writeMember(xml, member) {
+    const attributes = { Name: member.name, Datatype: SymbolTable.formatDatatype(member) };
+    const elements = Array.from(member.elements.entries());
+
+    if (!member.comment && member.startValue === null && elements.length === 0) {
+      xml.element('Member', attributes);
+      return;
+    }
+
+    xml.open('Member', attributes);
+    if (member.comment) this.writeComment(xml, member.comment);
+    for (const [index, element] of elements) {
+      xml.open('Subelement', { Path: String(index) });
+      if (element.startValue !== null) xml.element('StartValue', {}, element.startValue);
+      if (element.comment) this.writeComment(xml, element.comment);
+      xml.close('Subelement');
+    }
+    if (member.startValue !== null) xml.element('StartValue', {}, member.startValue);
+    xml.close('Member');
+  }
+
+  writeComment(xml, text) {
+    xml.open('Comment');
+    xml.element('MultiLanguageText', { Lang: this.culture }, text);
+    xml.close('Comment');
+  }
+
+  writeText(xml, compositionName, text, nextId) {
+    xml.open('MultilingualText', { ID: nextId(), CompositionName: compositionName });
+    xml.open('ObjectList');
+    xml.open('MultilingualTextItem', { ID: nextId(), CompositionName: 'Items' });
+    xml.open('AttributeList');
+    xml.element('Culture', {}, this.culture);
+    xml.element('Text', {}, text);
+    xml.close('AttributeList');
+    xml.close('MultilingualTextItem');
+    xml.close('ObjectList');
+    xml.close('MultilingualText');
+  }
+
+  writeNetwork(xml, network, nextId) {
+    xml.open('SW.Blocks.CompileUnit', { ID: nextId(), CompositionName: 'CompileUnits' });
+    xml.open('AttributeList');
+    xml.open('NetworkSource');
+    network.net.write(xml);
+    xml.close('NetworkSource');
+    xml.element('ProgrammingLanguage', {}, this.options.language);
+    xml.close('AttributeList');
+    xml.open('ObjectList');
+    this.writeText(xml, 'Comment', network.comment, nextId);
+    this.writeText(xml, 'Title', network.title, nextId);
+    xml.close('ObjectList');
+    xml.close('SW.Blocks.CompileUnit');
+  }
+}
+
+/**
+ * Parts and wires of one network (FlgNet), UIds numbered from 21 like TIA Portal exports
+ */
+class FlgNet {
+  constructor() {
+    this.parts = [];
+    this.wires = [];
+    this.nextUId = 21;
+  }
+
+  access(reference) {
+    const uid = this.nextUId++;
+    this.parts.push({ kind: 'access', uid, reference });
+    return uid;
+  }
+
+  constant(dataType, value) {
+    const uid = this.nextUId++;
+    this.parts.push({ kind: 'constant', uid, dataType, value });
+    return uid;
+  }
+
+  typedConstant(value) {
+    const uid = this.nextUId++;
+    this.parts.push({ kind: 'typed', uid, value });
+    return uid;
+  }
+
+  part(name, { templates = [], instance = null, version = null } = {}) {
+    const part = { kind: 'part', uid: this.nextUId++, name, templates, instance, version, negated: [] };
+    if (instance) part.instanceUId = this.nextUId++;
+    this.parts.push(part);
+    return part;
+  }
+
+  /**
+   * Connect a source (powerrail, part output or operand) to a sink (part input or operand).
+   * Sinks of the same part output share one wire.
+   */
+  wire(source, sink) {
+    if (source.negated && sink.pin) {
+      this.parts.find(part => part.uid === sink.uid).negated.push(sink.pin);
+    }
+
+    const key = source.powerrail ? 'powerrail' : source.ident === undefined ? `${source.uid}.${source.pin}` : null;
+    const existing = key && this.wires.find(wire => wire.key === key);
+
+    if (existing) {
+      existing.sinks.push(sink);
+    } else {
+      this.wires.push({ key, source, sinks: [sink] });
+    }
+  }
+
+  write(xml) {
+    xml.open('FlgNet', { xmlns: FLGNET_NAMESPACE });
+
+    xml.open('Parts');
+    for (const part of this.parts) {
+      this.writePart(xml, part);
+    }
+    xml.close('Parts');
+
+    let uid = this.nextUId;
+    xml.open('Wires');
+    for (const wire of this.wires) {
+      xml.open('Wire', { UId: String(uid++) });
+      this.writeConnection(xml, wire.source);
+      wire.sinks.forEach(sink => this.writeConnection(xml, sink));
+      xml.close('Wire');
+    }
+    xml.close('Wires');
+
+    xml.close('FlgNet');
+  }
+
+  writePart(xml, part) {
+    if (part.kind === 'access') {
+      xml.open('Access', { Scope: 'LocalVariable', UId: String(part.uid) });
+      xml.open('Symbol');
+      this.writeComponents(xml, part.reference);
+      xml.close('Symbol');
+      xml.close('Access');
+    } else if (part.kind === 'constant' || part.kind === 'typed') {
+      xml.open('Access', { Scope: part.kind === 'typed' ? 'TypedConstant' : 'LiteralConstant', UId: String(part.uid) });
+      xml.open('Constant');
+      if (part.kind === 'constant') xml.element('ConstantType', {}, part.dataType);
+      xml.element('ConstantValue', {}, part.value);
+      xml.close('Constant');
+      xml.close('Access');
+    } else if (!part.instance && part.templates.length === 0 && part.negated.length === 0) {
+      xml.element('Part', { Name: part.name, Version: part.version, UId: String(part.uid) });
+    } else {
+      xml.open('Part', { Name: part.name, Version: part.version, UId: String(part.uid) });
+      if (part.instance) {
+        xml.open('Instance', { Scope: 'LocalVariable', UId: String(part.instanceUId) });
+        this.writeComponents(xml, part.instance);
+        xml.close('Instance');
+      }
+      part.negated.forEach(pin => xml.element('Negated', { Name: pin }));
+      part.templates.forEach(([name, type, value]) => xml.element('TemplateValue', { Name: name, Type: type }, String(value)));
+      xml.close('Part');
+    }
+  }
+
+  /**
+   * Stap[3] -> <Component Name="Stap" AccessModifier="Array"> with the index as a DInt literal
+   */
+  writeComponents(xml, reference) {
+    if (reference.index === undefined || reference.index === null) {
+      xml.element('Component', { Name: reference.name });
+    } else {
+      xml.open('Component', { Name: reference.name, AccessModifier: 'Array' });
+      xml.open('Access', { Scope: 'LiteralConstant' });
+      xml.open('Constant');
+      xml.element('ConstantType', {}, 'DInt');
+      xml.element('ConstantValue', {}, String(reference.index));
+      xml.close('Constant');
+      xml.close('Access');
+      xml.close('Component');
+    }
+
+    if (reference.member) xml.element('Component', { Name: reference.member });
+  }
+
+  writeConnection(xml, connection) {
+    if (connection.powerrail) {
+      xml.element('Powerrail');
+    } else if (connection.ident !== undefined) {
+      xml.element('IdentCon', { UId: String(connection.ident) });
+    } else {
+      xml.element('NameCon', { UId: String(connection.uid), Name: connection.pin });
+    }
+  }
+}
+
+export default SimaticMLExporter;
@@ -0,0 +1,591 @@
+// =====================================================================
+// src/core/StepChainDiagram.js - Step Chain State Diagrams
+// =====================================================================
+// Draws the step chain of a HierarchicalParser result as a state diagram:
+// - One node per RUST, SCHRITT and END step, with a badge per timer
+//   ("Zeit N sek ??") on the steps the timer runs in
+// - One edge per transition, labelled with a summary of its condition
+// - Dashed edges to a node per referenced program step (cross-references)
+// Written as Mermaid stateDiagram-v2, Graphviz DOT or SVG. The SVG uses
+// its own layered layout, so it needs no Graphviz or browser and can be
+// written by the CLI and the AutoTrainer as well as shown in the webapp.
+// Output is byte-stable.
+// =====================================================================
+
+import { ConditionParser } from './ConditionParser.js';
+import { StepLogic } from './StepLogic.js';
+import { SymbolTable } from './SymbolTable.js';
+import { XmlWriter } from './XmlWriter.js';
+
+// Output file extension per diagram format
+export const DIAGRAM_FORMATS = {
+  mermaid: '.mmd',
+  dot: '.dot',
+  svg: '.svg'
+};
+
+// SVG layout in px; text widths are estimated from the character count
+const CHAR_WIDTH = 7;
+const SMALL_CHAR_WIDTH = 6;
+const LINE_HEIGHT = 16;
+const BADGE_HEIGHT = 16;
+const PADDING = 10;
+const MIN_NODE_WIDTH = 96;
+const NODE_GAP = 32;
+const RANK_GAP = 64;
+const LANE_GAP = 16;
+const MARGIN = 24;
+const PORT_SPREAD = 12;
+
+const MERMAID_ENTITIES = { '#': '#35;', ';': '#59;', '"': '#quot;', '<': '#lt;', '>': '#gt;' };
+
+const SVG_STYLE = [
+  '.node rect.box { fill: #ffffff; stroke: #374151; stroke-width: 1.5; }',
+  '.rust rect.box { fill: #eff6ff; stroke: #1d4ed8; stroke-width: 2.5; }',
+  '.end rect.box { fill: #f0fdf4; stroke: #15803d; }',
+  '.end rect.inner { fill: none; stroke: #15803d; }',
+  '.external rect.box { fill: #f9fafb; stroke: #6b7280; stroke-dasharray: 4 3; }',
+  '.node text { fill: #111827; text-anchor: middle; }',
+  '.node text.title { font-weight: bold; }',
+  '.badge rect { fill: #fef3c7; stroke: #d97706; }',
+  '.badge text { fill: #92400e; font-size: 10px; }',
+  '.edge path { fill: none; stroke: #6b7280; stroke-width: 1.5; marker-end: url(#step-chain-arrow); }',
+  '.crossReference path { stroke-dasharray: 6 4; }',
+  '.edge rect { fill: #ffffff; opacity: 0.85; }',
+  '.edge text { fill: #374151; font-size: 10px; text-anchor: middle; }'
+];
+
+/**
+ * State diagram writer for step chains
+ */
+export class StepChainDiagram {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxLabelLength - Longer condition summaries and descriptions are cut off (default: 40)
+   * @param {string} options.direction - TB (top to bottom, default) or LR, for Mermaid and DOT
+   */
+  constructor(options = {}) {
+    this.options = {
+      maxLabelLength: options.maxLabelLength || 40,
+      direction: options.direction || 'TB'
+    };
+    this.conditionParser = new ConditionParser();
+  }
+
+  /**
+   * Diagram in one of the DIAGRAM_FORMATS
+   */
+  export(result, format = 'svg') {
+    switch (format) {
+      case 'mermaid': return this.toMermaid(result);
+      case 'dot': return this.toDot(result);
+      case 'svg': return this.toSvg(result);
+      default:
+        throw new Error(`Unknown diagram format "${format}" (expected ${Object.keys(DIAGRAM_FORMATS).join(', ')})`);
+    }
+  }
+
+  // ----- Graph -----------------------------------------------------------
+
+  /**
+   * Nodes and edges of the diagram, in program order
+   * @returns {{ name, nodes: Array<{ id, kind, title, description, timers, lineNumber }>,
+   *   edges: Array<{ from, to, kind, label, text, lineNumber }> }}
+   */
+  build(result) {
+    const steps = result.steps || [];
+    const nodes = [];
+    const edges = [];
+    const stepNodes = new Map();
+
+    for (const step of steps) {
+      if (stepNodes.has(step.number)) continue;
+
+      const node = {
+        id: `S${step.number}`,
+        kind: StepChainDiagram.stepKind(step),
+        title: StepChainDiagram.stepTitle(step),
+        description: step.description || '',
+        timers: [],
+        lineNumber: step.lineNumber || null
+      };
+      stepNodes.set(step.number, node);
+      nodes.push(node);
+    }
+
+    const transitions = (result.transitions || [])
+      .filter(transition => stepNodes.has(transition.fromStep) && stepNodes.has(transition.toStep));
+
+    // Timers run in the step the "Zeit N sek ??" condition waits in
+    for (const step of steps) {
+      const fromSteps = [...new Set(transitions
+        .filter(transition => transition.toStep === step.number)
+        .map(transition => transition.fromStep))];
+
+      for (const timer of step.timers || []) {
+        const badge = {
+          address: timer.address || null,
+          preset: StepLogic.formatTime(timer.normalizedMs),
+          text: timer.text,
+          lineNumber: timer.lineNumber || null
+        };
+
+        for (const number of fromSteps.length > 0 ? fromSteps : [step.number]) {
+          const node = stepNodes.get(number);
+          if (!node.timers.some(existing => existing.address === badge.address && existing.text === badge.text)) {
+            node.timers.push(badge);
+          }
+        }
+      }
+    }
+
+    for (const transition of transitions) {
+      const target = steps.find(step => step.number === transition.toStep);
+      const groups = transition.implicit ? [transition.guard] : [transition.guard, target.entryConditions];
+      const text = groups
+        .map(conditions => this.conditionParser.toText(this.conditionParser.fromGroups(conditions || [])))
+        .filter(Boolean)
+        .join(' AND ');
+
+      edges.push({
+        from: `S${transition.fromStep}`,
+        to: `S${transition.toStep}`,
+        kind: 'transition',
+        label: this.truncate(text),
+        text,
+        lineNumber: transition.lineNumber || null
+      });
+    }
+
+    // One node per referenced program step, one dashed edge per reference
+    const externals = new Map();
+    for (const reference of result.crossReferences || []) {
+      const source = reference.source;
+      if (!source || source.type === 'VARIABLE' || !stepNodes.has(source.number)) continue;
+
+      const program = reference.fbNumber ? `FB${reference.fbNumber}` : reference.targetProgram;
+      const key = `${program}|${reference.keyword}|${(reference.steps || []).join('+')}`;
+
+      if (!externals.has(key)) {
+        const node = {
+          id: `X${externals.size + 1}`,
+          kind: 'external',
+          title: reference.fbNumber ? `${reference.targetProgram} (FB${reference.fbNumber})` : reference.targetProgram,
+          description: reference.stepType === 'RUST'
+            ? reference.keyword
+            : `${reference.keyword} ${(reference.steps || []).join('+')}`,
+          timers: [],
+          lineNumber: reference.lineNumber || null
+        };
+        externals.set(key, node);
+        nodes.push(node);
+      }
+
+      edges.push({
+        from: stepNodes.get(source.number).id,
+        to: externals.get(key).id,
+        kind: 'crossReference',
+        label: this.truncate(reference.description || ''),
+        text: reference.description || '',
+        lineNumber: reference.lineNumber || null
+      });
+    }
+
+    return {
+      name: result.metadata?.programName || 'Schrittkette',
+      nodes,
+      edges
+    };
+  }
+
+  // ----- Mermaid ---------------------------------------------------------
+
+  /**
+   * Mermaid stateDiagram-v2. State diagrams have no dashed transitions, so
+   * the referenced program steps are drawn dashed instead.
+   */
+  toMermaid(result) {
+    const graph = this.build(result);
+    const text = value => StepChainDiagram.mermaidEscape(value);
+    const lines = ['stateDiagram-v2', `    direction ${this.options.direction}`];
+
+    for (const node of graph.nodes) {
+      const label = this.nodeLines(node).map(text).join('<br/>');
+      lines.push(`    state "${label}" as ${node.id}`);
+    }
+
+    lines.push('');
+    for (const node of graph.nodes.filter(node => node.kind === 'rust')) {
+      lines.push(`    [*] --> ${node.id}`);
+    }
+    for (const edge of graph.edges) {
+      lines.push(`    ${edge.from} --> ${edge.to}${edge.label ? ` : ${text(edge.label)}` : ''}`);
+    }
+    for (const node of graph.nodes.filter(node => node.kind === 'end')) {
+      lines.push(`    ${node.id} --> [*]`);
+    }
+
+    const externals = graph.nodes.filter(node => node.kind === 'external');
+    if (externals.length > 0) {
+      lines.push('');
+      lines.push('    classDef external stroke-dasharray: 5 5');
+      lines.push(`    class ${externals.map(node => node.id).join(',')} external`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  // ----- Graphviz DOT ----------------------------------------------------
+
+  toDot(result) {
+    const graph = this.build(result);
+    const quote = value => `"${StepChainDiagram.dotEscape(value)}"`;
+    const lines = [
+      `digraph ${quote(graph.name)} {`,
+      `  rankdir=${this.options.direction};`,
+      '  node [shape=box, style=rounded, fontname="Helvetica", fontsize=12];',
+      '  edge [fontname="Helvetica", fontsize=10];',
+      ''
+    ];
+
+    const nodeStyles = {
+      rust: ', style="rounded,bold", penwidth=2',
+      step: '',
+      end: ', peripheries=2',
+      external: ', style="rounded,dashed", color="#6b7280"'
+    };
+
+    for (const node of graph.nodes) {
+      lines.push(`  ${node.id} [label=${quote(this.nodeLines(node).join('\n'))}${nodeStyles[node.kind]}];`);
+    }
+
+    lines.push('');
+    for (const edge of graph.edges) {
+      const attributes = [];
+      if (edge.label) attributes.push(`label=${quote(edge.label)}`);
+      if (edge.text !== edge.label) attributes.push(`tooltip=${quote(edge.text)}`);
+      if (edge.kind === 'crossReference') attributes.push('style=dashed', 'color="#6b7280"');
+      lines.push(`  ${edge.from} -> ${edge.to}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+    }
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  // ----- SVG -------------------------------------------------------------
+
+  toSvg(result) {
+    const graph = this.build(result);
+    const layout = this.layout(graph);
+    const xml = new XmlWriter();
+    const n = StepChainDiagram.round;
+
+    xml.open('svg', {
+      xmlns: 'http://www.w3.org/2000/svg',
+      width: n(layout.width),
+      height: n(layout.height),
+      viewBox: `0 0 ${n(layout.width)} ${n(layout.height)}`,
+      'font-family': 'Helvetica, Arial, sans-serif',
+      'font-size': 12
+    });
+    xml.element('title', {}, graph.name);
+    xml.open('defs');
+    xml.open('marker', {
+      id: 'step-chain-arrow',
+      viewBox: '0 0 10 10',
+      refX: 10,
+      refY: 5,
+      markerWidth: 8,
+      markerHeight: 8,
+      orient: 'auto'
+    });
+    xml.element('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: '#6b7280' });
+    xml.close('marker');
+    xml.open('style');
+    SVG_STYLE.forEach(rule => xml.raw(rule));
+    xml.close('style');
+    xml.close('defs');
+
+    xml.open('g', { class: 'edges' });
+    for (const edge of layout.edges) this.writeSvgEdge(xml, edge);
+    xml.close('g');
+
+    xml.open('g', { class: 'nodes' });
+    for (const node of graph.nodes) this.writeSvgNode(xml, layout.boxes.get(node.id), node);
+    xml.close('g');
+
+    xml.close('svg');
+    return xml.toString();
+  }
+
+  writeSvgNode(xml, box, node) {
+    const n = StepChainDiagram.round;
+    const lines = this.nodeLines(node, false);
+
+    xml.open('g', { class: `node ${node.kind}`, id: node.id });
+    xml.element('title', {}, StepChainDiagram.withLine([node.title, node.description].filter(Boolean).join(': '), node.lineNumber));
+    xml.element('rect', { class: 'box', x: n(box.x), y: n(box.y), width: n(box.width), height: n(box.height), rx: 6 });
+    if (node.kind === 'end') {
+      xml.element('rect', { class: 'inner', x: n(box.x + 3), y: n(box.y + 3), width: n(box.width - 6), height: n(box.height - 6), rx: 4 });
+    }
+
+    lines.forEach((line, index) => {
+      xml.element('text', {
+        class: index === 0 ? 'title' : 'description',
+        x: n(box.x + box.width / 2),
+        y: n(box.y + PADDING + LINE_HEIGHT * index + 12)
+      }, line);
+    });
+
+    if (node.timers.length > 0) {
+      const widths = node.timers.map(timer => StepChainDiagram.badgeWidth(timer));
+      const total = widths.reduce((sum, width) => sum + width, 0) + (widths.length - 1) * 4;
+      let x = box.x + (box.width - total) / 2;
+      const y = box.y + PADDING + LINE_HEIGHT * lines.length + 2;
+
+      node.timers.forEach((timer, index) => {
+        xml.open('g', { class: 'badge' });
+        xml.element('title', {}, StepChainDiagram.withLine(timer.text, timer.lineNumber));
+        xml.element('rect', { x: n(x), y: n(y), width: n(widths[index]), height: BADGE_HEIGHT, rx: 8 });
+        xml.element('text', { x: n(x + widths[index] / 2), y: n(y + 11.5) }, StepChainDiagram.badgeText(timer));
+        xml.close('g');
+        x += widths[index] + 4;
+      });
+    }
+
+    xml.close('g');
+  }
+
+  writeSvgEdge(xml, edge) {
+    const n = StepChainDiagram.round;
+
+    xml.open('g', { class: `edge ${edge.kind}` });
+    xml.element('title', {}, StepChainDiagram.withLine(edge.text || `${edge.from} -> ${edge.to}`, edge.lineNumber));
+    const [x0, y0, x1, y1, x2, y2, x3, y3] = edge.points.map(n);
+    xml.element('path', { d: `M ${x0} ${y0} C ${x1} ${y1}, ${x2} ${y2}, ${x3} ${y3}` });
+    if (edge.label) {
+      const width = StepChainDiagram.labelWidth(edge.label);
+      xml.element('rect', { x: n(edge.labelX - width / 2), y: n(edge.labelY - 8), width: n(width), height: 14, rx: 2 });
+      xml.element('text', { x: n(edge.labelX), y: n(edge.labelY + 3) }, edge.label);
+    }
+    xml.close('g');
+  }
+
+  /**
+   * Layered layout: transitions back to an earlier step are set aside
+   * (depth-first, in program order), ranks are the longest forward path
+   * from the start, and nodes within a rank are ordered and placed below
+   * the mean position of their predecessors. Back transitions run in
+   * lanes on the right.
+   */
+  layout(graph) {
+    const order = new Map(graph.nodes.map((node, index) => [node.id, index]));
+    const outgoing = new Map(graph.nodes.map(node => [node.id, []]));
+    graph.edges.forEach(edge => outgoing.get(edge.from).push(edge));
+
+    // Back edges: edges to a node on the depth-first path
+    const state = new Map();
+    const backEdges = new Set();
+    const visit = id => {
+      state.set(id, 'open');
+      for (const edge of outgoing.get(id)) {
+        if (edge.to === id) continue;
+        if (state.get(edge.to) === 'open') backEdges.add(edge);
+        else if (!state.has(edge.to)) visit(edge.to);
+      }
+      state.set(id, 'done');
+    };
+    [...graph.nodes.filter(node => node.kind === 'rust'), ...graph.nodes].forEach(node => {
+      if (!state.has(node.id)) visit(node.id);
+    });
+
+    const forwardEdges = graph.edges.filter(edge => edge.from !== edge.to && !backEdges.has(edge));
+    const predecessors = new Map(graph.nodes.map(node => [node.id, []]));
+    forwardEdges.forEach(edge => predecessors.get(edge.to).push(edge.from));
+
+    // Ranks: longest path over the forward edges (Kahn's algorithm)
+    const rank = new Map(graph.nodes.map(node => [node.id, 0]));
+    const indegree = new Map(graph.nodes.map(node => [node.id, predecessors.get(node.id).length]));
+    const queue = graph.nodes.filter(node => indegree.get(node.id) === 0).map(node => node.id);
+    while (queue.length > 0) {
+      const id = queue.shift();
+      for (const edge of forwardEdges.filter(candidate => candidate.from === id)) {
+        rank.set(edge.to, Math.max(rank.get(edge.to), rank.get(id) + 1));
+        indegree.set(edge.to, indegree.get(edge.to) - 1);
+        if (indegree.get(edge.to) === 0) queue.push(edge.to);
+      }
+    }
+
+    const rows = [];
+    for (const node of graph.nodes) {
+      const index = rank.get(node.id);
+      while (rows.length <= index) rows.push([]);
+      rows[index].push(node);
+    }
+
+    // Placement row by row: below the mean centre of the predecessors, in
+    // that order (then program order), without overlapping
+    const sizes = new Map(graph.nodes.map(node => [node.id, this.nodeSize(node)]));
+    const boxes = new Map();
+    let top = MARGIN;
+
+    for (const row of rows) {
+      const desired = new Map(row.map(node => {
+        const placed = predecessors.get(node.id).filter(id => boxes.has(id));
+        const centre = placed.length > 0
+          ? placed.reduce((sum, id) => sum + boxes.get(id).x + boxes.get(id).width / 2, 0) / placed.length
+          : null;
+        return [node.id, centre];
+      }));
+      row.sort((a, b) => (desired.get(a.id) ?? Infinity) - (desired.get(b.id) ?? Infinity) || order.get(a.id) - order.get(b.id));
+
+      const rowHeight = Math.max(...row.map(node => sizes.get(node.id).height));
+      let x = -Infinity;
+      for (const node of row) {
+        const { width, height } = sizes.get(node.id);
+        const centre = desired.get(node.id);
+        const left = centre === null ? x : Math.max(x, centre - width / 2);
+        const boxX = left === -Infinity ? 0 : left;
+        boxes.set(node.id, { x: boxX, y: top + (rowHeight - height) / 2, width, height });
+        x = boxX + width + NODE_GAP;
+      }
+      top += rowHeight + RANK_GAP;
+    }
+
+    // Edge curves as cubic Bézier points [x0, y0, x1, y1, x2, y2, x3, y3]
+    const edges = [];
+    const port = (edgesAtNode, edge) => (edgesAtNode.indexOf(edge) - (edgesAtNode.length - 1) / 2) * PORT_SPREAD;
+    const boxRight = Math.max(...[...boxes.values()].map(box => box.x + box.width));
+    const extents = [...boxes.values()].map(box => [box.x, box.x + box.width]);
+    let lanes = 0;
+
+    for (const edge of graph.edges) {
+      const from = boxes.get(edge.from);
+      const to = boxes.get(edge.to);
+      const labelWidth = StepChainDiagram.labelWidth(edge.label);
+
+      if (edge.from === edge.to) {
+        const x = from.x + from.width;
+        const y = from.y + from.height / 2;
+        edges.push({ ...edge, points: [x, y - 6, x + 36, y - 24, x + 36, y + 24, x, y + 6], labelX: x + 31 + labelWidth / 2, labelY: y });
+        extents.push([x, x + 31 + labelWidth]);
+      } else if (backEdges.has(edge)) {
+        // Control points chosen so that the middle of the curve is on the lane
+        const lane = boxRight + LANE_GAP * (++lanes);
+        const fromX = from.x + from.width;
+        const fromY = from.y + from.height / 2;
+        const toX = to.x + to.width;
+        const toY = to.y + to.height / 2;
+        const control = (lane - (fromX + toX) / 8) * 4 / 3;
+        edges.push({ ...edge, points: [fromX, fromY, control, fromY, control, toY, toX, toY], labelX: lane + 4 + labelWidth / 2, labelY: (fromY + toY) / 2 });
+        extents.push([lane, lane + (labelWidth > 0 ? 4 + labelWidth : 0)]);
+      } else {
+        const fromX = from.x + from.width / 2 + port(forwardEdges.filter(candidate => candidate.from === edge.from), edge);
+        const toX = to.x + to.width / 2 + port(forwardEdges.filter(candidate => candidate.to === edge.to), edge);
+        const fromY = from.y + from.height;
+        const toY = to.y;
+        const bend = (toY - fromY) / 2;
+        edges.push({ ...edge, points: [fromX, fromY, fromX, fromY + bend, toX, toY - bend, toX, toY], labelX: (fromX + toX) / 2, labelY: (fromY + toY) / 2 });
+        extents.push([(fromX + toX - labelWidth) / 2, (fromX + toX + labelWidth) / 2]);
+      }
+    }
+
+    // Move everything right of the margin; the extent includes the labels
+    const left = extents.length > 0 ? Math.min(...extents.map(([start]) => start)) : 0;
+    const right = extents.length > 0 ? Math.max(...extents.map(([, end]) => end)) : 0;
+    const shift = MARGIN - left;
+
+    boxes.forEach(box => { box.x += shift; });
+    edges.forEach(edge => {
+      edge.points = edge.points.map((value, index) => (index % 2 === 0 ? value + shift : value));
+      edge.labelX += shift;
+    });
+
+    return {
+      width: right - left + MARGIN * 2,
+      height: Math.max(top - RANK_GAP + MARGIN, MARGIN * 2),
+      boxes,
+      edges
+    };
+  }
+
+  nodeSize(node) {
+    const lines = this.nodeLines(node, false);
+    const textWidth = Math.max(...lines.map(line => line.length * CHAR_WIDTH));
+    const badgeWidth = node.timers.reduce((sum, timer) => sum + StepChainDiagram.badgeWidth(timer) + 4, -4);
+
+    return {
+      width: Math.max(MIN_NODE_WIDTH, textWidth + PADDING * 2, badgeWidth + PADDING * 2),
+      height: PADDING * 2 + LINE_HEIGHT * lines.length + (node.timers.length > 0 ? BADGE_HEIGHT + 4 : 0)
+    };
+  }
+
+  // ----- Text ------------------------------------------------------------
+
+  /**
+   * Title, description and (unless drawn as badges) timer lines of a node
+   */
+  nodeLines(node, withTimers = true) {
+    const lines = [node.title];
+    if (node.description) lines.push(this.truncate(node.description));
+    if (withTimers) node.timers.forEach(timer => lines.push(StepChainDiagram.badgeText(timer)));
+    return lines;
+  }
+
+  truncate(text) {
+    const max = this.options.maxLabelLength;
+    return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+  }
+
+  static stepKind(step) {
+    if (step.type === 'RUST' || step.type === 'RUHE') return 'rust';
+    return step.type === 'END' ? 'end' : 'step';
+  }
+
+  /**
+   * Step name with the keyword the source used (RUHE, STAP 3, FERTIG), like
+   * the exporters' SymbolTable.stepLabel
+   */
+  static stepTitle(step) {
+    const keyword = SymbolTable.sourceKeyword(step);
+    if (StepChainDiagram.stepKind(step) === 'rust') return keyword || step.type;
+    if (step.type === 'END' && keyword) return keyword;
+    return `${keyword || step.type} ${step.number}`;
+  }
+
+  /**
+   * "Tijd[1] T#30M"
+   */
+  static badgeText(timer) {
+    return timer.address ? `${timer.address} ${timer.preset}` : timer.preset;
+  }
+
+  static labelWidth(label) {
+    return label ? label.length * SMALL_CHAR_WIDTH + 6 : 0;
+  }
+
+  static badgeWidth(timer) {
+    return StepChainDiagram.badgeText(timer).length * SMALL_CHAR_WIDTH + 12;
+  }
+
+  /**
+   * Mermaid entity codes for characters that end a label or statement
+   */
+  static mermaidEscape(text) {
+    return String(text).replace(/[#;"<>]/g, character => MERMAID_ENTITIES[character]);
+  }
+
+  static dotEscape(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  }
+
+  static round(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  static withLine(text, lineNumber) {
+    return lineNumber ? `${text} (line ${lineNumber})` : text;
+  }
+}
+
+export default StepChainDiagram;
@@ -0,0 +1,421 @@
+// =====================================================================
+// src/core/StepChainSimulator.js - Dry Run of Step Chains
+// =====================================================================
+// Runs a HierarchicalParser result against a scenario on a virtual clock,
+// executing the same StepLogic plan the code exporters write, in the same
+// order, once per scan cycle:
+// - RUST is active when no other step is; a transition sets its step and
+//   resets the step it comes from (entry conditions, OR groups, NICHT).
+//   As in the generated code, RUST drops out one scan after SCHRITT 1 is set.
+// - "Zeit N sek ??" timers run as TON on the virtual clock
+// - SETZEN/RÜCKSETZEN and assignments act while their step is active
+// Scenarios set inputs at given times and assert on steps and values:
+//   { "cycleTime": "100 ms", "inputs": { "Freigabe Start": true },
+//     "events": [{ "at": "5 s", "set": { "Start": true } }],
+//     "assertions": ["reaches SCHRITT 5 within 2000 s",
+//                    { "at": "10 s", "active": "SCHRITT 2" },
+//                    { "at": "10 s", "expect": { "Hulp[3]": true } },
+//                    "never SCHRITT 7"] }
+// Runs are deterministic: the same program and scenario give the same trace.
+// =====================================================================
+
+import { SymbolTable } from './SymbolTable.js';
+import { StepLogic } from './StepLogic.js';
+import { TIMER_UNITS } from './HierarchicalParser.js';
+
+const TIME_PATTERN = new RegExp(`^(\\d+(?:[.,]\\d+)?)\\s*(${Object.keys(TIMER_UNITS).join('|')})$`, 'i');
+
+// "reaches SCHRITT 5 within 2000 s", "never SCHRITT 7"
+const STEP_ASSERTION_PATTERN = /^(reaches|never)\s+(.+?)(?:\s+within\s+(.+))?$/i;
+
+// "Tijd[1].Q" - array element with an optional member
+const ELEMENT_PATTERN = /^([A-Za-z_]\w*)\[(\d+)\](?:\.(\w+))?$/;
+
+// Simulated time when neither the scenario nor its events and assertions give one
+const DEFAULT_DURATION = 60000;
+
+/**
+ * Scan-cycle simulator for the step chain of one program
+ */
+export class StepChainSimulator {
+  /**
+   * @param {Object} options
+   * @param {Object} options.validationRules - Rules with the group arrays, see SymbolTable
+   * @param {number} options.cycleTime - Scan cycle in ms when the scenario gives none (default: 100)
+   */
+  constructor(options = {}) {
+    this.options = {
+      validationRules: options.validationRules || {},
+      cycleTime: options.cycleTime || 100
+    };
+  }
+
+  /**
+   * Run a scenario against a parse result
+   * @returns {Object} { name, passed, duration, cycleTime, scans, assertions, trace, finalState, activeSteps }
+   */
+  run(result, scenario = {}) {
+    this.result = result;
+    this.symbols = new SymbolTable(result, { validationRules: this.options.validationRules });
+    this.plan = new StepLogic(this.symbols, { validationRules: this.options.validationRules }).plan(result);
+
+    const { cycleTime, duration, inputs, events, assertions } = this.normalizeScenario(scenario);
+
+    this.state = this.initialState();
+    this.timers = new Map();
+    inputs.forEach(({ key, value }) => this.state.set(key, value));
+
+    const trace = [];
+    let previous = new Map();
+    let scans = 0;
+    let nextEvent = 0;
+
+    for (let time = 0; time <= duration; time += cycleTime) {
+      while (nextEvent < events.length && events[nextEvent].time <= time) {
+        events[nextEvent++].values.forEach(({ key, value }) => this.state.set(key, value));
+      }
+
+      this.scan(time);
+      scans++;
+
+      const changes = {};
+      for (const [key, value] of this.state) {
+        if (previous.get(key) !== value) changes[key] = value;
+      }
+      if (Object.keys(changes).length > 0) {
+        trace.push({ time, scan: scans, activeSteps: this.activeSteps(), changes });
+      }
+      previous = new Map(this.state);
+
+      assertions.forEach(assertion => this.checkAssertion(assertion, time));
+    }
+
+    // Assertions still open at the end of the run
+    for (const assertion of assertions.filter(candidate => candidate.passed === null)) {
+      assertion.passed = assertion.type === 'never';
+      assertion.message = assertion.passed
+        ? `${assertion.label} was never active${assertion.within !== null ? ` within ${StepChainSimulator.formatTime(assertion.within)}` : ''}`
+        : `${assertion.label} was not reached within ${StepChainSimulator.formatTime(assertion.within ?? duration)}`;
+    }
+
+    return {
+      name: scenario.name || null,
+      passed: assertions.every(assertion => assertion.passed),
+      duration,
+      cycleTime,
+      scans,
+      assertions: assertions.map(({ type, text, passed, time, message }) => ({ type, text, passed, time, message })),
+      trace,
+      finalState: Object.fromEntries(this.state),
+      activeSteps: this.activeSteps()
+    };
+  }
+
+  // ----- Scan cycle ------------------------------------------------------
+
+  /**
+   * One scan: all plan entries in program order, writes visible to later entries
+   */
+  scan(time) {
+    for (const entry of this.plan) {
+      switch (entry.kind) {
+        case 'rust':
+        case 'coil':
+          this.write(entry.target, this.evaluate(entry.logic));
+          break;
+        case 'timer':
+          this.runTimer(entry, time);
+          break;
+        case 'step':
+          for (const branch of entry.branches) {
+            if (!this.evaluate(branch.logic)) continue;
+            if (branch.reset) this.write(branch.from, false);
+            this.write(entry.target, true);
+          }
+          break;
+        default:
+          if (this.evaluate(entry.logic)) entry.actions.forEach(action => this.runAction(action));
+      }
+    }
+  }
+
+  /**
+   * TON: Q once IN has been TRUE for the preset time
+   */
+  runTimer({ timer, instance, start }, time) {
+    const key = SymbolTable.format(instance);
+    const input = this.evaluate(start);
+    const startTime = input ? (this.timers.get(key) ?? time) : null;
+
+    this.timers.set(key, startTime);
+    this.state.set(`${key}.Q`, input && time - startTime >= (timer.normalizedMs || 0));
+  }
+
+  runAction({ operation, target, value }) {
+    if (operation === 'ASSIGN') {
+      this.write(target, value.reference ? this.read(value.reference) : value.constant);
+    } else {
+      this.write(target, operation === 'SET');
+    }
+  }
+
+  /**
+   * Value of a logic tree (see StepLogic) on the current state
+   */
+  evaluate(node) {
+    switch (node.type) {
+      case 'true':
+        return true;
+      case 'contact':
+        return Boolean(this.read(node.reference)) !== node.negated;
+      case 'not':
+        return !this.evaluate(node.operand);
+      case 'and':
+        return node.operands.every(operand => this.evaluate(operand));
+      case 'or':
+        return node.operands.some(operand => this.evaluate(operand));
+      case 'compare':
+        return StepChainSimulator.compare(
+          Number(this.read(node.subject) ?? 0),
+          node.operator,
+          Number(node.value.reference ? this.read(node.value.reference) ?? 0 : node.value.constant)
+        );
+      default:
+        throw new Error(`Unknown logic node: ${node.type}`);
+    }
+  }
+
+  read(reference) {
+    return this.state.get(SymbolTable.format(reference));
+  }
+
+  write(reference, value) {
+    this.state.set(SymbolTable.format(reference), value);
+  }
+
+  /**
+   * Start values of the static members ("Variable 2 (Maximale Kapazität) = 750")
+   */
+  initialState() {
+    const state = new Map();
+    const startValue = text => {
+      const value = StepLogic.parseValue(text);
+      return value.text === undefined ? value.constant : undefined;
+    };
+
+    for (const member of this.symbols.getSection('Static')) {
+      if (member.range) {
+        for (const [index, element] of member.elements) {
+          const value = element.startValue !== null ? startValue(element.startValue) : undefined;
+          if (value !== undefined) state.set(SymbolTable.format({ name: member.name, index }), value);
+        }
+      } else if (member.startValue !== null) {
+        const value = startValue(member.startValue);
+        if (value !== undefined) state.set(member.name, value);
+      }
+    }
+
+    return state;
+  }
+
+  activeSteps() {
+    return (this.result.steps || [])
+      .filter(step => this.read(this.symbols.step(step.number)))
+      .map(step => this.symbols.stepLabel(step.number));
+  }
+
+  // ----- Assertions ------------------------------------------------------
+
+  checkAssertion(assertion, time) {
+    if (assertion.passed !== null) return;
+
+    if (assertion.type === 'state') {
+      if (time < assertion.at) return;
+
+      const mismatches = assertion.expect.filter(({ key, value }) => !StepChainSimulator.equals(this.state.get(key), value));
+      assertion.passed = mismatches.length === 0;
+      assertion.time = time;
+      assertion.message = assertion.passed
+        ? `as expected at ${StepChainSimulator.formatTime(time)}`
+        : mismatches.map(({ name, key, value }) =>
+          `${name}: expected ${value}, got ${this.state.get(key) ?? (typeof value === 'boolean' ? false : 0)}`).join('; ');
+      return;
+    }
+
+    const active = Boolean(this.state.get(assertion.key));
+    const inWindow = assertion.within === null || time <= assertion.within;
+
+    if (assertion.type === 'reaches' && active && inWindow) {
+      assertion.passed = true;
+      assertion.time = time;
+      assertion.message = `${assertion.label} reached at ${StepChainSimulator.formatTime(time)}`;
+    } else if (assertion.type === 'reaches' && !inWindow) {
+      assertion.passed = false;
+      assertion.message = `${assertion.label} was not reached within ${StepChainSimulator.formatTime(assertion.within)}`;
+    } else if (assertion.type === 'never' && active && inWindow) {
+      assertion.passed = false;
+      assertion.time = time;
+      assertion.message = `${assertion.label} became active at ${StepChainSimulator.formatTime(time)}`;
+    }
+  }
+
+  // ----- Scenario --------------------------------------------------------
+
+  /**
+   * Times in ms, operands as state keys, events sorted by time. Without a
+   * duration the run lasts until the last event or time-bound assertion;
+   * "reaches"/"never" without "within" run for at least DEFAULT_DURATION.
+   */
+  normalizeScenario(scenario) {
+    const cycleTime = StepChainSimulator.parseTime(scenario.cycleTime ?? this.options.cycleTime);
+    if (!(cycleTime > 0)) {
+      throw new Error(`Invalid cycle time: ${scenario.cycleTime}`);
+    }
+
+    const inputs = this.values(scenario.inputs || {});
+    const events = (scenario.events || [])
+      .map(event => ({ time: StepChainSimulator.parseTime(event.at), values: this.values(event.set || {}) }))
+      .sort((a, b) => a.time - b.time);
+    const assertions = (scenario.assertions || []).map(assertion => this.normalizeAssertion(assertion));
+
+    const times = [
+      ...events.map(event => event.time),
+      ...assertions.map(assertion => assertion.type === 'state' ? assertion.at : assertion.within).filter(time => time !== null)
+    ];
+    const unbounded = assertions.some(assertion => assertion.type !== 'state' && assertion.within === null);
+    const duration = scenario.duration !== undefined
+      ? StepChainSimulator.parseTime(scenario.duration)
+      : times.length > 0 && !unbounded
+        ? Math.max(...times) + cycleTime
+        : Math.max(DEFAULT_DURATION, ...times.map(time => time + cycleTime));
+
+    return { cycleTime, duration, inputs, events, assertions };
+  }
+
+  normalizeAssertion(assertion) {
+    const base = { passed: null, time: null, message: null };
+
+    if (typeof assertion === 'string') {
+      const match = assertion.trim().match(STEP_ASSERTION_PATTERN);
+      if (!match) throw new Error(`Invalid assertion: "${assertion}"`);
+      return this.stepAssertion(match[1].toLowerCase(), match[2], match[3], assertion.trim(), base);
+    }
+
+    if (assertion.reaches !== undefined || assertion.never !== undefined) {
+      const type = assertion.reaches !== undefined ? 'reaches' : 'never';
+      const text = `${type} ${assertion[type]}${assertion.within !== undefined ? ` within ${assertion.within}` : ''}`;
+      return this.stepAssertion(type, String(assertion[type]), assertion.within, text, base);
+    }
+
+    if (assertion.at === undefined || (assertion.active === undefined && assertion.expect === undefined)) {
+      throw new Error(`Invalid assertion: ${JSON.stringify(assertion)}`);
+    }
+
+    const at = StepChainSimulator.parseTime(assertion.at);
+    const expect = [
+      ...(assertion.active !== undefined ? [{ ...this.stepKey(String(assertion.active)), value: true }] : []),
+      ...this.values(assertion.expect || {})
+    ];
+    const label = expect.map(({ name, value }) => value === true ? name : `${name} = ${value}`).join(', ');
+
+    return { ...base, type: 'state', at, expect, label, text: `at ${StepChainSimulator.formatTime(at)}: ${label}` };
+  }
+
+  stepAssertion(type, step, within, text, base) {
+    const { key, name } = this.stepKey(step);
+    return {
+      ...base,
+      type,
+      key,
+      label: name,
+      within: within !== undefined && within !== null ? StepChainSimulator.parseTime(within) : null,
+      text
+    };
+  }
+
+  /**
+   * State key of a step named "SCHRITT 5", "STAP 5", "RUST", its END keyword or its number
+   */
+  stepKey(text) {
+    const number = /^\d+$/.test(text.trim()) ? parseInt(text) : null;
+    const reference = number !== null ? this.symbols.step(number) : this.lookup(text);
+    const step = (this.result.steps || []).find(candidate =>
+      reference.name === this.symbols.stepArray && candidate.number === reference.index);
+
+    if (!step) throw new Error(`Unknown step in scenario: "${text}"`);
+    return { key: SymbolTable.format(reference), name: this.symbols.stepLabel(step.number) };
+  }
+
+  /**
+   * { "Freigabe Start": true } -> [{ name, key, value }]
+   */
+  values(object) {
+    return Object.entries(object).map(([name, value]) => ({
+      name,
+      key: SymbolTable.format(this.lookup(name)),
+      value
+    }));
+  }
+
+  /**
+   * Resolve an operand the way the program's conditions do; names the
+   * program never uses are rejected so a typo cannot pass silently
+   */
+  lookup(name) {
+    const element = name.trim().match(ELEMENT_PATTERN);
+    if (element && this.symbols.members.has(element[1])) {
+      return { name: element[1], index: parseInt(element[2]), member: element[3] || null };
+    }
+
+    // Resolve against a copy: resolve() declares unknown operands as members
+    const symbols = Object.assign(Object.create(SymbolTable.prototype), this.symbols, {
+      members: new Map(this.symbols.members)
+    });
+    const reference = symbols.resolve(name);
+    if (!this.symbols.members.has(reference.name)) {
+      throw new Error(`Unknown operand in scenario: "${name}"`);
+    }
+    return reference;
+  }
+
+  // ----- Helpers ---------------------------------------------------------
+
+  /**
+   * 1500, "1500 ms", "2000 s", "30 min", "1,5 h" -> milliseconds
+   */
+  static parseTime(value) {
+    if (typeof value === 'number') return value;
+
+    const match = String(value ?? '').trim().match(TIME_PATTERN);
+    if (!match) throw new Error(`Invalid time: "${value}" (expected ms or e.g. "30 s", "5 min")`);
+    return Math.round(parseFloat(match[1].replace(',', '.')) * TIMER_UNITS[match[2].toLowerCase()]);
+  }
+
+  /**
+   * 2000000 -> "2000 s", 1500 -> "1.5 s", 40 -> "40 ms"
+   */
+  static formatTime(milliseconds) {
+    return milliseconds < 1000 ? `${milliseconds} ms` : `${milliseconds / 1000} s`;
+  }
+
+  static compare(left, operator, right) {
+    switch (operator) {
+      case '>': return left > right;
+      case '>=': return left >= right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '<>': return left !== right;
+      default: return left === right;
+    }
+  }
+
+  /**
+   * Unset members read as FALSE / 0
+   */
+  static equals(actual, expected) {
+    if (typeof expected === 'boolean') return Boolean(actual) === expected;
+    return Number(actual ?? 0) === Number(expected);
+  }
+}
+
+export default StepChainSimulator;
@@ -0,0 +1,347 @@
+// =====================================================================
+// src/core/StepLogic.js - Step Chain Logic for Code Export
+// =====================================================================
+// Turns a HierarchicalParser result into the logic the code exporters
+// implement, independent of the target language:
+// - RUST: Stap[0] = NOT any other step
+// - Per SCHRITT/END: one branch per transition (Stap[from] AND guard),
+//   setting the step and resetting its from-step
+// - TON timers started by the step a "Zeit N sek" condition waits in
+// - SET/RESET/assign actions, and markers assigned from their conditions
+// Logic trees use the nodes: true, contact { reference, negated }, not,
+// and, or, compare { operator, subject, dataType, value }.
+// =====================================================================
+
+import { SymbolTable } from './SymbolTable.js';
+import { ConditionParser } from './ConditionParser.js';
+
+const TIME_UNITS = [['D', 86400000], ['H', 3600000], ['M', 60000], ['S', 1000], ['MS', 1]];
+
+const ST_OPERATORS = { '==': '=', '<>': '<>', '>': '>', '>=': '>=', '<': '<', '<=': '<=' };
+
+/**
+ * Builder for the export plan of one program
+ */
+export class StepLogic {
+  /**
+   * @param {SymbolTable} symbols - Members the logic refers to
+   * @param {Object} options
+   * @param {Object} options.validationRules - Rules with the group implementations (coil, timer, ...)
+   */
+  constructor(symbols, { validationRules = {} } = {}) {
+    this.symbols = symbols;
+    this.validationRules = validationRules;
+    this.conditionParser = new ConditionParser();
+    this.lineNumber = null;
+  }
+
+  /**
+   * Export plan in program order: rust, timer, step, actions and coil entries
+   */
+  plan(result) {
+    const entries = [];
+    const steps = result.steps || [];
+    const transitions = result.transitions || [];
+
+    const rust = steps.find(step => step.type === 'RUST');
+    if (rust) {
+      const others = steps.filter(step => step.type === 'SCHRITT' || step.type === 'END');
+      entries.push({
+        kind: 'rust',
+        step: rust,
+        target: this.symbols.step(rust.number),
+        logic: this.and(others.map(step => this.contact(this.symbols.step(step.number), true)))
+      });
+    }
+
+    for (const step of steps) {
+      const incoming = transitions.filter(transition => transition.toStep === step.number && transition.fromStep !== null);
+
+      if (step.type !== 'RUST') {
+        const fromSteps = [...new Set(incoming.map(transition => transition.fromStep))];
+        for (const timer of step.timers || []) {
+          this.pushTimer(entries, timer, this.or(fromSteps.map(number => this.contact(this.symbols.step(number)))), fromSteps);
+        }
+
+        if (incoming.length > 0) entries.push(this.planStep(step, incoming));
+      }
+
+      if ((step.actions || []).length > 0) {
+        entries.push({
+          kind: 'actions',
+          step,
+          logic: this.contact(this.symbols.step(step.number)),
+          actions: step.actions.map(action => this.planAction(action))
+        });
+      }
+    }
+
+    for (const variable of result.variables || []) {
+      if (!this.isCoil(variable)) continue;
+
+      for (const timer of variable.timers || []) {
+        this.pushTimer(entries, timer, this.fromGroups(variable.conditions, { skipTimers: true }));
+      }
+
+      entries.push({
+        kind: 'coil',
+        variable,
+        target: SymbolTable.parseAddress(variable.address) || { name: SymbolTable.toIdentifier(variable.name) },
+        logic: this.fromGroups(variable.conditions),
+        description: this.describe(variable.conditions)
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Timers without an allocated Tijd[n] element cannot be implemented.
+   * fromSteps lists the steps a step timer runs in (null for marker timers).
+   */
+  pushTimer(entries, timer, start, fromSteps = null) {
+    const instance = this.symbols.timer(timer);
+    if (!instance) return;
+
+    entries.push({ kind: 'timer', timer, instance, start, fromSteps, preset: StepLogic.formatTime(timer.normalizedMs) });
+  }
+
+  /**
+   * One branch per incoming transition; explicit (VON SCHRITT) transitions
+   * also need the step's own entry conditions
+   */
+  planStep(step, incoming) {
+    return {
+      kind: 'step',
+      step,
+      target: this.symbols.step(step.number),
+      branches: incoming.map(transition => {
+        const groups = transition.implicit ? [transition.guard] : [transition.guard, step.entryConditions];
+        const guard = this.and(groups.map(conditions => this.fromGroups(conditions)));
+        return {
+          transition,
+          from: this.symbols.step(transition.fromStep),
+          reset: transition.fromStep !== 0 && transition.fromStep !== step.number,
+          guard,
+          logic: this.and([this.contact(this.symbols.step(transition.fromStep)), guard]),
+          description: groups.map(conditions => this.describe(conditions)).filter(Boolean).join(' AND ')
+        };
+      })
+    };
+  }
+
+  /**
+   * SET/RESET write TRUE/FALSE to a Bool target; assignments carry a constant or operand value
+   */
+  planAction(action) {
+    if (action.operation !== 'ASSIGN') {
+      return { action, operation: action.operation, target: this.actionTarget(action, 'Bool'), dataType: 'Bool', value: null };
+    }
+
+    const value = StepLogic.parseValue(action.value);
+    const target = this.actionTarget(action, value.dataType || 'Int');
+    const dataType = this.symbols.dataTypeOf(target);
+
+    return {
+      action,
+      operation: 'ASSIGN',
+      target,
+      dataType,
+      value: value.text
+        ? { reference: this.symbols.resolve(value.text, dataType, 'Input', action.lineNumber) }
+        : { constant: value.constant }
+    };
+  }
+
+  actionTarget(action, dataType) {
+    return SymbolTable.parseAddress(action.address) ||
+      this.symbols.resolve(action.target, dataType, 'Static', action.lineNumber);
+  }
+
+  /**
+   * Markers assigned from their own conditions (groups without a SET/RESET table)
+   */
+  isCoil(variable) {
+    const implementation = this.validationRules?.groups?.[variable.group]?.implementation;
+    return (variable.conditions || []).length > 0 &&
+      !variable.usesSetReset &&
+      (variable.dataType || 'Bool') === 'Bool' &&
+      (implementation?.type || 'coil') === 'coil';
+  }
+
+  // ----- Logic trees -----------------------------------------------------
+
+  /**
+   * Condition groups (AND groups separated by OR) as a logic tree
+   */
+  fromGroups(groups = [], options = {}) {
+    return this.or(groups.map(group => this.and(group.conditions.map(condition => this.fromCondition(condition, options)))));
+  }
+
+  fromCondition(condition, options = {}) {
+    if (condition.isBlock) return this.fromGroups(condition.groups, options);
+
+    // Operands first seen here are declared with this line number
+    this.lineNumber = condition.lineNumber ?? null;
+
+    if (condition.timer) {
+      if (options.skipTimers) return null;
+      const reference = this.symbols.timer(condition.timer, 'Q');
+      if (reference) return this.contact(reference, condition.isNot);
+    }
+
+    return condition.expression ? this.fromExpression(condition.expression) : null;
+  }
+
+  fromExpression(expression) {
+    if (!expression) return null;
+
+    switch (expression.type) {
+      case 'and':
+        return this.and(expression.operands.map(operand => this.fromExpression(operand)));
+      case 'or':
+        return this.or(expression.operands.map(operand => this.fromExpression(operand)));
+      case 'not': {
+        const operand = this.fromExpression(expression.operand);
+        if (!operand) return null;
+        return operand.type === 'contact' ? { ...operand, negated: !operand.negated } : { type: 'not', operand };
+      }
+      case 'comparison':
+        return this.compare(expression.subject, expression.operator, expression.value);
+      case 'range':
+        return this.and([
+          this.compare(expression.subject, '>=', expression.min),
+          this.compare(expression.subject, '<=', expression.max)
+        ]);
+      default:
+        return this.contact(this.symbols.resolve(expression.text, 'Bool', 'Input', this.lineNumber));
+    }
+  }
+
+  contact(reference, negated = false) {
+    return { type: 'contact', reference, negated };
+  }
+
+  /**
+   * Comparison of an analog value; values with units or decimals are Real
+   */
+  compare(subject, operator, value) {
+    const numeric = typeof value?.value === 'number';
+    const guessed = numeric && (value.unit || !Number.isInteger(value.value)) ? 'Real' : 'Int';
+    const reference = this.symbols.resolve(subject || '?', guessed, 'Input', this.lineNumber);
+    const declared = this.symbols.dataTypeOf(reference);
+    const dataType = declared === 'Bool' ? guessed : declared;
+
+    return {
+      type: 'compare',
+      operator,
+      subject: reference,
+      dataType,
+      value: numeric ? { constant: value.value } : value?.value ? { reference: this.symbols.resolve(value.raw, dataType, 'Input', this.lineNumber) } : { constant: 0 }
+    };
+  }
+
+  and(operands) {
+    const nodes = operands
+      .filter(node => node && node.type !== 'true')
+      .flatMap(node => node.type === 'and' ? node.operands : [node]);
+    if (nodes.length === 0) return { type: 'true' };
+    return nodes.length === 1 ? nodes[0] : { type: 'and', operands: nodes };
+  }
+
+  or(operands) {
+    const nodes = operands.filter(Boolean).flatMap(node => node.type === 'or' ? node.operands : [node]);
+    if (nodes.length === 0 || nodes.some(node => node.type === 'true')) return { type: 'true' };
+    return nodes.length === 1 ? nodes[0] : { type: 'or', operands: nodes };
+  }
+
+  // ----- Text ------------------------------------------------------------
+
+  /**
+   * Condition groups as source text, for comments
+   */
+  describe(groups = []) {
+    return this.conditionParser.toText(this.conditionParser.fromGroups(groups));
+  }
+
+  /**
+   * Logic tree as Structured Text; parentheses where the parent binds
+   * tighter (OR 1, AND 2, NOT 3)
+   * @param {Object} node - Logic tree
+   * @param {Function} formatReference - Member reference -> operand text
+   */
+  static formatExpression(node, formatReference, parentPrecedence = 0) {
+    const value = (operand, dataType) => operand.reference
+      ? formatReference(operand.reference)
+      : StepLogic.formatConstant(operand.constant, dataType);
+
+    switch (node.type) {
+      case 'true':
+        return 'TRUE';
+      case 'contact':
+        return `${node.negated ? 'NOT ' : ''}${formatReference(node.reference)}`;
+      case 'not': {
+        // NOT binds tighter than comparisons
+        const operand = StepLogic.formatExpression(node.operand, formatReference, 3);
+        return `NOT ${node.operand.type === 'compare' ? `(${operand})` : operand}`;
+      }
+      case 'compare':
+        return `${formatReference(node.subject)} ${ST_OPERATORS[node.operator] || '='} ${value(node.value, node.dataType)}`;
+      case 'and':
+      case 'or': {
+        const precedence = node.type === 'and' ? 2 : 1;
+        const text = node.operands
+          .map(operand => StepLogic.formatExpression(operand, formatReference, precedence))
+          .join(node.type === 'and' ? ' AND ' : ' OR ');
+        return precedence < parentPrecedence ? `(${text})` : text;
+      }
+      default:
+        throw new Error(`Unknown logic node: ${node.type}`);
+    }
+  }
+
+  /**
+   * 1800000 -> "T#30M", 90061000 -> "T#1D_1H_1M_1S"
+   */
+  static formatTime(milliseconds) {
+    let rest = Math.max(0, Math.round(milliseconds || 0));
+    const parts = [];
+
+    for (const [unit, size] of TIME_UNITS) {
+      const count = Math.floor(rest / size);
+      if (count > 0) parts.push(`${count}${unit}`);
+      rest -= count * size;
+    }
+
+    return `T#${parts.length > 0 ? parts.join('_') : '0MS'}`;
+  }
+
+  /**
+   * Constant in PLC notation for its datatype: TRUE, 30.0, 750
+   */
+  static formatConstant(value, dataType) {
+    if (dataType === 'Bool') return value ? 'TRUE' : 'FALSE';
+    if (dataType === 'Real' || dataType === 'LReal') {
+      return Number.isInteger(value) ? `${value}.0` : String(value);
+    }
+    return String(Math.round(value));
+  }
+
+  /**
+   * Assigned value text -> { constant, dataType } or { text } for operands
+   */
+  static parseValue(text) {
+    const value = String(text ?? '').trim();
+
+    if (!value) return { constant: 0, dataType: null };
+
+    if (/^(TRUE|FALSE)$/i.test(value)) return { constant: value.toUpperCase() === 'TRUE', dataType: 'Bool' };
+    if (/^-?\d+(?:[.,]\d+)?$/.test(value)) {
+      const number = parseFloat(value.replace(',', '.'));
+      return { constant: number, dataType: Number.isInteger(number) ? 'Int' : 'Real' };
+    }
+    return { text: value, dataType: null };
+  }
+}
+
+export default StepLogic;
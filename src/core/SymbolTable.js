@@ -0,0 +1,259 @@
+// =====================================================================
+// src/core/SymbolTable.js - PLC Symbols for Parse Results
+// =====================================================================
+// Maps a HierarchicalParser result onto the members of one function
+// block, the way the step chains are implemented in TIA Portal:
+// - Steps: Stap[0..31] of Bool (RUST = Stap[0], END = its own number)
+// - Variables: the group arrays they were allocated in (Hulp[n], Storing[n],
+//   Tijd[n], Teller[n], ...), or a scalar Static member without an address
+// - Everything else a condition refers to becomes a Bool Input member
+// Used by the code exporters so that all of them address the same members.
+// =====================================================================
+
+const STEP_REFERENCE_PATTERN = /^(?:SCHRITT|STAP|STEP)\s+(\d+)$/i;
+const REST_REFERENCE_PATTERN = /^(?:RUST|RUHE|IDLE)$/i;
+const ADDRESS_PATTERN = /^([A-Za-z_][\w]*)\[(\d+)\]$/;
+
+const STEP_KEYWORDS = { de: 'SCHRITT', nl: 'STAP', en: 'STEP' };
+
+/**
+ * Interface members and operand resolution for one program
+ */
+export class SymbolTable {
+  /**
+   * @param {Object} result - HierarchicalParser result
+   * @param {Object} options
+   * @param {Object} options.validationRules - Rules with the group arrays (implementation.arrayName/arrayRange)
+   * @param {string} options.stepArray - Name of the step array (default: Stap)
+   * @param {number} options.stepCount - Minimum number of step array elements (default: 32)
+   */
+  constructor(result, { validationRules = {}, stepArray = 'Stap', stepCount = 32 } = {}) {
+    this.result = result;
+    this.validationRules = validationRules;
+    this.stepArray = stepArray;
+    this.stepKeyword = SymbolTable.sourceKeyword((result.steps || []).find(step => step.type === 'SCHRITT'))
+      || STEP_KEYWORDS[result.metadata?.language]
+      || 'SCHRITT';
+    this.members = new Map(); // member name -> member
+    this.variables = new Map(); // lowercase name/alias -> variable
+    this.steps = new Map(); // lowercase step keyword -> step number
+
+    this.addStepArray(stepCount);
+    this.addVariables();
+    this.addTimers();
+  }
+
+  addStepArray(stepCount) {
+    const steps = this.result.steps || [];
+    const upper = Math.max(stepCount - 1, ...steps.map(step => step.number));
+    const member = this.addMember('Static', this.stepArray, 'Bool', { range: [0, upper] });
+
+    for (const step of steps) {
+      const label = this.stepLabel(step.number);
+      member.elements.set(step.number, {
+        comment: step.description ? `${label}: ${step.description}` : label,
+        startValue: null,
+        lineNumber: step.lineNumber
+      });
+      if (step.type === 'END' && step.keyword) {
+        this.steps.set(step.keyword.toLowerCase(), step.number);
+      }
+    }
+  }
+
+  addVariables() {
+    for (const variable of this.result.variables || []) {
+      this.variables.set(variable.name.toLowerCase(), variable);
+      if (variable.alias) this.variables.set(variable.alias.toLowerCase(), variable);
+
+      const reference = SymbolTable.parseAddress(variable.address);
+      const startValue = variable.rawValue !== '' && variable.initialValue !== null && variable.initialValue !== undefined
+        ? String(variable.initialValue)
+        : null;
+
+      if (reference) {
+        const member = this.addArrayMember(reference.name, variable.dataType || 'Bool', variable.group);
+        member.elements.set(reference.index, { comment: variable.name, startValue, lineNumber: variable.lineNumber });
+      } else {
+        this.addMember('Static', SymbolTable.toIdentifier(variable.name), variable.dataType || 'Bool', {
+          comment: variable.name,
+          startValue,
+          group: variable.group,
+          lineNumber: variable.lineNumber
+        });
+      }
+    }
+  }
+
+  /**
+   * Timers are allocated in the tijd group's array (Tijd[n] of IEC_TIMER).
+   * A timer the parser found no free element for cannot be implemented, so
+   * the export fails instead of declaring it as a Bool input.
+   */
+  addTimers() {
+    const owners = [...(this.result.steps || []), ...(this.result.variables || [])];
+    const timers = owners.flatMap(owner => owner.timers || []);
+
+    const unallocated = timers.filter(timer => !SymbolTable.parseAddress(timer.address));
+    if (unallocated.length > 0) {
+      const implementation = this.validationRules?.groups?.tijd?.implementation || {};
+      const array = implementation.arrayRange
+        ? `${implementation.arrayName || 'Tijd'}[${implementation.arrayRange[0]}..${implementation.arrayRange[1]}]`
+        : 'the tijd group (no arrayRange configured)';
+      const listed = unallocated.map(timer => `"${timer.text}"${timer.lineNumber ? ` (line ${timer.lineNumber})` : ''}`);
+      throw new Error(`${unallocated.length} timer(s) have no element in ${array}: ${listed.join(', ')}`);
+    }
+
+    for (const timer of timers) {
+      const reference = SymbolTable.parseAddress(timer.address);
+      const member = this.addArrayMember(reference.name, 'IEC_TIMER', 'tijd');
+      if (!member.elements.has(reference.index)) {
+        member.elements.set(reference.index, { comment: timer.text, startValue: null, lineNumber: timer.lineNumber });
+      }
+    }
+  }
+
+  /**
+   * Array member of a variable group, bounded by the group's arrayRange
+   */
+  addArrayMember(name, dataType, groupKey) {
+    if (this.members.has(name)) return this.members.get(name);
+
+    const implementation = this.validationRules?.groups?.[groupKey]?.implementation;
+    const range = implementation?.arrayName === name && implementation.arrayRange
+      ? [...implementation.arrayRange]
+      : null;
+
+    return this.addMember('Static', name, dataType, { range, group: groupKey });
+  }
+
+  addMember(section, name, dataType, { range = null, comment = null, startValue = null, group = null, lineNumber = null } = {}) {
+    if (!this.members.has(name)) {
+      this.members.set(name, { section, name, dataType, range, comment, startValue, group, lineNumber, elements: new Map() });
+    }
+    return this.members.get(name);
+  }
+
+  /**
+   * Members of one interface section, arrays with their bounds widened to the used indices
+   */
+  getSection(section) {
+    return Array.from(this.members.values())
+      .filter(member => member.section === section)
+      .map(member => {
+        if (!member.range && member.elements.size === 0) return member;
+
+        const indices = Array.from(member.elements.keys());
+        const [start, end] = member.range || [Math.min(1, ...indices), Math.max(...indices)];
+        return {
+          ...member,
+          range: [Math.min(start, ...indices), Math.max(end, ...indices)],
+          elements: new Map(Array.from(member.elements.entries()).sort((a, b) => a[0] - b[0]))
+        };
+      });
+  }
+
+  /**
+   * Member datatype as written in the interface, e.g. "Array[1..32] of Bool"
+   */
+  static formatDatatype(member) {
+    return member.range ? `Array[${member.range[0]}..${member.range[1]}] of ${member.dataType}` : member.dataType;
+  }
+
+  /**
+   * Reference to a step's member: { name: 'Stap', index }
+   */
+  step(number) {
+    return { name: this.stepArray, index: number };
+  }
+
+  /**
+   * Step name with the keyword the source used: RUST/RUHE, SCHRITT 3 / STAP 3 / STEP 3,
+   * or the END keyword. Steps not in the result get the keyword of the first SCHRITT.
+   */
+  stepLabel(number) {
+    const step = (this.result.steps || []).find(candidate => candidate.number === number);
+    const keyword = SymbolTable.sourceKeyword(step);
+    if (step?.type === 'RUST') return keyword || 'RUST';
+    if (step?.type === 'END' && keyword) return keyword;
+    return `${keyword || this.stepKeyword} ${number}`;
+  }
+
+  /**
+   * Keyword a step was declared with, or null for steps found by learned
+   * patterns whose first word is not a keyword ("Phase-20 Nachlauf")
+   */
+  static sourceKeyword(step) {
+    return step?.keyword && /^[A-ZÄÖÜ]+$/i.test(step.keyword) ? step.keyword : null;
+  }
+
+  /**
+   * Reference to a timer's IEC_TIMER element, or null for timers without a slot
+   */
+  timer(timer, member = null) {
+    const reference = SymbolTable.parseAddress(timer?.address);
+    return reference ? { ...reference, member } : null;
+  }
+
+  /**
+   * Resolve operand text from a condition or action to a member reference.
+   * Unknown operands become members of the given datatype (Input by default,
+   * Static for action targets the block writes to).
+   */
+  resolve(text, dataType = 'Bool', section = 'Input', lineNumber = null) {
+    const operand = text.trim();
+
+    const stepMatch = operand.match(STEP_REFERENCE_PATTERN);
+    if (stepMatch) return this.step(parseInt(stepMatch[1]));
+    if (REST_REFERENCE_PATTERN.test(operand)) return this.step(0);
+    if (this.steps.has(operand.toLowerCase())) return this.step(this.steps.get(operand.toLowerCase()));
+
+    const variable = this.variables.get(operand.toLowerCase());
+    if (variable) {
+      return SymbolTable.parseAddress(variable.address) || { name: SymbolTable.toIdentifier(variable.name) };
+    }
+
+    const name = SymbolTable.toIdentifier(operand);
+    this.addMember(section, name, dataType, { comment: operand, lineNumber });
+    return { name };
+  }
+
+  /**
+   * Datatype of the member a reference points to
+   */
+  dataTypeOf(reference) {
+    return this.members.get(reference.name)?.dataType || 'Bool';
+  }
+
+  /**
+   * "Hulp[3]" -> { name: 'Hulp', index: 3 }
+   */
+  static parseAddress(address) {
+    const match = typeof address === 'string' ? address.match(ADDRESS_PATTERN) : null;
+    return match ? { name: match[1], index: parseInt(match[2]) } : null;
+  }
+
+  /**
+   * Reference as text: Stap[3], Tijd[1].Q, Freigabe_Start
+   */
+  static format(reference) {
+    let text = reference.name;
+    if (reference.index !== undefined && reference.index !== null) text += `[${reference.index}]`;
+    if (reference.member) text += `.${reference.member}`;
+    return text;
+  }
+
+  /**
+   * Operand text as a PLC identifier: "Freigabe Start (Tank 1)" -> "Freigabe_Start_Tank_1"
+   */
+  static toIdentifier(text) {
+    const identifier = text
+      .replace(/[^\wÄÖÜäöüß]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+
+    if (!identifier) return 'Operand';
+    return /^\d/.test(identifier) ? `_${identifier}` : identifier;
+  }
+}
+
+export default SymbolTable;
@@ -0,0 +1,225 @@
+// =====================================================================
+// src/core/TableImporter.js - Table-Based Program Import
+// =====================================================================
+// Imports step chains written as tables (CSV/TSV exports of spreadsheets,
+// Word tables) and maps columns to hierarchy levels directly:
+// - Column 0: RUST/SCHRITT declarations and variables
+// - Column 1: Entry conditions
+// - Column 2: OR conditions (entry conditions prefixed with "+")
+// The mapping is configurable by column index or header name. A header
+// row is detected unless the header option says otherwise. Every line of
+// a cell becomes one row for HierarchicalParser.parseRows, so no
+// indentation has to be guessed.
+// =====================================================================
+
+import { readFile } from 'fs/promises';
+import { HierarchicalParser, COLUMN_LEVELS } from './HierarchicalParser.js';
+import { DocxIngestor } from './DocxIngestor.js';
+
+const DELIMITERS = ['\t', ';', ','];
+
+/**
+ * Importer for CSV/TSV files and DOCX tables
+ */
+export class TableImporter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.columns - Column index or header name -> level, { level, prefix }
+   *   to mark cells (e.g. "+" for OR conditions), or null to skip the column
+   * @param {boolean} options.header - First row holds column names (implied by named columns,
+   *   detected when omitted)
+   * @param {string} options.delimiter - CSV delimiter, detected from the text when omitted
+   */
+  constructor(options = {}) {
+    const columns = options.columns || COLUMN_LEVELS;
+    this.options = {
+      ...options,
+      columns,
+      header: options.header ?? (Object.keys(columns).some(key => !/^\d+$/.test(key)) || null),
+      delimiter: options.delimiter || null
+    };
+  }
+
+  /**
+   * Import a table file and parse it: { rows, lineMap, text, header, warnings, result }
+   * Format is taken from the extension (.csv, .tsv, .txt, .docx) unless given.
+   */
+  async import(input, { format = null, syntaxRules, validationRules = {}, logger, metadata = {} } = {}) {
+    const filename = typeof input === 'string' ? input.split(/[\\/]/).pop() : metadata.filename || null;
+    const tableFormat = format || this.detectFormat(filename);
+
+    let table;
+    if (tableFormat === 'docx') {
+      table = await this.readDocxTables(input);
+    } else {
+      const text = typeof input === 'string' ? await readFile(input, 'utf8') : input.toString('utf8');
+      table = { cells: this.parseDelimited(text, tableFormat === 'tsv' ? '\t' : this.options.delimiter), warnings: [] };
+    }
+
+    const parser = new HierarchicalParser(syntaxRules, validationRules, { logger });
+    const header = this.options.header ?? this.detectHeader(table.cells, parser);
+    const { rows, lineMap } = this.toRows(table.cells, table.warnings, header);
+    const result = parser.parseRows(rows, 'table', { ...metadata, filename, format: tableFormat });
+
+    return {
+      rows,
+      lineMap,
+      text: rows.map(row => '\t'.repeat(row.indentLevel) + row.content).join('\n'),
+      header,
+      warnings: table.warnings,
+      result
+    };
+  }
+
+  detectFormat(filename) {
+    const extension = (filename || '').split('.').pop().toLowerCase();
+    if (extension === 'docx') return 'docx';
+    if (extension === 'tsv') return 'tsv';
+    return 'csv';
+  }
+
+  /**
+   * Split CSV/TSV text into rows of cells (quoted cells may hold delimiters,
+   * doubled quotes and line breaks)
+   */
+  parseDelimited(text, delimiter = null) {
+    text = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    delimiter = delimiter || this.detectDelimiter(text);
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && cell === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n') {
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Delimiter used most in the first line: tab, semicolon (European Excel) or comma
+   */
+  detectDelimiter(text) {
+    const firstLine = text.split('\n', 1)[0];
+    const counts = DELIMITERS.map(delimiter => firstLine.split(delimiter).length - 1);
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? DELIMITERS[best] : ',';
+  }
+
+  /**
+   * All tables of a DOCX file in document order, one cell array per row
+   */
+  async readDocxTables(input) {
+    const ingestor = new DocxIngestor();
+    const { document, warnings } = await ingestor.readDocument(input);
+    const cells = [];
+
+    const collectTables = element => {
+      if (element.type === 'table') {
+        element.children.forEach(row => cells.push(row.children.map(cell =>
+          cell.children
+            .filter(child => child.type === 'paragraph')
+            .map(paragraph => ingestor.getParagraphText(paragraph))
+            .join('\n')
+        )));
+      } else if (element.children) {
+        element.children.forEach(collectTables);
+      }
+    };
+    collectTables(document);
+
+    return { cells, warnings };
+  }
+
+  /**
+   * The first row holds column names when its declaration cell (the column
+   * mapped to level 0) is not a declaration the parser knows: "Schritt" or
+   * "Step" is a name, "RUST: Bereit" or "Hauptprogramm Einfuhr FB305" is not
+   */
+  detectHeader(cells, parser) {
+    const column = Object.entries(this.options.columns).find(([, level]) => level === 0)?.[0] ?? '0';
+    const first = (cells[0]?.[parseInt(column)] || '').split('\n')[0].trim();
+    return first !== '' && parser.classifyLineContent(first, 0) === 'condition';
+  }
+
+  /**
+   * Turn table cells into leveled parser rows plus a line -> row/column map
+   */
+  toRows(cells, warnings = [], header = this.options.header) {
+    const levels = this.resolveColumnLevels(header ? cells[0] || [] : [], warnings);
+    const firstRow = header ? 1 : 0;
+    const rows = [];
+    const lineMap = [];
+
+    cells.slice(firstRow).forEach((cellRow, index) => {
+      cellRow.forEach((cell, column) => {
+        const mapping = levels.get(column);
+        if (!mapping) return;
+
+        // Each line of a cell is its own condition/declaration
+        cell.split('\n').map(line => line.trim()).filter(Boolean).forEach(content => {
+          if (mapping.prefix && !content.startsWith(mapping.prefix)) {
+            content = `${mapping.prefix} ${content}`;
+          }
+          const lineNumber = rows.length + 1;
+          rows.push({ content, indentLevel: mapping.level, lineNumber });
+          lineMap.push({ line: lineNumber, row: firstRow + index, column });
+        });
+      });
+    });
+
+    return { rows, lineMap };
+  }
+
+  /**
+   * Column index -> { level, prefix } from the mapping, resolving header names
+   */
+  resolveColumnLevels(headerRow, warnings = []) {
+    const levels = new Map();
+    const headers = headerRow.map(name => name.trim().toLowerCase());
+
+    Object.entries(this.options.columns).forEach(([key, level]) => {
+      const column = /^\d+$/.test(key) ? parseInt(key) : headers.indexOf(key.trim().toLowerCase());
+      if (level === null) return;
+      if (column >= 0) {
+        levels.set(column, typeof level === 'number' ? { level, prefix: null } : level);
+      } else {
+        warnings.push(`Column "${key}" not found in header row`);
+      }
+    });
+
+    return levels;
+  }
+}
+
+export default TableImporter;
@@ -0,0 +1,141 @@
+// =====================================================================
+// src/core/WordPreprocessor.js - Word Export Preprocessing
+// =====================================================================
+// Word exports contain outline-numbered headings and a table of contents:
+//   "3.3\tO0x: Status Formenlagern  FB304\t13"
+// This preprocessor strips outline numbers and TOC page numbers, collects
+// the program headings (name, code, FB number) and blanks out the TOC when
+// its headings recur in the body. Line numbers are preserved: removed lines
+// become empty lines, which the parser skips.
+// =====================================================================
+
+// "3.3\t..." / "3.3.1\t..." / "3.\t..." - Word separates the outline number
+// with a tab and never indents it; indented lines such as "\t2.5 bar ..."
+// are conditions, not headings
+const OUTLINE_PATTERN = /^(\d+(?:\.\d+)*\.?)\t+(.+)$/;
+
+// "...\t13" or "....... 13" at the end of a TOC entry
+const PAGE_NUMBER_PATTERN = /(?:\t+|\s*\.{3,}\s*)(\d+)\s*$/;
+
+// "FB304" / "FB 304"
+const FB_PATTERN = /\bFB\s*(\d+)\b/i;
+
+// "O0x: Status Formenlagern"
+const PROGRAM_CODE_PATTERN = /^([A-Z][A-Za-z0-9]{1,5}):\s+(.+)$/;
+
+/**
+ * Preprocessor for text extracted from Word documents
+ */
+export class WordPreprocessor {
+  /**
+   * Process Word text into { text, programs, headingLines, tocLines, tocSkipped }
+   */
+  process(text) {
+    const lines = text.split('\n');
+    const headings = [];
+
+    lines.forEach((line, index) => {
+      const heading = this.parseHeading(line, index + 1);
+      if (heading) headings.push(heading);
+    });
+
+    const tocEntries = headings.filter(heading => heading.page !== null);
+    const bodyHeadings = headings.filter(heading => heading.page === null);
+    const bodyKeys = new Set(bodyHeadings.map(heading => heading.key));
+
+    // The TOC is only redundant if its headings appear again in the body
+    const tocSkipped = tocEntries.length > 0 && tocEntries.some(entry => bodyKeys.has(entry.key));
+
+    const output = [...lines];
+    const headingLines = new Set();
+    const tocLines = new Set();
+
+    for (const heading of headings) {
+      const index = heading.lineNumber - 1;
+
+      if (heading.page !== null && tocSkipped) {
+        output[index] = '';
+        tocLines.add(heading.lineNumber);
+      } else {
+        output[index] = heading.title;
+        headingLines.add(heading.lineNumber);
+      }
+    }
+
+    return {
+      text: output.join('\n'),
+      programs: this.collectPrograms(headings, tocSkipped),
+      headingLines,
+      tocLines,
+      tocSkipped
+    };
+  }
+
+  /**
+   * Parse an outline-numbered heading or TOC entry, or return null
+   */
+  parseHeading(line, lineNumber) {
+    const match = line.replace(/\r$/, '').match(OUTLINE_PATTERN);
+    if (!match) return null;
+
+    const outline = match[1].replace(/\.$/, '');
+    let title = match[2].trim();
+    let page = null;
+
+    const pageMatch = title.match(PAGE_NUMBER_PATTERN);
+    if (pageMatch && pageMatch.index > 0) {
+      page = parseInt(pageMatch[1]);
+      title = title.slice(0, pageMatch.index).trim();
+    }
+
+    const fbMatch = title.match(FB_PATTERN);
+    const name = title.replace(FB_PATTERN, '').replace(/\s+/g, ' ').trim();
+    const codeMatch = name.match(PROGRAM_CODE_PATTERN);
+
+    return {
+      outline,
+      title: title.replace(/\t+/g, ' '),
+      name: codeMatch ? codeMatch[2] : name,
+      code: codeMatch ? codeMatch[1] : null,
+      fbNumber: fbMatch ? parseInt(fbMatch[1]) : null,
+      page,
+      lineNumber,
+      key: `${outline}|${name.toLowerCase()}`
+    };
+  }
+
+  /**
+   * One entry per program heading (headings with an FB number), body first
+   */
+  collectPrograms(headings, tocSkipped) {
+    const programs = new Map();
+
+    for (const heading of headings) {
+      if (heading.fbNumber === null) continue;
+
+      const existing = programs.get(heading.key);
+      const isToc = heading.page !== null;
+
+      if (!existing) {
+        programs.set(heading.key, {
+          name: heading.name,
+          code: heading.code,
+          fbNumber: heading.fbNumber,
+          outline: heading.outline,
+          page: heading.page,
+          lineNumber: isToc && tocSkipped ? null : heading.lineNumber,
+          tocLineNumber: isToc ? heading.lineNumber : null
+        });
+      } else if (isToc) {
+        existing.page = heading.page;
+        existing.tocLineNumber = heading.lineNumber;
+      } else {
+        existing.lineNumber = heading.lineNumber;
+      }
+    }
+
+    return Array.from(programs.values());
+  }
+}
+
+export default WordPreprocessor;
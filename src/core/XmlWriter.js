@@ -0,0 +1,60 @@
+// =====================================================================
+// src/core/XmlWriter.js - Indenting XML Writer for the Exporters
+// =====================================================================
+// Writes XML line by line with two-space indentation and "\n" line
+// endings, so exported documents are byte-stable and diff well.
+// =====================================================================
+
+/**
+ * Minimal indenting XML writer with deterministic output ("\n", two spaces)
+ */
+export class XmlWriter {
+  constructor() {
+    this.lines = [];
+    this.depth = 0;
+  }
+
+  raw(line) {
+    this.lines.push('  '.repeat(this.depth) + line);
+  }
+
+  open(name, attributes = {}) {
+    this.raw(`<${name}${XmlWriter.attributes(attributes)}>`);
+    this.depth++;
+  }
+
+  close(name) {
+    this.depth--;
+    this.raw(`</${name}>`);
+  }
+
+  element(name, attributes = {}, text = null) {
+    if (text === null || text === '') {
+      this.raw(`<${name}${XmlWriter.attributes(attributes)} />`);
+    } else {
+      this.raw(`<${name}${XmlWriter.attributes(attributes)}>${XmlWriter.escape(text)}</${name}>`);
+    }
+  }
+
+  toString() {
+    return this.lines.join('\n') + '\n';
+  }
+
+  static attributes(attributes) {
+    return Object.entries(attributes)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => ` ${name}="${XmlWriter.escape(String(value))}"`)
+      .join('');
+  }
+
+  static escape(text) {
+    return String(text)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+export default XmlWriter;
@@ -0,0 +1,581 @@
+// =====================================================================
+// src/core/XsdValidator.js - XML Schema Validation for Exported Files
+// =====================================================================
+// Validates an XML document against an XSD without native tooling, so
+// exports can be checked offline (e.g. PLCopen XML against
+// schemas/plcopen/tc6_xml_v201_subset.xsd). Supports the XSD subset the PLCopen
+// schemas use:
+// - Global and local elements, element refs, named/anonymous complexTypes
+// - sequence/choice/all, named groups, any (skip/lax/strict), occurrences
+// - complexContent and simpleContent extension/restriction
+// - Attributes with use/type, simpleType restrictions (enumeration,
+//   pattern, length and range facets) and the common built-in types
+// Errors carry the line number and element path of the offending node.
+// Well-formedness is checked as far as xmldom reports it (it recovers from
+// mismatched end tags, which then show up as content model errors).
+// =====================================================================
+
+import { DOMParser } from '@xmldom/xmldom';
+import { readFile } from 'fs/promises';
+
+const XSD_NAMESPACE = 'http://www.w3.org/2001/XMLSchema';
+
+const UNBOUNDED = Infinity;
+
+// Lexical spaces of the built-in simple types that are checked
+const BUILTIN_PATTERNS = {
+  boolean: /^(true|false|1|0)$/,
+  decimal: /^[+-]?(\d+(\.\d*)?|\.\d+)$/,
+  float: /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|INF|-INF|NaN)$/,
+  double: /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|INF|-INF|NaN)$/,
+  integer: /^[+-]?\d+$/,
+  long: /^[+-]?\d+$/,
+  int: /^[+-]?\d+$/,
+  short: /^[+-]?\d+$/,
+  byte: /^[+-]?\d+$/,
+  nonNegativeInteger: /^\+?\d+$/,
+  positiveInteger: /^\+?0*[1-9]\d*$/,
+  unsignedLong: /^\+?\d+$/,
+  unsignedInt: /^\+?\d+$/,
+  unsignedShort: /^\+?\d+$/,
+  unsignedByte: /^\+?\d+$/,
+  dateTime: /^-?\d{4,}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/,
+  date: /^-?\d{4,}-\d{2}-\d{2}(Z|[+-]\d{2}:\d{2})?$/,
+  time: /^\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/,
+  language: /^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/,
+  NMTOKEN: /^[\w.:-]+$/,
+  NCName: /^[A-Za-z_][\w.-]*$/,
+  ID: /^[A-Za-z_][\w.-]*$/,
+  IDREF: /^[A-Za-z_][\w.-]*$/
+};
+
+// Types whose value keeps its whitespace
+const STRING_TYPES = ['string', 'anySimpleType', 'anyType'];
+
+/**
+ * Validator for XML documents against one XSD
+ */
+export class XsdValidator {
+  /**
+   * @param {string} schemaText - XSD document
+   */
+  constructor(schemaText) {
+    const { document, errors } = XsdValidator.parseXml(schemaText);
+    const schema = document?.documentElement;
+
+    if (errors.length > 0 || !schema || schema.localName !== 'schema' || schema.namespaceURI !== XSD_NAMESPACE) {
+      throw new Error(`Invalid XML schema${errors.length > 0 ? `: ${errors[0].message}` : ''}`);
+    }
+
+    this.schema = schema;
+    this.targetNamespace = schema.getAttribute('targetNamespace') || null;
+    this.qualified = schema.getAttribute('elementFormDefault') === 'qualified';
+    this.elements = new Map();
+    this.types = new Map();
+    this.groups = new Map();
+    this.models = new Map(); // type node -> content model
+
+    for (const node of XsdValidator.children(schema)) {
+      const name = node.getAttribute('name');
+      if (node.localName === 'element') this.elements.set(name, node);
+      if (node.localName === 'complexType' || node.localName === 'simpleType') this.types.set(name, node);
+      if (node.localName === 'group') this.groups.set(name, node);
+    }
+  }
+
+  /**
+   * Load a schema file
+   */
+  static async load(filePath) {
+    return new XsdValidator(await readFile(filePath, 'utf8'));
+  }
+
+  /**
+   * Validate an XML document
+   * @param {string} xmlText - Document to validate
+   * @returns {{valid: boolean, errors: Array<{line: number|null, path: string, message: string}>}}
+   */
+  validate(xmlText) {
+    const { document, errors } = XsdValidator.parseXml(xmlText);
+    this.errors = errors;
+
+    const root = document?.documentElement;
+    if (root && errors.length === 0) {
+      const declaration = root.namespaceURI === this.targetNamespace ? this.elements.get(root.localName) : null;
+      if (declaration) {
+        this.validateElement(root, declaration, `/${root.localName}`);
+      } else {
+        this.error(root, `/${root.localName}`, `No declaration for the root element {${root.namespaceURI || ''}}${root.localName}`);
+      }
+    }
+
+    return { valid: this.errors.length === 0, errors: this.errors };
+  }
+
+  // ----- Elements ----------------------------------------------------------
+
+  validateElement(node, declaration, path) {
+    if (declaration.getAttribute('ref')) {
+      declaration = this.elements.get(this.localName(declaration.getAttribute('ref')));
+    }
+
+    const type = this.elementType(declaration);
+    if (!type) return; // anyType
+
+    if (type.builtin || type.node.localName === 'simpleType') {
+      this.validateAttributes(node, [], path);
+      if (XsdValidator.children(node).length > 0) {
+        this.error(node, path, 'Element must not have child elements');
+      }
+      this.validateValue(node, path, 'Element value', node.textContent, type);
+      return;
+    }
+
+    const model = this.contentModel(type.node);
+    this.validateAttributes(node, model.attributes, path);
+
+    if (model.text) {
+      if (XsdValidator.children(node).length > 0) {
+        this.error(node, path, 'Element must not have child elements');
+      }
+      this.validateValue(node, path, 'Element value', node.textContent, model.text);
+      return;
+    }
+
+    if (!model.mixed && !model.particle && XsdValidator.hasText(node)) {
+      this.error(node, path, 'Element must not have character content');
+    }
+    this.validateChildren(node, model, path);
+  }
+
+  /**
+   * Match the child elements against the content model, then validate each child
+   */
+  validateChildren(node, model, path) {
+    const children = XsdValidator.children(node);
+
+    if (!model.particle) {
+      if (children.length > 0) this.error(children[0], `${path}/${children[0].localName}`, 'Element must not have child elements');
+      return;
+    }
+    if (!model.mixed && XsdValidator.hasText(node)) {
+      this.error(node, path, 'Element must not have character content');
+    }
+
+    this.furthest = { position: -1, expected: new Set() };
+    const ends = this.matchOccurs(model.particle, children, 0);
+
+    if (!ends.has(children.length)) {
+      const { position, expected } = this.furthest;
+      const list = Array.from(expected).join(', ');
+      if (position >= 0 && position < children.length) {
+        const child = children[position];
+        this.error(child, this.childPath(path, children, position), `Unexpected element ${child.localName}${list ? ` (expected: ${list})` : ''}`);
+      } else {
+        this.error(node, path, `Missing child element${list ? ` (expected: ${list})` : ''}`);
+      }
+    }
+
+    const declarations = this.declarations(model.particle);
+    children.forEach((child, index) => {
+      const childPath = this.childPath(path, children, index);
+      const declaration = declarations.elements.get(`${child.namespaceURI || ''} ${child.localName}`);
+      if (declaration) {
+        this.validateElement(child, declaration, childPath);
+        return;
+      }
+
+      const wildcard = declarations.wildcards.find(any => this.matchesNamespace(any, child));
+      if (!wildcard || wildcard.process === 'skip') return;
+
+      const global = child.namespaceURI === this.targetNamespace ? this.elements.get(child.localName) : null;
+      if (global) {
+        this.validateElement(child, global, childPath);
+      } else if (wildcard.process === 'strict') {
+        this.error(child, childPath, `No declaration for element ${child.localName}`);
+      }
+    });
+  }
+
+  // ----- Content models ------------------------------------------------
+
+  /**
+   * Content model of a complexType: { particle, attributes, mixed, text }
+   */
+  contentModel(typeNode) {
+    if (this.models.has(typeNode)) return this.models.get(typeNode);
+
+    const model = { particle: null, attributes: [], mixed: typeNode.getAttribute('mixed') === 'true', text: null };
+    this.models.set(typeNode, model);
+
+    for (const child of XsdValidator.children(typeNode)) {
+      switch (child.localName) {
+        case 'sequence':
+        case 'choice':
+        case 'all':
+        case 'group':
+          model.particle = this.particle(child);
+          break;
+        case 'attribute':
+        case 'attributeGroup':
+          model.attributes.push(...this.attributeDeclarations(child));
+          break;
+        case 'complexContent':
+        case 'simpleContent':
+          this.derive(model, child);
+          break;
+        default:
+          break;
+      }
+    }
+
+    return model;
+  }
+
+  /**
+   * complexContent/simpleContent: extensions append to the base type's
+   * particle and attributes, restrictions replace the particle
+   */
+  derive(model, content) {
+    const derivation = XsdValidator.children(content).find(node => ['extension', 'restriction'].includes(node.localName));
+    if (!derivation) return;
+
+    if (content.getAttribute('mixed') === 'true') model.mixed = true;
+
+    const base = this.resolveType(derivation.getAttribute('base'));
+    const baseModel = base && !base.builtin && base.node.localName === 'complexType' ? this.contentModel(base.node) : null;
+
+    if (content.localName === 'simpleContent') {
+      model.text = baseModel ? baseModel.text : base;
+    }
+
+    let particle = null;
+    for (const child of XsdValidator.children(derivation)) {
+      if (['sequence', 'choice', 'all', 'group'].includes(child.localName)) particle = this.particle(child);
+      if (['attribute', 'attributeGroup'].includes(child.localName)) model.attributes.push(...this.attributeDeclarations(child));
+    }
+
+    if (baseModel) {
+      model.attributes.push(...baseModel.attributes.filter(base => !model.attributes.some(own => own.name === base.name)));
+      model.mixed = model.mixed || baseModel.mixed;
+    }
+
+    if (derivation.localName === 'extension' && baseModel?.particle) {
+      model.particle = particle
+        ? { kind: 'sequence', items: [baseModel.particle, particle], min: 1, max: 1 }
+        : baseModel.particle;
+    } else {
+      model.particle = particle;
+    }
+  }
+
+  particle(node) {
+    const min = node.hasAttribute('minOccurs') ? parseInt(node.getAttribute('minOccurs')) : 1;
+    const maxText = node.getAttribute('maxOccurs');
+    const max = !maxText ? 1 : maxText === 'unbounded' ? UNBOUNDED : parseInt(maxText);
+
+    switch (node.localName) {
+      case 'element':
+        return { kind: 'element', declaration: node, name: this.elementName(node), min, max };
+      case 'any':
+        return {
+          kind: 'any',
+          namespace: node.getAttribute('namespace') || '##any',
+          process: node.getAttribute('processContents') || 'strict',
+          min,
+          max
+        };
+      case 'group': {
+        const group = this.groups.get(this.localName(node.getAttribute('ref')));
+        const content = group ? XsdValidator.children(group).find(child => ['sequence', 'choice', 'all'].includes(child.localName)) : null;
+        const inner = content ? this.particle(content) : { kind: 'sequence', items: [], min: 1, max: 1 };
+        return { kind: 'sequence', items: [inner], min, max };
+      }
+      default: {
+        const items = XsdValidator.children(node)
+          .filter(child => ['element', 'any', 'sequence', 'choice', 'group'].includes(child.localName))
+          .map(child => this.particle(child));
+        // "all" is matched as a choice that may repeat once per member
+        if (node.localName === 'all') return { kind: 'choice', items, min: Math.min(min, items.length), max: items.length };
+        return { kind: node.localName, items, min, max };
+      }
+    }
+  }
+
+  /**
+   * Element and wildcard declarations of a particle tree, to validate matched children
+   */
+  declarations(particle, result = { elements: new Map(), wildcards: [] }) {
+    if (particle.kind === 'element') {
+      const key = `${particle.name.namespace || ''} ${particle.name.localName}`;
+      if (!result.elements.has(key)) result.elements.set(key, particle.declaration);
+    } else if (particle.kind === 'any') {
+      result.wildcards.push(particle);
+    } else {
+      particle.items.forEach(item => this.declarations(item, result));
+    }
+    return result;
+  }
+
+  // ----- Matching ----------------------------------------------------------
+
+  /**
+   * End positions after matching the particle min..max times from start
+   */
+  matchOccurs(particle, children, start) {
+    const ends = new Set();
+    if (particle.min === 0) ends.add(start);
+
+    let frontier = new Set([start]);
+    for (let count = 1; count <= particle.max && frontier.size > 0; count++) {
+      const next = new Set();
+      for (const position of frontier) {
+        for (const end of this.matchOnce(particle, children, position)) {
+          if (end === position) {
+            // Empty match: the remaining occurrences can be empty as well
+            ends.add(end);
+          } else {
+            next.add(end);
+          }
+        }
+      }
+      if (count >= particle.min) next.forEach(end => ends.add(end));
+      frontier = next;
+    }
+
+    return ends;
+  }
+
+  matchOnce(particle, children, position) {
+    switch (particle.kind) {
+      case 'element':
+      case 'any': {
+        const child = children[position];
+        const matches = child && (particle.kind === 'element'
+          ? child.localName === particle.name.localName && (child.namespaceURI || null) === particle.name.namespace
+          : this.matchesNamespace(particle, child));
+
+        if (matches) return new Set([position + 1]);
+        this.expect(position, particle.kind === 'element' ? particle.name.localName : 'any element');
+        return new Set();
+      }
+      case 'sequence': {
+        let positions = new Set([position]);
+        for (const item of particle.items) {
+          const next = new Set();
+          positions.forEach(start => this.matchOccurs(item, children, start).forEach(end => next.add(end)));
+          positions = next;
+          if (positions.size === 0) break;
+        }
+        return positions;
+      }
+      default: {
+        const ends = new Set();
+        particle.items.forEach(item => this.matchOccurs(item, children, position).forEach(end => ends.add(end)));
+        return ends;
+      }
+    }
+  }
+
+  /**
+   * Remember the furthest position a child was expected at, for the error message
+   */
+  expect(position, name) {
+    if (position > this.furthest.position) {
+      this.furthest = { position, expected: new Set() };
+    }
+    if (position === this.furthest.position) this.furthest.expected.add(name);
+  }
+
+  matchesNamespace(any, child) {
+    const namespace = child.namespaceURI || null;
+    return any.namespace.split(/\s+/).some(token => {
+      switch (token) {
+        case '##any': return true;
+        case '##other': return namespace !== this.targetNamespace && namespace !== null;
+        case '##targetNamespace': return namespace === this.targetNamespace;
+        case '##local': return namespace === null;
+        default: return namespace === token;
+      }
+    });
+  }
+
+  // ----- Attributes and values ---------------------------------------------
+
+  attributeDeclarations(node) {
+    if (node.localName === 'attributeGroup') {
+      const group = XsdValidator.children(this.schema)
+        .find(child => child.localName === 'attributeGroup' && child.getAttribute('name') === this.localName(node.getAttribute('ref')));
+      return group ? XsdValidator.children(group).flatMap(child => this.attributeDeclarations(child)) : [];
+    }
+    if (node.localName !== 'attribute') return [];
+
+    const simpleType = XsdValidator.children(node).find(child => child.localName === 'simpleType');
+    return [{
+      name: node.getAttribute('name') || this.localName(node.getAttribute('ref')),
+      required: node.getAttribute('use') === 'required',
+      prohibited: node.getAttribute('use') === 'prohibited',
+      type: simpleType ? { node: simpleType } : node.getAttribute('type') ? this.resolveType(node.getAttribute('type')) : null
+    }];
+  }
+
+  validateAttributes(node, declarations, path) {
+    for (const attribute of Array.from(node.attributes || [])) {
+      if (attribute.name === 'xmlns' || attribute.prefix === 'xmlns' || attribute.namespaceURI) continue;
+
+      const declaration = declarations.find(candidate => candidate.name === attribute.localName);
+      if (!declaration || declaration.prohibited) {
+        this.error(node, path, `Attribute ${attribute.localName} is not allowed`);
+      } else if (declaration.type) {
+        this.validateValue(node, path, `Attribute ${attribute.localName}`, attribute.value, declaration.type);
+      }
+    }
+
+    for (const declaration of declarations) {
+      if (declaration.required && !node.hasAttribute(declaration.name)) {
+        this.error(node, path, `Missing required attribute ${declaration.name}`);
+      }
+    }
+  }
+
+  /**
+   * Check a value against a built-in type or a simpleType restriction
+   */
+  validateValue(node, path, label, text, type) {
+    if (!type) return;
+
+    if (type.builtin) {
+      const value = STRING_TYPES.includes(type.builtin) ? text : text.trim();
+      const pattern = BUILTIN_PATTERNS[type.builtin];
+      if (pattern && !pattern.test(value)) {
+        this.error(node, path, `${label} "${text}" is not a valid ${type.builtin}`);
+      }
+      return;
+    }
+
+    const restriction = XsdValidator.children(type.node).find(child => child.localName === 'restriction');
+    if (!restriction) return; // list and union values are not checked
+
+    const base = restriction.getAttribute('base') ? this.resolveType(restriction.getAttribute('base')) : null;
+    this.validateValue(node, path, label, text, base);
+
+    const value = base?.builtin && STRING_TYPES.includes(base.builtin) ? text : text.trim();
+    const facets = XsdValidator.children(restriction);
+    const enumeration = facets.filter(facet => facet.localName === 'enumeration').map(facet => facet.getAttribute('value'));
+
+    if (enumeration.length > 0 && !enumeration.includes(value)) {
+      this.error(node, path, `${label} "${text}" is not one of ${enumeration.join(', ')}`);
+    }
+
+    for (const facet of facets) {
+      const limit = facet.getAttribute('value');
+      const failed = {
+        pattern: () => !new RegExp(`^(?:${limit})$`, 'u').test(value),
+        length: () => value.length !== parseInt(limit),
+        minLength: () => value.length < parseInt(limit),
+        maxLength: () => value.length > parseInt(limit),
+        minInclusive: () => parseFloat(value) < parseFloat(limit),
+        maxInclusive: () => parseFloat(value) > parseFloat(limit),
+        minExclusive: () => parseFloat(value) <= parseFloat(limit),
+        maxExclusive: () => parseFloat(value) >= parseFloat(limit)
+      }[facet.localName];
+
+      if (failed && failed()) {
+        this.error(node, path, `${label} "${text}" violates ${facet.localName} ${limit}`);
+      }
+    }
+  }
+
+  // ----- Types and names -------------------------------------------------
+
+  /**
+   * Type of an element declaration; null for anyType
+   */
+  elementType(declaration) {
+    if (declaration.getAttribute('type')) return this.resolveType(declaration.getAttribute('type'));
+
+    const inline = XsdValidator.children(declaration).find(child => ['complexType', 'simpleType'].includes(child.localName));
+    return inline ? { node: inline } : null;
+  }
+
+  /**
+   * QName -> { builtin } for XSD types, { node } for schema types, null for anyType
+   */
+  resolveType(qualifiedName) {
+    const [prefix, localName] = qualifiedName.includes(':') ? qualifiedName.split(':') : [null, qualifiedName];
+    const namespace = this.schema.lookupNamespaceURI(prefix);
+
+    if (namespace === XSD_NAMESPACE) {
+      return localName === 'anyType' ? null : { builtin: localName };
+    }
+
+    const node = this.types.get(localName);
+    if (!node) throw new Error(`Unknown type in schema: ${qualifiedName}`);
+    return { node };
+  }
+
+  /**
+   * Namespace and local name a declared element has in instance documents
+   */
+  elementName(declaration) {
+    if (declaration.getAttribute('ref')) {
+      return { namespace: this.targetNamespace, localName: this.localName(declaration.getAttribute('ref')) };
+    }
+
+    const global = declaration.parentNode === this.schema;
+    const form = declaration.getAttribute('form');
+    const qualified = global || form === 'qualified' || (!form && this.qualified);
+    return { namespace: qualified ? this.targetNamespace : null, localName: declaration.getAttribute('name') };
+  }
+
+  localName(qualifiedName) {
+    return qualifiedName.includes(':') ? qualifiedName.split(':')[1] : qualifiedName;
+  }
+
+  childPath(path, children, index) {
+    const child = children[index];
+    const sameName = children.filter(candidate => candidate.localName === child.localName);
+    return sameName.length > 1
+      ? `${path}/${child.localName}[${sameName.indexOf(child) + 1}]`
+      : `${path}/${child.localName}`;
+  }
+
+  error(node, path, message) {
+    this.errors.push({ line: node?.lineNumber ?? null, path, message });
+  }
+
+  // ----- XML ---------------------------------------------------------------
+
+  /**
+   * Parse XML; every parser warning counts as an error, since xmldom
+   * recovers from documents that are not well-formed
+   */
+  static parseXml(text) {
+    const errors = [];
+    const report = message => {
+      const location = String(message).match(/line:(\d+)/);
+      errors.push({
+        line: location ? parseInt(location[1]) : null,
+        path: '',
+        message: String(message).replace(/^\[xmldom [a-z ]+\]\s*/i, '').replace(/\s*@#\[.*$/s, '')
+      });
+    };
+
+    const document = new DOMParser({
+      locator: {},
+      errorHandler: { warning: report, error: report, fatalError: report }
+    }).parseFromString(text, 'text/xml');
+
+    return { document, errors };
+  }
+
+  static children(node) {
+    return Array.from(node.childNodes || []).filter(child => child.nodeType === 1);
+  }
+
+  static hasText(node) {
+    return Array.from(node.childNodes || []).some(child => (child.nodeType === 3 || child.nodeType === 4) && child.data.trim() !== '');
+  }
+}
+
+export default XsdValidator;
@@ -0,0 +1,65 @@
+// =====================================================================
+// test/DocxIngestor.test.js - Word Tables as Step Chains
+// =====================================================================
+// Table rows are leveled by their first filled column the way
+// TableImporter maps columns, so OR conditions in column 2 survive.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DocxIngestor } from '../src/core/DocxIngestor.js';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+// mammoth's document model for a table of rows of cells
+function table(rows) {
+  return {
+    type: 'table',
+    children: rows.map(cells => ({
+      type: 'tableRow',
+      children: cells.map(text => ({
+        type: 'tableCell',
+        children: [{ type: 'paragraph', children: text ? [{ type: 'text', value: text }] : [] }]
+      }))
+    }))
+  };
+}
+
+const DOCUMENT = {
+  type: 'document',
+  children: [table([
+    ['SCHRITT 1: Füllen', '', ''],
+    ['', 'Tank leer', ''],
+    ['', '', 'Alt A'],
+    ['', '', '', 'Bemerkung'],
+    ['SCHRITT 2: Heizen', '', '']
+  ])]
+};
+
+test('table columns map to levels like TableImporter', () => {
+  const { text, lineMap, warnings } = new DocxIngestor().convertDocument(DOCUMENT);
+
+  assert.deepEqual(text.split('\n'), [
+    'SCHRITT 1: Füllen',
+    '\tTank leer',
+    '\t+ Alt A',
+    'SCHRITT 2: Heizen'
+  ]);
+  assert.deepEqual(lineMap.map(entry => entry.row), [0, 1, 2, 4]);
+  assert.deepEqual(warnings, ['Table 1, row 4: skipped "Bemerkung" in column 4 (no hierarchy level)']);
+});
+
+test('column-2 rows are parsed as OR conditions', () => {
+  const { text } = new DocxIngestor().convertDocument(DOCUMENT);
+  const result = new HierarchicalParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse(text, 'word');
+  const conditions = result.steps[0].entryConditions.flatMap(group => group.conditions);
+
+  assert.deepEqual(
+    conditions.map(condition => [condition.variable, condition.operator]),
+    [['Tank leer', 'AND'], ['Alt A', 'OR']]
+  );
+});
@@ -0,0 +1,115 @@
+// =====================================================================
+// test/HierarchicalParser.test.js - Unattached Lines and Timer Conditions
+// =====================================================================
+// Every non-empty line that ends up in no step, declaration or condition
+// is reported as unattached_line instead of disappearing silently, and
+// only real timers get a Tijd[n] slot ("Abstand 5 m" is a distance).
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+function parse(text, source = 'manual') {
+  return new HierarchicalParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse(text, source);
+}
+
+function unattachedLines(result) {
+  return result.diagnostics
+    .filter(diagnostic => diagnostic.code === 'unattached_line')
+    .map(diagnostic => [diagnostic.lineNumber, diagnostic.severity]);
+}
+
+test('conditions nested under a condition are reported', () => {
+  const result = parse('SCHRITT 1: Start\n  A\n    B\n    C\n  D\n');
+  const conditions = result.steps[0].entryConditions.flatMap(group => group.conditions);
+
+  assert.deepEqual(conditions.map(condition => condition.variable), ['A', 'D']);
+  assert.deepEqual(unattachedLines(result), [[3, 'warning'], [4, 'warning']]);
+});
+
+test('tab-indented conditions in manual input are reported with a fix', () => {
+  const result = parse('SCHRITT 1: Start\n\tA\n\tB\n');
+  const diagnostics = result.diagnostics.filter(diagnostic => diagnostic.code === 'unattached_line');
+
+  assert.deepEqual(unattachedLines(result), [[2, 'warning'], [3, 'warning']]);
+  assert.match(diagnostics[0].fix.description, /tabs/);
+});
+
+test('a column-0 block without an owner is reported line by line', () => {
+  const sample = readFileSync(new URL('../training-data/sample-industrial-program.txt', import.meta.url), 'utf8');
+
+  assert.deepEqual(unattachedLines(parse(sample)).map(([lineNumber]) => lineNumber), [150, 151, 152, 153, 154]);
+});
+
+test('attached lines are not reported', () => {
+  const result = parse([
+    'RUST: Bereit',
+    'SCHRITT 1: Füllen',
+    '  Tank leer',
+    '  + Handbetrieb',
+    '  [',
+    '    Ventil offen',
+    '  ]',
+    '  Pumpe SETZEN',
+    'Zeit 30sek ??',
+    'Hulp 1 (Freigabe) =',
+    '  Anlage ein'
+  ].join('\n'));
+
+  assert.deepEqual(unattachedLines(result), []);
+});
+
+test('a bare "m" is only a timer after a timer keyword or with "??"', () => {
+  const result = parse([
+    'SCHRITT 1: Fahren',
+    '  Abstand 5 m',
+    '  Nachlauf 5 m ??',
+    '  Zeit 30sek',
+    '  NICHT Spülen 2 min'
+  ].join('\n'));
+  const conditions = result.steps[0].entryConditions.flatMap(group => group.conditions);
+
+  assert.deepEqual(
+    conditions.map(condition => condition.timer?.normalizedMs ?? null),
+    [null, 300000, 30000, 120000]
+  );
+  assert.deepEqual(result.steps[0].timers.map(timer => timer.address), ['Tijd[1]', 'Tijd[2]', 'Tijd[3]']);
+});
+
+test('durations in unambiguous units are timers without a marker', () => {
+  const sample = readFileSync(new URL('../training-data/sample-industrial-program.txt', import.meta.url), 'utf8');
+  const step = parse(sample).steps.find(candidate => candidate.type === 'SCHRITT' && candidate.number === 12);
+
+  assert.deepEqual(
+    step.timers.map(timer => [timer.text, timer.normalizedMs]),
+    [['Zeit 900sek ??', 900000], ['Alkalische Reinigung 15 min', 900000], ['Saure Reinigung 10 min', 600000]]
+  );
+});
+
+test('cross-references inside a condition block are collected', () => {
+  const result = parse([
+    'SCHRITT 1: Entleeren',
+    '  [',
+    '    Gestartet (Pressesektion füllen/entleeren SCHRITT 1)',
+    '    + T15/16 Leer (Entleeren Einfuhrseite Pressen SCHRITT 3)',
+    '  ]'
+  ].join('\n'));
+  const block = result.steps[0].entryConditions[0].conditions[0];
+  const inner = block.groups.flatMap(group => group.conditions);
+
+  assert.deepEqual(
+    result.crossReferences.map(crossReference => [crossReference.targetProgram, crossReference.steps, crossReference.source]),
+    [
+      ['Pressesektion füllen/entleeren', [1], { type: 'SCHRITT', number: 1 }],
+      ['Entleeren Einfuhrseite Pressen', [3], { type: 'SCHRITT', number: 1 }]
+    ]
+  );
+  assert.deepEqual(inner.map(condition => condition.crossReferenceId), [1, 2]);
+});
@@ -0,0 +1,106 @@
+// =====================================================================
+// test/LValueParser.test.js - Indexed and Range Assignments
+// =====================================================================
+// Paths with numeric, identifier and range indices, the element count
+// and labels of ranges, data structures merged from assignments and
+// data assignments in a parsed program.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LValueParser } from '../src/core/LValueParser.js';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+const parser = new LValueParser();
+
+test('indexed paths split into segments with number and identifier indices', () => {
+  const assignment = parser.parseAssignment('Horde[Aktive_Horde].Etage_Daten[1].Status = Besetzt');
+
+  assert.equal(assignment.target, 'Horde[Aktive_Horde].Etage_Daten[1].Status');
+  assert.deepEqual(assignment.path, [
+    { name: 'Horde', indices: [{ type: 'identifier', name: 'Aktive_Horde' }] },
+    { name: 'Etage_Daten', indices: [{ type: 'number', value: 1 }] },
+    { name: 'Status', indices: [] }
+  ]);
+  assert.deepEqual(assignment.value, { raw: 'Besetzt', value: 'Besetzt', dataType: null });
+  assert.equal(assignment.elementCount, 1);
+  assert.deepEqual(parser.parsePath('Matrix[2, 3][i]')[0].indices.map(index => index.type), ['number', 'number', 'identifier']);
+});
+
+test('ranges count their elements and expand into labels', () => {
+  const numbered = parser.parseAssignment('Sensor_Array[1..16].Status := OK');
+  const prefixed = parser.parseAssignment('Timer_Block[T01..T20].Preset = 0');
+  const [index] = prefixed.path[0].indices;
+
+  assert.deepEqual(numbered.path[0].indices, [{ type: 'range', prefix: null, width: null, from: 1, to: 16, count: 16 }]);
+  assert.equal(numbered.elementCount, 16);
+  assert.deepEqual(index, { type: 'range', prefix: 'T', width: 2, from: 1, to: 20, count: 20 });
+  assert.deepEqual(parser.expandRange(index).slice(0, 3), ['T01', 'T02', 'T03']);
+  assert.deepEqual(parser.expandRange(parser.parseIndex('3..1')), [3, 2, 1]);
+  assert.equal(parser.parseAssignment('Feld[1..4, 1..3].Wert = 0').elementCount, 12);
+  assert.equal(parser.parseAssignment('Linie[1..2].Motor[1..5] = FALSCH').elementCount, 10);
+});
+
+test('malformed paths, comparisons and plain names are not assignments', () => {
+  assert.equal(parser.parseIndex('T01..K20'), null);
+  assert.equal(parser.parseAssignment('Timer_Block[T01..K20].Preset = 0'), null);
+  assert.equal(parser.parseAssignment('Sensor[1 + 2].Status = OK'), null);
+  assert.equal(parser.parseAssignment('Sensor[1].2Status = OK'), null);
+  assert.equal(parser.isAssignment('Sensor[1].Status == OK'), false);
+  assert.equal(parser.isAssignment('Sollwert = 5'), false);
+  assert.equal(parser.isAssignment('Sensor[1].Status = OK'), true);
+});
+
+test('literal values get a data type', () => {
+  assert.deepEqual(parser.parseValue('-5'), { raw: '-5', value: -5, dataType: 'Int' });
+  assert.deepEqual(parser.parseValue('2,5'), { raw: '2,5', value: 2.5, dataType: 'Real' });
+  assert.deepEqual(parser.parseValue('WAHR'), { raw: 'WAHR', value: true, dataType: 'Bool' });
+  assert.deepEqual(parser.parseValue('onwaar'), { raw: 'onwaar', value: false, dataType: 'Bool' });
+});
+
+test('assignments merge into array bounds, members and leaf types', () => {
+  const [horde, block] = parser.collectStructures([
+    'Horde[Aktive_Horde].Etage_Daten[1].Status = Besetzt',
+    'Horde[3].Etage_Daten[2..4].Status = Frei',
+    'Timer_Block[T05..T20].Preset = 0',
+    'Timer_Block[T01..T04].Preset = 2,5',
+    'Timer_Block[7].Preset = TRUE'
+  ].map(text => parser.parseAssignment(text)));
+  const [etage] = horde.members;
+
+  assert.equal(horde.kind, 'struct');
+  assert.deepEqual(horde.array, { dimensions: 1, bounds: [{ min: 3, max: 3 }], indexTypes: [['identifier', 'number']], prefixes: [null] });
+  assert.deepEqual(etage.array.bounds, [{ min: 1, max: 4 }]);
+  assert.deepEqual(etage.members[0], {
+    name: 'Status', kind: 'value', array: null, dataType: null, values: ['Besetzt', 'Frei'], members: [], usages: 4
+  });
+  assert.deepEqual(block.array.bounds, [{ min: 1, max: 20 }]);
+  assert.deepEqual(block.array.indexTypes, [['range', 'number']]);
+  assert.deepEqual(block.array.prefixes, ['T']);
+  assert.equal(block.members[0].dataType, 'Mixed');
+  assert.equal(parser.collectStructures(['A[1].B = 1', 'A[2].B = 2,5'].map(text => parser.parseAssignment(text)))[0].members[0].dataType, 'Real');
+});
+
+test('data assignments in a program are collected with their line numbers', () => {
+  const result = new HierarchicalParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse([
+    'Hauptprogramm Einfuhr FB12',
+    'Sensor_Array[1..16].Status = OK',
+    'Timer_Block[T01..T20].Preset = 0',
+    'RUST: Bereit',
+    'SCHRITT 1: Füllen',
+    '  Freigabe'
+  ].join('\n'), 'manual');
+
+  assert.deepEqual(
+    result.dataAssignments.map(assignment => [assignment.lineNumber, assignment.target, assignment.elementCount]),
+    [[2, 'Sensor_Array[1..16].Status', 16], [3, 'Timer_Block[T01..T20].Preset', 20]]
+  );
+  assert.deepEqual(result.dataStructures.map(structure => [structure.name, structure.members[0].usages]), [['Sensor_Array', 16], ['Timer_Block', 20]]);
+  assert.deepEqual(result.steps.map(step => step.number), [0, 1]);
+  assert.deepEqual(result.diagnostics, []);
+});
@@ -0,0 +1,138 @@
+// =====================================================================
+// test/PLCopenExporter.test.js - PLCopen XML Export and XSD Validation
+// =====================================================================
+// The SFC of a small program and of the sample program, both validated
+// against PLCOPEN_SCHEMA, and the errors XsdValidator reports for
+// documents that do not match the schema.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { DOMParser } from '@xmldom/xmldom';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { PLCopenExporter, PLCOPEN_SCHEMA } from '../src/core/PLCopenExporter.js';
+import { XsdValidator } from '../src/core/XsdValidator.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+const PROGRAM = [
+  'Hauptprogramm Einfuhr FB12',
+  'RUST: Bereit',
+  'SCHRITT 1: Füllen',
+  '  Freigabe',
+  '  Zeit 5sek ??',
+  'SCHRITT 2: Heizen',
+  '  Tank voll',
+  '  NICHT Störung',
+  '  Pumpe SETZEN'
+].join('\n');
+
+const validator = await XsdValidator.load(PLCOPEN_SCHEMA);
+
+function parse(text) {
+  return new HierarchicalParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse(text, 'manual');
+}
+
+function exportXml(result, block) {
+  return new PLCopenExporter({
+    validationRules: DEFAULT_VALIDATION_RULES,
+    creationDateTime: '2024-01-01T00:00:00Z'
+  }).export(result, block);
+}
+
+function load(xml) {
+  const errors = [];
+  const document = new DOMParser({ onError: (level, message) => errors.push(message) }).parseFromString(xml, 'text/xml');
+  assert.deepEqual(errors, []);
+  return document;
+}
+
+const elements = (node, name) => Array.from(node.getElementsByTagName(name));
+const texts = (node, name) => elements(node, name).map(element => element.textContent.trim());
+
+/**
+ * Every localId is unique and every connection points at one of them
+ */
+function assertConnected(document) {
+  const ids = elements(document, '*').map(node => node.getAttribute('localId')).filter(Boolean);
+  const references = elements(document, 'connection').map(node => node.getAttribute('refLocalId'));
+
+  assert.equal(new Set(ids).size, ids.length);
+  assert.deepEqual(references.filter(id => !ids.includes(id)), []);
+}
+
+test('a small program as an SFC function block', () => {
+  const xml = exportXml(parse(PROGRAM));
+  const document = load(xml);
+  const pou = elements(document, 'pou')[0];
+  const variables = section => elements(elements(pou, section)[0], 'variable').map(node => node.getAttribute('name'));
+
+  assert.deepEqual(validator.validate(xml), { valid: true, errors: [] });
+  assert.equal(pou.getAttribute('name'), 'Einfuhr');
+  assert.equal(pou.getAttribute('pouType'), 'functionBlock');
+  assert.deepEqual(variables('inputVars'), ['Freigabe', 'Tank_voll', 'Stoerung']);
+  assert.deepEqual(variables('localVars'), ['Pumpe', 'Tijd_1']);
+  assert.deepEqual(
+    elements(document, 'step').map(node => [node.getAttribute('name'), node.getAttribute('initialStep')]),
+    [['RUST', 'true'], ['SCHRITT_1', ''], ['SCHRITT_2', '']]
+  );
+  assert.deepEqual(texts(document, 'condition'), ['Freigabe AND Tijd_1', 'Tank_voll AND NOT Stoerung']);
+  assert.deepEqual(
+    elements(document, 'action').map(node => [node.getAttribute('qualifier'), node.getAttribute('duration')]),
+    [['D', 'T#5S'], ['P1', '']]
+  );
+  assertConnected(document);
+});
+
+test('the block name can be given and the creation date is kept', () => {
+  const document = load(exportXml(parse(PROGRAM), { name: 'FB_Einfuhr' }));
+
+  assert.equal(elements(document, 'pou')[0].getAttribute('name'), 'FB_Einfuhr');
+  assert.equal(elements(document, 'fileHeader')[0].getAttribute('creationDateTime'), '2024-01-01T00:00:00Z');
+  assert.equal(elements(document, 'contentHeader')[0].getAttribute('name'), 'Einfuhr');
+});
+
+test('the sample program validates against the schema and exports byte-identical', () => {
+  const sample = readFileSync(new URL('../training-data/sample-industrial-program.txt', import.meta.url), 'utf8');
+  const xml = exportXml(parse(sample));
+  const document = load(xml);
+  const jumps = elements(document, 'jumpStep').map(node => node.getAttribute('targetName'));
+  const steps = elements(document, 'step').map(node => node.getAttribute('name'));
+
+  assert.deepEqual(validator.validate(xml), { valid: true, errors: [] });
+  assert.equal(exportXml(parse(sample)), xml);
+  assert.equal(steps.length, 16);
+  assert.equal(elements(document, 'transition').length, 16);
+  assert.ok(elements(document, 'selectionDivergence').length > 0);
+  assert.ok(jumps.length > 0 && jumps.every(target => steps.includes(target)));
+  assertConnected(document);
+});
+
+test('schema violations are reported with line and element path', () => {
+  const xml = exportXml(parse(PROGRAM))
+    .replace('creationDateTime="2024-01-01T00:00:00Z"', 'creationDateTime="gestern"')
+    .replace('<dataTypes />', '<dataTypez />')
+    .replace('pouType="functionBlock"', 'pouType="fb"');
+
+  assert.deepEqual(validator.validate(xml), {
+    valid: false,
+    errors: [
+      { line: 3, path: '/project/fileHeader', message: 'Attribute creationDateTime "gestern" is not a valid dateTime' },
+      { line: 19, path: '/project/types/dataTypez', message: 'Unexpected element dataTypez (expected: dataTypes)' },
+      { line: 21, path: '/project/types/pous/pou', message: 'Attribute pouType "fb" is not one of function, functionBlock, program' }
+    ]
+  });
+});
+
+test('documents outside the schema and invalid schemas are rejected', () => {
+  const { valid, errors } = validator.validate('<project xmlns="urn:other"/>');
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [{ line: 1, path: '/project', message: 'No declaration for the root element {urn:other}project' }]);
+  assert.equal(validator.validate('<project><fileHeader></project>').valid, false);
+  assert.throws(() => new XsdValidator('<project />'), /Invalid XML schema/);
+});
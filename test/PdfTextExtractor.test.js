@@ -0,0 +1,157 @@
+// =====================================================================
+// test/PdfTextExtractor.test.js - Text, Levels and Pages from PDF Exports
+// =====================================================================
+// Small PDFs are written by pdf() below: one Helvetica text line per
+// { x, y, text }, content streams optionally FlateDecode compressed.
+// Covers inflated streams, indentation levels, header/footer stripping,
+// lines joined across page breaks and undecodable streams.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'zlib';
+import { PdfTextExtractor } from '../src/core/PdfTextExtractor.js';
+
+/**
+ * PDF bytes with one page per entry of pages (arrays of { x, y, text }).
+ * streamData replaces the (compressed) bytes of every content stream.
+ */
+function pdf(pages, { compress = false, streamData = null } = {}) {
+  const bodies = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((page, index) => `${4 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+  ].map(body => Buffer.from(body, 'latin1'));
+
+  for (const [index, lines] of pages.entries()) {
+    const content = lines
+      .map(line => `BT /F1 10 Tf 1 0 0 1 ${line.x} ${line.y} Tm (${line.text.replace(/[()\\]/g, '\\$&')}) Tj ET`)
+      .join('\n');
+    const data = streamData || (compress ? deflateSync(Buffer.from(content, 'latin1')) : Buffer.from(content, 'latin1'));
+
+    bodies.push(Buffer.from(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + index * 2} 0 R >>`,
+      'latin1'
+    ));
+    bodies.push(Buffer.concat([
+      Buffer.from(`<< /Length ${data.length}${compress ? ' /Filter /FlateDecode' : ''} >>\nstream\n`, 'latin1'),
+      data,
+      Buffer.from('\nendstream', 'latin1')
+    ]));
+  }
+
+  const chunks = [Buffer.from('%PDF-1.4\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+  bodies.forEach((body, index) => {
+    const object = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+    offsets.push(length);
+    chunks.push(object);
+    length += object.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${bodies.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${bodies.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Lines top to bottom, 14pt apart, at x = 50 + 20 per level
+ */
+function page(lines, top = 780) {
+  return lines.map(([level, text], index) => ({ x: 50 + level * 20, y: top - index * 14, text }));
+}
+
+test('flate-compressed content streams are inflated and indented by x-position', async () => {
+  const bytes = pdf([page([
+    [0, 'SCHRITT 1: Füllen'],
+    [1, 'Tank leer'],
+    [1, 'Freigabe (Einfuhr SCHRITT 2)'],
+    [0, 'SCHRITT 2: Heizen'],
+    [1, 'Zeit 30sek ??']
+  ])], { compress: true });
+  const { text, lineMap, pageCount, warnings } = await new PdfTextExtractor().extract(bytes);
+
+  assert.equal(pageCount, 1);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(text.split('\n'), [
+    'SCHRITT 1: Füllen',
+    '  Tank leer',
+    '  Freigabe (Einfuhr SCHRITT 2)',
+    'SCHRITT 2: Heizen',
+    '  Zeit 30sek ??'
+  ]);
+  assert.deepEqual(lineMap[1], { line: 2, page: 1, y: 766, x: 70 });
+});
+
+test('repeated headers and page numbers are stripped', async () => {
+  const steps = [
+    ['SCHRITT 1: Füllen', 'Tank leer', 'Freigabe'],
+    ['SCHRITT 2: Heizen', 'Tank voll', 'Deckel zu'],
+    ['SCHRITT 3: Leeren', 'Temperatur erreicht', 'Ventil offen']
+  ];
+  const pages = steps.map(([step, ...conditions], index) => page([
+    [0, 'Programmbeschreibung FB305'],
+    [0, step],
+    ...conditions.map(condition => [1, condition]),
+    [0, `Seite ${index + 1} von 3`]
+  ]));
+  const { text, removedLines, joinedLines } = await new PdfTextExtractor().extract(pdf(pages));
+
+  assert.deepEqual(text.split('\n'), [
+    'SCHRITT 1: Füllen', '  Tank leer', '  Freigabe',
+    'SCHRITT 2: Heizen', '  Tank voll', '  Deckel zu',
+    'SCHRITT 3: Leeren', '  Temperatur erreicht', '  Ventil offen'
+  ]);
+  assert.deepEqual(removedLines.map(line => [line.page, line.text]), [
+    [1, 'Programmbeschreibung FB305'], [1, 'Seite 1 von 3'],
+    [2, 'Programmbeschreibung FB305'], [2, 'Seite 2 von 3'],
+    [3, 'Programmbeschreibung FB305'], [3, 'Seite 3 von 3']
+  ]);
+  assert.deepEqual(joinedLines, []);
+});
+
+test('lines wrapped across a page break are joined', async () => {
+  const pages = [
+    page([[0, 'SCHRITT 1: Füllen'], [1, 'Tank leer UND'], [1, 'Pumpe be-']]),
+    page([[1, 'reit'], [1, 'Ventil offen'], [0, 'SCHRITT 2: Heizen'], [1, 'Temperatur erreicht ODER']]),
+    page([[1, 'Handbetrieb'], [0, 'SCHRITT 3: Leeren'], [1, 'Tank voll']])
+  ];
+  const { text, lineMap, joinedLines } = await new PdfTextExtractor({ headerFooterLines: 0 }).extract(pdf(pages));
+
+  assert.deepEqual(text.split('\n'), [
+    'SCHRITT 1: Füllen',
+    '  Tank leer UND',
+    '  Pumpe bereit',
+    '  Ventil offen',
+    'SCHRITT 2: Heizen',
+    '  Temperatur erreicht ODER Handbetrieb',
+    'SCHRITT 3: Leeren',
+    '  Tank voll'
+  ]);
+  assert.deepEqual(joinedLines, [
+    { page: 1, text: 'Pumpe bereit' },
+    { page: 2, text: 'Temperatur erreicht ODER Handbetrieb' }
+  ]);
+  assert.deepEqual(lineMap[2].continuedOn, { page: 2, y: 780 });
+});
+
+test('streams that cannot be decoded are reported, not taken for scanned pages', async () => {
+  const corrupt = pdf([page([[0, 'SCHRITT 1: Füllen']])], { compress: true, streamData: Buffer.from('not deflate data') });
+  const empty = pdf([[]]);
+
+  await assert.rejects(new PdfTextExtractor().extract(corrupt), /Could not decode 1 PDF stream\(s\)/);
+  await assert.rejects(new PdfTextExtractor().extract(empty), /no extractable text \(scanned pages need OCR first\)/);
+  await assert.rejects(new PdfTextExtractor().extract(Buffer.from('SCHRITT 1: Füllen')), /Not a PDF file/);
+});
@@ -0,0 +1,127 @@
+// =====================================================================
+// test/ProgramLinter.test.js - Semantic Checks and Severities
+// =====================================================================
+// One program per check, severity overrides and 'off', and rejection of
+// unknown codes and severities in the configuration.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { ProgramLinter } from '../src/core/ProgramLinter.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+function parse(lines) {
+  return new HierarchicalParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse(lines.join('\n'), 'manual');
+}
+
+function lint(result, options = {}) {
+  return new ProgramLinter({ validationRules: DEFAULT_VALIDATION_RULES, ...options })
+    .lint(result)
+    .map(finding => [finding.code, finding.lineNumber, finding.severity]);
+}
+
+test('step numbering gaps are reported, parser duplicates are not repeated', () => {
+  const result = parse([
+    'RUHE: Bereit',
+    'SCHRITT 1: Füllen',
+    '  Tank leer',
+    'SCHRITT 2: Heizen',
+    '  Tank voll',
+    'SCHRITT 2: Kühlen',
+    '  Temperatur erreicht',
+    'SCHRITT 5: Entleeren',
+    '  Tank kalt'
+  ]);
+
+  assert.deepEqual(lint(result), [['step_number_gap', 8, 'warning']]);
+  assert.equal(result.diagnostics.filter(diagnostic => diagnostic.code === 'duplicate_step_number').length, 1);
+});
+
+test('steps only entered from an unreachable step are reported', () => {
+  const result = parse([
+    'RUHE: Bereit',
+    'SCHRITT 1: Füllen',
+    '  Tank leer',
+    'SCHRITT 2: Heizen',
+    '  Tank voll',
+    'VON SCHRITT 4',
+    '  Nachfüllen',
+    'SCHRITT 3: Kühlen',
+    '  Temperatur erreicht',
+    'SCHRITT 4: Entleeren',
+    '  Tank kalt'
+  ]);
+
+  assert.deepEqual(lint(result), [['unreachable_step', 8, 'warning'], ['unreachable_step', 10, 'warning']]);
+});
+
+test('undeclared variables, markers never reset and duplicate fault texts', () => {
+  const result = parse([
+    'RUHE: Bereit',
+    'SCHRITT 1: Füllen',
+    '  STÖRUNG: Pumpe defekt',
+    '  Variable 7',
+    '  Variable 3',
+    '  Heizung Freigabe SETZEN',
+    'Variable 3 (Zähler) =',
+    '  Tank voll',
+    'STÖRUNG: Motor überlast =',
+    '  Motor Strom hoch',
+    'STÖRUNG: Motor überlast =',
+    '  Motor Strom hoch'
+  ]);
+
+  assert.deepEqual(lint(result), [
+    ['undeclared_variable', 3, 'warning'],
+    ['undeclared_variable', 4, 'warning'],
+    ['marker_never_reset', 6, 'warning'],
+    ['duplicate_fault_text', 11, 'warning']
+  ]);
+});
+
+test('more timers than the tijd arrayRange holds', () => {
+  const steps = Array.from({ length: 11 }, (_, i) => [`SCHRITT ${i + 1}: Warten ${i + 1}`, `  Zeit ${i + 1}sek ??`]);
+
+  assert.deepEqual(lint(parse(['RUHE: Bereit', ...steps.flat()])), [['timer_capacity_exceeded', 23, 'error']]);
+});
+
+test('step keywords of another language are reported', () => {
+  const result = parse([
+    'RUHE: Bereit',
+    'SCHRITT 1: Füllen',
+    '  Tank leer',
+    'SCHRITT 2: Heizen',
+    '  Tank voll',
+    'STAP 3: Koelen',
+    '  Temperatuur bereikt'
+  ]);
+
+  assert.deepEqual(lint(result), [['mixed_language_keywords', 6, 'warning']]);
+});
+
+test('severities override the defaults and off disables a check', () => {
+  const lines = ['RUHE: Bereit', 'SCHRITT 1: Füllen', '  Tank leer', 'SCHRITT 3: Heizen', '  Tank voll'];
+
+  assert.deepEqual(lint(parse(lines), { severities: { step_number_gap: 'error' } }), [['step_number_gap', 4, 'error']]);
+  assert.deepEqual(lint(parse(lines), { severities: { step_number_gap: 'off' } }), []);
+
+  const result = parse(lines);
+  lint(result, { severities: { step_number_gap: 'error' } });
+  assert.deepEqual(result.errors.map(error => error.code), ['step_number_gap']);
+});
+
+test('unknown codes and severities are rejected', () => {
+  assert.throws(
+    () => new ProgramLinter({ severities: { step_numer_gap: 'off' } }),
+    /Unknown lint rule\(s\) in severities: step_numer_gap/
+  );
+  assert.throws(
+    () => new ProgramLinter({ severities: { step_number_gap: 'fatal' } }),
+    /Invalid severity "fatal" for step_number_gap/
+  );
+});
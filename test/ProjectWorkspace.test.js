@@ -0,0 +1,124 @@
+// =====================================================================
+// test/ProjectWorkspace.test.js - Cross-Program References
+// =====================================================================
+// Cross-references between programs resolved by FB number and name,
+// dangling references (unknown program or step, FB number mismatch),
+// the reverse index behind --depends-on and the dependency graph.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { ProjectWorkspace } from '../src/core/ProjectWorkspace.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+const HORDE = [
+  'Hauptprogramm Horde Auswahl FB102',
+  'RUST: Bereit',
+  'SCHRITT 1: Wählen',
+  '  Start',
+  'SCHRITT 2: Fahren',
+  '  Freigabe',
+  'SCHRITT 3: Warten',
+  '  Position erreicht'
+];
+
+const EINFUHR = [
+  'Hauptprogramm Einfuhr FB12',
+  'RUST: Bereit',
+  'SCHRITT 1: Füllen',
+  '  Freigabe (Horde Auswahl Programm FB102 SCHRITT 2+3)',
+  'SCHRITT 2: Heizen',
+  '  (Horde Auswahl FB103 RUST)',
+  'SCHRITT 3: Leeren',
+  '  (Horde Auswahl SCHRITT 7)',
+  '  (Auslauf SCHRITT 1)'
+];
+
+function parse(lines) {
+  return new HierarchicalParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse(lines.join('\n'), 'manual');
+}
+
+function workspace(options) {
+  const project = new ProjectWorkspace(options);
+  project.addProgram(parse(HORDE), 'horde.txt');
+  project.addProgram(parse(EINFUHR), 'einfuhr.txt');
+  return project;
+}
+
+test('references resolve to the steps of the target program', () => {
+  const { references } = workspace().resolve();
+
+  assert.deepEqual(
+    references.map(reference => [reference.lineNumber, reference.status, reference.targetProgram, reference.missingSteps]),
+    [[4, 'resolved', 'FB102', []], [6, 'resolved', 'FB102', []], [8, 'unknown_step', 'FB102', [7]], [9, 'unknown_program', null, []]]
+  );
+  assert.deepEqual(references[0].targets, [
+    { program: 'FB102', type: 'SCHRITT', number: 2, lineNumber: 5 },
+    { program: 'FB102', type: 'SCHRITT', number: 3, lineNumber: 7 }
+  ]);
+  assert.deepEqual(references[1].targets.map(target => [target.type, target.number]), [['RUST', 0]]);
+});
+
+test('dangling references and FB number mismatches are diagnostics', () => {
+  const project = workspace();
+  const { diagnostics } = project.resolve();
+
+  assert.deepEqual(diagnostics.map(diagnostic => [diagnostic.code, diagnostic.severity, diagnostic.lineNumber, diagnostic.program, diagnostic.message]), [
+    ['program_fb_mismatch', 'warning', 6, 'FB12', '"(Horde Auswahl FB103 RUST)" names FB103, but "Horde Auswahl" is FB102'],
+    ['unknown_step', 'error', 8, 'FB12', '"(Horde Auswahl SCHRITT 7)": FB102 has no SCHRITT 7'],
+    ['unknown_program', 'warning', 9, 'FB12', '"(Auslauf SCHRITT 1)" refers to a program that is not in the project']
+  ]);
+  assert.equal(project.errors.length, 1);
+  assert.equal(project.warnings.length, 2);
+});
+
+test('severities can be overridden per code', () => {
+  const { diagnostics } = workspace({ severities: { unknown_program: 'error', program_fb_mismatch: 'info' } }).resolve();
+
+  assert.deepEqual(diagnostics.map(diagnostic => [diagnostic.code, diagnostic.severity]), [['program_fb_mismatch', 'info'], ['unknown_step', 'error'], ['unknown_program', 'error']]);
+});
+
+test('programs declared twice are reported and resolved to the first', () => {
+  const project = workspace();
+  project.addProgram(parse(HORDE), 'horde-kopie.txt');
+  const { diagnostics } = project.resolve();
+
+  assert.deepEqual(diagnostics[0], {
+    ...diagnostics[0],
+    code: 'duplicate_program',
+    lineNumber: 1,
+    program: 'FB102',
+    file: 'horde-kopie.txt',
+    message: 'Program FB102 in horde-kopie.txt is already defined in horde.txt'
+  });
+  assert.equal(project.getProgram('FB102').file, 'horde.txt');
+  assert.deepEqual(project.dependencyGraph().nodes.map(node => node.id), ['FB102', 'FB12', 'Auslauf']);
+});
+
+test('dependentsOf answers which references point at a step', () => {
+  const project = workspace();
+  const lines = (program, step) => project.dependentsOf(program, step).map(reference => reference.lineNumber);
+
+  assert.deepEqual(lines('FB102', 2), [4]);
+  assert.deepEqual(lines(102, 3), [4]);
+  assert.deepEqual(lines('Horde Auswahl', 0), [6]);
+  assert.deepEqual(lines('FB102'), [6]);
+  assert.deepEqual(lines('FB102', 1), []);
+  assert.deepEqual(lines('FB102', 7), []);
+  assert.deepEqual(lines('FB999', 1), []);
+});
+
+test('the dependency graph adds missing programs as nodes', () => {
+  const graph = workspace().dependencyGraph();
+
+  assert.deepEqual(graph.nodes.map(node => [node.id, node.kind]), [['FB102', 'program'], ['FB12', 'program'], ['Auslauf', 'missing']]);
+  assert.deepEqual(graph.edges, [
+    { from: 'FB12', to: 'FB102', steps: [0, 2, 3, 7], references: [1, 2, 3] },
+    { from: 'FB12', to: 'Auslauf', steps: [1], references: [4] }
+  ]);
+});
@@ -0,0 +1,143 @@
+// =====================================================================
+// test/RuleCodec.test.js - Round Trip of Trained Rule Sets
+// =====================================================================
+// A rule set trained by AutoTrainer (or exported by PatternGenerator) must
+// reload from JSON with live RegExps and parse exactly as before saving.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ruleCodec } from '../src/core/RuleCodec.js';
+import { AutoTrainer } from '../src/core/AutoTrainer.js';
+import { PatternGenerator } from '../src/core/PatternGenerator.js';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+const SAMPLE = readFileSync(new URL('../training-data/sample-industrial-program.txt', import.meta.url), 'utf8');
+
+// Lines only the learned patterns below recognise
+const TRAINED_SAMPLE = `${SAMPLE}
+Phase-20 Nachlauf
+  Kühlwasser Ventil offen
+`;
+
+const SUGGESTIONS = [
+  { type: 'schritt', suggestedRegex: '^Phase-(\\d+)\\s+(.+)$', confidence: 0.95, frequency: 4, examples: ['Phase-20 Nachlauf'] },
+  { type: 'condition', suggestedRegex: '^Kühlwasser\\s+\\w+\\s+offen$', potentialType: 'condition', confidence: 0.9, frequency: 3 },
+  { type: 'cross_reference', suggestedRegex: '\\(([^()]+)\\s+FB(\\d+)\\)$', confidence: 0.9, frequency: 2, examples: [] },
+  { type: 'variable_assignment', suggestedRegex: '^Kühlwasser\\s+.+$', confidence: 0.9, frequency: 5 }
+];
+
+function copyRules(rules) {
+  return ruleCodec.decode(ruleCodec.encode(rules));
+}
+
+function parse(syntaxRules, validationRules, text = TRAINED_SAMPLE) {
+  return new HierarchicalParser(syntaxRules, validationRules).parse(text, 'manual');
+}
+
+/**
+ * Train one iteration into a temporary output folder
+ */
+async function train(outputDir) {
+  const cliParser = {
+    syntaxRules: copyRules(defaultSyntaxRules),
+    validationRules: copyRules(DEFAULT_VALIDATION_RULES)
+  };
+  const trainer = new AutoTrainer(cliParser, { minConfidence: 0.8 });
+  await trainer.applySuggestions(SUGGESTIONS, outputDir, 1);
+  return { trainer, cliParser };
+}
+
+test('encode -> JSON.stringify -> JSON.parse -> decode keeps every RegExp', async () => {
+  const outputDir = mkdtempSync(join(tmpdir(), 'rule-codec-'));
+  try {
+    const { cliParser } = await train(outputDir);
+    const trained = { syntaxRules: cliParser.syntaxRules, validationRules: cliParser.validationRules };
+
+    const reloaded = ruleCodec.decode(JSON.parse(JSON.stringify(ruleCodec.encode(trained))));
+
+    assert.deepEqual(reloaded, trained);
+    assert.ok(reloaded.validationRules.groups.autoLearned.patterns[0] instanceof RegExp);
+    assert.equal(ruleCodec.countLostPatterns(reloaded), 0);
+  } finally {
+    rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('rules saved by AutoTrainer reload and parse identically', async () => {
+  const outputDir = mkdtempSync(join(tmpdir(), 'rule-codec-'));
+  try {
+    const { trainer, cliParser } = await train(outputDir);
+    const { syntaxRules, validationRules } = trainer.loadRules(join(outputDir, 'iteration-1'));
+
+    assert.deepEqual(syntaxRules, cliParser.syntaxRules);
+    assert.deepEqual(validationRules, cliParser.validationRules);
+
+    const expected = parse(cliParser.syntaxRules, cliParser.validationRules);
+    assert.deepEqual(parse(syntaxRules, validationRules), expected);
+
+    // The learned step pattern is what makes "Phase-20" a step
+    assert.ok(expected.steps.some(step => step.number === 20));
+    assert.ok(!parse(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).steps.some(step => step.number === 20));
+  } finally {
+    rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('a resumed training run continues with the saved iteration rules', async () => {
+  const outputDir = mkdtempSync(join(tmpdir(), 'rule-codec-'));
+  try {
+    const { cliParser } = await train(outputDir);
+    const resumedParser = {
+      syntaxRules: copyRules(defaultSyntaxRules),
+      validationRules: copyRules(DEFAULT_VALIDATION_RULES)
+    };
+
+    new AutoTrainer(resumedParser).restoreIterationRules(outputDir, 1);
+
+    assert.deepEqual(resumedParser.syntaxRules, cliParser.syntaxRules);
+    assert.deepEqual(resumedParser.validationRules, cliParser.validationRules);
+    assert.throws(() => new AutoTrainer(resumedParser).restoreIterationRules(outputDir, 2), /No saved rules for iteration 2/);
+  } finally {
+    rmSync(outputDir, { recursive: true, force: true });
+  }
+});
+
+test('PatternGenerator.exportToValidationConfig regexes survive the round trip', () => {
+  const outputDir = mkdtempSync(join(tmpdir(), 'rule-codec-'));
+  try {
+    const generator = new PatternGenerator();
+    generator.generatedPatterns.set('storing', [
+      { pattern: '^ST(Ö|OE)RUNG:\\s*(.+)$', description: 'Fault prefix', type: 'prefix', precision: 1, recall: 0.9, f1Score: 0.95, frequency: 4 }
+    ]);
+    generator.generatedPatterns.set('tijd', [
+      { pattern: '^Zeit\\s+\\d+\\s*sek', description: 'Timer', type: 'keyword', precision: 0.9, recall: 0.8, f1Score: 0.85, frequency: 3 }
+    ]);
+
+    const outputPath = join(outputDir, 'validation-config.json');
+    const exported = generator.exportToValidationConfig(outputPath);
+    const reloaded = ruleCodec.parse(readFileSync(outputPath, 'utf8'));
+
+    assert.deepEqual(reloaded, exported);
+
+    for (const [groupKey, group] of Object.entries(reloaded.validationRules.groups)) {
+      group.patterns.forEach((entry, index) => {
+        const original = exported.validationRules.groups[groupKey].patterns[index].pattern;
+        assert.ok(entry.pattern instanceof RegExp);
+        for (const line of ['STÖRUNG: Druck zu niedrig', 'stoerung: Sensor', 'Zeit 30 sek ??', 'Freigabe Start']) {
+          assert.equal(entry.pattern.test(line), original.test(line), `${groupKey}: ${line}`);
+        }
+      });
+    }
+  } finally {
+    rmSync(outputDir, { recursive: true, force: true });
+  }
+});
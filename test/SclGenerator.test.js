@@ -0,0 +1,114 @@
+// =====================================================================
+// test/SclGenerator.test.js - SCL Source of a Step Chain
+// =====================================================================
+// Full SCL source of a small program, and stable, balanced output for
+// the sample program.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { SclGenerator } from '../src/core/SclGenerator.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+const PROGRAM = [
+  'Hauptprogramm Einfuhr FB12',
+  'RUST: Bereit',
+  'SCHRITT 1: Füllen',
+  '  Freigabe',
+  '  Zeit 5sek ??',
+  'SCHRITT 2: Heizen',
+  '  Tank voll',
+  '  NICHT Störung',
+  '  Pumpe SETZEN'
+].join('\n');
+
+function parse(text) {
+  return new HierarchicalParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse(text, 'manual');
+}
+
+function generate(result, block) {
+  return new SclGenerator({ validationRules: DEFAULT_VALIDATION_RULES }).generate(result, block);
+}
+
+test('a small program as SCL', () => {
+  assert.equal(generate(parse(PROGRAM)), [
+    '// Einfuhr (FB12)',
+    '// Generated from the program description (header: line 1)',
+    'FUNCTION_BLOCK Einfuhr',
+    'TITLE = Einfuhr',
+    "{ S7_Optimized_Access := 'TRUE' }",
+    'VERSION : 0.1',
+    '   VAR_INPUT',
+    '      Freigabe : Bool; // Freigabe (line 4)',
+    '      Tank_voll : Bool; // Tank voll (line 7)',
+    '      "Störung" : Bool; // Störung (line 8)',
+    '   END_VAR',
+    '',
+    '   VAR',
+    '      // Schrittkette: RUST = Stap[0], active when no other step is',
+    '      Stap : Array[0..31] of Bool;',
+    '      //   [0] RUST: Bereit (line 2)',
+    '      //   [1] SCHRITT 1: Füllen (line 3)',
+    '      //   [2] SCHRITT 2: Heizen (line 6)',
+    '      // Tijd - Timer variables (Time type)',
+    '      Tijd : Array[1..10] of IEC_TIMER;',
+    '      //   [1] Zeit 5sek ?? (line 5)',
+    '      // Other members (action targets without a declaration)',
+    '      Pumpe : Bool; // Pumpe (line 9)',
+    '   END_VAR',
+    '',
+    'BEGIN',
+    '   // RUST: Bereit (line 2)',
+    '   #Stap[0] := NOT #Stap[1] AND NOT #Stap[2];',
+    '',
+    '   // Tijd[1]: Zeit 5sek ?? (line 5)',
+    '   #Tijd[1].TON(IN := #Stap[0],',
+    '                PT := T#5S);',
+    '',
+    '   // SCHRITT 1: Füllen (line 3)',
+    '   // RUST -> SCHRITT 1: Freigabe AND Zeit 5sek ?? (line 3)',
+    '   IF #Stap[0] AND #Freigabe AND #Tijd[1].Q THEN',
+    '      #Stap[1] := TRUE;',
+    '   END_IF;',
+    '',
+    '   // SCHRITT 2: Heizen (line 6)',
+    '   // SCHRITT 1 -> SCHRITT 2: Tank voll AND NOT Störung (line 6)',
+    '   IF #Stap[1] AND #Tank_voll AND NOT #"Störung" THEN',
+    '      #Stap[1] := FALSE;',
+    '      #Stap[2] := TRUE;',
+    '   END_IF;',
+    '',
+    '   // SCHRITT 2: SETZEN',
+    '   IF #Stap[2] THEN',
+    '      #Pumpe := TRUE; // SETZEN Pumpe (line 9)',
+    '   END_IF;',
+    '',
+    'END_FUNCTION_BLOCK',
+    ''
+  ].join('\n'));
+});
+
+test('the block name and number can be given', () => {
+  const lines = generate(parse(PROGRAM), { name: 'FB_Einfuhr', number: 120 }).split('\n');
+
+  assert.deepEqual(lines.slice(0, 3), ['// Einfuhr (FB120)', '// Generated from the program description (header: line 1)', 'FUNCTION_BLOCK FB_Einfuhr']);
+});
+
+test('the sample program generates stable, balanced SCL', () => {
+  const sample = readFileSync(new URL('../training-data/sample-industrial-program.txt', import.meta.url), 'utf8');
+  const scl = generate(parse(sample));
+  const count = pattern => (scl.match(pattern) || []).length;
+
+  assert.equal(generate(parse(sample)), scl);
+  assert.match(scl, /^FUNCTION_BLOCK "?Käseproduktion"?$/m);
+  assert.equal(count(/^\s*IF\b/gm), count(/^\s*END_IF;$/gm));
+  assert.equal(count(/^\s*VAR(?:_INPUT)?$/gm), count(/^\s*END_VAR$/gm));
+  assert.equal(count(/^BEGIN$/gm), 1);
+  assert.match(scl, /END_FUNCTION_BLOCK\n$/);
+});
@@ -0,0 +1,108 @@
+// =====================================================================
+// test/SimaticMLExporter.test.js - SimaticML FB Export
+// =====================================================================
+// Interface members and networks of a small program in LAD and FBD, and
+// byte-identical output for the sample program across runs.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { DOMParser } from '@xmldom/xmldom';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { SimaticMLExporter } from '../src/core/SimaticMLExporter.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+const PROGRAM = [
+  'Hauptprogramm Einfuhr FB12',
+  'RUST: Bereit',
+  'SCHRITT 1: Füllen',
+  '  Freigabe',
+  '  Zeit 5sek ??',
+  'SCHRITT 2: Heizen',
+  '  Tank voll',
+  '  NICHT Störung',
+  '  Pumpe SETZEN'
+].join('\n');
+
+function parse(text) {
+  return new HierarchicalParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse(text, 'manual');
+}
+
+function exportXml(result, options = {}) {
+  return new SimaticMLExporter({ validationRules: DEFAULT_VALIDATION_RULES, ...options }).export(result);
+}
+
+function load(xml) {
+  const errors = [];
+  const document = new DOMParser({ onError: (level, message) => errors.push(message) }).parseFromString(xml, 'text/xml');
+  assert.deepEqual(errors, []);
+  return document;
+}
+
+const elements = (node, name) => Array.from(node.getElementsByTagName(name));
+const childText = (node, name) => elements(node, name)[0]?.textContent;
+
+/**
+ * Title text of every network (compile unit) in document order
+ */
+function networkTitles(document) {
+  return elements(document, 'SW.Blocks.CompileUnit').map(unit => {
+    const title = elements(unit, 'MultilingualText').find(text => text.getAttribute('CompositionName') === 'Title');
+    return childText(title, 'Text');
+  });
+}
+
+test('the interface declares steps, timers, targets and condition inputs', () => {
+  const document = load(exportXml(parse(PROGRAM)));
+  const section = name => elements(document, 'Section').find(node => node.getAttribute('Name') === name);
+  const members = name => elements(section(name), 'Member')
+    .map(member => [member.getAttribute('Name'), member.getAttribute('Datatype')]);
+
+  assert.equal(childText(document, 'Name'), 'Einfuhr');
+  assert.equal(childText(document, 'Number'), '12');
+  assert.deepEqual(members('Input'), [['Freigabe', 'Bool'], ['Tank_voll', 'Bool'], ['Störung', 'Bool']]);
+  assert.deepEqual(members('Static'), [
+    ['Stap', 'Array[0..31] of Bool'],
+    ['Tijd', 'Array[1..10] of IEC_TIMER'],
+    ['Pumpe', 'Bool']
+  ]);
+});
+
+test('one network per step, timer and step action', () => {
+  const document = load(exportXml(parse(PROGRAM)));
+  const ids = elements(document, '*').map(node => node.getAttribute('ID')).filter(Boolean);
+
+  assert.deepEqual(networkTitles(document), [
+    'RUST: Bereit',
+    'Tijd[1]: Zeit 5sek ??',
+    'SCHRITT 1: Füllen',
+    'SCHRITT 2: Heizen',
+    'SCHRITT 2: SETZEN'
+  ]);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test('LAD networks use contacts, FBD networks use boxes', () => {
+  const partNames = xml => new Set(elements(load(xml), 'Part').map(part => part.getAttribute('Name')));
+  const lad = partNames(exportXml(parse(PROGRAM)));
+  const fbd = partNames(exportXml(parse(PROGRAM), { language: 'fbd' }));
+
+  assert.ok(lad.has('Contact') && !lad.has('A'));
+  assert.ok(fbd.has('A') && !fbd.has('Contact'));
+  assert.ok(lad.has('TON') && fbd.has('TON'));
+  assert.throws(() => new SimaticMLExporter({ language: 'STL' }), /Unsupported network language: STL/);
+});
+
+test('the sample program exports byte-identical across runs', () => {
+  const sample = readFileSync(new URL('../training-data/sample-industrial-program.txt', import.meta.url), 'utf8');
+  const first = exportXml(parse(sample));
+
+  load(first);
+  assert.equal(exportXml(parse(sample)), first);
+  assert.equal(exportXml(parse(sample), { language: 'FBD' }), exportXml(parse(sample), { language: 'FBD' }));
+});
@@ -0,0 +1,87 @@
+// =====================================================================
+// test/StepChainDiagram.test.js - Mermaid, DOT and SVG Step Chains
+// =====================================================================
+// Node titles keep the step keyword of the source (RUHE, STAP n, KLAAR),
+// timers become badges on the step they run in, and cross-references
+// become dashed edges to the referenced program step.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from '@xmldom/xmldom';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { StepChainDiagram } from '../src/core/StepChainDiagram.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+const PROGRAM = [
+  'RUHE: Gereed',
+  'STAP 1: Vullen',
+  '  Tank leeg',
+  'STAP 2: Verwarmen',
+  '  TIJD 30 sek ??',
+  '  Klaar (Pers programma FB12 STAP 3)',
+  'KLAAR: Einde',
+  '  Tank vol'
+].join('\n');
+
+const result = new HierarchicalParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse(PROGRAM, 'manual');
+
+test('mermaid output uses the source keywords', () => {
+  assert.equal(new StepChainDiagram().toMermaid(result), [
+    'stateDiagram-v2',
+    '    direction TB',
+    '    state "RUHE<br/>Gereed" as S0',
+    '    state "STAP 1<br/>Vullen<br/>Tijd[1] T#35;30S" as S1',
+    '    state "STAP 2<br/>Verwarmen" as S2',
+    '    state "KLAAR<br/>Einde" as S3',
+    '    state "Pers programma (FB12)<br/>STAP 3" as X1',
+    '',
+    '    [*] --> S0',
+    '    S0 --> S1 : Tank leeg',
+    '    S1 --> S2 : TIJD 30 sek ?? AND Klaar (Pers programm…',
+    '    S2 --> S3 : Tank vol',
+    '    S2 --> X1 : Klaar',
+    '    S3 --> [*]',
+    '',
+    '    classDef external stroke-dasharray: 5 5',
+    '    class X1 external',
+    ''
+  ].join('\n'));
+});
+
+test('dot output styles rest, end and cross-reference nodes', () => {
+  const lines = new StepChainDiagram({ direction: 'LR' }).toDot(result).split('\n');
+
+  assert.ok(lines.includes('  rankdir=LR;'));
+  assert.ok(lines.includes('  S0 [label="RUHE\\nGereed", style="rounded,bold", penwidth=2];'));
+  assert.ok(lines.includes('  S3 [label="KLAAR\\nEinde", peripheries=2];'));
+  assert.ok(lines.includes(
+    '  S1 -> S2 [label="TIJD 30 sek ?? AND Klaar (Pers programm…", tooltip="TIJD 30 sek ?? AND Klaar (Pers programma FB12 STAP 3)"];'
+  ));
+  assert.ok(lines.includes('  S2 -> X1 [label="Klaar", style=dashed, color="#6b7280"];'));
+});
+
+test('svg output is well-formed and byte-stable', () => {
+  const svg = new StepChainDiagram().toSvg(result);
+  const errors = [];
+  const document = new DOMParser({ onError: (level, message) => errors.push(message) })
+    .parseFromString(svg, 'image/svg+xml');
+  const nodes = Array.from(document.getElementsByTagName('g'))
+    .filter(group => /^node /.test(group.getAttribute('class')));
+  const titles = nodes.map(node => Array.from(node.getElementsByTagName('text'))
+    .find(text => text.getAttribute('class') === 'title').textContent);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(nodes.map(node => node.getAttribute('class')), ['node rust', 'node step', 'node step', 'node end', 'node external']);
+  assert.deepEqual(titles, ['RUHE', 'STAP 1', 'STAP 2', 'KLAAR', 'Pers programma (FB12)']);
+  assert.match(svg, /<text x="[\d.]+" y="[\d.]+">Tijd\[1\] T#30S<\/text>/);
+  assert.equal(new StepChainDiagram().toSvg(result), svg);
+});
+
+test('unknown formats are rejected', () => {
+  assert.throws(() => new StepChainDiagram().export(result, 'png'), /Unknown diagram format "png"/);
+});
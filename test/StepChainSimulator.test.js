@@ -0,0 +1,59 @@
+// =====================================================================
+// test/StepChainSimulator.test.js - Scenario Duration and Operands
+// =====================================================================
+// Assertions without "within" must not shrink the run to one scan, and
+// rejected scenario operands must not leak into the symbol table.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { StepChainSimulator } from '../src/core/StepChainSimulator.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+const PROGRAM = [
+  'RUST: Bereit',
+  'SCHRITT 1: Füllen',
+  '  Freigabe',
+  'SCHRITT 2: Heizen',
+  '  Tank voll'
+].join('\n');
+
+const result = new HierarchicalParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse(PROGRAM, 'manual');
+
+function simulator() {
+  return new StepChainSimulator({ validationRules: DEFAULT_VALIDATION_RULES });
+}
+
+test('assertions without a time bound run for the default duration', () => {
+  const report = simulator().run(result, {
+    cycleTime: '1 s',
+    events: [{ at: '40 s', set: { 'Tank voll': true } }],
+    inputs: { Freigabe: true },
+    assertions: ['reaches SCHRITT 1', 'reaches SCHRITT 2']
+  });
+
+  assert.equal(report.duration, 60000);
+  assert.equal(report.passed, true);
+});
+
+test('time-bound assertions and events set the duration', () => {
+  const report = simulator().run(result, {
+    cycleTime: '1 s',
+    events: [{ at: '3 s', set: { Freigabe: true } }],
+    assertions: ['reaches SCHRITT 1 within 10 s']
+  });
+
+  assert.equal(report.duration, 11000);
+});
+
+test('unknown scenario operands are rejected without declaring them', () => {
+  const rejecting = simulator();
+
+  assert.throws(() => rejecting.run(result, { inputs: { Freigabee: true } }), /Unknown operand in scenario: "Freigabee"/);
+  assert.equal(rejecting.symbols.members.has('Freigabee'), false);
+});
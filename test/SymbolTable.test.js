@@ -0,0 +1,41 @@
+// =====================================================================
+// test/SymbolTable.test.js - Step Labels and Timer Slots in Exports
+// =====================================================================
+// Exported comments keep the step keyword the source used, and timers
+// without a free Tijd[n] element fail the export instead of becoming inputs.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { SymbolTable } from '../src/core/SymbolTable.js';
+import { SclGenerator } from '../src/core/SclGenerator.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+function parse(text, metadata = {}) {
+  return new HierarchicalParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse(text, 'manual', metadata);
+}
+
+test('step labels use the keyword of the source, not metadata.language', () => {
+  const result = parse('RUST: Bereit\nSCHRITT 1: Füllen\n  Tank leer\nSCHRITT 2: Heizen\n  Tank voll\n');
+  result.metadata.language = 'nl';
+  const symbols = new SymbolTable(result, { validationRules: DEFAULT_VALIDATION_RULES });
+
+  assert.deepEqual([0, 1, 2, 7].map(number => symbols.stepLabel(number)), ['RUST', 'SCHRITT 1', 'SCHRITT 2', 'SCHRITT 7']);
+  assert.doesNotMatch(new SclGenerator({ validationRules: DEFAULT_VALIDATION_RULES }).generate(result), /STAP/);
+});
+
+test('timers past the Tijd range fail the export', () => {
+  const steps = Array.from({ length: 11 }, (_, i) => `SCHRITT ${i + 1}: Warten ${i + 1}\n  Zeit ${i + 1}sek ??`);
+  const result = parse(`RUST: Bereit\n${steps.join('\n')}\n`);
+
+  assert.ok(result.diagnostics.some(diagnostic => diagnostic.code === 'array_range_overflow'));
+  assert.throws(
+    () => new SclGenerator({ validationRules: DEFAULT_VALIDATION_RULES }).generate(result),
+    /1 timer\(s\) have no element in Tijd\[1\.\.10\]: "Zeit 11sek \?\?" \(line 23\)/
+  );
+});
@@ -0,0 +1,97 @@
+// =====================================================================
+// test/TableImporter.test.js - Step Chains from CSV/TSV Tables
+// =====================================================================
+// Columns map to hierarchy levels, a header row is detected unless the
+// header option says otherwise, and quoted cells keep their delimiters
+// and line breaks.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TableImporter } from '../src/core/TableImporter.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+const HEADER = 'Schritt;Bedingung;ODER';
+const ROWS = [
+  'RUST: Bereit;;',
+  'SCHRITT 1: Füllen;"Tank leer\nFreigabe; Start";Handbetrieb',
+  'SCHRITT 2: Heizen;Tank voll;'
+];
+
+function importTable(text, options = {}, format = 'csv') {
+  return new TableImporter(options).import(Buffer.from(text), {
+    format,
+    syntaxRules: defaultSyntaxRules,
+    validationRules: DEFAULT_VALIDATION_RULES
+  });
+}
+
+function conditions(result, number) {
+  return result.steps
+    .find(step => step.number === number)
+    .entryConditions.flatMap(group => group.conditions)
+    .map(condition => [condition.variable, condition.operator]);
+}
+
+test('a header row is detected and skipped', async () => {
+  const { header, text, lineMap, result } = await importTable([HEADER, ...ROWS].join('\n'));
+
+  assert.equal(header, true);
+  assert.deepEqual(text.split('\n'), [
+    'RUST: Bereit',
+    'SCHRITT 1: Füllen',
+    '\tTank leer',
+    '\tFreigabe; Start',
+    '\t+ Handbetrieb',
+    'SCHRITT 2: Heizen',
+    '\tTank voll'
+  ]);
+  assert.deepEqual(lineMap[4], { line: 5, row: 2, column: 2 });
+  assert.deepEqual(result.diagnostics, []);
+  assert.deepEqual(conditions(result, 1), [['Tank leer', 'AND'], ['Freigabe; Start', 'AND'], ['Handbetrieb', 'OR']]);
+});
+
+test('tables starting with a declaration have no header row', async () => {
+  const { header, result } = await importTable(ROWS.join('\n'));
+
+  assert.equal(header, false);
+  assert.deepEqual(result.steps.map(step => step.number), [0, 1, 2]);
+  assert.deepEqual(result.diagnostics, []);
+});
+
+test('header: false keeps the first row as data', async () => {
+  const { header, result } = await importTable([HEADER, ...ROWS].join('\n'), { header: false });
+
+  assert.equal(header, false);
+  assert.deepEqual(
+    result.diagnostics.map(diagnostic => [diagnostic.code, diagnostic.lineNumber]),
+    [['unattached_line', 1], ['unattached_line', 2], ['unattached_line', 3]]
+  );
+});
+
+test('named columns are resolved from the header row', async () => {
+  const tsv = [
+    'Kommentar\tBedingung\tSchritt',
+    'Startet den Zyklus\t\tRUST: Bereit',
+    '\t\tSCHRITT 1: Füllen',
+    'Nur im Automatikbetrieb\tTank leer\t'
+  ].join('\r\n');
+  const { warnings, result } = await importTable(tsv, {
+    columns: { Schritt: 0, Bedingung: 1, Kommentar: null, ODER: { level: 1, prefix: '+' } }
+  }, 'tsv');
+
+  assert.deepEqual(warnings, ['Column "ODER" not found in header row']);
+  assert.deepEqual(conditions(result, 1), [['Tank leer', 'AND']]);
+});
+
+test('the delimiter is taken from the first line', () => {
+  const importer = new TableImporter();
+
+  assert.equal(importer.detectDelimiter('a;b;c\n1,2;3'), ';');
+  assert.equal(importer.detectDelimiter('a\tb,c\n'), '\t');
+  assert.deepEqual(importer.parseDelimited('"a ""b""",c\n1,"2\n3"'), [['a "b"', 'c'], ['1', '2\n3']]);
+});
@@ -0,0 +1,51 @@
+// =====================================================================
+// test/WordPreprocessor.test.js - Outline Headings in Word Exports
+// =====================================================================
+// Only column-0, tab-separated outline numbers are headings; indented
+// conditions that start with a number must reach the parser unchanged.
+// =====================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WordPreprocessor } from '../src/core/WordPreprocessor.js';
+import { HierarchicalParser } from '../src/core/HierarchicalParser.js';
+import { defaultLogger } from '../src/core/Logger.js';
+import { defaultSyntaxRules } from 'standaardwerk-parser/src/config/syntaxRules.js';
+import { DEFAULT_VALIDATION_RULES } from 'standaardwerk-parser/src/config/validationRules.js';
+
+defaultLogger.setLevel('silent');
+
+const WORD_TEXT = [
+  '3.3\tO01: Druckaufbau FB304',
+  'SCHRITT 1: Druck aufbauen',
+  '\t2.5 bar Druck erreicht',
+  '    3.1 Freigabe Pumpe',
+  '\tPumpe läuft',
+  'SCHRITT 2: Halten'
+].join('\n');
+
+test('outline headings are column-0 numbers followed by a tab', () => {
+  const preprocessor = new WordPreprocessor();
+
+  assert.equal(preprocessor.parseHeading('3.3\tO0x: Status Formenlagern  FB304\t13', 1).page, 13);
+  assert.equal(preprocessor.parseHeading('3.\tAnlage', 1).outline, '3');
+  assert.equal(preprocessor.parseHeading('\t2.5 bar Druck erreicht', 1), null);
+  assert.equal(preprocessor.parseHeading('    3.1 Freigabe Pumpe', 1), null);
+  assert.equal(preprocessor.parseHeading('2.5 bar Druck erreicht', 1), null);
+});
+
+test('indented numeric conditions are kept as step conditions', () => {
+  const preprocessed = new WordPreprocessor().process(WORD_TEXT);
+
+  assert.deepEqual([...preprocessed.headingLines], [1]);
+  assert.equal(preprocessed.text.split('\n')[2], '\t2.5 bar Druck erreicht');
+  assert.equal(preprocessed.programs[0].fbNumber, 304);
+
+  const result = new HierarchicalParser(defaultSyntaxRules, DEFAULT_VALIDATION_RULES).parse(WORD_TEXT, 'word');
+  const conditions = result.steps[0].entryConditions.flatMap(group => group.conditions);
+
+  assert.deepEqual(
+    conditions.map(condition => condition.variable),
+    ['2.5 bar Druck erreicht', '3.1 Freigabe Pumpe', 'Pumpe läuft']
+  );
+});
@@ -2,6 +2,7 @@
 
 import { readFileSync, existsSync } from 'fs';
 import { join } from 'path';
+import { ruleCodec } from './src/core/RuleCodec.js';
 
 /**
  * Validate Training Accuracy
@@ -36,12 +37,12 @@ class AccuracyValidator {
     
     let improvedRules = {};
     if (existsSync(improvedRulesPath)) {
-      improvedRules = JSON.parse(readFileSync(improvedRulesPath, 'utf8'));
+      improvedRules = ruleCodec.parse(readFileSync(improvedRulesPath, 'utf8'));
     }
     
     let originalRules = {};
     if (existsSync(originalRulesPath)) {
-      originalRules = JSON.parse(readFileSync(originalRulesPath, 'utf8'));
+      originalRules = ruleCodec.parse(readFileSync(originalRulesPath, 'utf8'));
     }
     
     // Load sample data
@@ -49,10 +49,33 @@ class StandaardwerkTrainerV2 {
 
     async loadConfiguration() {
         try {
+            // Shared codec with the core pipeline: revives { source, flags } into RegExps
+            const { ruleCodec } = await import('../src/core/RuleCodec.js');
+            this.ruleCodec = ruleCodec;
+
+            // Structured assignments ("Horde[i].Etage_Daten[1].Status = Besetzt")
+            const { LValueParser } = await import('../src/core/LValueParser.js');
+            this.lvalueParser = new LValueParser();
+
+            // Offline PDF text extraction (indentation rebuilt from x-coordinates)
+            const { PdfTextExtractor } = await import('../src/core/PdfTextExtractor.js');
+            this.pdfExtractor = new PdfTextExtractor();
+
+            // Step chain as an SVG diagram in the preview (same parser and layout as the CLI)
+            const { HierarchicalParser } = await import('../src/core/HierarchicalParser.js');
+            const { StepChainDiagram } = await import('../src/core/StepChainDiagram.js');
+            this.HierarchicalParser = HierarchicalParser;
+            this.stepChainDiagram = new StepChainDiagram();
+
             // Load existing syntax and validation rules
             const response = await fetch('../results/auto-training-results-v2/optimized-syntax-rules.json');
             if (response.ok) {
-                this.config.syntaxRules = await response.json();
+                this.config.syntaxRules = ruleCodec.parse(await response.text());
+            }
+
+            const validationResponse = await fetch('../results/auto-training-results-v2/optimized-validation-rules.json');
+            if (validationResponse.ok) {
+                this.config.validationRules = ruleCodec.parse(await validationResponse.text());
             }
         } catch (error) {
             console.warn('Could not load existing rules, using defaults');
@@ -157,6 +180,7 @@ class StandaardwerkTrainerV2 {
             conditions: [],
             crossReferences: [],
             patterns: [],
+            dataStructures: [],
             statistics: {},
             detectedLanguage: null,
             languageConsistency: true
@@ -197,6 +221,7 @@ class StandaardwerkTrainerV2 {
                     description: stepMatch.description,
                     lineNumber: index + 1,
                     conditions: [],
+                    actions: [],
                     language: stepMatch.language
                 };
                 
@@ -223,6 +248,18 @@ class StandaardwerkTrainerV2 {
                 return;
             }
 
+            // Detect structured assignments, including ranges like "Sensor_Array[1..16].Status = OK"
+            const assignment = this.lvalueParser && !/^\s/.test(line) ? this.lvalueParser.parseAssignment(trimmed) : null;
+            if (assignment) {
+                analysis.patterns.push({
+                    type: 'array_assignment',
+                    text: trimmed,
+                    lineNumber: index + 1,
+                    assignment
+                });
+                return;
+            }
+
             // Detect variables (REAL patterns without '=' at the start)
             if (trimmed.includes('=') && !trimmed.startsWith('=')) {
                 const parts = trimmed.split('=');
@@ -258,6 +295,13 @@ class StandaardwerkTrainerV2 {
                     return;
                 }
                 
+                // Actions ("X SETZEN", "X RÜCKSETZEN", "X := 5") are not conditions
+                const action = this.parseActionStatement(trimmed);
+                if (action) {
+                    currentStep.actions.push({ ...action, lineNumber: index + 1 });
+                    return;
+                }
+                
                 // CORRECT condition detection: indented lines without dashes
                 const isCondition = 
                     // Main pattern: indented lines after a step (NO DASHES!)
@@ -267,7 +311,7 @@ class StandaardwerkTrainerV2 {
                     // Inside condition block
                     insideConditionBlock ||
                     // Time conditions (special case, not indented)
-                    (trimmed.match(/(Zeit|TIJD|TIME)\\s+\\d+\\s*sek\\s*\\?\\?/i) && !currentStep.description.includes('Zeit'));
+                    (/^(Zeit|TIJD|TIME)\s/i.test(trimmed) && this.parseTimerCondition(trimmed) && !currentStep.description.includes('Zeit'));
 
                 if (isCondition) {
                     const condition = {
@@ -275,17 +319,18 @@ class StandaardwerkTrainerV2 {
                         operator: trimmed.startsWith('+') ? 'OR' : 'AND',
                         negated: /^\\+?\\s*(NICHT|NOT|NIET)\\s/i.test(trimmed),
                         lineNumber: index + 1,
-                        isTimeCondition: /(Zeit|TIJD|TIME)\\s+\\d+\\s*sek\\s*\\?\\?/i.test(trimmed),
+                        isTimeCondition: this.parseTimerCondition(trimmed) !== null,
                         hasComparison: /[<>=!]+/.test(trimmed),
                         insideBlock: insideConditionBlock,
                         language: this.detectConditionLanguage(trimmed)
                     };
 
                     // Parse time conditions
-                    const timeMatch = trimmed.match(/Zeit\\s+(\\d+)\\s*sek\\s*\\?\\?/i);
-                    if (timeMatch) {
-                        condition.timeValue = parseInt(timeMatch[1]);
-                        condition.timeUnit = 'seconds';
+                    const timer = this.parseTimerCondition(trimmed);
+                    if (timer) {
+                        condition.timeValue = timer.duration;
+                        condition.timeUnit = timer.unit;
+                        condition.timer = timer;
                     }
 
                     // Parse comparisons
@@ -315,14 +360,6 @@ class StandaardwerkTrainerV2 {
                 analysis.crossReferences.push(crossRef);
             }
 
-            // Detect complex patterns
-            if (trimmed.match(/\\[.*\\]\\..*=/)) {
-                analysis.patterns.push({
-                    type: 'array_assignment',
-                    text: trimmed,
-                    lineNumber: index + 1
-                });
-            }
         });
 
         // Save last step
@@ -331,6 +368,12 @@ class StandaardwerkTrainerV2 {
             analysis.steps.push(currentStep);
         }
 
+        // Typed data-structure usages for UDT generation
+        if (this.lvalueParser) {
+            const assignments = analysis.patterns.filter(pattern => pattern.assignment).map(pattern => pattern.assignment);
+            analysis.dataStructures = this.lvalueParser.collectStructures(assignments);
+        }
+
         // Calculate real statistics
         analysis.statistics = {
             totalLines: lines.length,
@@ -346,6 +389,38 @@ class StandaardwerkTrainerV2 {
         return analysis;
     }
 
+    parseActionStatement(text) {
+        const resetMatch = text.match(/^(.+?)\s+(RÜCKSETZEN|RUECKSETZEN|RESET|RESETTEN|TERUGZETTEN)$/);
+        if (resetMatch) {
+            return { operation: 'RESET', target: resetMatch[1].trim(), keyword: resetMatch[2] };
+        }
+
+        const setMatch = text.match(/^(.+?)\s+(SETZEN|SET|ZETTEN)$/);
+        if (setMatch) {
+            return { operation: 'SET', target: setMatch[1].trim(), keyword: setMatch[2] };
+        }
+
+        const assignMatch = text.match(/^([^:=<>!]+?)\s*:=\s*(.+)$/);
+        if (assignMatch) {
+            return { operation: 'ASSIGN', target: assignMatch[1].trim(), value: assignMatch[2].trim(), keyword: ':=' };
+        }
+
+        return null;
+    }
+
+    // Same units as HierarchicalParser: "Zeit 1800sek ??", "TIJD 30 sek ??", "Reinigung 15 min", "TIJD 0.5 h";
+    // a bare "m" ("Abstand 5 m") needs a timer keyword or "??"
+    parseTimerCondition(text) {
+        const units = { ms: 1, s: 1000, sek: 1000, sec: 1000, m: 60000, min: 60000, h: 3600000 };
+        const match = text.match(/(\d+(?:[.,]\d+)?)\s*(ms|sek|sec|s|min|m|h)\s*(\?\?)?$/i);
+        if (!match) return null;
+
+        const duration = parseFloat(match[1].replace(',', '.'));
+        const unit = match[2].toLowerCase();
+        if (unit === 'm' && !(match[3] || /^(Zeit|TIJD|TIME)\s/i.test(text))) return null;
+        return { duration, unit, normalizedMs: Math.round(duration * units[unit]) };
+    }
+
     determineRealVariableType(name, value) {
         // Based on real industrial program patterns
         if (name.match(/^(TIJD|Zeit|Time)/i) || value.match(/T#\\d+/)) return 'timer';
@@ -989,7 +1064,8 @@ class StandaardwerkTrainerV2 {
                 savedAt: new Date().toISOString()
             };
             
-            localStorage.setItem('standaardwerk-learned-rules', JSON.stringify(rulesData));
+            const serialized = this.ruleCodec ? this.ruleCodec.stringify(rulesData, 0) : JSON.stringify(rulesData);
+            localStorage.setItem('standaardwerk-learned-rules', serialized);
             
             // Also try to save to results directory (if possible via service worker)
             if ('serviceWorker' in navigator) {
@@ -1016,7 +1092,7 @@ class StandaardwerkTrainerV2 {
         try {
             const savedRules = localStorage.getItem('standaardwerk-learned-rules');
             if (savedRules) {
-                const rulesData = JSON.parse(savedRules);
+                const rulesData = this.ruleCodec ? this.ruleCodec.parse(savedRules) : JSON.parse(savedRules);
                 
                 // Merge learned rules with existing config
                 if (rulesData.syntaxRules) {
@@ -1272,13 +1348,14 @@ class StandaardwerkTrainerV2 {
             if (this.isValidFile(file)) {
                 this.processFile(file);
             } else {
-                this.showNotification('Ongeldig bestandsformaat: ' + file.name, 'error');
+                this.showNotification(`Bestandstype niet ondersteund: ${file.name} (alleen .txt en .pdf; zet Word-bestanden om met node cli/docx-to-json.js)`, 'error');
             }
         });
     }
 
     isValidFile(file) {
-        const validTypes = ['.txt', '.doc', '.docx', '.pdf'];
+        // Only types whose text can be extracted in the browser
+        const validTypes = ['.txt', '.pdf'];
         return validTypes.some(type => file.name.toLowerCase().endsWith(type));
     }
 
@@ -1304,12 +1381,33 @@ class StandaardwerkTrainerV2 {
         }
     }
 
-    readFileContent(file) {
+    async readFileContent(file) {
+        if (!this.isValidFile(file)) {
+            throw new Error(`Bestandstype niet ondersteund: ${file.name}`);
+        }
+
+        if (file.name.toLowerCase().endsWith('.pdf')) {
+            if (!this.pdfExtractor) {
+                throw new Error('PDF-extractie is niet geladen');
+            }
+            const buffer = await this.readFileAs(file, 'readAsArrayBuffer');
+            const extracted = await this.pdfExtractor.extract(buffer);
+            return extracted.text;
+        }
+
+        const text = await this.readFileAs(file, 'readAsText');
+        if (text.includes('\0')) {
+            throw new Error(`${file.name} bevat binaire data en is geen tekstbestand`);
+        }
+        return text;
+    }
+
+    readFileAs(file, method) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = (e) => resolve(e.target.result);
             reader.onerror = (e) => reject(new Error('Kan bestand niet lezen'));
-            reader.readAsText(file);
+            reader[method](file);
         });
     }
 
@@ -1507,6 +1605,31 @@ class StandaardwerkTrainerV2 {
         `;
     }
 
+    generateStepChainHTML(content) {
+        if (!this.stepChainDiagram || !content) return '';
+
+        try {
+            const parser = new this.HierarchicalParser(this.config.syntaxRules, this.config.validationRules);
+            const result = parser.parse(content);
+            if (result.steps.length === 0) return '';
+
+            return `
+                <div class="space-y-4 mt-6">
+                    <h4 class="font-semibold text-gray-800">Stappenketen:</h4>
+                    <div class="overflow-auto border rounded-lg bg-white p-2" style="max-height: 60vh">
+                        ${this.stepChainDiagram.toSvg(result)}
+                    </div>
+                    <div class="text-sm text-gray-600">
+                        Gestreepte pijlen verwijzen naar stappen in andere programma's; oranje labels zijn timers.
+                    </div>
+                </div>
+            `;
+        } catch (error) {
+            console.warn('Stappenketen diagram kon niet worden gemaakt:', error);
+            return '';
+        }
+    }
+
     updateTrainingUI() {
         const progressDiv = document.getElementById('trainingProgress');
         
@@ -1780,7 +1903,7 @@ class StandaardwerkTrainerV2 {
         const file = this.trainingData.find(f => f.id == fileId);
         if (!file) return;
         
-        const preview = this.generatePreviewHTML(file.processedData);
+        const preview = this.generatePreviewHTML(file.processedData) + this.generateStepChainHTML(file.content);
         const modal = this.createModal(file.filename, preview);
         document.body.appendChild(modal);
     }